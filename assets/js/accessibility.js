@@ -0,0 +1,303 @@
+import { A11yUtil } from './utils/a11y.js';
+import { CanvasOverlay } from './utils/canvasOverlay.js';
+import { HtmlUtil } from './utils/html.js';
+
+const RULE_LABELS = {
+    'img-alt': 'Alt text',
+    contrast: 'Contrast',
+    'heading-order': 'Headings',
+    'form-label': 'Form labels',
+    'link-text': 'Link text',
+    landmark: 'Landmarks'
+};
+
+// Canvas overlay layer with the outlines of elements that have findings
+const HIGHLIGHT_LAYER = 'a11y-issue-overlay';
+
+/**
+ * AccessibilityManager
+ * Accessibility audit of every page in the editor: alt text of the (generated)
+ * images, text contrast against the design-system palette, heading order, form
+ * labels, link text and landmarks. Each finding can be sent to the backend as
+ * a targeted update of that one element, which goes into the revision history
+ * like any other update.
+ */
+export class AccessibilityManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns the pages, design system and editor
+     */
+    constructor(generatorManager) {
+        this.generatorManager = generatorManager;
+        this.findings = [];
+        this.hasRun = false;
+        this.fixing = null;
+        this.selectedId = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('a11yWebsiteSubtab')?.addEventListener('click', () => this.run());
+        document.getElementById('a11yRunBtn')?.addEventListener('click', () => this.run());
+
+        document.getElementById('a11yList')?.addEventListener('click', (e) => {
+            const fixButton = e.target.closest('[data-a11y-fix]');
+            if (fixButton) {
+                this.fix(fixButton.dataset.a11yFix);
+                return;
+            }
+            const item = e.target.closest('[data-a11y-id]');
+            if (item) this.reveal(item.dataset.a11yId);
+        });
+    }
+
+    /**
+     * Show the Accessibility sub-tab once there is a site
+     */
+    activate() {
+        const subtab = document.getElementById('a11yWebsiteSubtab');
+        if (subtab) subtab.style.display = 'inline-flex';
+        // Earlier findings may point at elements that are gone
+        if (this.hasRun) this.run();
+    }
+
+    /**
+     * Audit every page in the editor
+     * @returns {Array} Findings (see A11yUtil.audit)
+     */
+    run() {
+        const gen = this.generatorManager;
+        const pages = this._getPages();
+        if (Object.keys(pages).length === 0) {
+            this.findings = [];
+            this.render();
+            return this.findings;
+        }
+
+        this.findings = A11yUtil.audit(pages, {
+            order: gen.htmlEditor?.pageOrder,
+            globalCss: this._getGlobalCss(),
+            palette: this._palette(),
+            generatedImages: this._generatedImages()
+        });
+        this.hasRun = true;
+
+        this.render();
+        this.highlight();
+        return this.findings;
+    }
+
+    /**
+     * Open a finding's page and scroll its element into view
+     * @param {string} id - Finding id
+     */
+    reveal(id) {
+        const finding = this.findings.find(candidate => candidate.id === id);
+        const editor = this.generatorManager.htmlEditor;
+        if (!finding || !editor) return;
+
+        if (editor.currentPageName !== finding.page) {
+            // The canvas load calls highlight(), which marks the selected finding
+            this.selectedId = id;
+            editor.loadPage?.(finding.page);
+            return;
+        }
+        this.selectedId = id;
+        this.highlight();
+    }
+
+    // ─────────────────────────────────────────────
+    //  AI fixes
+    // ─────────────────────────────────────────────
+
+    /**
+     * Send one finding to update-website as a targeted edit of its page
+     * @param {string} id - Finding id
+     */
+    async fix(id) {
+        const finding = this.findings.find(candidate => candidate.id === id);
+        if (!finding || this.fixing) return;
+        if (!this._getPages()[finding.page]) return;
+
+        this.fixing = id;
+        this.render();
+        try {
+            // Goes through the update chat, so review mode, safe mode and revisions apply
+            const applied = await this.requestUpdate(A11yUtil.fixRequest(finding), {
+                pageNames: [finding.page],
+                label: `♿ Fix on ${finding.page}: ${finding.message}`
+            });
+            if (applied) {
+                console.log(`♿ Applied accessibility fix (${finding.rule}) on ${finding.page}`);
+            } else {
+                alert('The fix was not applied — see the Update chat for details.');
+            }
+        } finally {
+            this.fixing = null;
+            this.run();
+        }
+    }
+
+    /**
+     * Hook: send an update request for a finding (set by the app)
+     * @param {string} request - Request for the AI
+     * @param {Object} options - {pageNames, label} as for WebsiteUpdaterManager.sendRequest
+     * @returns {Promise<boolean>} True if changes were applied
+     */
+    async requestUpdate(request, options) {
+        return false;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Canvas highlights
+    // ─────────────────────────────────────────────
+
+    /**
+     * Outline the current page's elements that have findings; the selected
+     * finding is scrolled into view
+     * @param {Document} doc - Canvas document (defaults to the current canvas)
+     */
+    highlight(doc = null) {
+        const editor = this.generatorManager.htmlEditor;
+        doc = doc || editor?.editor?.Canvas?.getDocument?.();
+        if (!doc?.body) return;
+
+        // Errors win over warnings on the same element
+        const marks = new Map();
+        for (const finding of this.findings.filter(candidate => candidate.page === editor.currentPageName)) {
+            // Page-wide findings (landmarks) point at body
+            if (finding.selector === 'body') continue;
+
+            let targets = [];
+            try {
+                // Element paths match one element; CSS rule selectors every element they style
+                targets = [...doc.body.querySelectorAll(finding.selector)];
+            } catch (error) {
+                continue;
+            }
+            for (const target of targets) {
+                const mark = marks.get(target) || { severity: finding.severity, selected: false };
+                if (finding.severity === 'error') mark.severity = 'error';
+                if (finding.id === this.selectedId) {
+                    mark.selected = true;
+                    target.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+                }
+                marks.set(target, mark);
+            }
+        }
+
+        // Outlines go in an overlay so the canvas elements (and the saved HTML) stay untouched
+        CanvasOverlay.draw(doc, HIGHLIGHT_LAYER, [...marks].map(([element, mark]) => ({
+            element,
+            className: `a11y-issue ${mark.severity}${mark.selected ? ' selected' : ''}`
+        })), `
+            #${HIGHLIGHT_LAYER} .a11y-issue { outline: 2px dotted #ef4444; outline-offset: 2px; }
+            #${HIGHLIGHT_LAYER} .a11y-issue.warning { outline-color: #f59e0b; }
+            #${HIGHLIGHT_LAYER} .a11y-issue.selected { outline-style: solid; outline-width: 3px; }
+        `);
+    }
+
+    // ─────────────────────────────────────────────
+    //  UI
+    // ─────────────────────────────────────────────
+
+    render() {
+        const errors = this.findings.filter(finding => finding.severity === 'error').length;
+        const count = document.getElementById('a11yCount');
+        if (count) {
+            count.textContent = this.findings.length ? String(this.findings.length) : '';
+            count.style.display = this.findings.length ? 'inline-block' : 'none';
+            count.classList.toggle('warning', errors === 0);
+        }
+
+        this._renderPalette();
+
+        const list = document.getElementById('a11yList');
+        if (!list) return;
+
+        if (!this.hasRun) {
+            list.innerHTML = '<p class="a11y-empty">Run the audit to check every page.</p>';
+            return;
+        }
+        if (this.findings.length === 0) {
+            list.innerHTML = '<p class="a11y-empty">✅ No accessibility problems found.</p>';
+            return;
+        }
+
+        const gen = this.generatorManager;
+        const byPage = {};
+        this.findings.forEach(finding => (byPage[finding.page] = byPage[finding.page] || []).push(finding));
+
+        list.innerHTML = `
+            <p class="a11y-summary">${errors} error${errors === 1 ? '' : 's'}, ${this.findings.length - errors} warning${this.findings.length - errors === 1 ? '' : 's'}</p>
+            ${Object.entries(byPage).map(([pageName, findings]) => `
+                <div class="a11y-page">
+                    <h4 class="a11y-page__name">${HtmlUtil.escape(gen.formatPageName(pageName))} <span>${findings.length}</span></h4>
+                    ${findings.map(finding => this._renderFinding(finding)).join('')}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    _renderFinding(finding) {
+        const fixing = this.fixing === finding.id;
+        return `
+            <div class="a11y-finding ${finding.severity}" data-a11y-id="${HtmlUtil.escape(finding.id)}">
+                <div class="a11y-finding__header">
+                    <span class="a11y-finding__rule">${HtmlUtil.escape(RULE_LABELS[finding.rule] || finding.rule)}</span>
+                    <button class="btn-secondary a11y-finding__fix" data-a11y-fix="${HtmlUtil.escape(finding.id)}" ${this.fixing ? 'disabled' : ''}>
+                        <i class="fas ${fixing ? 'fa-spinner fa-spin' : 'fa-magic'}"></i>
+                        <span>${fixing ? 'Fixing…' : 'Fix with AI'}</span>
+                    </button>
+                </div>
+                <div class="a11y-finding__message">${HtmlUtil.escape(finding.message)}</div>
+                <code class="a11y-finding__element" title="${HtmlUtil.escape(finding.selector)}">${HtmlUtil.escape(finding.shared ? `${finding.selector} (shared CSS)` : finding.snippet)}</code>
+            </div>
+        `;
+    }
+
+    _renderPalette() {
+        const container = document.getElementById('a11yPalette');
+        if (!container) return;
+
+        const pairs = A11yUtil.paletteContrast(this._palette());
+        if (pairs.length === 0) {
+            container.innerHTML = '<p class="a11y-empty">The plan has no design-system palette with text and background colors.</p>';
+            return;
+        }
+        container.innerHTML = pairs.map(pair => `
+            <div class="a11y-pair ${pair.passes ? '' : 'fails'}">
+                <span class="a11y-pair__sample" style="color:${HtmlUtil.escape(pair.textColor)};background:${HtmlUtil.escape(pair.backgroundColor)};">Aa</span>
+                <span class="a11y-pair__names">${HtmlUtil.escape(pair.text)} on ${HtmlUtil.escape(pair.background)}</span>
+                <span class="a11y-pair__ratio">${pair.ratio.toFixed(2)}:1 ${pair.passes ? '✅' : '❌'}</span>
+            </div>
+        `).join('');
+    }
+
+    // ─────────────────────────────────────────────
+    //  Helpers
+    // ─────────────────────────────────────────────
+
+    _getPages() {
+        const gen = this.generatorManager;
+        const editorPages = gen.htmlEditor?.getAllPages?.();
+        if (editorPages && Object.keys(editorPages).length > 0) return editorPages;
+        return gen.generatedPages || {};
+    }
+
+    _getGlobalCss() {
+        const gen = this.generatorManager;
+        if (gen.htmlEditor?.isMultiPageMode) return gen.htmlEditor.getGlobalCss() || '';
+        return gen.cssTheme || gen.globalCss || '';
+    }
+
+    _palette() {
+        return this.generatorManager.generatedDesignSystem?.color_palette || {};
+    }
+
+    _generatedImages() {
+        const urls = this.generatorManager.generatedImageUrls;
+        if (!urls) return [];
+        return (Array.isArray(urls) ? urls : Object.values(urls)).filter(url => typeof url === 'string');
+    }
+}
@@ -0,0 +1,381 @@
+import { dataManager } from './dataManager.js';
+import { templateRenderer, TemplateRenderError } from './templateRenderer.js';
+import { BindingUtil } from './utils/binding.js';
+import { HtmlUtil } from './utils/html.js';
+import { JinjaUtil } from './utils/jinja.js';
+import { SchemaUtil } from './utils/schema.js';
+
+// Drag payload type for data fields
+const FIELD_MIME = 'application/x-jinja-path';
+
+/**
+ * BindingPanelManager
+ * Template mode for the visual editor: the canvas shows the Jinja templates
+ * with {{ variables }} as chips, fields of the current record can be dragged
+ * onto elements to bind them, and edits are written back to jinjaTemplates.
+ * While the mode is on, the editor still hands rendered pages to everyone
+ * else (export, projects, the updater), so only the templates change.
+ */
+export class BindingPanelManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns jinjaTemplates and the editor
+     */
+    constructor(generatorManager) {
+        this.generatorManager = generatorManager;
+        this.active = false;
+        // Set by canvas edits in template mode; the next read syncs jinjaTemplates
+        this.canvasChanged = false;
+        this._onCanvasUpdate = () => { this.canvasChanged = true; };
+
+        this.setupEventListeners();
+        dataManager.onChange(() => this.renderFields());
+    }
+
+    setupEventListeners() {
+        document.getElementById('bindWebsiteSubtab')?.addEventListener('click', () => this.renderFields());
+        document.getElementById('bindingModeBtn')?.addEventListener('click', () => {
+            if (this.active) this.apply();
+            else this.enter();
+        });
+
+        const fields = document.getElementById('bindingFields');
+        fields?.addEventListener('dragstart', (e) => {
+            const path = e.target.closest('[data-binding-path]')?.dataset.bindingPath;
+            if (!path) return;
+            e.dataTransfer.setData(FIELD_MIME, path);
+            e.dataTransfer.setData('text/plain', `{{ ${path} }}`);
+            e.dataTransfer.effectAllowed = 'copy';
+        });
+        // Clicking a field binds it to the element selected in the editor
+        fields?.addEventListener('click', (e) => {
+            const path = e.target.closest('[data-binding-path]')?.dataset.bindingPath;
+            if (!path) return;
+            const selected = this.generatorManager.htmlEditor?.editor?.getSelected?.();
+            if (!selected) {
+                this._setStatus('Select an element in the canvas first, or drag the field onto it.');
+                return;
+            }
+            this.bindComponent(selected, path);
+        });
+    }
+
+    /**
+     * Show the Bind sub-tab once there are templates
+     */
+    activate() {
+        const subtab = document.getElementById('bindWebsiteSubtab');
+        if (subtab) subtab.style.display = 'inline-flex';
+    }
+
+    // ─────────────────────────────────────────────
+    //  Template mode
+    // ─────────────────────────────────────────────
+
+    /**
+     * Load the Jinja templates into the editor with variables as chips
+     */
+    async enter() {
+        const gen = this.generatorManager;
+        const htmlEditor = gen.htmlEditor;
+
+        if (!gen.jinjaTemplates) {
+            alert('No Jinja templates available. Please generate a website first.');
+            return;
+        }
+        if (!dataManager.getCurrentData()) {
+            alert('Apply a data record first so template edits can be previewed with real data.');
+            return;
+        }
+
+        const order = htmlEditor.pageOrder?.length ? htmlEditor.pageOrder : Object.keys(gen.jinjaTemplates);
+        const pages = {};
+        for (const pageName of order) {
+            const template = gen.jinjaTemplates[pageName];
+            if (!template) continue;
+            pages[pageName] = {
+                html: BindingUtil.toChips(template.jinja || template.html || ''),
+                css: template.css || ''
+            };
+        }
+
+        // Straight to the editor: displayMultiPageEditor would end template mode.
+        // Active first so the new canvas frames get the chip styles.
+        this.active = true;
+        const opened = await htmlEditor.initializeMultiPage(pages, {
+            globalCss: gen.globalCss,
+            formatName: (pageName) => gen.formatPageName(pageName),
+            order,
+            currentPage: htmlEditor.currentPageName
+        });
+        if (!opened) {
+            this.active = false;
+            return;
+        }
+
+        // Everyone else keeps getting rendered pages while the canvas holds templates
+        this.canvasChanged = false;
+        htmlEditor.editor?.on('update', this._onCanvasUpdate);
+        htmlEditor.getAllPages = () => this._readerPages();
+        this.renderFields();
+        this._updateButton();
+        this._setStatus('Editing templates. Drag a field onto an element, or select an element and click a field.');
+        console.log('🧩 Template mode on');
+    }
+
+    /**
+     * Save the canvas back to jinjaTemplates, leave template mode and show
+     * the site rendered with the current record
+     */
+    apply() {
+        if (!this.active) return;
+        const gen = this.generatorManager;
+        const currentPage = gen.htmlEditor.currentPageName;
+
+        let rendered;
+        try {
+            rendered = this._renderedPages();
+        } catch (error) {
+            // A page set to fail hard did not render; stay in template mode to fix it
+            alert(`The templates could not be rendered:\n${error.message}\n\nSee the Problems tab for details.`);
+            return;
+        }
+        this.leave();
+        gen.generatedPages = rendered;
+        gen.displayMultiPageEditor(rendered, currentPage);
+        this._setStatus('Template edits saved and rendered with the current data.');
+        console.log('🧩 Template mode off, templates updated');
+    }
+
+    /**
+     * End template mode without rebuilding the editor (the app calls this
+     * before anything else replaces the canvas). Template edits are kept.
+     */
+    leave() {
+        if (!this.active) return;
+
+        this.syncTemplates();
+        this.generatorManager.htmlEditor.editor?.off('update', this._onCanvasUpdate);
+        delete this.generatorManager.htmlEditor.getAllPages;
+        this.active = false;
+        this._updateButton();
+        this._setStatus('Template edits saved.');
+    }
+
+    /**
+     * Write the editor's pages back to jinjaTemplates
+     * @returns {Object} Updated templates {pageName: {jinja, css}}
+     */
+    syncTemplates() {
+        const gen = this.generatorManager;
+        const htmlEditor = gen.htmlEditor;
+        const editorPages = Object.getPrototypeOf(htmlEditor).getAllPages.call(htmlEditor);
+
+        for (const [pageName, page] of Object.entries(editorPages)) {
+            gen.jinjaTemplates[pageName] = {
+                ...(gen.jinjaTemplates[pageName] || {}),
+                jinja: BindingUtil.fromChips(page.html),
+                css: page.css || ''
+            };
+        }
+        this.canvasChanged = false;
+        return gen.jinjaTemplates;
+    }
+
+    _renderedPages() {
+        const templates = this.syncTemplates();
+        return templateRenderer.renderPages(templates, dataManager.getCurrentData() || {});
+    }
+
+    /**
+     * Rendered pages for everyone reading the editor in template mode. A page
+     * set to fail keeps its last rendered copy rather than throwing at the
+     * reader; the Problems tab lists the error.
+     * @returns {Object} {pageName: {html, css}}
+     */
+    _readerPages() {
+        const gen = this.generatorManager;
+        try {
+            if (this.canvasChanged) this.syncTemplates();
+            return templateRenderer.renderPages(gen.jinjaTemplates, dataManager.getCurrentData() || {});
+        } catch (error) {
+            if (!(error instanceof TemplateRenderError)) throw error;
+
+            const pages = { ...error.pages };
+            for (const { page } of error.errors) {
+                const previous = gen.generatedPages?.[page];
+                if (previous) pages[page] = previous;
+            }
+            return pages;
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  Binding
+    // ─────────────────────────────────────────────
+
+    /**
+     * Accept field drops on the canvas (called for every loaded frame)
+     * @param {Document} doc - Canvas document
+     */
+    decorateCanvas(doc) {
+        if (!doc?.head || !this.active) return;
+
+        if (!doc.getElementById('jinja-chip-style')) {
+            const style = doc.createElement('style');
+            style.id = 'jinja-chip-style';
+            style.textContent = `
+                .jinja-var { display: inline-block; padding: 0 6px; margin: 0 1px; border-radius: 10px;
+                    background: rgba(59, 130, 246, 0.15); color: #1d4ed8; border: 1px solid rgba(59, 130, 246, 0.5);
+                    font: 500 0.85em/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; white-space: nowrap; }
+                .jinja-drop-target { outline: 2px dashed #3b82f6 !important; outline-offset: 2px; }
+            `;
+            doc.head.appendChild(style);
+        }
+
+        if (doc.bindingDropReady) return;
+        doc.bindingDropReady = true;
+
+        let target = null;
+        const clearTarget = () => {
+            target?.classList.remove('jinja-drop-target');
+            target = null;
+        };
+        doc.addEventListener('dragover', (e) => {
+            if (!this.active || !e.dataTransfer?.types.includes(FIELD_MIME)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            const el = this._dropElement(e.target);
+            if (el !== target) {
+                clearTarget();
+                target = el;
+                target?.classList.add('jinja-drop-target');
+            }
+        });
+        doc.addEventListener('dragleave', (e) => {
+            if (e.target === target) clearTarget();
+        });
+        doc.addEventListener('drop', (e) => {
+            const path = e.dataTransfer?.getData(FIELD_MIME);
+            if (!this.active || !path) return;
+            e.preventDefault();
+            e.stopPropagation();
+            const el = this._dropElement(e.target);
+            clearTarget();
+
+            const component = this._componentFor(el);
+            if (component) this.bindComponent(component, path);
+        }, true);
+    }
+
+    /**
+     * Bind a field to an editor component: images get their src, links to
+     * URL or email fields get their href, anything else gets the field as text
+     * @param {Object} component - GrapesJS component
+     * @param {string} path - Data path, e.g. "address.city"
+     */
+    bindComponent(component, path) {
+        if (!this.active) {
+            this._setStatus('Turn on template mode to bind fields.');
+            return;
+        }
+
+        const tagName = (component.get('tagName') || '').toLowerCase();
+        const sample = JinjaUtil.getPath(dataManager.getCurrentData() || {}, path);
+        const expression = Array.isArray(sample) ? `{{ ${path} | join(', ') }}` : `{{ ${path} }}`;
+        const text = typeof sample === 'string' ? sample : '';
+
+        if (tagName === 'img') {
+            component.addAttributes({ src: expression });
+        } else if (tagName === 'a' && /^(https?:|mailto:|tel:|\/)/i.test(text)) {
+            component.addAttributes({ href: expression });
+        } else if (tagName === 'a' && /^[^\s@]+@[^\s@]+$/.test(text)) {
+            component.addAttributes({ href: `mailto:${expression}` });
+        } else {
+            const children = component.components();
+            const hasElements = children.some(child => !['textnode', 'comment'].includes(child.get('type'))
+                && !child.getClasses?.().includes('jinja-var'));
+            if (hasElements && !confirm(`Replace the contents of <${tagName || 'element'}> with ${expression}?`)) {
+                return;
+            }
+            component.components(BindingUtil.chip(expression));
+        }
+
+        this.generatorManager.htmlEditor.editor?.select?.(component);
+        this._setStatus(`Bound ${expression} to <${tagName || 'element'}>.`);
+    }
+
+    _dropElement(el) {
+        // Dropping on a chip binds the element that contains it
+        let node = el?.nodeType === Node.ELEMENT_NODE ? el : el?.parentElement;
+        if (node?.classList?.contains('jinja-var')) node = node.parentElement;
+        return node && node.tagName !== 'HTML' ? node : null;
+    }
+
+    _componentFor(el) {
+        const wrapper = this.generatorManager.htmlEditor.editor?.getWrapper?.();
+        if (!wrapper || !el) return null;
+
+        const components = [wrapper, ...wrapper.find('*')];
+        for (let node = el; node; node = node.parentElement) {
+            const match = components.find(component => component.getEl?.() === node);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    // ─────────────────────────────────────────────
+    //  UI
+    // ─────────────────────────────────────────────
+
+    /**
+     * List the current record's fields (or the schema's, without a record)
+     */
+    async renderFields() {
+        const container = document.getElementById('bindingFields');
+        if (!container) return;
+
+        const data = dataManager.getCurrentData();
+        const paths = data
+            ? JinjaUtil.leafPaths(data)
+            : SchemaUtil.leafPaths(await dataManager.loadSchema()).filter(path => !path.includes('[]'));
+
+        if (paths.length === 0) {
+            container.innerHTML = '<p class="binding-empty">Apply a data record to see its fields.</p>';
+            return;
+        }
+
+        container.innerHTML = paths.map(path => {
+            const value = data ? JinjaUtil.getPath(data, path) : undefined;
+            const sample = Array.isArray(value) ? value.join(', ') : value;
+            return `
+                <div class="binding-field" draggable="true" data-binding-path="${HtmlUtil.escape(path)}"
+                    title="Drag onto an element, or click to bind the selected element">
+                    <code>{{ ${HtmlUtil.escape(path)} }}</code>
+                    ${sample !== undefined ? `<span>${HtmlUtil.escape(String(sample).slice(0, 60))}</span>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        const record = document.getElementById('bindingRecordName');
+        if (record) {
+            record.textContent = dataManager.getCurrentFileName()
+                ? dataManager.getDisplayName(dataManager.getCurrentFileName())
+                : 'schema fields';
+        }
+    }
+
+    _updateButton() {
+        const btn = document.getElementById('bindingModeBtn');
+        if (!btn) return;
+        btn.innerHTML = this.active
+            ? '<i class="fas fa-check"></i><span>Apply Template Edits</span>'
+            : '<i class="fas fa-code"></i><span>Show Template Variables</span>';
+        btn.classList.toggle('btn-primary', this.active);
+        btn.classList.toggle('btn-secondary', !this.active);
+    }
+
+    _setStatus(message) {
+        const el = document.getElementById('bindingStatus');
+        if (el) el.textContent = message;
+    }
+}
@@ -0,0 +1,518 @@
+import { templateRenderer, TemplateRenderer } from './templateRenderer.js';
+import { dataManager } from './dataManager.js';
+import { CsvUtil } from './utils/csv.js';
+import { HtmlUtil } from './utils/html.js';
+import { JinjaUtil } from './utils/jinja.js';
+
+// Yield to the browser every N records so progress can repaint
+const RENDER_BATCH_SIZE = 25;
+
+/**
+ * BulkRenderManager
+ * Renders the website's Jinja templates once per record of an uploaded CSV or
+ * JSON dataset. Columns are mapped to template variables, any record can be
+ * previewed, and the result downloads as a ZIP with one folder per record plus
+ * a report of records that failed or were missing required fields.
+ */
+export class BulkRenderManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns the Jinja templates
+     */
+    constructor(generatorManager) {
+        this.generatorManager = generatorManager;
+        this.dataset = null;        // {fileName, columns, rows}
+        this.variables = [];        // template variable paths
+        this.mapping = {};          // variable -> column ('' = not mapped)
+        this.required = new Set();  // variables a record must have
+        this.folderColumn = '';
+        this.results = [];          // [{index, folder, status, missing, errors}]
+        this.zip = null;
+        this.previewIndex = null;
+        this.isBusy = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('bulkWebsiteSubtab')?.addEventListener('click', () => this.refreshVariables());
+
+        document.getElementById('bulkDataFile')?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            if (file) this.loadFile(file);
+        });
+
+        const mapping = document.getElementById('bulkMapping');
+        mapping?.addEventListener('change', (e) => {
+            const variable = e.target.dataset.bulkVariable;
+            const required = e.target.dataset.bulkRequired;
+            if (variable) this.mapping[variable] = e.target.value;
+            if (required) {
+                if (e.target.checked) this.required.add(required);
+                else this.required.delete(required);
+            }
+            this._invalidate();
+        });
+
+        document.getElementById('bulkFolderColumn')?.addEventListener('change', (e) => {
+            this.folderColumn = e.target.value;
+            this._invalidate();
+        });
+
+        document.getElementById('bulkRenderBtn')?.addEventListener('click', () => this.renderAll());
+        document.getElementById('bulkDownloadBtn')?.addEventListener('click', () => this.download());
+        document.getElementById('bulkPreviewBtn')?.addEventListener('click', () => {
+            const index = document.getElementById('bulkPreviewRecord')?.value;
+            if (index !== undefined && index !== '') this.openPreview(Number(index));
+        });
+
+        document.getElementById('bulkPreviewClose')?.addEventListener('click', () => this.closePreview());
+        document.getElementById('bulkPreviewModal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'bulkPreviewModal') this.closePreview();
+        });
+        document.getElementById('bulkPreviewPage')?.addEventListener('change', () => this.renderPreview());
+    }
+
+    /**
+     * Show the Bulk sub-tab once there are templates to render
+     */
+    activate() {
+        const subtab = document.getElementById('bulkWebsiteSubtab');
+        if (subtab) subtab.style.display = 'inline-flex';
+    }
+
+    /**
+     * Re-read the variables used by the current templates
+     */
+    refreshVariables() {
+        const templates = this.generatorManager.jinjaTemplates || {};
+        const variables = new Set();
+        for (const template of Object.values(templates)) {
+            const source = template.jinja || template.html || '';
+            const partials = templateRenderer.includedPartials(source).map(name => templateRenderer.getPartial(name));
+            [source, ...partials].forEach(text => {
+                JinjaUtil.collectVariables(text)
+                    .filter(path => !templateRenderer.isGlobal(path))
+                    .forEach(path => variables.add(path));
+            });
+        }
+        this.variables = [...variables].sort();
+
+        // Keep choices for variables that still exist
+        for (const variable of Object.keys(this.mapping)) {
+            if (!variables.has(variable)) delete this.mapping[variable];
+        }
+        for (const variable of this.required) {
+            if (!variables.has(variable)) this.required.delete(variable);
+        }
+        if (this.dataset) this._autoMap();
+        this.renderMapping();
+    }
+
+    // ─────────────────────────────────────────────
+    //  Dataset
+    // ─────────────────────────────────────────────
+
+    /**
+     * Load a CSV file or a JSON array of records
+     * @param {File} file - Uploaded file
+     */
+    async loadFile(file) {
+        try {
+            const text = await file.text();
+            this.dataset = { fileName: file.name, ...this.parseDataset(text, file.name) };
+            this.results = [];
+            this.zip = null;
+            this.folderColumn = '';
+            // Start from the same required fields as single data files
+            this.required = new Set(dataManager.validateData({}).missing);
+            this.refreshVariables();
+            this.renderResults();
+            console.log(`📦 Loaded ${this.dataset.rows.length} records from ${file.name}`);
+        } catch (error) {
+            console.error('Error loading dataset:', error);
+            alert(`Could not read ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {string} text - File contents
+     * @param {string} fileName - Used to tell JSON from CSV
+     * @returns {Object} {columns, rows}
+     */
+    parseDataset(text, fileName = '') {
+        const trimmed = text.trim();
+        if (/\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            const parsed = JSON.parse(trimmed);
+            // Accept a bare array or a wrapper like {"records": [...]}
+            const list = Array.isArray(parsed)
+                ? parsed
+                : Object.values(parsed).find(value => Array.isArray(value));
+            if (!list) {
+                throw new Error('Expected a JSON array of records');
+            }
+
+            const rows = list.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+            if (rows.length === 0) {
+                throw new Error('The JSON array contains no records');
+            }
+            const columns = [...new Set(rows.flatMap(row => JinjaUtil.leafPaths(row)))];
+            return { columns, rows };
+        }
+
+        const { columns, rows } = CsvUtil.parse(text);
+        if (rows.length === 0) {
+            throw new Error('The CSV file has a header but no records');
+        }
+        return { columns, rows };
+    }
+
+    /**
+     * Map unmapped variables to columns with the same name ("address.city" matches
+     * "address.city", "address_city", "Address City" or a unique "city")
+     */
+    _autoMap() {
+        const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const columns = this.dataset.columns;
+
+        for (const variable of this.variables) {
+            if (this.mapping[variable] && columns.includes(this.mapping[variable])) continue;
+
+            const full = normalize(variable);
+            const leaf = normalize(variable.split('.').pop());
+            const exact = columns.find(column => normalize(column) === full);
+            const byLeaf = columns.filter(column => normalize(column.split('.').pop()) === leaf);
+            this.mapping[variable] = exact || (byLeaf.length === 1 ? byLeaf[0] : '');
+        }
+
+        if (!this.folderColumn || !columns.includes(this.folderColumn)) {
+            this.folderColumn = this.mapping.name || columns[0] || '';
+        }
+    }
+
+    /**
+     * Template data for one record: the record itself plus the mapped columns
+     * @param {Object} row - Dataset record
+     * @returns {Object} Data for the templates
+     */
+    buildRecordData(row) {
+        const data = structuredClone(row);
+        for (const [variable, column] of Object.entries(this.mapping)) {
+            if (!column) continue;
+            const value = JinjaUtil.getPath(row, column);
+            if (value !== undefined) JinjaUtil.setPath(data, variable, value);
+        }
+        return data;
+    }
+
+    /**
+     * @param {Object} data - Record data
+     * @returns {Array} Required variables that are empty
+     */
+    missingFields(data) {
+        return [...this.required].filter(variable => {
+            const value = JinjaUtil.getPath(data, variable);
+            return value === undefined || value === null || String(value).trim() === '';
+        });
+    }
+
+    // ─────────────────────────────────────────────
+    //  Rendering
+    // ─────────────────────────────────────────────
+
+    async renderAll() {
+        if (this.isBusy) return;
+        const gen = this.generatorManager;
+
+        if (!gen.jinjaTemplates) {
+            alert('No Jinja templates available. Please generate a website first.');
+            return;
+        }
+        if (!this.dataset) {
+            alert('Upload a CSV or JSON dataset first.');
+            return;
+        }
+        if (typeof JSZip === 'undefined') {
+            alert('JSZip library not loaded. Please refresh the page.');
+            return;
+        }
+
+        this.isBusy = true;
+        this._setBusy(true);
+        this.results = [];
+        this.zip = new JSZip();
+        const usedFolders = new Set();
+        const rows = this.dataset.rows;
+
+        try {
+            for (const [index, row] of rows.entries()) {
+                if (index % RENDER_BATCH_SIZE === 0) {
+                    this._setProgress(`Rendering ${index + 1}–${Math.min(index + RENDER_BATCH_SIZE, rows.length)} of ${rows.length}…`);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+                this.results.push(this._renderRecord(index, row, usedFolders));
+            }
+
+            this.zip.file('report.csv', this._buildReport());
+            const failed = this.results.filter(result => result.status !== 'ok').length;
+            this._setProgress(`Rendered ${rows.length - failed} of ${rows.length} records.`);
+            console.log(`📦 Bulk render: ${rows.length - failed} ok, ${failed} with problems`);
+        } catch (error) {
+            console.error('Bulk render error:', error);
+            this._setProgress(`Bulk render stopped: ${error.message}`, true);
+            this.zip = null;
+        } finally {
+            this.isBusy = false;
+            this._setBusy(false);
+            this.renderResults();
+        }
+    }
+
+    /**
+     * Render one record into its folder in the ZIP
+     * @returns {Object} Result {index, folder, status: 'ok'|'missing'|'error', missing, errors}
+     */
+    _renderRecord(index, row, usedFolders) {
+        const gen = this.generatorManager;
+        const folder = this._folderName(row, index, usedFolders);
+        const data = this.buildRecordData(row);
+        const missing = this.missingFields(data);
+
+        if (missing.length > 0) {
+            return { index, folder, status: 'missing', missing, errors: {} };
+        }
+
+        const { pages, errors } = templateRenderer.tryRenderPages(gen.jinjaTemplates, data);
+        if (Object.keys(errors).length > 0) {
+            return { index, folder, status: 'error', missing: [], errors };
+        }
+
+        for (const [pageName, page] of Object.entries(pages)) {
+            const fileName = gen.savedFiles?.[pageName] || `${pageName}.html`;
+            this.zip.file(`${folder}/${fileName}`, gen.createFullHTML(page.html, page.css));
+        }
+        this.zip.file(`${folder}/data.json`, JSON.stringify(data, null, 2) + '\n');
+        return { index, folder, status: 'ok', missing: [], errors: {} };
+    }
+
+    _folderName(row, index, usedFolders) {
+        const value = this.folderColumn ? JinjaUtil.getPath(row, this.folderColumn) : '';
+        const base = String(value ?? '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60) || `record-${index + 1}`;
+
+        let folder = base;
+        for (let i = 2; usedFolders.has(folder); i++) {
+            folder = `${base}-${i}`;
+        }
+        usedFolders.add(folder);
+        return folder;
+    }
+
+    _buildReport() {
+        const rows = this.results.map(result => ({
+            record: result.index + 1,
+            folder: result.folder,
+            status: result.status,
+            missing_fields: result.missing.join(' '),
+            errors: Object.entries(result.errors).map(([page, error]) => `${page}: ${TemplateRenderer.formatError(error)}`).join(' | ')
+        }));
+        return CsvUtil.stringify(rows, ['record', 'folder', 'status', 'missing_fields', 'errors']);
+    }
+
+    async download() {
+        if (!this.zip) {
+            alert('Render the dataset first.');
+            return;
+        }
+
+        const blob = await this.zip.generateAsync({ type: 'blob' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${(this.dataset?.fileName || 'bulk').replace(/\.[^.]+$/, '')}-sites.zip`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // ─────────────────────────────────────────────
+    //  Preview
+    // ─────────────────────────────────────────────
+
+    openPreview(index) {
+        const modal = document.getElementById('bulkPreviewModal');
+        const pageSelect = document.getElementById('bulkPreviewPage');
+        const row = this.dataset?.rows[index];
+        if (!modal || !row) return;
+
+        this.previewIndex = index;
+        const gen = this.generatorManager;
+        const order = (gen.pageOrder || gen.generatedPlan?.pages?.map(page => page.name) || Object.keys(gen.jinjaTemplates || {}))
+            .filter(name => gen.jinjaTemplates?.[name]);
+        if (pageSelect) {
+            const current = pageSelect.value;
+            pageSelect.innerHTML = order
+                .map(name => `<option value="${HtmlUtil.escape(name)}">${HtmlUtil.escape(gen.formatPageName(name))}</option>`)
+                .join('');
+            if (order.includes(current)) pageSelect.value = current;
+        }
+
+        const title = document.getElementById('bulkPreviewTitle');
+        if (title) title.textContent = `Record ${index + 1}: ${this._recordLabel(row, index)}`;
+
+        modal.style.display = 'flex';
+        this.renderPreview();
+    }
+
+    renderPreview() {
+        const frame = document.getElementById('bulkPreviewFrame');
+        const message = document.getElementById('bulkPreviewMessage');
+        const pageName = document.getElementById('bulkPreviewPage')?.value;
+        const row = this.dataset?.rows[this.previewIndex];
+        const template = this.generatorManager.jinjaTemplates?.[pageName];
+        if (!frame || !row || !template) return;
+
+        const data = this.buildRecordData(row);
+        const missing = this.missingFields(data);
+        const { pages, errors } = templateRenderer.tryRenderPages({ [pageName]: template }, data);
+
+        const problems = [];
+        if (missing.length) problems.push(`Missing required fields: ${missing.join(', ')}`);
+        if (errors[pageName]) problems.push(`Render error: ${TemplateRenderer.formatError(errors[pageName])}`);
+        if (message) {
+            message.textContent = problems.join(' · ');
+            message.style.display = problems.length ? 'block' : 'none';
+        }
+
+        frame.srcdoc = pages[pageName]
+            ? this.generatorManager.createFullHTML(pages[pageName].html, pages[pageName].css)
+            : '';
+    }
+
+    closePreview() {
+        const modal = document.getElementById('bulkPreviewModal');
+        const frame = document.getElementById('bulkPreviewFrame');
+        if (modal) modal.style.display = 'none';
+        if (frame) frame.srcdoc = '';
+        this.previewIndex = null;
+    }
+
+    // ─────────────────────────────────────────────
+    //  UI
+    // ─────────────────────────────────────────────
+
+    renderMapping() {
+        const container = document.getElementById('bulkMapping');
+        const info = document.getElementById('bulkDatasetInfo');
+        const folderSelect = document.getElementById('bulkFolderColumn');
+        if (!container) return;
+
+        if (info) {
+            info.textContent = this.dataset
+                ? `${this.dataset.fileName}: ${this.dataset.rows.length} records, ${this.dataset.columns.length} columns`
+                : 'No dataset loaded.';
+        }
+
+        if (!this.dataset) {
+            container.innerHTML = '';
+            if (folderSelect) folderSelect.innerHTML = '';
+            return;
+        }
+        if (this.variables.length === 0) {
+            container.innerHTML = '<p class="bulk-empty">The templates use no variables.</p>';
+        } else {
+            const options = (selected) => ['', ...this.dataset.columns]
+                .map(column => `<option value="${HtmlUtil.escape(column)}"${column === selected ? ' selected' : ''}>${column ? HtmlUtil.escape(column) : '— not mapped —'}</option>`)
+                .join('');
+
+            container.innerHTML = `
+                <table class="bulk-mapping-table">
+                    <thead><tr><th>Variable</th><th>Column</th><th>Required</th></tr></thead>
+                    <tbody>
+                        ${this.variables.map(variable => `
+                            <tr>
+                                <td><code>${HtmlUtil.escape(variable)}</code></td>
+                                <td><select data-bulk-variable="${HtmlUtil.escape(variable)}">${options(this.mapping[variable] || '')}</select></td>
+                                <td><input type="checkbox" data-bulk-required="${HtmlUtil.escape(variable)}"${this.required.has(variable) ? ' checked' : ''} /></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        if (folderSelect) {
+            folderSelect.innerHTML = this.dataset.columns
+                .map(column => `<option value="${HtmlUtil.escape(column)}"${column === this.folderColumn ? ' selected' : ''}>${HtmlUtil.escape(column)}</option>`)
+                .join('');
+        }
+    }
+
+    renderResults() {
+        const summary = document.getElementById('bulkSummary');
+        const report = document.getElementById('bulkReport');
+        const previewSelect = document.getElementById('bulkPreviewRecord');
+        const downloadBtn = document.getElementById('bulkDownloadBtn');
+        const rows = this.dataset?.rows || [];
+
+        if (previewSelect) {
+            const byIndex = new Map(this.results.map(result => [result.index, result]));
+            previewSelect.innerHTML = rows
+                .map((row, index) => {
+                    const status = byIndex.get(index)?.status;
+                    const flag = status && status !== 'ok' ? ' ⚠' : '';
+                    return `<option value="${index}">${index + 1}. ${HtmlUtil.escape(this._recordLabel(row, index))}${flag}</option>`;
+                })
+                .join('');
+        }
+        if (downloadBtn) downloadBtn.disabled = !this.zip;
+
+        const problems = this.results.filter(result => result.status !== 'ok');
+        if (summary) {
+            summary.textContent = this.results.length
+                ? `${this.results.length - problems.length} rendered · ${problems.filter(r => r.status === 'missing').length} missing fields · ${problems.filter(r => r.status === 'error').length} failed`
+                : '';
+        }
+        if (!report) return;
+
+        report.innerHTML = problems.map(result => `
+            <div class="bulk-report-item bulk-report-${result.status}">
+                <strong>${result.index + 1}. ${HtmlUtil.escape(result.folder)}</strong>
+                <span>${result.status === 'missing'
+                    ? `Missing: ${HtmlUtil.escape(result.missing.join(', '))}`
+                    : HtmlUtil.escape(Object.entries(result.errors).map(([page, error]) => `${page}: ${TemplateRenderer.formatError(error)}`).join('; '))}</span>
+            </div>
+        `).join('');
+    }
+
+    _recordLabel(row, index) {
+        const value = this.folderColumn ? JinjaUtil.getPath(row, this.folderColumn) : '';
+        return value ? String(value) : `Record ${index + 1}`;
+    }
+
+    /**
+     * Mapping changed: previous results no longer match what a render would produce
+     */
+    _invalidate() {
+        if (!this.zip) return;
+        this.zip = null;
+        this.results = [];
+        this._setProgress('Mapping changed. Render again to update the download.');
+        this.renderResults();
+    }
+
+    _setBusy(busy) {
+        const btn = document.getElementById('bulkRenderBtn');
+        if (btn) btn.disabled = busy;
+    }
+
+    _setProgress(message, isError = false) {
+        const el = document.getElementById('bulkProgress');
+        if (!el) return;
+        el.textContent = message;
+        el.style.color = isError ? 'var(--error-color)' : 'var(--text-secondary)';
+    }
+}
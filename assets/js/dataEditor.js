@@ -0,0 +1,392 @@
+import { dataManager } from './dataManager.js';
+import { HtmlUtil } from './utils/html.js';
+
+/**
+ * DataEditorManager
+ * Form-based editor for template data records. The form is generated from the
+ * data JSON Schema (nested objects such as address and social become field
+ * groups); records are saved in the browser and show up in #jsonDataDropdown.
+ * Also handles uploading or pasting JSON records.
+ */
+export class DataEditorManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns #jsonDataDropdown
+     */
+    constructor(generatorManager) {
+        this.generatorManager = generatorManager;
+        this.editingId = null;      // local record id being edited (null = new record)
+        this.original = {};         // record as loaded, keeps fields the schema does not cover
+        this.schema = null;
+        this.fields = new Map();    // dotted path -> input element
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('newDataRecordBtn')?.addEventListener('click', () => this.open(null));
+        document.getElementById('editDataRecordBtn')?.addEventListener('click', () => {
+            const selected = document.getElementById('jsonDataDropdown')?.value;
+            if (!selected) {
+                alert('Select a data record to edit first.');
+                return;
+            }
+            this.open(selected);
+        });
+
+        const fileInput = document.getElementById('dataRecordFile');
+        document.getElementById('uploadDataRecordBtn')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) this.importFile(file);
+        });
+
+        document.getElementById('dataEditorClose')?.addEventListener('click', () => this.close());
+        document.getElementById('dataEditorCancelBtn')?.addEventListener('click', () => this.close());
+        document.getElementById('dataEditorModal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'dataEditorModal') this.close();
+        });
+        document.getElementById('dataEditorForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        document.getElementById('dataEditorJsonApply')?.addEventListener('click', () => this.applyPastedJson());
+        document.getElementById('dataEditorDeleteBtn')?.addEventListener('click', () => this.deleteRecord());
+    }
+
+    // ─────────────────────────────────────────────
+    //  Dialog
+    // ─────────────────────────────────────────────
+
+    /**
+     * Open the editor for a record. Bundled files are edited as a new local copy.
+     * @param {string|null} id - Source id, or null for a blank record
+     */
+    async open(id) {
+        const modal = document.getElementById('dataEditorModal');
+        if (!modal) return;
+
+        let record = {};
+        try {
+            if (id) {
+                record = structuredClone(await dataManager.getRecord(id));
+            }
+            this.schema = await dataManager.loadSchema();
+        } catch (error) {
+            console.error('Error opening data editor:', error);
+            alert(`Could not open the record: ${error.message}`);
+            return;
+        }
+
+        const isLocal = dataManager.isLocal(id);
+        this.editingId = isLocal ? id : null;
+        this.original = record;
+
+        const name = id ? dataManager.getDisplayName(id) : '';
+        document.getElementById('dataEditorTitle').textContent = !id
+            ? 'New Data Record'
+            : isLocal ? `Edit ${name}` : `Copy of ${name}`;
+        document.getElementById('dataRecordName').value = isLocal ? name : (name ? `${name} (copy)` : '');
+        document.getElementById('dataEditorJsonInput').value = '';
+        document.getElementById('dataEditorDeleteBtn').style.display = isLocal ? '' : 'none';
+        this._setMessage('');
+
+        this.renderForm(record);
+        modal.style.display = 'flex';
+        document.getElementById('dataRecordName').focus();
+    }
+
+    close() {
+        const modal = document.getElementById('dataEditorModal');
+        if (modal) modal.style.display = 'none';
+        this.fields.clear();
+    }
+
+    async save() {
+        const form = document.getElementById('dataEditorForm');
+        if (form && !form.reportValidity()) return;
+
+        let data;
+        try {
+            data = this._readValue(this.schema, '', this.original) || {};
+        } catch (error) {
+            this._setMessage(error.message, true);
+            return;
+        }
+
+        try {
+            const name = document.getElementById('dataRecordName').value;
+            const id = dataManager.saveRecord(data, name, this.editingId);
+            this.generatorManager.populateDataDropdown(id);
+            console.log(`✓ Saved data record ${dataManager.getDisplayName(id)}`);
+            this.close();
+        } catch (error) {
+            this._setMessage(error.message, true);
+        }
+    }
+
+    deleteRecord() {
+        if (!this.editingId) return;
+        const name = dataManager.getDisplayName(this.editingId);
+        if (!confirm(`Delete the saved record "${name}"?`)) return;
+
+        dataManager.deleteRecord(this.editingId);
+        this.close();
+    }
+
+    /**
+     * Fill the form from JSON pasted into the dialog. An array is imported as
+     * separate records straight away.
+     */
+    applyPastedJson() {
+        const text = document.getElementById('dataEditorJsonInput')?.value.trim();
+        if (!text) return;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            this._setMessage(`Invalid JSON: ${error.message}`, true);
+            return;
+        }
+
+        if (Array.isArray(parsed)) {
+            try {
+                const ids = dataManager.importRecords(text, 'Pasted record');
+                this.generatorManager.populateDataDropdown(ids[ids.length - 1]);
+                alert(`Imported ${ids.length} records.`);
+                this.close();
+            } catch (error) {
+                this._setMessage(error.message, true);
+            }
+            return;
+        }
+        if (!parsed || typeof parsed !== 'object') {
+            this._setMessage('Expected a JSON object', true);
+            return;
+        }
+
+        this.original = parsed;
+        this.renderForm(parsed);
+        const nameInput = document.getElementById('dataRecordName');
+        if (!nameInput.value && parsed.name) nameInput.value = parsed.name;
+        this._setMessage('Form filled from JSON. Review and save.');
+    }
+
+    /**
+     * Save an uploaded .json file as one or more local records
+     * @param {File} file - Uploaded file
+     */
+    async importFile(file) {
+        try {
+            const ids = dataManager.importRecords(await file.text(), file.name.replace(/\.json$/i, ''));
+            this.generatorManager.populateDataDropdown(ids[ids.length - 1]);
+            console.log(`✓ Imported ${ids.length} data records from ${file.name}`);
+            if (ids.length > 1) alert(`Imported ${ids.length} records from ${file.name}.`);
+        } catch (error) {
+            console.error('Error importing data file:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  Schema-driven form
+    // ─────────────────────────────────────────────
+
+    /**
+     * @param {Object} record - Values to fill in
+     */
+    renderForm(record) {
+        const container = document.getElementById('dataEditorFields');
+        if (!container) return;
+
+        this.fields.clear();
+        container.innerHTML = '';
+        container.appendChild(this._buildFields(this.schema, '', record, false));
+    }
+
+    /**
+     * Build the inputs for one schema node
+     * @param {Object} schema - JSON Schema node
+     * @param {string} path - Dotted path of the node ('' for the root)
+     * @param {*} value - Current value
+     * @param {boolean} required - Listed in the parent's "required"
+     * @returns {HTMLElement} Field element
+     */
+    _buildFields(schema, path, value, required) {
+        const type = this._schemaType(schema, value);
+        const key = path.split('.').pop();
+        const title = schema?.title || key;
+
+        if (type === 'object') {
+            const group = document.createElement(path ? 'fieldset' : 'div');
+            group.className = 'data-editor-group';
+            if (path) {
+                const legend = document.createElement('legend');
+                legend.textContent = title;
+                group.appendChild(legend);
+            }
+
+            const properties = this._properties(schema, value);
+            const requiredKeys = schema?.required || [];
+            for (const [childKey, childSchema] of Object.entries(properties)) {
+                const childPath = path ? `${path}.${childKey}` : childKey;
+                group.appendChild(this._buildFields(childSchema, childPath, value?.[childKey], requiredKeys.includes(childKey)));
+            }
+            return group;
+        }
+
+        const label = document.createElement('label');
+        label.className = type === 'boolean' ? 'data-editor-field data-editor-check' : 'data-editor-field';
+        const caption = document.createElement('span');
+        caption.textContent = required ? `${title} *` : title;
+
+        const input = this._buildInput(schema, type, value);
+        input.required = required && type !== 'boolean';
+        input.dataset.type = type;
+        this.fields.set(path, input);
+
+        if (type === 'boolean') {
+            label.append(input, caption);
+        } else {
+            label.append(caption, input);
+        }
+        if (schema?.description) label.title = schema.description;
+        return label;
+    }
+
+    _buildInput(schema, type, value) {
+        if (type === 'boolean') {
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value === true;
+            return input;
+        }
+
+        if (type === 'array') {
+            // Lists of plain values are edited one per line, anything else as JSON
+            const textarea = document.createElement('textarea');
+            textarea.className = 'add-page-input';
+            textarea.rows = 3;
+            const simple = ['string', 'number', 'integer'].includes(schema?.items?.type)
+                || (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object'));
+            textarea.dataset.format = simple ? 'lines' : 'json';
+            textarea.placeholder = simple ? 'One item per line' : 'JSON array';
+            if (Array.isArray(value)) {
+                textarea.value = simple ? value.join('\n') : JSON.stringify(value, null, 2);
+            }
+            return textarea;
+        }
+
+        if (schema?.['x-widget'] === 'textarea') {
+            const textarea = document.createElement('textarea');
+            textarea.className = 'add-page-input';
+            textarea.rows = 4;
+            textarea.value = value ?? '';
+            return textarea;
+        }
+
+        const input = document.createElement('input');
+        input.className = 'add-page-input';
+        if (type === 'number' || type === 'integer') {
+            input.type = 'number';
+            input.step = type === 'integer' ? '1' : 'any';
+        } else {
+            input.type = { email: 'email', uri: 'url', date: 'date' }[schema?.format] || 'text';
+        }
+        if (schema?.enum) {
+            // Offer the allowed values as suggestions
+            const list = document.createElement('datalist');
+            list.id = `dataEditorList${this.fields.size}`;
+            list.innerHTML = schema.enum.map(option => `<option value="${HtmlUtil.escape(String(option))}">`).join('');
+            document.getElementById('dataEditorFields')?.appendChild(list);
+            input.setAttribute('list', list.id);
+        }
+        input.value = value ?? '';
+        return input;
+    }
+
+    /**
+     * Read the form back into a value shaped like the schema, keeping fields
+     * of the original record the schema does not describe
+     * @returns {*} Value, or undefined when empty
+     */
+    _readValue(schema, path, original) {
+        const type = this._schemaType(schema, original);
+
+        if (type === 'object') {
+            const result = original && typeof original === 'object' && !Array.isArray(original)
+                ? { ...original }
+                : {};
+            for (const [childKey, childSchema] of Object.entries(this._properties(schema, original))) {
+                const childPath = path ? `${path}.${childKey}` : childKey;
+                const childValue = this._readValue(childSchema, childPath, original?.[childKey]);
+                if (childValue === undefined) {
+                    delete result[childKey];
+                } else {
+                    result[childKey] = childValue;
+                }
+            }
+            return Object.keys(result).length ? result : undefined;
+        }
+
+        const input = this.fields.get(path);
+        if (!input) return original;
+
+        if (type === 'boolean') return input.checked ? true : (original === undefined ? undefined : false);
+
+        const text = input.value.trim();
+        if (text === '') return undefined;
+
+        if (type === 'number' || type === 'integer') return Number(text);
+        if (type === 'array') {
+            if (input.dataset.format === 'lines') {
+                const items = text.split('\n').map(line => line.trim()).filter(Boolean);
+                const numeric = ['number', 'integer'].includes(schema?.items?.type);
+                return numeric ? items.map(Number) : items;
+            }
+            try {
+                const parsed = JSON.parse(text);
+                if (!Array.isArray(parsed)) throw new Error('not an array');
+                return parsed;
+            } catch (error) {
+                throw new Error(`${schema?.title || path} must be a JSON array`);
+            }
+        }
+        return input.value;
+    }
+
+    /**
+     * Schema type of a node, falling back to the shape of the value
+     */
+    _schemaType(schema, value) {
+        const type = Array.isArray(schema?.type) ? schema.type.find(t => t !== 'null') : schema?.type;
+        if (type) return type;
+        if (schema?.properties) return 'object';
+        if (Array.isArray(value)) return 'array';
+        if (value && typeof value === 'object') return 'object';
+        if (typeof value === 'number') return 'number';
+        if (typeof value === 'boolean') return 'boolean';
+        return 'string';
+    }
+
+    /**
+     * Schema properties plus any extra keys already in the record
+     */
+    _properties(schema, value) {
+        const properties = { ...(schema?.properties || {}) };
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [key, child] of Object.entries(value)) {
+                if (!properties[key]) properties[key] = dataManager.inferSchema(child);
+            }
+        }
+        return properties;
+    }
+
+    _setMessage(message, isError = false) {
+        const el = document.getElementById('dataEditorMessage');
+        if (!el) return;
+        el.textContent = message;
+        el.style.color = isError ? 'var(--error-color)' : 'var(--text-secondary)';
+    }
+}
@@ -1,56 +1,199 @@
+import { SchemaUtil } from './utils/schema.js';
+
 /**
  * Data Manager Module
- * Manages JSON data files and selection for template rendering
+ * Manages JSON data files and selection for template rendering.
+ * Bundled files are discovered from data/manifest.json (or the directory
+ * listing); records created, uploaded or pasted in the app live in localStorage.
  */
 
+const DATA_DIR = '../data/';
+const MANIFEST_URL = `${DATA_DIR}manifest.json`;
+const SCHEMA_URL = `${DATA_DIR}schema.json`;
+const LOCAL_KEY = 'customDataRecords';
+const LOCAL_PREFIX = 'local:';
+
 export class DataManager {
     constructor() {
         this.currentData = null;
         this.currentFileName = null;
-        this.availableFiles = [
-            'customer1.json',
-            'customer2.json',
-            'customer3.json'
-        ];
+        this.availableFiles = [];        // bundled data files, in manifest order
+        this.sources = new Map();        // id -> {id, name, description, local}
+        this.schema = null;
         this.dataCache = new Map();
         this.listeners = [];
+        this.sourceListeners = [];
+
+        this._loadLocalRecords();
     }
 
     /**
-     * Get list of available JSON files
-     * @returns {Array} Array of filenames
+     * Get list of available data sources (bundled files, then local records)
+     * @returns {Array} Array of filenames / local record ids
      */
     getAvailableFiles() {
-        return [...this.availableFiles];
+        return [...this.sources.keys()];
     }
 
     /**
-     * Load JSON data from file
-     * @param {string} filename - JSON filename
-     * @returns {Promise<Object>} Loaded data
+     * @returns {Array} Source descriptors {id, name, description, local}
      */
-    async loadData(filename) {
-        // Check cache first
-        if (this.dataCache.has(filename)) {
-            console.log(`✓ Loaded ${filename} from cache`);
-            this.currentData = this.dataCache.get(filename);
-            this.currentFileName = filename;
-            this.notifyListeners();
-            return this.currentData;
+    getSources() {
+        return [...this.sources.values()];
+    }
+
+    /**
+     * @param {string} id - Filename or local record id
+     * @returns {boolean} True if the record is stored in the browser
+     */
+    isLocal(id) {
+        return typeof id === 'string' && id.startsWith(LOCAL_PREFIX);
+    }
+
+    // ─────────────────────────────────────────────
+    //  Discovery
+    // ─────────────────────────────────────────────
+
+    /**
+     * Find the bundled data files: data/manifest.json first, then the
+     * server's directory listing for data/
+     * @returns {Promise<Array>} Available source ids
+     */
+    async discoverFiles() {
+        let files = await this._readManifest();
+        if (!files) {
+            files = await this._readDirectoryListing();
         }
 
+        this.availableFiles = files.map(file => file.file);
+        const local = this.getSources().filter(source => source.local);
+        this.sources = new Map([
+            ...files.map(file => [file.file, {
+                id: file.file,
+                name: file.name || file.file,
+                description: file.description || '',
+                local: false
+            }]),
+            ...local.map(source => [source.id, source])
+        ]);
+
+        console.log(`✓ Found ${files.length} data files and ${local.length} saved records`);
+        this.notifySourceListeners();
+        return this.getAvailableFiles();
+    }
+
+    async _readManifest() {
         try {
-            // Fetch from file
-            const response = await fetch(`../data/${filename}`);
+            const response = await fetch(MANIFEST_URL);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const manifest = await response.json();
+            return (Array.isArray(manifest) ? manifest : [])
+                .map(entry => typeof entry === 'string' ? { file: entry } : entry)
+                .filter(entry => entry?.file);
+        } catch (error) {
+            console.warn('No data manifest, falling back to directory listing:', error.message);
+            return null;
+        }
+    }
+
+    async _readDirectoryListing() {
+        try {
+            const response = await fetch(DATA_DIR);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const listing = await response.text();
+            const reserved = ['manifest.json', 'schema.json'];
+            const files = [...listing.matchAll(/href="([^"?#]+\.json)"/gi)]
+                .map(match => decodeURIComponent(match[1].split('/').pop()))
+                .filter(file => !reserved.includes(file));
+            return [...new Set(files)].map(file => ({ file }));
+        } catch (error) {
+            console.error('Could not list data files:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Load the JSON Schema for data records (data/schema.json). Without one,
+     * a schema is inferred from the current record.
+     * @returns {Promise<Object>} JSON Schema
+     */
+    async loadSchema() {
+        if (this.schema) return this.schema;
 
+        try {
+            const response = await fetch(SCHEMA_URL);
             if (!response.ok) {
-                throw new Error(`Failed to load ${filename}: ${response.statusText}`);
+                throw new Error(`HTTP ${response.status}`);
             }
+            this.schema = await response.json();
+        } catch (error) {
+            console.warn('No data schema, inferring one from the current record:', error.message);
+            return this.inferSchema(this.currentData || {});
+        }
+        return this.schema;
+    }
+
+    /**
+     * Build a minimal JSON Schema describing a value
+     * @param {*} value - Sample data
+     * @returns {Object} JSON Schema
+     */
+    inferSchema(value) {
+        if (Array.isArray(value)) {
+            return { type: 'array', items: value.length ? this.inferSchema(value[0]) : {} };
+        }
+        if (value && typeof value === 'object') {
+            const properties = {};
+            for (const [key, child] of Object.entries(value)) {
+                properties[key] = this.inferSchema(child);
+            }
+            return { type: 'object', properties };
+        }
+        if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number' };
+        if (typeof value === 'boolean') return { type: 'boolean' };
+        return { type: 'string' };
+    }
+
+    // ─────────────────────────────────────────────
+    //  Loading
+    // ─────────────────────────────────────────────
+
+    /**
+     * Read a record without making it the current data
+     * @param {string} filename - JSON filename or local record id
+     * @returns {Promise<Object>} Record data
+     */
+    async getRecord(filename) {
+        if (this.dataCache.has(filename)) {
+            return this.dataCache.get(filename);
+        }
 
-            const data = await response.json();
+        if (this.isLocal(filename)) {
+            throw new Error(`Saved record ${filename} no longer exists`);
+        }
 
-            // Cache the data
-            this.dataCache.set(filename, data);
+        const response = await fetch(`${DATA_DIR}${filename}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${filename}: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        this.dataCache.set(filename, data);
+        return data;
+    }
+
+    /**
+     * Load JSON data from file or local storage
+     * @param {string} filename - JSON filename or local record id
+     * @returns {Promise<Object>} Loaded data
+     */
+    async loadData(filename) {
+        try {
+            const data = await this.getRecord(filename);
 
             // Set as current
             this.currentData = data;
@@ -68,6 +211,120 @@ export class DataManager {
         }
     }
 
+    // ─────────────────────────────────────────────
+    //  Local records (created, uploaded or pasted)
+    // ─────────────────────────────────────────────
+
+    _loadLocalRecords() {
+        let saved = [];
+        try {
+            saved = JSON.parse(localStorage.getItem(LOCAL_KEY) || '[]');
+        } catch (error) {
+            console.warn('Invalid saved data records, ignoring:', error);
+        }
+
+        for (const record of Array.isArray(saved) ? saved : []) {
+            if (!this.isLocal(record?.id) || !record.data) continue;
+            this.sources.set(record.id, { id: record.id, name: record.name || record.id, description: '', local: true });
+            this.dataCache.set(record.id, record.data);
+        }
+    }
+
+    _saveLocalRecords() {
+        const records = this.getSources()
+            .filter(source => source.local)
+            .map(({ id, name }) => ({ id, name, data: this.dataCache.get(id) }));
+        localStorage.setItem(LOCAL_KEY, JSON.stringify(records));
+    }
+
+    /**
+     * Create or update a record stored in the browser. Saving over a bundled
+     * file creates a local copy instead.
+     * @param {Object} data - Record data
+     * @param {string} name - Label shown in the data selector
+     * @param {string|null} id - Local record id to overwrite
+     * @returns {string} Id of the saved record
+     */
+    saveRecord(data, name, id = null) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('A data record must be a JSON object');
+        }
+
+        const recordId = this.isLocal(id) ? id : `${LOCAL_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        const previous = { source: this.sources.get(recordId), data: this.dataCache.get(recordId) };
+
+        this.sources.set(recordId, {
+            id: recordId,
+            name: name?.trim() || data.name || 'Untitled record',
+            description: '',
+            local: true
+        });
+        this.dataCache.set(recordId, data);
+
+        try {
+            this._saveLocalRecords();
+        } catch (error) {
+            // Roll back so memory matches what is stored
+            if (previous.source) {
+                this.sources.set(recordId, previous.source);
+                this.dataCache.set(recordId, previous.data);
+            } else {
+                this.sources.delete(recordId);
+                this.dataCache.delete(recordId);
+            }
+            throw new Error('Record is too large to save in browser storage');
+        }
+
+        this.notifySourceListeners();
+        if (this.currentFileName === recordId) {
+            this.currentData = data;
+            this.notifyListeners();
+        }
+        return recordId;
+    }
+
+    /**
+     * @param {string} id - Local record id
+     */
+    deleteRecord(id) {
+        if (!this.isLocal(id) || !this.sources.has(id)) return;
+
+        this.sources.delete(id);
+        this.dataCache.delete(id);
+        this._saveLocalRecords();
+        if (this.currentFileName === id) {
+            this.currentFileName = null;
+        }
+        this.notifySourceListeners();
+    }
+
+    /**
+     * Save uploaded or pasted JSON as local records. An array becomes one
+     * record per object.
+     * @param {string} text - JSON text
+     * @param {string} name - Base label, e.g. the uploaded file name
+     * @returns {Array} Ids of the saved records
+     */
+    importRecords(text, name = '') {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        const records = (Array.isArray(parsed) ? parsed : [parsed])
+            .filter(record => record && typeof record === 'object' && !Array.isArray(record));
+        if (records.length === 0) {
+            throw new Error('Expected a JSON object or an array of objects');
+        }
+
+        return records.map((record, index) => {
+            const label = record.name || (records.length > 1 ? `${name} #${index + 1}` : name);
+            return this.saveRecord(record, label);
+        });
+    }
+
     /**
      * Get current data
      * @returns {Object|null} Current data or null
@@ -86,16 +343,11 @@ export class DataManager {
 
     /**
      * Get display name for file
-     * @param {string} filename - Filename
+     * @param {string} filename - Filename or local record id
      * @returns {string} Display name
      */
     getDisplayName(filename) {
-        const displayNames = {
-            'customer1.json': 'TechCorp Solutions (Tech Company)',
-            'customer2.json': 'Cloud Kitchen Express (Food Business)',
-            'customer3.json': 'Creative Studio Barcelona (Design Agency)'
-        };
-        return displayNames[filename] || filename;
+        return this.sources.get(filename)?.name || filename;
     }
 
     /**
@@ -128,10 +380,30 @@ export class DataManager {
     }
 
     /**
-     * Clear cache
+     * Subscribe to changes in the list of data sources
+     * @param {Function} callback - Callback function (sources) => void
+     */
+    onSourcesChange(callback) {
+        this.sourceListeners.push(callback);
+    }
+
+    notifySourceListeners() {
+        for (const callback of this.sourceListeners) {
+            try {
+                callback(this.getSources());
+            } catch (error) {
+                console.error('Error in data source listener:', error);
+            }
+        }
+    }
+
+    /**
+     * Clear cache (saved local records are kept)
      */
     clearCache() {
-        this.dataCache.clear();
+        for (const id of [...this.dataCache.keys()]) {
+            if (!this.isLocal(id)) this.dataCache.delete(id);
+        }
         console.log('✓ Data cache cleared');
     }
 
@@ -151,26 +423,27 @@ export class DataManager {
     }
 
     /**
-     * Validate data against schema
+     * Validate data against schema (data/schema.json once loaded)
      * @param {Object} data - Data to validate
-     * @returns {Object} {valid: boolean, missing: Array}
+     * @returns {Object} {valid: boolean, missing: Array, hasOptional: boolean, errors: Array}
      */
     validateData(data) {
-        const requiredFields = ['name', 'email'];
-        const optionalFields = ['phone', 'company', 'position', 'address', 'bio', 'website', 'social'];
-
-        const missing = [];
+        const schema = this.schema || {
+            type: 'object',
+            required: ['name', 'email'],
+            properties: {}
+        };
+        const requiredFields = schema.required || [];
+        const optionalFields = Object.keys(schema.properties || {}).filter(field => !requiredFields.includes(field));
 
-        for (const field of requiredFields) {
-            if (!data[field]) {
-                missing.push(field);
-            }
-        }
+        const missing = requiredFields.filter(field => !data[field]);
+        const errors = SchemaUtil.validate(data, schema);
 
         return {
-            valid: missing.length === 0,
+            valid: errors.length === 0,
             missing: missing,
-            hasOptional: optionalFields.some(field => data[field])
+            hasOptional: optionalFields.some(field => data[field]),
+            errors: errors
         };
     }
 }
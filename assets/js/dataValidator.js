@@ -0,0 +1,382 @@
+import { dataManager } from './dataManager.js';
+import { templateRenderer } from './templateRenderer.js';
+import { CanvasOverlay } from './utils/canvasOverlay.js';
+import { HtmlUtil } from './utils/html.js';
+import { JinjaUtil } from './utils/jinja.js';
+import { SchemaUtil } from './utils/schema.js';
+
+// Value types each built-in filter works on
+const FILTER_TYPES = {
+    upper: ['string'], lower: ['string'], title: ['string'], capitalize: ['string'], trim: ['string'],
+    truncate: ['string'], replace: ['string'], striptags: ['string'], wordcount: ['string'],
+    urlencode: ['string'], center: ['string'], indent: ['string'],
+    join: ['array'], sort: ['array'], sum: ['array'], batch: ['array'], slice: ['array'],
+    groupby: ['array'], selectattr: ['array'], rejectattr: ['array'], select: ['array'], reject: ['array'],
+    first: ['array', 'string'], last: ['array', 'string'], reverse: ['array', 'string'],
+    length: ['array', 'string', 'object'], dictsort: ['object'],
+    round: ['number', 'integer'], abs: ['number', 'integer'],
+    // Site-building filters from TemplateRenderer
+    truncatewords: ['string'], markdown: ['string'], currency: ['number', 'integer', 'string'],
+    date: ['string', 'number', 'integer'], phone: ['string', 'number', 'integer'], image_url: ['string']
+};
+
+// Filters that make an empty value safe to print
+const FALLBACK_FILTERS = ['default', 'd'];
+
+const SCALAR_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+// Canvas overlay layer with the outlines of elements that use a problem variable
+const HIGHLIGHT_LAYER = 'jinja-issue-overlay';
+
+/**
+ * DataValidationManager
+ * Checks the Jinja templates against the data JSON Schema and the selected
+ * record before data is applied: variables that are not defined or empty,
+ * data fields no page uses, type mismatches (printing an object, looping
+ * over a string, string filters on numbers) and unknown filters. Problems are
+ * listed per page and outlined in the editor canvas.
+ */
+export class DataValidationManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns the Jinja templates and the editor
+     */
+    constructor(generatorManager) {
+        this.generatorManager = generatorManager;
+        this.report = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('validateDataBtn')?.addEventListener('click', () => this.validateSelected());
+        document.getElementById('dataValidationReport')?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-validation-page]');
+            if (item) this.generatorManager.htmlEditor?.loadPage?.(item.dataset.validationPage);
+        });
+    }
+
+    /**
+     * Validate the record selected in #jsonDataDropdown and show the report
+     * @returns {Promise<Object|null>} Report, or null if there is nothing to check
+     */
+    async validateSelected() {
+        const gen = this.generatorManager;
+        const selected = document.getElementById('jsonDataDropdown')?.value;
+        if (!gen.jinjaTemplates || !selected) return null;
+
+        try {
+            const [data, schema] = await Promise.all([dataManager.getRecord(selected), dataManager.loadSchema()]);
+            this.report = this.analyze(gen.jinjaTemplates, data, schema);
+        } catch (error) {
+            console.error('Data validation error:', error);
+            this._renderError(error.message);
+            return null;
+        }
+
+        this.renderReport();
+        this.highlight();
+        return this.report;
+    }
+
+    /**
+     * Hook target for applySelectedData: validate first and ask before
+     * applying data that will render incorrectly
+     * @returns {Promise<boolean>} True to go ahead
+     */
+    async confirmBeforeApply() {
+        const report = await this.validateSelected();
+        if (!report || report.blocking === 0) return true;
+
+        return confirm(
+            `The selected data has ${report.blocking} problem${report.blocking === 1 ? '' : 's'} ` +
+            '(see the report under Apply Data). Apply it anyway?'
+        );
+    }
+
+    // ─────────────────────────────────────────────
+    //  Analysis
+    // ─────────────────────────────────────────────
+
+    /**
+     * @param {Object} templates - {pageName: {jinja|html, css}}
+     * @param {Object} data - Selected record
+     * @param {Object} schema - Data JSON Schema
+     * @returns {Object} {pages: {pageName: [issue]}, unused: [path], dataErrors: [{path, message}], blocking}
+     *                   where issue = {type: 'undefined'|'empty'|'type'|'filter', severity, path, line, partial, source, message}
+     */
+    analyze(templates, data, schema) {
+        const pages = {};
+        const referenced = new Set();
+        // Without Nunjucks only the filters listed above can be recognized
+        const knownFilters = templateRenderer.env?.filters || FILTER_TYPES;
+
+        for (const [pageName, template] of Object.entries(templates)) {
+            const source = template.jinja || template.html || '';
+            // Included partials read the page's data too; globals such as current_year are not data
+            const references = [
+                ...JinjaUtil.collectReferences(source),
+                ...templateRenderer.includedPartials(source).flatMap(name => (
+                    JinjaUtil.collectReferences(templateRenderer.getPartial(name)).map(ref => ({ ...ref, partial: name }))
+                ))
+            ].filter(ref => !templateRenderer.isGlobal(ref.path, data));
+            // A path tested by {% if %} or given a default may legitimately be empty
+            const guarded = new Set(references.filter(ref => ref.optional).map(ref => ref.path));
+            const issues = [];
+            const seen = new Set();
+            const push = (issue) => {
+                const key = `${issue.type}|${issue.path}|${issue.source}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                issues.push(issue);
+            };
+
+            for (const ref of references) {
+                referenced.add(ref.path);
+                for (const filter of ref.filters) {
+                    if (!knownFilters[filter]) {
+                        push(this._issue('filter', 'error', ref, `Unknown filter "${filter}"`));
+                    }
+                }
+
+                const node = SchemaUtil.at(schema, ref.path);
+                const value = SchemaUtil.valueAt(data, ref.path);
+                if (!node && value === undefined) {
+                    if (!this._emptyCollection(data, ref.path)) {
+                        push(this._issue('undefined', 'error', ref, `${ref.path} is not defined in the data schema or this record`));
+                    }
+                    continue;
+                }
+                if ((value === undefined || value === null || value === '') && !guarded.has(ref.path)
+                    && ref.kind !== 'condition' && !this._emptyCollection(data, ref.path)) {
+                    push(this._issue('empty', 'warning', ref, `${ref.path} is empty in this record`));
+                }
+
+                const mismatch = this._typeMismatch(ref, node, value);
+                if (mismatch) push(this._issue('type', 'error', ref, mismatch));
+            }
+
+            if (issues.length) pages[pageName] = issues;
+        }
+
+        const dataErrors = SchemaUtil.validate(data, schema);
+        const unused = this._unusedFields(data, schema, referenced);
+        const blocking = dataErrors.length + Object.values(pages).flat().filter(issue => issue.severity === 'error').length;
+
+        return { pages, unused, dataErrors, blocking };
+    }
+
+    _issue(type, severity, ref, message) {
+        return { type, severity, path: ref.path, line: ref.line, partial: ref.partial || null, source: ref.source, message };
+    }
+
+    /**
+     * @returns {string|null} Description of how the value's type breaks the template
+     */
+    _typeMismatch(ref, node, value) {
+        const types = value !== undefined && value !== null
+            ? [SchemaUtil.typeOf(value)]
+            : SchemaUtil.types(node);
+        if (types.length === 0) return null;
+        const described = types.join(' or ');
+
+        if (ref.kind === 'loop') {
+            const expected = ref.mapping ? ['object'] : ref.pairs ? ['array', 'object'] : ['array'];
+            return types.some(type => expected.includes(type))
+                ? null
+                : `Loops over ${ref.path}, which is ${described} (expected ${expected.join(' or ')})`;
+        }
+        if (ref.kind !== 'output') return null;
+
+        const filter = ref.filters.find(name => FILTER_TYPES[name]);
+        if (filter) {
+            const accepted = FILTER_TYPES[filter];
+            const fits = types.some(type => accepted.includes(type) || (accepted.includes('number') && type === 'integer'));
+            return fits ? null : `"${filter}" expects ${accepted.join(' or ')}, but ${ref.path} is ${described}`;
+        }
+        if (ref.filters.some(name => !FALLBACK_FILTERS.includes(name) && !['e', 'escape', 'safe', 'string'].includes(name))) {
+            return null;
+        }
+        if (types.some(type => SCALAR_TYPES.includes(type))) return null;
+        return types.includes('array')
+            ? `Prints the list ${ref.path} directly; loop over it or use | join(', ')`
+            : `Prints the object ${ref.path} directly; use one of its fields`;
+    }
+
+    /**
+     * Loop item paths ("services[].title") can't be checked when the record's list is empty
+     */
+    _emptyCollection(data, path) {
+        if (!path.includes('[]')) return false;
+        const collection = SchemaUtil.valueAt(data, path.slice(0, path.indexOf('[]')));
+        return !Array.isArray(collection) || collection.length === 0;
+    }
+
+    /**
+     * Schema and record fields that no template reads
+     */
+    _unusedFields(data, schema, referenced) {
+        const normalize = (path) => path.replace(/\[\]/g, '');
+        const used = [...referenced].map(normalize);
+        const fields = new Set([...SchemaUtil.leafPaths(schema), ...JinjaUtil.leafPaths(data || {})]);
+
+        return [...fields]
+            .filter(field => {
+                const path = normalize(field);
+                return !used.some(ref => ref === path || path.startsWith(`${ref}.`) || ref.startsWith(`${path}.`));
+            })
+            .sort();
+    }
+
+    // ─────────────────────────────────────────────
+    //  Report
+    // ─────────────────────────────────────────────
+
+    renderReport() {
+        const container = document.getElementById('dataValidationReport');
+        const report = this.report;
+        if (!container || !report) return;
+
+        const gen = this.generatorManager;
+        const sections = [];
+
+        if (report.dataErrors.length) {
+            sections.push(`
+                <div class="data-validation-group">
+                    <h4>Record vs. schema</h4>
+                    ${report.dataErrors.map(error => `
+                        <div class="data-validation-issue error">${HtmlUtil.escape(error.message)}</div>
+                    `).join('')}
+                </div>
+            `);
+        }
+
+        for (const [pageName, issues] of Object.entries(report.pages)) {
+            sections.push(`
+                <div class="data-validation-group">
+                    <h4>${HtmlUtil.escape(gen.formatPageName(pageName))}</h4>
+                    ${issues.map(issue => {
+                        const where = `${issue.partial ? `${issue.partial}, ` : ''}line ${issue.line}`;
+                        return `
+                            <div class="data-validation-issue ${issue.severity}" data-validation-page="${HtmlUtil.escape(pageName)}"
+                                title="${HtmlUtil.escape(where)}: ${HtmlUtil.escape(issue.source)}">
+                                ${HtmlUtil.escape(issue.message)} <span class="data-validation-line">${HtmlUtil.escape(where)}</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `);
+        }
+
+        if (report.unused.length) {
+            sections.push(`
+                <div class="data-validation-group">
+                    <h4>Unused data fields</h4>
+                    <p class="data-validation-unused">${report.unused.map(path => `<code>${HtmlUtil.escape(path)}</code>`).join(' ')}</p>
+                </div>
+            `);
+        }
+
+        const problems = report.dataErrors.length + Object.values(report.pages).flat().length;
+        const summary = problems === 0
+            ? '✓ Every template variable is defined and the record matches the schema.'
+            : `${report.blocking} error${report.blocking === 1 ? '' : 's'}, ${problems - report.blocking} warning${problems - report.blocking === 1 ? '' : 's'}`;
+
+        container.innerHTML = `<div class="data-validation-summary">${summary}</div>${sections.join('')}`;
+        container.style.display = 'block';
+    }
+
+    _renderError(message) {
+        const container = document.getElementById('dataValidationReport');
+        if (!container) return;
+        container.innerHTML = `<div class="data-validation-issue error">Could not validate: ${HtmlUtil.escape(message)}</div>`;
+        container.style.display = 'block';
+    }
+
+    // ─────────────────────────────────────────────
+    //  Canvas highlights
+    // ─────────────────────────────────────────────
+
+    /**
+     * Outline the elements of the current page that use a problem variable.
+     * Elements are matched by tag, static classes and the literal text around
+     * the expression; when that is ambiguous, by their order in the template.
+     * @param {Document} doc - Canvas document (defaults to the current canvas)
+     */
+    highlight(doc = null) {
+        const editor = this.generatorManager.htmlEditor;
+        doc = doc || editor?.editor?.Canvas?.getDocument?.();
+        if (!doc?.body) return;
+
+        const pageName = editor.currentPageName;
+        const issues = this.report?.pages[pageName];
+        const template = this.generatorManager.jinjaTemplates?.[pageName];
+        if (!issues || !template) {
+            CanvasOverlay.clear(doc, HIGHLIGHT_LAYER);
+            return;
+        }
+
+        const parsed = document.createElement('template');
+        parsed.innerHTML = template.jinja || template.html || '';
+
+        // Errors win over warnings on the same element
+        const severities = new Map();
+        for (const issue of issues) {
+            for (const source of parsed.content.querySelectorAll('*')) {
+                if (!this._ownsExpression(source, issue.source)) continue;
+                for (const target of this._findInCanvas(doc, parsed.content, source)) {
+                    if (severities.get(target) !== 'error') severities.set(target, issue.severity);
+                }
+            }
+        }
+
+        // Outlines go in an overlay so the canvas elements (and the saved HTML) stay untouched
+        const marks = [...severities].map(([element, severity]) => ({ element, className: `jinja-issue ${severity}` }));
+        CanvasOverlay.draw(doc, HIGHLIGHT_LAYER, marks, `
+            #${HIGHLIGHT_LAYER} .jinja-issue { outline: 2px dashed #ef4444; outline-offset: 2px; }
+            #${HIGHLIGHT_LAYER} .jinja-issue.warning { outline-color: #f59e0b; }
+        `);
+    }
+
+    /**
+     * True if the expression sits in the element's own text or attributes
+     */
+    _ownsExpression(el, expression) {
+        const ownText = [...el.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.includes(expression));
+        return ownText || [...el.attributes].some(attr => attr.value.includes(expression));
+    }
+
+    _findInCanvas(doc, content, source) {
+        const tag = source.tagName.toLowerCase();
+        const className = (source.getAttribute('class') || '').includes('{') ? '' : (source.getAttribute('class') || '').trim();
+        const sameKind = (el) => !className || className.split(/\s+/).every(name => el.classList.contains(name));
+
+        const pattern = this._textPattern(source.textContent);
+        const candidates = [...doc.body.querySelectorAll(tag)].filter(sameKind);
+        if (pattern) {
+            const matches = candidates.filter(el => pattern.test(el.textContent.replace(/\s+/g, ' ').trim()));
+            if (matches.length) return matches;
+        }
+
+        // No literal text to go by: use the element's position among its kind
+        const siblings = [...content.querySelectorAll(tag)].filter(sameKind);
+        const target = candidates[siblings.indexOf(source)];
+        return target ? [target] : [];
+    }
+
+    /**
+     * Regex for an element's rendered text: literal parts kept, expressions as wildcards
+     * @returns {RegExp|null} Null when the text has no literal part
+     */
+    _textPattern(text) {
+        const parts = text
+            .replace(/\{%[\s\S]*?%\}/g, '\u0000')
+            .split(/\{\{[\s\S]*?\}\}|\u0000/)
+            .map(part => part.replace(/\s+/g, ' ').trim());
+        if (!parts.some(Boolean)) return null;
+
+        const body = parts
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[\\s\\S]*?');
+        return new RegExp(`^\\s*${body}\\s*$`);
+    }
+}
@@ -0,0 +1,286 @@
+import { DiffUtil } from './utils/diff.js';
+
+const GLOBAL_CSS_KEY = '__global_css__';
+
+/**
+ * DiffReviewManager
+ * Shows AI-proposed page changes as HTML/CSS diffs with a rendered before/after
+ * preview, and lets the reviewer accept or reject each page before it is merged.
+ */
+export class DiffReviewManager {
+    constructor() {
+        this.entries = [];
+        this.activeKey = null;
+        this.viewMode = localStorage.getItem('diffViewMode') || 'split'; // 'split' | 'inline'
+        this.activeTab = 'html'; // 'html' | 'css' | 'preview'
+        this._resolve = null;
+
+        this._bindUI();
+    }
+
+    _bindUI() {
+        const modal = document.getElementById('diffReviewModal');
+        if (!modal) return;
+
+        document.getElementById('diffReviewClose')?.addEventListener('click', () => this._finish(null));
+        document.getElementById('diffReviewRejectAll')?.addEventListener('click', () => {
+            this.entries.forEach(entry => { entry.decision = 'rejected'; });
+            this._render();
+        });
+        document.getElementById('diffReviewAcceptAll')?.addEventListener('click', () => {
+            this.entries.forEach(entry => { entry.decision = 'accepted'; });
+            this._render();
+        });
+        document.getElementById('diffReviewApply')?.addEventListener('click', () => this._finish(this._collectAccepted()));
+
+        modal.querySelectorAll('[data-diff-view]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.viewMode = btn.getAttribute('data-diff-view');
+                localStorage.setItem('diffViewMode', this.viewMode);
+                this._render();
+            });
+        });
+
+        modal.querySelectorAll('[data-diff-tab]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.activeTab = btn.getAttribute('data-diff-tab');
+                this._render();
+            });
+        });
+
+        // Page list: select / accept / reject
+        document.getElementById('diffReviewPageList')?.addEventListener('click', (e) => {
+            const decisionBtn = e.target.closest('[data-decision]');
+            const item = e.target.closest('[data-entry]');
+            if (!item) return;
+
+            const entry = this.entries.find(en => en.key === item.getAttribute('data-entry'));
+            if (!entry) return;
+
+            if (decisionBtn) {
+                entry.decision = decisionBtn.getAttribute('data-decision');
+            }
+            this.activeKey = entry.key;
+            if (entry.key === GLOBAL_CSS_KEY && this.activeTab === 'html') this.activeTab = 'css';
+            this._render();
+        });
+    }
+
+    /**
+     * Open the review modal and wait for the reviewer's decision
+     * @param {Object} options
+     * @param {Object} options.currentPages - Current pages {pageName: {html, css}}
+     * @param {Object} options.proposedPages - Proposed pages {pageName: {html, css}}
+     * @param {string} options.currentCss - Current global CSS
+     * @param {string|null} options.proposedCss - Proposed global CSS (null if unchanged)
+     * @returns {Promise<Object|null>} {pages, globalCss|null} with accepted changes, or null if dismissed
+     */
+    review({ currentPages = {}, proposedPages = {}, currentCss = '', proposedCss = null }) {
+        this.entries = Object.entries(proposedPages || {}).map(([name, page]) => ({
+            key: name,
+            label: this._formatName(name),
+            oldHtml: currentPages[name]?.html || '',
+            newHtml: page?.html || '',
+            oldCss: currentPages[name]?.css || '',
+            newCss: page?.css || '',
+            page,
+            decision: 'pending'
+        }));
+
+        if (proposedCss && proposedCss !== currentCss) {
+            this.entries.push({
+                key: GLOBAL_CSS_KEY,
+                label: 'Global CSS',
+                oldHtml: '',
+                newHtml: '',
+                oldCss: currentCss || '',
+                newCss: proposedCss,
+                decision: 'pending'
+            });
+        }
+
+        if (this.entries.length === 0) {
+            return Promise.resolve({ pages: {}, globalCss: null });
+        }
+
+        this.currentCss = currentCss || '';
+        this.proposedCss = proposedCss;
+        this.activeKey = this.entries[0].key;
+        this.activeTab = this.entries[0].key === GLOBAL_CSS_KEY ? 'css' : 'html';
+
+        const modal = document.getElementById('diffReviewModal');
+        if (modal) modal.style.display = 'flex';
+        this._render();
+
+        return new Promise(resolve => {
+            this._resolve = resolve;
+        });
+    }
+
+    _collectAccepted() {
+        const pages = {};
+        let globalCss = null;
+
+        for (const entry of this.entries) {
+            if (entry.decision !== 'accepted') continue;
+            if (entry.key === GLOBAL_CSS_KEY) {
+                globalCss = entry.newCss;
+            } else {
+                pages[entry.key] = entry.page;
+            }
+        }
+
+        return { pages, globalCss };
+    }
+
+    _finish(result) {
+        const modal = document.getElementById('diffReviewModal');
+        if (modal) modal.style.display = 'none';
+
+        // Drop iframe documents so large pages don't linger in memory
+        const view = document.getElementById('diffReviewView');
+        if (view) view.innerHTML = '';
+
+        const resolve = this._resolve;
+        this._resolve = null;
+        this.entries = [];
+        if (resolve) resolve(result);
+    }
+
+    _formatName(name) {
+        return name
+            .split('_')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    // ─────────────────────────────────────────────
+    //  Rendering
+    // ─────────────────────────────────────────────
+
+    _render() {
+        this._renderPageList();
+        this._renderToolbar();
+        this._renderView();
+
+        const accepted = this.entries.filter(e => e.decision === 'accepted').length;
+        const summary = document.getElementById('diffReviewSummary');
+        if (summary) summary.textContent = `${accepted} of ${this.entries.length} accepted`;
+
+        const applyBtn = document.getElementById('diffReviewApply');
+        if (applyBtn) {
+            applyBtn.textContent = accepted > 0 ? `Apply ${accepted} accepted` : 'Apply nothing';
+        }
+    }
+
+    _renderPageList() {
+        const list = document.getElementById('diffReviewPageList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        for (const entry of this.entries) {
+            const stats = DiffUtil.stats(this._diffFor(entry, entry.key === GLOBAL_CSS_KEY ? 'css' : 'html'));
+
+            const item = document.createElement('div');
+            item.className = `diff-page-item diff-page-item--${entry.decision}`;
+            if (entry.key === this.activeKey) item.classList.add('active');
+            item.setAttribute('data-entry', entry.key);
+            item.innerHTML = `
+                <div class="diff-page-item__name">${DiffUtil.escape(entry.label)}</div>
+                <div class="diff-page-item__stats">
+                    <span class="diff-stat-added">+${stats.added}</span>
+                    <span class="diff-stat-removed">−${stats.removed}</span>
+                </div>
+                <div class="diff-page-item__actions">
+                    <button data-decision="accepted" title="Accept" class="${entry.decision === 'accepted' ? 'selected' : ''}">
+                        <i class="fas fa-check"></i>
+                    </button>
+                    <button data-decision="rejected" title="Reject" class="${entry.decision === 'rejected' ? 'selected' : ''}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>`;
+            list.appendChild(item);
+        }
+    }
+
+    _renderToolbar() {
+        const modal = document.getElementById('diffReviewModal');
+        if (!modal) return;
+
+        const isCssOnly = this.activeKey === GLOBAL_CSS_KEY;
+        modal.querySelectorAll('[data-diff-tab]').forEach(btn => {
+            const tab = btn.getAttribute('data-diff-tab');
+            btn.classList.toggle('active', tab === this.activeTab);
+            btn.disabled = isCssOnly && tab !== 'css';
+        });
+        modal.querySelectorAll('[data-diff-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-diff-view') === this.viewMode);
+        });
+    }
+
+    _diffFor(entry, kind) {
+        if (kind === 'css') {
+            return DiffUtil.diffLines(DiffUtil.normalizeCSS(entry.oldCss), DiffUtil.normalizeCSS(entry.newCss));
+        }
+        return DiffUtil.diffLines(DiffUtil.normalizeHTML(entry.oldHtml), DiffUtil.normalizeHTML(entry.newHtml));
+    }
+
+    _renderView() {
+        const view = document.getElementById('diffReviewView');
+        const entry = this.entries.find(e => e.key === this.activeKey);
+        if (!view || !entry) return;
+
+        if (this.activeTab === 'preview') {
+            view.innerHTML = `
+                <div class="diff-preview">
+                    <div class="diff-preview__pane">
+                        <div class="diff-preview__label">Before</div>
+                        <iframe sandbox="" title="Before"></iframe>
+                    </div>
+                    <div class="diff-preview__pane">
+                        <div class="diff-preview__label">After</div>
+                        <iframe sandbox="" title="After"></iframe>
+                    </div>
+                </div>`;
+            const [beforeFrame, afterFrame] = view.querySelectorAll('iframe');
+            beforeFrame.srcdoc = this._previewDocument(entry.oldHtml, entry.oldCss, this.currentCss);
+            afterFrame.srcdoc = this._previewDocument(entry.newHtml, entry.newCss, this.proposedCss || this.currentCss);
+            return;
+        }
+
+        const diff = this._diffFor(entry, this.activeTab);
+        if (!diff.some(line => line.type !== 'same')) {
+            view.innerHTML = `<div class="diff-empty">No ${this.activeTab.toUpperCase()} changes on this page.</div>`;
+            return;
+        }
+
+        view.innerHTML = this.viewMode === 'inline'
+            ? this._renderInline(diff)
+            : this._renderSplit(diff);
+    }
+
+    _renderInline(diff) {
+        const rows = diff.map(({ type, line }) => {
+            const sign = type === 'added' ? '+' : type === 'removed' ? '−' : ' ';
+            return `<div class="diff-line diff-line--${type}"><span class="diff-sign">${sign}</span>${DiffUtil.escape(line)}</div>`;
+        });
+        return `<div class="diff-code">${rows.join('')}</div>`;
+    }
+
+    _renderSplit(diff) {
+        const cell = (side) => side
+            ? `<div class="diff-line diff-line--${side.type}">${DiffUtil.escape(side.line)}</div>`
+            : '<div class="diff-line diff-line--empty"></div>';
+
+        const rows = DiffUtil.toSideBySide(diff).map(({ left, right }) => `${cell(left)}${cell(right)}`);
+        return `<div class="diff-code diff-code--split">${rows.join('')}</div>`;
+    }
+
+    _previewDocument(html, pageCss, globalCss) {
+        const css = [globalCss, pageCss].filter(c => c && !(html || '').includes(c)).join('\n');
+        if (!html) return `<html><body style="font-family:sans-serif;color:#888;padding:20px">No page content</body></html>`;
+        if (!css) return html;
+        if (html.includes('</head>')) return html.replace('</head>', `<style>${css}</style>\n</head>`);
+        return `<style>${css}</style>\n${html}`;
+    }
+}
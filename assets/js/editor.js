@@ -7,6 +7,13 @@ export class GrapesJSEditor {
         this.currentPages = {}; // Store all pages {home: {html, css}, about: {html, css}}
         this.currentPageName = 'home';
         this.isMultiPageMode = false;
+
+        // Multi-page state: parsed page parts, display order and shared CSS
+        this.pageModels = {};   // {home: {htmlAttributes, head, bodyAttributes, body, css}}
+        this.pageOrder = [];
+        this.globalCss = '';
+        this.knownGlobalCss = new Set(); // every global CSS seen, so stale copies are stripped from pages
+        this.formatName = name => name;
     }
     get container() {
         if (!this._container) {
@@ -42,6 +49,9 @@ export class GrapesJSEditor {
         
         if (placeholder) placeholder.style.display = 'flex';
         if (previewFrame) previewFrame.style.display = 'none';
+
+        const pageNavigator = document.getElementById('pageNavigator');
+        if (pageNavigator) pageNavigator.style.display = 'none';
     }
     async initialize(html) {
         if (!this.container) {
@@ -88,11 +98,19 @@ export class GrapesJSEditor {
         }
     }
 
+    // ─────────────────────────────────────────────
+    //  Multi-page mode
+    // ─────────────────────────────────────────────
+
     /**
-     * Initialize editor with multiple pages
+     * Initialize editor with multiple pages. Each page keeps its own <head>,
+     * attributes and page CSS; CSS shared by every page is held once as global CSS.
      * @param {Object} pages - Pages object {home: {html, css}, about: {html, css}}
+     * @param {Object} options - {globalCss: string, formatName: (pageName) => string,
+     *                            order: Array of page names, currentPage: page to open first}
+     * @returns {boolean} True if the editor was created
      */
-    async initializeMultiPage(pages) {
+    async initializeMultiPage(pages, options = {}) {
         if (!this.container) {
             console.error('Editor container not found');
             return false;
@@ -101,24 +119,29 @@ export class GrapesJSEditor {
             console.error('GrapesJS Studio SDK not loaded');
             return false;
         }
+        if (!pages || Object.keys(pages).length === 0) {
+            console.error('No pages provided');
+            return false;
+        }
 
         this.destroy();
         this.isMultiPageMode = true;
-        this.currentPages = { ...pages };
+        this.formatName = options.formatName || (name => name);
+        this.pageOrder = this.orderPageNames(Object.keys(pages), options.order);
+        this.globalCss = options.globalCss || this.detectGlobalCss(pages);
+        if (this.globalCss) this.knownGlobalCss.add(this.globalCss);
+
+        this.pageModels = {};
+        this.currentPages = {};
+        for (const name of this.pageOrder) {
+            this.pageModels[name] = this.parsePage(pages[name]);
+            this._syncPage(name);
+        }
+        this.currentPageName = this.pageOrder.includes(options.currentPage)
+            ? options.currentPage
+            : this.pageOrder[0];
 
         try {
-            // Start with first page (usually 'home')
-            const firstPageName = Object.keys(pages)[0] || 'home';
-            const firstPage = pages[firstPageName];
-
-            if (!firstPage) {
-                console.error('No pages provided');
-                return false;
-            }
-
-            const extractedCSS = HTMLParser.extractCSS(firstPage.html);
-            const bodyContent = HTMLParser.extractBodyContent(firstPage.html);
-
             this.container.innerHTML = '';
             this.container.style.display = 'block';
 
@@ -128,21 +151,32 @@ export class GrapesJSEditor {
                 project: {
                     type: 'web',
                     default: {
-                        pages: [
-                            {
-                                name: firstPageName,
-                                component: bodyContent
-                            }
-                        ],
-                        styles: extractedCSS
+                        pages: this.pageOrder.map(name => ({
+                            id: name,
+                            name: this.formatName(name),
+                            component: this.pageModels[name].body,
+                            styles: this.pageModels[name].css
+                        }))
                     }
                 },
                 plugins: [
                     editor => {
+                        // Global CSS lives in every canvas frame, outside the per-page rules
+                        editor.on('canvas:frame:load', ({ window }) => {
+                            this._injectGlobalCss(window?.document);
+                            this.onCanvasLoad(window?.document, this.currentPageName);
+                        });
+                        editor.on('page:select', (page) => this._handlePageSelect(page));
+
                         editor.onReady(() => {
                             this.editor = editor;
-                            this.currentPageName = firstPageName;
-                            console.log(`GrapesJS editor initialized with page: ${firstPageName}`);
+                            this._injectGlobalCss(editor.Canvas?.getDocument?.());
+                            if (this.currentPageName !== this.pageOrder[0]) {
+                                editor.Pages.select(this.currentPageName);
+                            }
+                            this.renderPageNavigator();
+                            this.onEditorReady();
+                            console.log(`GrapesJS initialized with ${this.pageOrder.length} pages`);
                         });
                     }
                 ]
@@ -156,7 +190,105 @@ export class GrapesJSEditor {
     }
 
     /**
-     * Load a specific page into the editor
+     * Sort page names by an explicit order; pages it doesn't mention keep their original order
+     * @param {Array} names - Page names
+     * @param {Array} order - Preferred order (e.g. user-arranged or from the plan)
+     * @returns {Array} Ordered page names
+     */
+    orderPageNames(names, order = []) {
+        const ordered = (order || []).filter((name, i, all) => names.includes(name) && all.indexOf(name) === i);
+        return [...ordered, ...names.filter(name => !ordered.includes(name))];
+    }
+
+    /**
+     * CSS blocks that appear on every page are treated as the site's global CSS
+     * @param {Object} pages - Pages object {pageName: {html, css}}
+     * @returns {string} Global CSS
+     */
+    detectGlobalCss(pages) {
+        const styleSets = Object.values(pages).map(page => {
+            const styles = HTMLParser.parseDocument(page.html).styles;
+            return styles.length > 0 ? styles : [page.css || ''].filter(Boolean);
+        });
+        if (styleSets.length === 0) return '';
+
+        const [first, ...rest] = styleSets;
+        return first
+            .filter(css => rest.every(styles => styles.includes(css)))
+            .join('\n\n');
+    }
+
+    /**
+     * Split a page into its document parts and page-specific CSS
+     * @param {Object} page - {html, css}
+     * @returns {Object} {htmlAttributes, head, bodyAttributes, body, css}
+     */
+    parsePage(page) {
+        const parts = HTMLParser.parseDocument(page?.html || '');
+        const isGlobal = css => this.knownGlobalCss.has(css) || this.globalCss.includes(css);
+
+        let pageStyles = parts.styles.filter(css => !isGlobal(css));
+        // Fragments without <style> tags carry their CSS in the css field
+        if (parts.styles.length === 0 && page?.css && !isGlobal(page.css.trim())) {
+            pageStyles = [page.css.trim()];
+        }
+
+        return {
+            htmlAttributes: parts.htmlAttributes,
+            head: parts.head,
+            bodyAttributes: parts.bodyAttributes,
+            body: parts.body,
+            css: pageStyles.join('\n\n')
+        };
+    }
+
+    /**
+     * Rebuild currentPages[pageName] from its model
+     * @param {string} pageName - Page key
+     */
+    _syncPage(pageName) {
+        const model = this.pageModels[pageName];
+        if (!model) return;
+        this.currentPages[pageName] = {
+            html: HTMLParser.buildDocument(model, this.globalCss, model.css),
+            css: model.css
+        };
+    }
+
+    _injectGlobalCss(doc) {
+        if (!doc?.head) return;
+        let style = doc.getElementById('editor-global-css');
+        if (!style) {
+            style = doc.createElement('style');
+            style.id = 'editor-global-css';
+            // First in <head> so page rules and style-manager edits win
+            doc.head.insertBefore(style, doc.head.firstChild);
+        }
+        style.textContent = this.globalCss || '';
+    }
+
+    _getEditorPage(pageName) {
+        const pagesApi = this.editor?.Pages;
+        if (!pagesApi) return null;
+        return pagesApi.get?.(pageName) ||
+            pagesApi.getAll().find(p => (p.getId?.() || p.get?.('id')) === pageName) ||
+            null;
+    }
+
+    _handlePageSelect(page) {
+        const pageName = page?.getId?.() || page?.get?.('id');
+        if (!pageName || !this.pageModels[pageName]) return;
+
+        // Capture edits to the page we're leaving before switching
+        if (this.currentPageName && this.currentPageName !== pageName) {
+            this.savePage(this.currentPageName);
+        }
+        this.currentPageName = pageName;
+        this.renderPageNavigator();
+    }
+
+    /**
+     * Switch the canvas to another page
      * @param {string} pageName - Name of the page to load
      */
     loadPage(pageName) {
@@ -164,27 +296,17 @@ export class GrapesJSEditor {
             console.warn('Not in multi-page mode');
             return;
         }
-
-        const page = this.currentPages[pageName];
-        if (!page) {
+        if (!this.pageModels[pageName]) {
             console.error(`Page not found: ${pageName}`);
             return;
         }
-
         if (!this.editor) {
             console.error('Editor not initialized');
             return;
         }
 
         try {
-            const extractedCSS = HTMLParser.extractCSS(page.html);
-            const bodyContent = HTMLParser.extractBodyContent(page.html);
-
-            // Clear current content
-            this.editor.setComponents(bodyContent);
-            this.editor.setStyle(extractedCSS);
-
-            this.currentPageName = pageName;
+            this.editor.Pages.select(pageName);
             console.log(`Loaded page: ${pageName}`);
         } catch (error) {
             console.error(`Error loading page ${pageName}:`, error);
@@ -192,7 +314,7 @@ export class GrapesJSEditor {
     }
 
     /**
-     * Save current editor state to the current page
+     * Save the editor's copy of a page (body + page CSS) into its model
      * @param {string} pageName - Name of the page to save
      */
     savePage(pageName) {
@@ -200,42 +322,39 @@ export class GrapesJSEditor {
             console.warn('Not in multi-page mode');
             return;
         }
+        if (!this.editor) return;
 
-        if (!this.editor) {
-            console.error('Editor not initialized');
-            return;
-        }
+        const wrapper = this._getEditorPage(pageName)?.getMainComponent?.();
+        const model = this.pageModels[pageName];
+        if (!wrapper || !model) return;
 
         try {
-            const html = this.getHTML();
-            const css = this.getCSS();
-
-            this.currentPages[pageName] = {
-                html: HTMLParser.createFullHTML(html, css),
-                css: css
-            };
-
-            console.log(`Saved page: ${pageName}`);
+            model.body = HTMLParser.extractBodyContent(this.editor.getHtml({ component: wrapper }));
+            model.css = this.editor.getCss({ component: wrapper }) || '';
+            this._syncPage(pageName);
         } catch (error) {
             console.error(`Error saving page ${pageName}:`, error);
         }
     }
 
     /**
-     * Get all pages with their latest content
-     * @returns {Object} All pages with HTML and CSS
+     * Get all pages as full documents with their latest content
+     * @returns {Object} {pageName: {html, css}} where css is the page-specific CSS
      */
     getAllPages() {
         if (!this.isMultiPageMode) {
             return {};
         }
 
-        // Save current page before returning
-        if (this.currentPageName) {
-            this.savePage(this.currentPageName);
+        for (const pageName of this.pageOrder) {
+            this.savePage(pageName);
         }
 
-        return { ...this.currentPages };
+        const pages = {};
+        for (const pageName of this.pageOrder) {
+            pages[pageName] = { ...this.currentPages[pageName] };
+        }
+        return pages;
     }
 
     getHTML() {
@@ -281,112 +400,324 @@ export class GrapesJSEditor {
             };
         }
 
-        // Save current page before returning
-        if (this.currentPageName) {
-            this.savePage(this.currentPageName);
-        }
-
-        // Return pages in API format
-        const pages = {};
-        for (const [pageName, pageData] of Object.entries(this.currentPages)) {
-            pages[pageName] = {
-                html: pageData.html,
-                css: pageData.css || ''
-            };
-        }
-
-        return pages;
+        return this.getAllPages();
     }
 
     /**
-     * Get global CSS (same for all pages in multi-page mode)
+     * Get global CSS (shared by every page in multi-page mode)
      * @returns {string} Global CSS content
      */
     getGlobalCss() {
         if (!this.isMultiPageMode) {
             return this.getCSS();
         }
-
-        // In multi-page mode, extract CSS from first page (assumed to be global)
-        const firstPage = Object.values(this.currentPages)[0];
-        if (firstPage) {
-            return HTMLParser.extractCSS(firstPage.html);
-        }
-
-        return this.getCSS();
+        return this.globalCss;
     }
 
     /**
-     * Update global CSS for all pages
+     * Replace the global CSS; page-specific CSS is left untouched
      * @param {string} newCss - New CSS content
      */
     updateGlobalCss(newCss) {
-        if (!this.editor) {
-            console.error('Editor not initialized');
+        if (!this.isMultiPageMode) {
+            this.editor?.setStyle(newCss);
             return;
         }
 
-        try {
-            // Update CSS in editor
-            this.editor.setStyle(newCss);
-
-            // Update CSS in all pages if in multi-page mode
-            if (this.isMultiPageMode) {
-                for (const pageName of Object.keys(this.currentPages)) {
-                    const page = this.currentPages[pageName];
-                    if (page) {
-                        // Replace CSS in HTML
-                        const bodyContent = HTMLParser.extractBodyContent(page.html);
-                        page.html = HTMLParser.createFullHTML(bodyContent, newCss);
-                        page.css = newCss;
-                    }
-                }
-            }
+        this.globalCss = newCss || '';
+        if (this.globalCss) this.knownGlobalCss.add(this.globalCss);
 
-            console.log('Global CSS updated successfully');
-        } catch (error) {
-            console.error('Error updating global CSS:', error);
-            throw error;
-        }
+        this.editor?.Canvas?.getFrames?.().forEach(frame => {
+            this._injectGlobalCss(frame.view?.getDoc?.());
+        });
+        this._injectGlobalCss(this.editor?.Canvas?.getDocument?.());
+
+        this.pageOrder.forEach(name => this._syncPage(name));
+        console.log('Global CSS updated successfully');
     }
 
     /**
-     * Update specific pages with new content
+     * Update specific pages with new content, in place where the editor has them
      * @param {Object} updatedPages - Pages to update {pageName: {html, css}}
+     * @returns {boolean} True if every page was refreshed in the open editor
      */
     updatePages(updatedPages) {
         if (!updatedPages || Object.keys(updatedPages).length === 0) {
             console.warn('No pages to update');
-            return;
+            return false;
         }
 
-        try {
-            for (const [pageName, pageData] of Object.entries(updatedPages)) {
-                if (this.currentPages[pageName]) {
-                    // Update the page data
-                    this.currentPages[pageName] = {
-                        html: pageData.html,
-                        css: pageData.css || this.currentPages[pageName].css
-                    };
-
-                    // If this is the currently loaded page, reload it
-                    if (pageName === this.currentPageName && this.editor) {
-                        const extractedCSS = HTMLParser.extractCSS(pageData.html);
-                        const bodyContent = HTMLParser.extractBodyContent(pageData.html);
-
-                        this.editor.setComponents(bodyContent);
-                        this.editor.setStyle(extractedCSS);
-                    }
+        let allRefreshed = true;
+        for (const [pageName, pageData] of Object.entries(updatedPages)) {
+            if (!this.pageModels[pageName]) {
+                allRefreshed = false;
+                continue;
+            }
 
-                    console.log(`Updated page: ${pageName}`);
-                }
+            const model = this.parsePage(pageData);
+            // Backend fragments without a head keep the page's existing one
+            if (!/<head[\s>]/i.test(pageData.html || '')) {
+                model.head = this.pageModels[pageName].head;
+                model.htmlAttributes = this.pageModels[pageName].htmlAttributes;
+                model.bodyAttributes = this.pageModels[pageName].bodyAttributes;
+            }
+            this.pageModels[pageName] = model;
+            this._syncPage(pageName);
+
+            const wrapper = this._getEditorPage(pageName)?.getMainComponent?.();
+            if (!wrapper) {
+                allRefreshed = false;
+                continue;
+            }
+
+            try {
+                wrapper.components(model.body);
+                if (model.css) this.editor.Css.addRules(model.css);
+                console.log(`Updated page in place: ${pageName}`);
+            } catch (error) {
+                console.error(`Error updating page ${pageName} in place:`, error);
+                allRefreshed = false;
+            }
+        }
+
+        return allRefreshed;
+    }
+
+    /**
+     * Move region markers from attributes onto component properties, so the
+     * regions can be found later but never show up in the page HTML
+     * @param {string} pageName - Page key
+     * @param {string} attribute - Marker attribute, e.g. 'data-jinja-region'
+     */
+    tagRegions(pageName, attribute) {
+        const wrapper = this._getEditorPage(pageName)?.getMainComponent?.();
+        if (!wrapper) return;
+
+        for (const component of wrapper.find(`[${attribute}]`)) {
+            component.set('dataRegion', component.getAttributes()[attribute]);
+            component.removeAttributes(attribute);
+        }
+        this.savePage(pageName);
+    }
+
+    /**
+     * Tag a page's regions without changing the page: the regions of a marked
+     * render are lined up with the page's components by position, which is
+     * the same for every record since regions never sit inside a {% %} block
+     * @param {string} pageName - Page key
+     * @param {string} html - Rendered page whose regions carry the marker attribute
+     * @param {string} attribute - Marker attribute, e.g. 'data-jinja-region'
+     * @returns {boolean} True if every region was found in the page
+     */
+    tagRegionsByPosition(pageName, html, attribute) {
+        const wrapper = this._getEditorPage(pageName)?.getMainComponent?.();
+        if (!wrapper) return false;
+
+        const fresh = document.createElement('template');
+        fresh.innerHTML = HTMLParser.parseDocument(html).body;
+        const elementChildren = (component) => component.components()
+            .filter(child => !['textnode', 'comment'].includes(child.get('type')));
+
+        let complete = true;
+        for (const el of fresh.content.querySelectorAll(`[${attribute}]`)) {
+            const path = [];
+            for (let node = el; node !== fresh.content; node = node.parentNode) {
+                path.unshift([...node.parentNode.children].indexOf(node));
+            }
+
+            let component = wrapper;
+            for (const index of path) {
+                component = component ? elementChildren(component)[index] : null;
+            }
+            if (!component || (component.get('tagName') || '').toLowerCase() !== el.localName) {
+                complete = false;
+                continue;
             }
+            component.set('dataRegion', el.getAttribute(attribute));
+        }
+        return complete;
+    }
+
+    /**
+     * Swap a page's tagged regions for the same regions of a new render,
+     * leaving the rest of the page (and any edits to it) alone
+     * @param {string} pageName - Page key
+     * @param {string} html - Rendered page whose regions carry the marker attribute
+     * @param {string} attribute - Marker attribute used by tagRegions
+     * @returns {boolean} False when the regions don't line up and the whole page needs replacing
+     */
+    replaceRegions(pageName, html, attribute) {
+        const wrapper = this._getEditorPage(pageName)?.getMainComponent?.();
+        const model = this.pageModels[pageName];
+        if (!wrapper || !model) return false;
+
+        const parts = HTMLParser.parseDocument(html);
+        const fresh = document.createElement('template');
+        fresh.innerHTML = parts.body;
+        const regions = [...fresh.content.querySelectorAll(`[${attribute}]`)];
+
+        const tagged = new Map();
+        for (const component of wrapper.find('*')) {
+            const region = component.get('dataRegion');
+            if (region !== undefined) tagged.set(region, component);
+        }
+        const ids = regions.map(el => el.getAttribute(attribute));
+        if (tagged.size !== ids.length || !ids.every(id => tagged.has(id))) {
+            return false;
+        }
 
-            console.log('Pages updated successfully');
+        try {
+            for (const el of regions) {
+                const id = el.getAttribute(attribute);
+                el.removeAttribute(attribute);
+                const [replacement] = tagged.get(id).replaceWith(el.outerHTML);
+                replacement?.set('dataRegion', id);
+            }
         } catch (error) {
-            console.error('Error updating pages:', error);
-            throw error;
+            console.error(`Error replacing regions on ${pageName}:`, error);
+            return false;
+        }
+
+        // Titles and meta tags can use data too
+        model.head = parts.head;
+        this.savePage(pageName);
+        return true;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Page navigator
+    // ─────────────────────────────────────────────
+
+    /**
+     * Hook for page management actions from the navigator (set by the app)
+     * @param {string} action - 'add' | 'rename' | 'duplicate' | 'delete' | 'reorder'
+     * @param {string|null} pageName - Page the action applies to
+     * @param {Object} details - {before: pageName|null} for 'reorder'
+     */
+    onPageAction(action, pageName, details = {}) { }
+
+    /**
+     * Hook called once the multi-page editor is ready (set by the app)
+     */
+    onEditorReady() { }
+
+    /**
+     * Hook called when a page's canvas frame has loaded (set by the app)
+     * @param {Document} doc - Canvas document
+     * @param {string} pageName - Page shown in the frame
+     */
+    onCanvasLoad(doc, pageName) { }
+
+    renderPageNavigator() {
+        const nav = document.getElementById('pageNavigator');
+        if (!nav) return;
+
+        if (!this.isMultiPageMode || !this.editor) {
+            nav.style.display = 'none';
+            return;
         }
+
+        nav.innerHTML = '';
+        for (const pageName of this.pageOrder) {
+            const tab = document.createElement('div');
+            tab.className = `page-nav-tab${pageName === this.currentPageName ? ' active' : ''}`;
+            tab.draggable = true;
+            tab.dataset.page = pageName;
+
+            const btn = document.createElement('button');
+            btn.className = 'page-nav-item';
+            btn.textContent = this.formatName(pageName);
+            btn.title = this.currentPages[pageName]?.html.match(/<title>([^<]*)<\/title>/i)?.[1] || pageName;
+            btn.addEventListener('click', () => this.loadPage(pageName));
+
+            const menuBtn = document.createElement('button');
+            menuBtn.className = 'page-nav-menu-btn';
+            menuBtn.title = 'Page actions';
+            menuBtn.innerHTML = '<i class="fas fa-ellipsis-v"></i>';
+            menuBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._togglePageMenu(tab, pageName);
+            });
+
+            tab.appendChild(btn);
+            tab.appendChild(menuBtn);
+            this._bindPageDrag(tab, pageName);
+            nav.appendChild(tab);
+        }
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'page-nav-add';
+        addBtn.title = 'Add page';
+        addBtn.innerHTML = '<i class="fas fa-plus"></i>';
+        addBtn.addEventListener('click', () => this.onPageAction('add', null));
+        nav.appendChild(addBtn);
+
+        nav.style.display = 'flex';
+    }
+
+    _togglePageMenu(tab, pageName) {
+        const existing = document.querySelector('.page-nav-menu');
+        const wasOpenForTab = existing?.dataset.page === pageName;
+        existing?.remove();
+        if (wasOpenForTab) return;
+
+        const menu = document.createElement('div');
+        menu.className = 'page-nav-menu';
+        menu.dataset.page = pageName;
+
+        const actions = [
+            { action: 'rename', icon: 'fa-pen', label: 'Rename' },
+            { action: 'duplicate', icon: 'fa-copy', label: 'Duplicate' },
+            { action: 'delete', icon: 'fa-trash', label: 'Delete', disabled: this.pageOrder.length <= 1 }
+        ];
+        for (const { action, icon, label, disabled } of actions) {
+            const item = document.createElement('button');
+            item.className = `page-nav-menu-item${action === 'delete' ? ' danger' : ''}`;
+            item.innerHTML = `<i class="fas ${icon}"></i> ${label}`;
+            item.disabled = !!disabled;
+            item.addEventListener('click', () => {
+                menu.remove();
+                this.onPageAction(action, pageName);
+            });
+            menu.appendChild(item);
+        }
+
+        const rect = tab.getBoundingClientRect();
+        menu.style.left = `${rect.left}px`;
+        menu.style.top = `${rect.bottom + 4}px`;
+        document.body.appendChild(menu);
+
+        // Close on the next click anywhere else
+        setTimeout(() => {
+            document.addEventListener('click', () => menu.remove(), { once: true });
+        });
+    }
+
+    _bindPageDrag(tab, pageName) {
+        tab.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', pageName);
+            e.dataTransfer.effectAllowed = 'move';
+            tab.classList.add('dragging');
+        });
+        tab.addEventListener('dragend', () => tab.classList.remove('dragging'));
+        tab.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            tab.classList.add('drag-over');
+        });
+        tab.addEventListener('dragleave', () => tab.classList.remove('drag-over'));
+        tab.addEventListener('drop', (e) => {
+            e.preventDefault();
+            tab.classList.remove('drag-over');
+            const dragged = e.dataTransfer.getData('text/plain');
+            if (!dragged || dragged === pageName) return;
+
+            // Dropping on the right half of a tab places the page after it
+            const rect = tab.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            const index = this.pageOrder.indexOf(pageName);
+            const before = after ? this.pageOrder[index + 1] || null : pageName;
+            this.onPageAction('reorder', dragged, { before });
+        });
     }
 
     /**
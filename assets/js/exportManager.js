@@ -0,0 +1,446 @@
+import { apiService } from './services/api.js';
+import { HTMLParser } from './utils/htmlParser.js';
+import { LinkUtil } from './utils/links.js';
+import { ExportUtil } from './utils/exportUtil.js';
+import { I18nUtil } from './utils/i18n.js';
+import { FrameworkExporter } from './frameworkExporter.js';
+import { dataManager } from './dataManager.js';
+
+const SITE_URL_KEY = 'exportSiteUrl';
+const DEFAULT_SITE_URL = 'https://example.com';
+
+/**
+ * ExportManager
+ * Export dialog that packages the generated website as a static-site ZIP:
+ * a shared styles.css, per-page CSS under css/, images downloaded into
+ * assets/img, plus sitemap.xml, robots.txt and a favicon. Optional HTML/CSS
+ * minification and pretty URLs (about/index.html). Can also export a React,
+ * Vue or Astro project instead (see FrameworkExporter).
+ */
+export class ExportManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns the website state
+     */
+    constructor(generatorManager) {
+        this.generatorManager = generatorManager;
+        this.isBusy = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('exportBtn')?.addEventListener('click', () => this.open());
+        document.getElementById('exportClose')?.addEventListener('click', () => this.close());
+        document.getElementById('exportCancelBtn')?.addEventListener('click', () => this.close());
+        document.getElementById('exportDownloadBtn')?.addEventListener('click', () => this.submit());
+        document.getElementById('exportModal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'exportModal') this.close();
+        });
+        document.getElementById('exportFormat')?.addEventListener('change', () => this._updateFormatOptions());
+    }
+
+    open() {
+        if (!this.generatorManager.generatedPages) {
+            alert('Please generate a website first before exporting.');
+            return;
+        }
+
+        const modal = document.getElementById('exportModal');
+        if (!modal) return;
+
+        const siteUrl = document.getElementById('exportSiteUrl');
+        if (siteUrl) siteUrl.value = localStorage.getItem(SITE_URL_KEY) || '';
+        this._updateFormatOptions();
+        this._setMessage('');
+        modal.style.display = 'flex';
+    }
+
+    close() {
+        if (this.isBusy) return;
+        const modal = document.getElementById('exportModal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    _updateFormatOptions() {
+        const format = document.getElementById('exportFormat')?.value || 'static';
+        // Site URL, minify and pretty URLs only apply to the static site
+        document.querySelectorAll('#exportStaticOptions, #exportStaticToggles').forEach(el => {
+            el.style.display = format === 'static' ? 'flex' : 'none';
+        });
+    }
+
+    _readOptions() {
+        const siteUrl = document.getElementById('exportSiteUrl')?.value.trim() || '';
+        return {
+            format: document.getElementById('exportFormat')?.value || 'static',
+            siteUrl,
+            minify: !!document.getElementById('exportMinify')?.checked,
+            prettyUrls: !!document.getElementById('exportPrettyUrls')?.checked,
+            downloadImages: document.getElementById('exportImages')?.checked !== false
+        };
+    }
+
+    async submit() {
+        if (this.isBusy) return;
+        const options = this._readOptions();
+
+        if (options.siteUrl && !/^https?:\/\/[^\s/]+/i.test(options.siteUrl)) {
+            this._setMessage('Site URL must start with http:// or https://', true);
+            return;
+        }
+        if (options.siteUrl) {
+            localStorage.setItem(SITE_URL_KEY, options.siteUrl);
+        } else {
+            localStorage.removeItem(SITE_URL_KEY);
+        }
+
+        this.isBusy = true;
+        this._setBusy(true);
+        try {
+            const { zip, failedImages, unsupported = 0 } = await this.buildZip(options);
+            this._setMessage('Compressing…');
+            const blob = await zip.generateAsync({ type: 'blob' });
+            const suffix = options.format === 'static' ? '' : `-${options.format}`;
+            this._download(blob, `${this._getSiteSlug()}${suffix}.zip`);
+
+            this.isBusy = false;
+            const notes = [];
+            if (failedImages.length > 0) {
+                notes.push(`${failedImages.length} image(s) could not be downloaded and still point to their original URL (listed in README.md).`);
+            }
+            if (unsupported > 0) {
+                notes.push(`${unsupported} template construct(s) could not be converted and are marked with TODO: port comments.`);
+            }
+            if (notes.length > 0) {
+                // Keep the dialog open so the user sees what needs attention
+                this._setMessage(`Exported. ${notes.join(' ')}`, true);
+            } else {
+                this.close();
+            }
+        } catch (error) {
+            console.error('Error exporting website:', error);
+            this._setMessage(`Export failed: ${error.message}`, true);
+        } finally {
+            this.isBusy = false;
+            this._setBusy(false);
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  Building the archive
+    // ─────────────────────────────────────────────
+
+    /**
+     * Latest site state, including canvas edits
+     * @returns {Object} {pages, order, savedFiles, globalCss}
+     */
+    _collectSite() {
+        const gen = this.generatorManager;
+        const editor = gen.htmlEditor;
+        const editorPages = editor?.getAllPages?.();
+        const pages = editorPages && Object.keys(editorPages).length > 0 ? editorPages : gen.generatedPages;
+        return {
+            pages,
+            order: (editor?.pageOrder?.length ? editor.pageOrder : Object.keys(pages)).filter(name => pages[name]),
+            savedFiles: gen.savedFiles || {},
+            globalCss: editor?.getGlobalCss?.() || gen.globalCss || ''
+        };
+    }
+
+    /**
+     * Pages of every language, the default language first. Single-language
+     * sites have one entry without a locale.
+     * @param {Object} site - From _collectSite() (the open language)
+     * @returns {Array} [{locale, pages}]
+     */
+    _collectLanguages(site) {
+        const i18n = this.generatorManager.i18n;
+        if (!i18n) return [{ locale: null, pages: site.pages }];
+        return i18n.locales.map(locale => ({
+            locale,
+            pages: locale === i18n.currentLocale ? site.pages : (i18n.pages[locale] || {})
+        }));
+    }
+
+    /**
+     * Download the images referenced by the site, if enabled
+     * @param {JSZip} zip - Archive
+     * @param {Object} site - From _collectSite()
+     * @param {Object} options - Export options
+     * @param {string} dir - Folder in the archive
+     * @returns {Promise<Object>} {urlMap, failedImages}
+     */
+    async _collectImages(zip, site, options, dir) {
+        if (!options.downloadImages) return { urlMap: new Map(), failedImages: [] };
+
+        const sources = [site.globalCss];
+        for (const { pages } of this._collectLanguages(site)) {
+            sources.push(...site.order.filter(name => pages[name]).flatMap(name => [pages[name].html, pages[name].css || '']));
+        }
+        // Jinja templates may reference images the current render doesn't show
+        for (const template of Object.values(this.generatorManager.jinjaTemplates || {})) {
+            sources.push(template.jinja || template.html || '');
+        }
+        return this._downloadImages(zip, ExportUtil.collectImageUrls(sources.join('\n')), dir);
+    }
+
+    /**
+     * Build the export archive from the editor's latest pages
+     * @param {Object} options - {format, siteUrl, minify, prettyUrls, downloadImages}
+     * @returns {Promise<Object>} {zip, failedImages, unsupported?: template constructs a framework export couldn't convert}
+     */
+    async buildZip(options) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip library not loaded. Please refresh the page.');
+        }
+        if (options.format && options.format !== 'static') {
+            return this.buildFrameworkZip(options);
+        }
+
+        const site = this._collectSite();
+        const { pages, order, savedFiles, globalCss } = site;
+        const fileOf = (name) => savedFiles[name] || `${name}.html`;
+        const fileMap = LinkUtil.buildFileMap(order, savedFiles);
+        const css = (text) => (options.minify ? ExportUtil.minifyCSS(text) : text);
+        const languages = this._collectLanguages(site);
+        const i18n = languages[0].locale ? this.generatorManager.i18n : null;
+
+        const zip = new JSZip();
+
+        // Images first, so every file can point at its local copy
+        const { urlMap, failedImages } = await this._collectImages(zip, site, options, 'assets/img');
+
+        zip.file('styles.css', css(ExportUtil.replaceUrls(globalCss, urlMap)));
+
+        const siteTitle = this._getSiteTitle(pages[order[0]]?.html);
+        zip.file('favicon.svg', ExportUtil.buildFavicon(siteTitle, this._getBrandColor(globalCss)));
+
+        const siteUrl = options.siteUrl || DEFAULT_SITE_URL;
+        const sitemapUrls = [];
+
+        // Multilingual sites get one folder per language ("en/", "es/")
+        for (const { locale, pages: languagePages } of languages) {
+            const dir = locale ? `${locale}/` : '';
+            for (const name of order.filter(pageName => languagePages[pageName])) {
+                const file = ExportUtil.pagePath(fileOf(name), options.prettyUrls);
+                const path = `${dir}${file}`;
+                this._setMessage(`Writing ${path}…`);
+                // Assets are shared at the root; page links stay within the language folder
+                const prefix = ExportUtil.rootPrefix(path);
+                const pagePrefix = ExportUtil.rootPrefix(file);
+
+                let html = languagePages[name].html;
+                if (i18n) {
+                    const alternates = i18n.locales.map(other => {
+                        const url = `${other}/${ExportUtil.pageUrl(fileOf(name), options.prettyUrls)}`;
+                        return { locale: other, href: `${prefix}${url}`, url: options.siteUrl ? `${siteUrl.replace(/\/+$/, '')}/${url}` : null };
+                    });
+                    html = I18nUtil.decorate(html, locale, alternates, i18n.defaultLocale);
+                }
+                const parts = HTMLParser.parseDocument(html);
+
+                const cssPath = `css/${dir}${name}.css`;
+                const pageCss = ExportUtil.replaceUrls(languagePages[name].css || '', urlMap, ExportUtil.rootPrefix(cssPath));
+
+                const links = [
+                    `<link rel="icon" href="${prefix}favicon.svg" type="image/svg+xml">`,
+                    `<link rel="stylesheet" href="${prefix}styles.css">`
+                ];
+                if (pageCss.trim()) {
+                    zip.file(cssPath, css(pageCss));
+                    links.push(`<link rel="stylesheet" href="${prefix}${cssPath}">`);
+                }
+
+                // Existing favicons would compete with the exported one
+                const head = parts.head.replace(/<link\b[^>]*\brel\s*=\s*["'](?:shortcut\s+)?icon["'][^>]*>\s*/gi, '').trim()
+                    || '<meta charset="UTF-8">\n    <meta name="viewport" content="width=device-width, initial-scale=1.0">';
+                const rewrite = (text) => ExportUtil.rewritePageLinks(
+                    ExportUtil.replaceUrls(text, urlMap, prefix), fileMap, savedFiles, options.prettyUrls, pagePrefix
+                );
+
+                const fullHTML = HTMLParser.buildDocument({
+                    ...parts,
+                    head: [rewrite(head), ...links].join('\n    '),
+                    body: rewrite(parts.body)
+                });
+                zip.file(path, options.minify ? ExportUtil.minifyHTML(fullHTML) : fullHTML);
+                sitemapUrls.push(`${dir}${ExportUtil.pageUrl(fileOf(name), options.prettyUrls)}`);
+            }
+        }
+
+        if (i18n) {
+            // The root sends visitors to the default language
+            const home = fileOf(order[0]);
+            zip.file('index.html', I18nUtil.buildRedirect(`${i18n.defaultLocale}/${options.prettyUrls ? ExportUtil.pageUrl(home, true) : home}`));
+        }
+
+        zip.file('sitemap.xml', ExportUtil.buildSitemap(sitemapUrls, siteUrl));
+        zip.file('robots.txt', ExportUtil.buildRobots(siteUrl));
+        zip.file('README.md', this._buildReadme(order, options, failedImages, i18n));
+
+        return { zip, failedImages };
+    }
+
+    /**
+     * Build a React, Vue or Astro project archive
+     * @param {Object} options - {format, downloadImages}
+     * @returns {Promise<Object>} {zip, failedImages, unsupported}
+     */
+    async buildFrameworkZip(options) {
+        const gen = this.generatorManager;
+        const site = this._collectSite();
+        // Framework projects have one language: the default one
+        site.pages = this._collectLanguages(site)[0].pages;
+        site.order = site.order.filter(name => site.pages[name]);
+        const zip = new JSZip();
+
+        // Framework dev servers serve public/ from the site root
+        const { urlMap, failedImages } = await this._collectImages(zip, site, options, 'public/assets/img');
+
+        this._setMessage('Converting pages to components…');
+        const exporter = new FrameworkExporter(options.format);
+        const report = exporter.build(zip, {
+            ...site,
+            jinjaTemplates: gen.jinjaTemplates,
+            data: dataManager.getCurrentData() || {},
+            urlMap,
+            siteTitle: this._getSiteTitle(site.pages[site.order[0]]?.html),
+            slug: this._getSiteSlug(),
+            formatName: (name) => gen.formatPageName(name)
+        });
+
+        return { zip, failedImages, unsupported: report.unsupported };
+    }
+
+    /**
+     * Download each image into the archive
+     * @param {JSZip} zip - Archive to add the images to
+     * @param {Array} urls - Remote image URLs
+     * @param {string} dir - Folder in the archive whose public path is assets/img
+     * @returns {Promise<Object>} {urlMap: Map(url -> 'assets/img/...'), failedImages}
+     */
+    async _downloadImages(zip, urls, dir = 'assets/img') {
+        const urlMap = new Map();
+        const failedImages = [];
+        const usedNames = new Set();
+
+        for (const [index, url] of urls.entries()) {
+            this._setMessage(`Downloading image ${index + 1} of ${urls.length}…`);
+            try {
+                const blob = await apiService.fetchImage(url);
+                const name = this._imageName(url, ExportUtil.imageExtension(blob.type, url), usedNames);
+                zip.file(`${dir}/${name}`, blob);
+                urlMap.set(url, `assets/img/${name}`);
+            } catch (error) {
+                console.warn(`Could not download ${url}:`, error);
+                failedImages.push(url);
+            }
+        }
+
+        return { urlMap, failedImages };
+    }
+
+    /**
+     * Readable, unique file name for a downloaded image
+     * @param {string} url - Source URL
+     * @param {string} extension - File extension
+     * @param {Set} usedNames - Names already taken (updated)
+     * @returns {string} File name
+     */
+    _imageName(url, extension, usedNames) {
+        const base = (url.split(/[?#]/)[0].split('/').pop() || '')
+            .replace(/\.[a-z0-9]+$/i, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40) || 'image';
+
+        let name = `${base}.${extension}`;
+        for (let i = 2; usedNames.has(name); i++) {
+            name = `${base}-${i}.${extension}`;
+        }
+        usedNames.add(name);
+        return name;
+    }
+
+    _buildReadme(order, options, failedImages, i18n = null) {
+        const gen = this.generatorManager;
+        const lines = [
+            '# Generated Website',
+            '',
+            'Generated by AI Landing Page Generator',
+            '',
+            'Pages:',
+            ...order.map(name => `- ${gen.formatPageName(name)}`),
+            '',
+            'Layout:',
+            '- `styles.css`: styles shared by every page',
+            '- `css/`: page-specific styles',
+            '- `assets/img/`: images used by the pages',
+            '- `sitemap.xml`, `robots.txt`, `favicon.svg`'
+        ];
+
+        if (i18n) {
+            lines.push(
+                '',
+                'Languages:',
+                ...i18n.locales.map(locale => `- \`${locale}/\`: ${I18nUtil.languageName(locale)}${locale === i18n.defaultLocale ? ' (default)' : ''}`),
+                '',
+                'The root `index.html` redirects to the default language. Pages link to each other\'s translations with hreflang links and a language selector.'
+            );
+        }
+
+        if (!options.siteUrl) {
+            lines.push('', `sitemap.xml and robots.txt use ${DEFAULT_SITE_URL}; replace it with your domain.`);
+        }
+        if (failedImages.length > 0) {
+            lines.push('', 'These images could not be downloaded and still load from their original URL:', ...failedImages.map(url => `- ${url}`));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // ─────────────────────────────────────────────
+    //  Helpers
+    // ─────────────────────────────────────────────
+
+    _getSiteTitle(html) {
+        const title = (html || '').match(/<title[^>]*>([^<]*)<\/title>/i)?.[1]?.trim();
+        // "Home | Acme" -> "Acme"
+        return title?.split(/\s[|–-]\s/).pop() || 'Website';
+    }
+
+    _getBrandColor(css) {
+        return css.match(/--(?:primary|brand|accent)[\w-]*\s*:\s*(#[0-9a-f]{3,8})\b/i)?.[1] || '#4f46e5';
+    }
+
+    _getSiteSlug() {
+        const folderName = (this.generatorManager.folderPath || '').split(/[\\/]/).pop();
+        return folderName || 'website';
+    }
+
+    _download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    _setBusy(busy) {
+        const btn = document.getElementById('exportDownloadBtn');
+        if (btn) {
+            btn.disabled = busy;
+            btn.textContent = busy ? 'Exporting…' : 'Export ZIP';
+        }
+    }
+
+    _setMessage(message, isError = false) {
+        const el = document.getElementById('exportMessage');
+        if (!el) return;
+        el.textContent = message;
+        el.style.color = isError ? 'var(--error-color)' : 'var(--text-secondary)';
+    }
+}
@@ -0,0 +1,523 @@
+import { HTMLParser } from './utils/htmlParser.js';
+import { LinkUtil } from './utils/links.js';
+import { ExportUtil } from './utils/exportUtil.js';
+import { ComponentConverter } from './utils/componentConverter.js';
+
+const FRAMEWORKS = {
+    react: {
+        label: 'React (Vite)',
+        ext: 'jsx',
+        pagesDir: 'src/pages',
+        pageToComponents: '../components/',
+        pageToStyles: '../styles/'
+    },
+    vue: {
+        label: 'Vue (Vite)',
+        ext: 'vue',
+        pagesDir: 'src/pages',
+        pageToComponents: '../components/',
+        pageToStyles: '../styles/'
+    },
+    astro: {
+        label: 'Astro',
+        ext: 'astro',
+        pagesDir: 'src/components/pages',
+        pageToComponents: '../',
+        pageToStyles: '../../styles/'
+    }
+};
+
+// Header/footer markup shared by pages becomes these layout components
+const SHARED_REGIONS = [
+    { tag: 'header', component: 'SiteHeader' },
+    { tag: 'footer', component: 'SiteFooter' }
+];
+
+/**
+ * FrameworkExporter
+ * Turns the generated website into a ready-to-run React, Vue or Astro project:
+ * one component per page, repeated header/footer markup as shared layout
+ * components, global CSS as a stylesheet and Jinja variables as props
+ * (filled from src/data.json).
+ */
+export class FrameworkExporter {
+    /**
+     * @param {string} framework - 'react', 'vue' or 'astro'
+     */
+    constructor(framework) {
+        if (!FRAMEWORKS[framework]) {
+            throw new Error(`Unsupported framework: ${framework}`);
+        }
+        this.framework = framework;
+        this.config = FRAMEWORKS[framework];
+    }
+
+    /**
+     * Write the project into a ZIP
+     * @param {JSZip} zip - Archive (images may already be in public/assets/img)
+     * @param {Object} site - {pages, order, savedFiles, globalCss, jinjaTemplates, data,
+     *   urlMap, siteTitle, slug, formatName}
+     * @returns {Object} Report {pages, components, scripts, unsupported}
+     */
+    build(zip, site) {
+        const { pages, order, savedFiles, urlMap } = site;
+        const fileMap = LinkUtil.buildFileMap(order, savedFiles);
+        const fileOf = (name) => savedFiles[name] || `${name}.html`;
+        const resolveHref = (href) => {
+            const link = LinkUtil.resolve(href, fileMap);
+            if (!link.internal || link.samePage || !link.page) return href;
+            return this._route(fileOf(link.page)) + (link.anchor ? `#${link.anchor}` : '');
+        };
+
+        // Jinja sources keep the variables that become props
+        const parsed = {};
+        for (const name of order) {
+            const template = site.jinjaTemplates?.[name];
+            const source = template?.jinja || template?.html || pages[name].html;
+            parsed[name] = ComponentConverter.parse(
+                HTMLParser.parseDocument(ExportUtil.replaceUrls(source, urlMap, '/')).body
+            );
+        }
+
+        const report = { pages: [], components: [], scripts: [], unsupported: 0 };
+        const shared = this._extractShared(parsed, order, resolveHref, report);
+        for (const component of shared.components) {
+            zip.file(`src/components/${component.name}.${this.config.ext}`, this._componentFile(component.name, component.markup, component.props, [], null, './'));
+        }
+
+        for (const name of order) {
+            const componentName = `${ComponentConverter.componentName(name)}Page`;
+            const result = ComponentConverter.convert('', this.framework, {
+                root: parsed[name],
+                replacements: shared.replacements,
+                resolveHref
+            });
+            const used = shared.components.filter(component => component.usedBy.has(name));
+            const props = [...new Set([...result.props, ...used.flatMap(component => component.props)])].sort();
+
+            // Bundlers load every page's stylesheet globally, so page CSS only applies inside the page's wrapper
+            const pageCss = ExportUtil.replaceUrls(pages[name].css || '', urlMap, '/');
+            const stylesheet = pageCss.trim() ? `pages/${name}.css` : null;
+            let markup = result.markup;
+            if (stylesheet) {
+                zip.file(`src/styles/${stylesheet}`, ComponentConverter.scopeCss(pageCss, `[data-page="${name}"]`));
+                markup = `<div data-page="${name}">\n${this._indent(markup, 4)}\n</div>`;
+            }
+
+            zip.file(
+                `${this.config.pagesDir}/${componentName}.${this.config.ext}`,
+                this._componentFile(componentName, markup, props, used.map(component => component.name), stylesheet, this.config.pageToComponents)
+            );
+
+            report.pages.push({
+                name,
+                componentName,
+                route: this._route(fileOf(name)),
+                title: this._pageTitle(pages[name].html) || site.formatName(name),
+                props
+            });
+            report.scripts.push(...result.scripts);
+            report.unsupported += result.unsupported;
+        }
+
+        zip.file('src/styles/global.css', ExportUtil.replaceUrls(site.globalCss || '', urlMap, '/'));
+        zip.file('src/data.json', JSON.stringify(site.data || {}, null, 2) + '\n');
+        zip.file('.gitignore', 'node_modules\ndist\n.astro\n');
+
+        const headExtras = this._headExtras(pages[order[0]]?.html || '');
+        if (this.framework === 'react') this._writeReactShell(zip, site, report, headExtras);
+        if (this.framework === 'vue') this._writeVueShell(zip, site, report, headExtras);
+        if (this.framework === 'astro') this._writeAstroShell(zip, site, report, headExtras);
+
+        zip.file('README.md', this._readme(site, report));
+        return report;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Components
+    // ─────────────────────────────────────────────
+
+    /**
+     * Find header/footer markup repeated across pages and convert it once
+     * @returns {Object} {replacements: Map(element -> usage markup), components}
+     */
+    _extractShared(parsed, order, resolveHref, report) {
+        const replacements = new Map();
+        const components = [];
+
+        for (const { tag, component } of SHARED_REGIONS) {
+            const groups = new Map();
+            for (const name of order) {
+                // Page-level regions only; a <header> inside an <article> is content
+                const element = Array.from(parsed[name].querySelectorAll(tag))
+                    .find(el => !el.parentElement?.closest('main, article, section, aside'));
+                if (!element) continue;
+
+                const key = ComponentConverter.normalizeRegion(element);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push({ name, element });
+            }
+
+            const matches = [...groups.values()].sort((a, b) => b.length - a.length)[0] || [];
+            if (matches.length < 2) continue;
+
+            const canonical = matches[0].element.cloneNode(true);
+            ComponentConverter.stripCurrentMarkers(canonical);
+            const fragment = document.createDocumentFragment();
+            fragment.appendChild(canonical);
+
+            const result = ComponentConverter.convert('', this.framework, { root: fragment, resolveHref });
+            const usage = this._usage(component, result.props);
+            matches.forEach(match => replacements.set(match.element, usage));
+
+            components.push({
+                name: component,
+                markup: result.markup,
+                props: result.props,
+                usedBy: new Set(matches.map(match => match.name))
+            });
+            report.components.push(component);
+            report.scripts.push(...result.scripts);
+            report.unsupported += result.unsupported;
+        }
+
+        return { replacements, components };
+    }
+
+    _usage(component, props) {
+        const bindings = props
+            .map(prop => (this.framework === 'vue' ? ` :${prop}="${prop}"` : ` ${prop}={${prop}}`))
+            .join('');
+        return `<${component}${bindings} />`;
+    }
+
+    /**
+     * Source of one component file
+     * @param {string} name - Component name
+     * @param {string} markup - Converted markup
+     * @param {Array} props - Prop names
+     * @param {Array} components - Shared components it uses
+     * @param {string|null} stylesheet - Path under src/styles to import
+     * @param {string} componentsPath - Relative path to src/components/
+     * @returns {string} File contents
+     */
+    _componentFile(name, markup, props, components, stylesheet, componentsPath) {
+        const { ext, pageToStyles } = this.config;
+        const imports = components.map(component => `import ${component} from '${componentsPath}${component}.${ext}';`);
+        if (stylesheet) imports.push(`import '${pageToStyles}${stylesheet}';`);
+
+        if (this.framework === 'react') {
+            if (markup.includes('<Fragment')) imports.unshift("import { Fragment } from 'react';");
+            return `${imports.join('\n')}${imports.length ? '\n\n' : ''}export default function ${name}(${props.length ? `{ ${props.join(', ')} }` : ''}) {
+    return (
+        <>
+${this._indent(markup, 12)}
+        </>
+    );
+}
+`;
+        }
+
+        if (this.framework === 'vue') {
+            const lines = [...imports];
+            if (props.length) {
+                if (lines.length) lines.push('');
+                lines.push(`defineProps([${props.map(prop => `'${prop}'`).join(', ')}]);`);
+            }
+            return `${lines.length ? `<script setup>\n${lines.join('\n')}\n</script>\n\n` : ''}<template>
+${this._indent(markup, 2)}
+</template>
+`;
+        }
+
+        const lines = [...imports];
+        if (props.length) {
+            if (lines.length) lines.push('');
+            lines.push(`const { ${props.join(', ')} } = Astro.props;`);
+        }
+        return `---
+${lines.join('\n')}
+---
+${markup}
+`;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Project shells
+    // ─────────────────────────────────────────────
+
+    _writeReactShell(zip, site, report, headExtras) {
+        zip.file('package.json', this._packageJson(site.slug, {
+            dev: 'vite',
+            build: 'vite build',
+            preview: 'vite preview'
+        }, {
+            react: '^18.3.1',
+            'react-dom': '^18.3.1',
+            'react-router-dom': '^6.26.2'
+        }, {
+            '@vitejs/plugin-react': '^4.3.1',
+            vite: '^5.4.8'
+        }));
+        zip.file('vite.config.js', `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+    plugins: [react()]
+});
+`);
+        zip.file('index.html', this._viteIndex(site.siteTitle, headExtras, 'root', '/src/main.jsx'));
+        zip.file('src/main.jsx', `import React from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App.jsx';
+import './styles/global.css';
+
+createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+        <App />
+    </React.StrictMode>
+);
+`);
+
+        const imports = report.pages.map(page => `import ${page.componentName} from './pages/${page.componentName}.jsx';`);
+        const routes = report.pages.map(page => `                <Route path="${page.route}" element={<${page.componentName} {...data} />} />`);
+        zip.file('src/App.jsx', `import { useEffect } from 'react';
+import { BrowserRouter, Routes, Route, useLocation } from 'react-router-dom';
+import data from './data.json';
+${imports.join('\n')}
+
+const TITLES = ${JSON.stringify(Object.fromEntries(report.pages.map(page => [page.route, page.title])), null, 4)};
+
+function PageTitle() {
+    const { pathname } = useLocation();
+    useEffect(() => {
+        document.title = TITLES[pathname] || ${JSON.stringify(site.siteTitle)};
+    }, [pathname]);
+    return null;
+}
+
+export default function App() {
+    return (
+        <BrowserRouter>
+            <PageTitle />
+            <Routes>
+${routes.join('\n')}
+            </Routes>
+        </BrowserRouter>
+    );
+}
+`);
+    }
+
+    _writeVueShell(zip, site, report, headExtras) {
+        zip.file('package.json', this._packageJson(site.slug, {
+            dev: 'vite',
+            build: 'vite build',
+            preview: 'vite preview'
+        }, {
+            vue: '^3.5.10',
+            'vue-router': '^4.4.5'
+        }, {
+            '@vitejs/plugin-vue': '^5.1.4',
+            vite: '^5.4.8'
+        }));
+        zip.file('vite.config.js', `import { defineConfig } from 'vite';
+import vue from '@vitejs/plugin-vue';
+
+export default defineConfig({
+    plugins: [vue()]
+});
+`);
+        zip.file('index.html', this._viteIndex(site.siteTitle, headExtras, 'app', '/src/main.js'));
+        zip.file('src/main.js', `import { createApp } from 'vue';
+import App from './App.vue';
+import router from './router.js';
+import './styles/global.css';
+
+createApp(App).use(router).mount('#app');
+`);
+
+        const imports = report.pages.map(page => `import ${page.componentName} from './pages/${page.componentName}.vue';`);
+        const routes = report.pages.map(page =>
+            `    { path: '${page.route}', component: ${page.componentName}, meta: { title: ${JSON.stringify(page.title)} } }`
+        );
+        zip.file('src/router.js', `import { createRouter, createWebHistory } from 'vue-router';
+${imports.join('\n')}
+
+const router = createRouter({
+    history: createWebHistory(),
+    routes: [
+${routes.join(',\n')}
+    ]
+});
+
+router.afterEach((to) => {
+    document.title = to.meta.title || ${JSON.stringify(site.siteTitle)};
+});
+
+export default router;
+`);
+        zip.file('src/App.vue', `<script setup>
+import data from './data.json';
+</script>
+
+<template>
+  <RouterView v-bind="data" />
+</template>
+`);
+    }
+
+    _writeAstroShell(zip, site, report, headExtras) {
+        zip.file('package.json', this._packageJson(site.slug, {
+            dev: 'astro dev',
+            build: 'astro build',
+            preview: 'astro preview'
+        }, {
+            astro: '^4.16.0'
+        }, {}));
+        zip.file('astro.config.mjs', `import { defineConfig } from 'astro/config';
+
+export default defineConfig({});
+`);
+        zip.file('src/layouts/BaseLayout.astro', `---
+import '../styles/global.css';
+
+const { title } = Astro.props;
+---
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{title}</title>
+${this._indent(headExtras.replace(/<script\b(?![^>]*is:inline)/gi, '<script is:inline'), 4)}
+</head>
+<body>
+    <slot />
+</body>
+</html>
+`);
+
+        for (const page of report.pages) {
+            const file = page.route === '/' ? 'index' : page.route.slice(1);
+            zip.file(`src/pages/${file}.astro`, `---
+import BaseLayout from '../layouts/BaseLayout.astro';
+import ${page.componentName} from '../components/pages/${page.componentName}.astro';
+import data from '../data.json';
+---
+<BaseLayout title=${JSON.stringify(page.title)}>
+    <${page.componentName} {...data} />
+</BaseLayout>
+`);
+        }
+    }
+
+    _packageJson(slug, scripts, dependencies, devDependencies) {
+        const pkg = {
+            name: slug.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') || 'website',
+            private: true,
+            version: '0.1.0',
+            type: 'module',
+            scripts,
+            dependencies
+        };
+        if (Object.keys(devDependencies).length) pkg.devDependencies = devDependencies;
+        return JSON.stringify(pkg, null, 2) + '\n';
+    }
+
+    _viteIndex(title, headExtras, rootId, entry) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${ExportUtil.escapeXml(title)}</title>
+${this._indent(headExtras, 4)}
+</head>
+<body>
+    <div id="${rootId}"></div>
+    <script type="module" src="${entry}"></script>
+</body>
+</html>
+`;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Helpers
+    // ─────────────────────────────────────────────
+
+    /**
+     * Route for a page file ("index.html" -> "/", "about.html" -> "/about")
+     */
+    _route(file) {
+        const base = file.replace(/\.html?$/i, '');
+        return base.toLowerCase() === 'index' ? '/' : `/${base}`;
+    }
+
+    _pageTitle(html) {
+        return (html || '').match(/<title[^>]*>([^<]*)<\/title>/i)?.[1]?.trim() || '';
+    }
+
+    /**
+     * Head tags worth keeping in the app shell (fonts, icon libraries, meta)
+     * @param {string} html - First page HTML
+     * @returns {string} Markup
+     */
+    _headExtras(html) {
+        const head = ComponentConverter.parse(HTMLParser.parseDocument(html).head);
+        return Array.from(head.children)
+            .filter(el => !el.matches('title, meta[charset], meta[name="viewport"], link[rel~="icon"]'))
+            .map(el => el.outerHTML)
+            .join('\n');
+    }
+
+    _indent(text, spaces) {
+        const pad = ' '.repeat(spaces);
+        return text
+            .split('\n')
+            .map(line => (line.trim() ? pad + line : line))
+            .join('\n');
+    }
+
+    _readme(site, report) {
+        const commands = ['npm install', 'npm run dev'];
+        const lines = [
+            `# ${site.siteTitle}`,
+            '',
+            `${this.config.label} project exported from AI Landing Page Generator.`,
+            '',
+            '```bash',
+            ...commands,
+            '```',
+            '',
+            '## Structure',
+            '',
+            `- \`${this.config.pagesDir}/\`: one component per page`,
+            ...report.components.map(component => `- \`src/components/${component}.${this.config.ext}\`: shared by every page with the same markup`),
+            '- `src/styles/global.css`: styles shared by every page; `src/styles/pages/`: page-specific styles, scoped to a `data-page` wrapper',
+            '- `src/data.json`: values for the template variables, passed to each page as props',
+            '- `public/assets/img/`: images used by the pages',
+            '',
+            '## Pages',
+            '',
+            ...report.pages.map(page => `- \`${page.route}\` → \`${page.componentName}\`${page.props.length ? ` (props: ${page.props.join(', ')})` : ''}`)
+        ];
+
+        if (report.unsupported > 0) {
+            lines.push('', `${report.unsupported} template statement(s), filter(s) or expression(s) could not be converted and are marked with \`TODO: port\` comments.`);
+        }
+        if (report.scripts.length > 0) {
+            lines.push(
+                '',
+                '## Scripts to port',
+                '',
+                'Inline scripts and event handlers are not valid in components and were left out:',
+                '',
+                '```html',
+                ...report.scripts,
+                '```'
+            );
+        }
+        return lines.join('\n') + '\n';
+    }
+}
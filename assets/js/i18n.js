@@ -0,0 +1,465 @@
+import { apiService } from './services/api.js';
+import { templateRenderer } from './templateRenderer.js';
+import { dataManager } from './dataManager.js';
+import { HtmlUtil } from './utils/html.js';
+import { I18nUtil } from './utils/i18n.js';
+
+/**
+ * I18nManager
+ * Multilingual sites: a copy of every page per language, made either by the
+ * backend's translation endpoint or by rendering the Jinja templates with each
+ * language's strings from the data record. Every copy has its lang set; the
+ * export, which lays out one folder per language, adds the hreflang links and
+ * a language selector. A switcher in the page navigator opens a language in
+ * the editor. The open language lives in the editor like any single-language
+ * site; the others are kept in generatorManager.i18n:
+ * {defaultLocale, locales, currentLocale, source: 'translate'|'strings', pages: {locale: pages}}
+ */
+export class I18nManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns the pages, templates and editor
+     */
+    constructor(generatorManager) {
+        this.generatorManager = generatorManager;
+        this.isBuilding = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('i18nWebsiteSubtab')?.addEventListener('click', () => this.render());
+        document.getElementById('i18nDefaultLocale')?.addEventListener('change', () => this._renderLocaleOptions());
+        document.getElementById('i18nBuildBtn')?.addEventListener('click', () => this.build());
+        document.getElementById('i18nRemoveBtn')?.addEventListener('click', () => this.disable());
+    }
+
+    /**
+     * Show the Languages sub-tab once there is a site
+     */
+    activate() {
+        const subtab = document.getElementById('i18nWebsiteSubtab');
+        if (subtab) subtab.style.display = 'inline-flex';
+        this.render();
+    }
+
+    get state() {
+        return this.generatorManager.i18n;
+    }
+
+    /**
+     * @returns {boolean} True for single-language sites and while the default language is open
+     */
+    isDefaultLocale() {
+        return !this.state || this.state.currentLocale === this.state.defaultLocale;
+    }
+
+    /**
+     * Whether the open language can be re-rendered from the templates. Copies
+     * from the translation endpoint can't: a render would bring back the
+     * default language.
+     * @returns {boolean} True if the templates produce the open language
+     */
+    canRenderTemplates() {
+        return this.isDefaultLocale() || this.state.source === 'strings';
+    }
+
+    /**
+     * Hook: leave whatever mode would be lost by reloading the editor; return
+     * false to keep the current language (overridden by the app)
+     * @returns {boolean} True if the language may be switched
+     */
+    canSwitch() {
+        return true;
+    }
+
+    /**
+     * Hook called after languages are built, switched or removed (overridden by the app)
+     */
+    onLocalesChanged() { }
+
+    /**
+     * Hook: clean translated pages before they are stored (overridden by the app)
+     * @param {Object} pages - {pageName: {html, css}}
+     * @param {string} source - Where they came from, for warnings
+     * @returns {Object} Pages to use
+     */
+    sanitizePages(pages, source) {
+        return pages;
+    }
+
+    /**
+     * @param {string} locale - Language
+     * @returns {Object} Latest pages of that language {pageName: {html, css}}
+     */
+    getLocalePages(locale) {
+        const i18n = this.state;
+        if (!i18n || locale === i18n.currentLocale) return this._editorPages();
+        return i18n.pages[locale] || {};
+    }
+
+    /**
+     * The record for the open language, for renders of the Jinja templates
+     * @param {Object} data - Record in the default language
+     * @returns {Object} Record with the open language's strings
+     */
+    localizeData(data) {
+        if (this.isDefaultLocale()) return data;
+        const paths = I18nUtil.templatePaths(this.generatorManager.jinjaTemplates);
+        return I18nUtil.localizeData(data, this.state.currentLocale, paths).data;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Building the languages
+    // ─────────────────────────────────────────────
+
+    /**
+     * Make the site multilingual with the languages picked in the panel,
+     * replacing any earlier copies
+     */
+    async build() {
+        const gen = this.generatorManager;
+        if (this.isBuilding) return;
+
+        if (!gen.generatedPages) {
+            alert('Please generate a website first.');
+            return;
+        }
+
+        const { defaultLocale, locales, source, invalid } = this._readOptions();
+        if (invalid.length > 0) {
+            this._setStatus(`Not a language code: ${invalid.join(', ')}`, true);
+            return;
+        }
+        if (locales.length < 2) {
+            this._setStatus('Pick at least one language besides the default.', true);
+            return;
+        }
+        if (source === 'strings' && !gen.jinjaTemplates) {
+            this._setStatus('Locale strings need the Jinja templates. Use AI translation instead.', true);
+            return;
+        }
+        if (this.state && !confirm('Rebuilding replaces the pages of the other languages, including edits made to them. Continue?')) {
+            return;
+        }
+
+        // Copies start from the default language without earlier decorations
+        const basePages = this._stripPages(this.state ? this.getLocalePages(this.state.defaultLocale) : this._editorPages());
+        const pages = { [defaultLocale]: basePages };
+        const notes = [];
+
+        this.isBuilding = true;
+        this._setBusy(true);
+        try {
+            for (const locale of locales.slice(1)) {
+                const name = I18nUtil.languageName(locale);
+                if (source === 'translate') {
+                    this._setStatus(`Translating into ${name}…`);
+                    pages[locale] = await this._translate(basePages, defaultLocale, locale);
+                } else {
+                    this._setStatus(`Rendering ${name}…`);
+                    const result = this._renderStrings(basePages, locale);
+                    pages[locale] = result.pages;
+                    notes.push(...result.notes);
+                }
+            }
+        } catch (error) {
+            console.error('Error building languages:', error);
+            this._setStatus(`Languages could not be built: ${error.message}`, true);
+            return;
+        } finally {
+            this.isBuilding = false;
+            this._setBusy(false);
+        }
+
+        const currentLocale = locales.includes(this.state?.currentLocale) ? this.state.currentLocale : defaultLocale;
+        gen.i18n = {
+            defaultLocale,
+            locales,
+            currentLocale,
+            source,
+            pages: this._decorateAll(pages, locales)
+        };
+        templateRenderer.setGlobal('locale', defaultLocale);
+
+        this._open(currentLocale);
+        this.onLocalesChanged();
+        console.log(`🌐 Built ${locales.length} languages (${source}): ${locales.join(', ')}`);
+        this._setStatus([`Built ${locales.map(locale => I18nUtil.languageName(locale)).join(', ')}.`, ...notes].join(' '));
+    }
+
+    /**
+     * Translate the pages through the backend
+     * @param {Object} basePages - Default-language pages
+     * @param {string} from - Default language
+     * @param {string} to - Target language
+     * @returns {Promise<Object>} Translated pages
+     */
+    async _translate(basePages, from, to) {
+        const gen = this.generatorManager;
+        const result = await apiService.translateWebsite(basePages, gen.globalCss, from, to);
+        const translated = this.sanitizePages(result?.translated_pages || {}, `Translation (${I18nUtil.languageName(to)})`);
+
+        // Pages the backend left out stay in the default language
+        return Object.fromEntries(Object.keys(basePages).map(name => [name, translated[name] || basePages[name]]));
+    }
+
+    /**
+     * Render the templates with a language's strings from the current record
+     * @param {Object} basePages - Default-language pages
+     * @param {string} locale - Target language
+     * @returns {Object} {pages, notes: messages about pages or strings that were missing}
+     */
+    _renderStrings(basePages, locale) {
+        const gen = this.generatorManager;
+        const paths = I18nUtil.templatePaths(gen.jinjaTemplates);
+        const { data, translated } = I18nUtil.localizeData(dataManager.getCurrentData() || {}, locale, paths);
+        const { pages, errors } = templateRenderer.tryRenderPages(gen.jinjaTemplates, data);
+        const name = I18nUtil.languageName(locale);
+        const notes = [];
+
+        if (translated === 0) {
+            notes.push(`The current record has no ${name} strings (translations.${locale}.<field> or <field>_${locale.replace('-', '_').toLowerCase()}).`);
+        }
+
+        // Pages without a template, or whose render failed, stay in the default language
+        const result = {};
+        const failed = [];
+        for (const pageName of Object.keys(basePages)) {
+            if (errors[pageName]) failed.push(gen.formatPageName(pageName));
+            result[pageName] = pages[pageName] && !errors[pageName] ? pages[pageName] : basePages[pageName];
+        }
+        if (failed.length > 0) {
+            notes.push(`${name}: ${failed.join(', ')} could not be rendered and kept the default language.`);
+        }
+        return { pages: result, notes };
+    }
+
+    /**
+     * Go back to a single-language site with the default language's pages
+     */
+    disable() {
+        const gen = this.generatorManager;
+        const i18n = this.state;
+        if (!i18n || !this.canSwitch()) return;
+        if (!confirm(`Remove the other languages? Only the ${I18nUtil.languageName(i18n.defaultLocale)} pages are kept.`)) return;
+
+        const pages = this._stripPages(this.getLocalePages(i18n.defaultLocale));
+        const currentPage = gen.htmlEditor?.currentPageName;
+        gen.i18n = null;
+        gen.generatedPages = pages;
+        gen.displayMultiPageEditor(pages, currentPage);
+
+        this.onLocalesChanged();
+        this.render();
+        this._setStatus('The site is single-language again.');
+    }
+
+    // ─────────────────────────────────────────────
+    //  Switching
+    // ─────────────────────────────────────────────
+
+    /**
+     * Open another language in the editor, keeping the edits of the open one
+     * @param {string} locale - Language to open
+     */
+    switchLocale(locale) {
+        const i18n = this.state;
+        if (!i18n || locale === i18n.currentLocale || !i18n.pages[locale]) return;
+        if (!this.canSwitch()) {
+            this.renderSwitcher();
+            return;
+        }
+
+        i18n.pages[i18n.currentLocale] = this._editorPages();
+        this._open(locale);
+        this.onLocalesChanged();
+    }
+
+    _open(locale) {
+        const gen = this.generatorManager;
+        gen.i18n.currentLocale = locale;
+        gen.generatedPages = gen.i18n.pages[locale];
+        gen.displayMultiPageEditor(gen.generatedPages, gen.htmlEditor?.currentPageName);
+        this.render();
+    }
+
+    /**
+     * Give the other languages the same pages after pages were added, renamed
+     * or deleted in the open one. New pages are copied untranslated.
+     */
+    syncPageSet() {
+        const i18n = this.state;
+        if (!i18n) return;
+
+        const current = this._editorPages();
+        for (const locale of i18n.locales) {
+            if (locale === i18n.currentLocale) continue;
+            const copy = i18n.pages[locale] || {};
+            i18n.pages[locale] = Object.fromEntries(Object.keys(current).map(pageName => [
+                pageName,
+                copy[pageName] || { ...current[pageName], html: this._decorate(current[pageName].html, locale) }
+            ]));
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  Decorations
+    // ─────────────────────────────────────────────
+
+    // Links between languages only work in the export's folder layout, so the
+    // editor and the backend folder get the language alone (and lose links
+    // from earlier builds)
+    _decorate(html, locale) {
+        return I18nUtil.setLang(I18nUtil.strip(html), locale);
+    }
+
+    _decorateAll(pages, locales) {
+        const decorated = {};
+        for (const locale of locales) {
+            decorated[locale] = {};
+            for (const [pageName, page] of Object.entries(pages[locale])) {
+                decorated[locale][pageName] = { ...page, html: this._decorate(page.html, locale) };
+            }
+        }
+        return decorated;
+    }
+
+    _stripPages(pages) {
+        return Object.fromEntries(Object.entries(pages || {}).map(([pageName, page]) => (
+            [pageName, { ...page, html: I18nUtil.strip(page.html) }]
+        )));
+    }
+
+    _editorPages() {
+        const gen = this.generatorManager;
+        const pages = gen.htmlEditor?.isMultiPageMode ? gen.htmlEditor.getAllPages() : null;
+        return pages && Object.keys(pages).length > 0 ? pages : (gen.generatedPages || {});
+    }
+
+    // ─────────────────────────────────────────────
+    //  UI
+    // ─────────────────────────────────────────────
+
+    /**
+     * Language switcher at the end of the page navigator (re-added whenever
+     * the editor redraws the navigator)
+     */
+    renderSwitcher() {
+        const nav = document.getElementById('pageNavigator');
+        if (!nav) return;
+        nav.querySelector('.locale-switcher')?.remove();
+
+        const i18n = this.state;
+        if (!i18n) return;
+
+        const select = document.createElement('select');
+        select.className = 'locale-switcher';
+        select.title = 'Language shown in the editor';
+        select.innerHTML = i18n.locales.map(locale => (
+            `<option value="${HtmlUtil.escape(locale)}">🌐 ${HtmlUtil.escape(I18nUtil.languageName(locale))}</option>`
+        )).join('');
+        select.value = i18n.currentLocale;
+        select.addEventListener('change', () => this.switchLocale(select.value));
+        nav.appendChild(select);
+    }
+
+    render() {
+        const i18n = this.state;
+
+        const defaultSelect = document.getElementById('i18nDefaultLocale');
+        if (defaultSelect) {
+            const selected = i18n?.defaultLocale || defaultSelect.value || 'en';
+            defaultSelect.innerHTML = this._languageOptions(selected);
+            defaultSelect.value = selected;
+        }
+        this._renderLocaleOptions();
+
+        const source = i18n?.source;
+        if (source) {
+            document.querySelectorAll('input[name="i18nSource"]').forEach(radio => {
+                radio.checked = radio.value === source;
+            });
+        }
+
+        const summary = document.getElementById('i18nSummary');
+        if (summary) {
+            summary.innerHTML = i18n
+                ? `${i18n.locales.map(locale => HtmlUtil.escape(I18nUtil.languageName(locale))).join(' · ')}<br>`
+                + `Editing <strong>${HtmlUtil.escape(I18nUtil.languageName(i18n.currentLocale))}</strong>`
+                + ` · ${i18n.source === 'strings' ? 'locale strings from the data' : 'AI translation'}`
+                : 'This site has one language.';
+        }
+
+        const buildBtn = document.getElementById('i18nBuildBtn');
+        if (buildBtn) buildBtn.querySelector('span').textContent = i18n ? 'Rebuild Languages' : 'Make Multilingual';
+        const removeBtn = document.getElementById('i18nRemoveBtn');
+        if (removeBtn) removeBtn.style.display = i18n ? 'inline-flex' : 'none';
+
+        this.renderSwitcher();
+    }
+
+    _renderLocaleOptions() {
+        const list = document.getElementById('i18nLocaleList');
+        if (!list) return;
+
+        const defaultLocale = document.getElementById('i18nDefaultLocale')?.value || 'en';
+        const checked = new Set(this.state?.locales || [...list.querySelectorAll('input:checked')].map(input => input.value));
+        const known = new Set(I18nUtil.languages().map(language => language.locale));
+
+        list.innerHTML = I18nUtil.languages()
+            .filter(language => language.locale !== defaultLocale)
+            .map(language => `
+                <label class="i18n-locale">
+                    <input type="checkbox" value="${language.locale}" ${checked.has(language.locale) ? 'checked' : ''} />
+                    <span>${HtmlUtil.escape(language.name)}</span>
+                </label>
+            `).join('');
+
+        const extra = document.getElementById('i18nExtraLocales');
+        if (extra && this.state) {
+            extra.value = this.state.locales.filter(locale => !known.has(locale) && locale !== defaultLocale).join(', ');
+        }
+    }
+
+    _languageOptions(selected) {
+        const languages = I18nUtil.languages();
+        if (!languages.some(language => language.locale === selected)) {
+            languages.push({ locale: selected, name: I18nUtil.languageName(selected) });
+        }
+        return languages
+            .map(language => `<option value="${HtmlUtil.escape(language.locale)}">${HtmlUtil.escape(language.name)}</option>`)
+            .join('');
+    }
+
+    /**
+     * @returns {Object} {defaultLocale, locales: default first, source, invalid: codes that aren't languages}
+     */
+    _readOptions() {
+        const defaultLocale = document.getElementById('i18nDefaultLocale')?.value || 'en';
+        const picked = [...document.querySelectorAll('#i18nLocaleList input:checked')].map(input => input.value);
+        const typed = (document.getElementById('i18nExtraLocales')?.value || '').split(/[\s,]+/).filter(Boolean);
+        const invalid = typed.filter(code => !I18nUtil.normalizeLocale(code));
+        const extra = typed.map(code => I18nUtil.normalizeLocale(code)).filter(Boolean);
+
+        return {
+            defaultLocale,
+            locales: [...new Set([defaultLocale, ...picked, ...extra])],
+            source: document.querySelector('input[name="i18nSource"]:checked')?.value || 'translate',
+            invalid
+        };
+    }
+
+    _setBusy(busy) {
+        const buildBtn = document.getElementById('i18nBuildBtn');
+        if (buildBtn) buildBtn.disabled = busy;
+        const removeBtn = document.getElementById('i18nRemoveBtn');
+        if (removeBtn) removeBtn.disabled = busy;
+    }
+
+    _setStatus(message, isError = false) {
+        const status = document.getElementById('i18nStatus');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,387 @@
+import { apiService } from './services/api.js';
+import { HTMLParser } from './utils/htmlParser.js';
+
+const STAGES = ['prompts', 'images', 'html'];
+
+/**
+ * LandingPageManager
+ * Drives the single-page pipeline: description → image prompts → images → HTML,
+ * with each stage editable before moving on and an editHTML chat loop at the end.
+ */
+export class LandingPageManager {
+    /**
+     * @param {GrapesJSEditor} grapesJSEditor - shared editor instance
+     */
+    constructor(grapesJSEditor) {
+        this.htmlEditor = grapesJSEditor;
+        this.isBusy = false;
+        this.ownsEditor = false;
+
+        this.description = '';
+        this.prompts = null;
+        this.images = null;
+        this.html = null;
+        this.css = '';
+        this.stageStatus = { prompts: 'pending', images: 'pending', html: 'pending' };
+        this.stageMessages = {};
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.renderStages();
+    }
+
+    setupEventListeners() {
+        document.getElementById('generatePromptsBtn')?.addEventListener('click', () => this.runPrompts());
+        document.getElementById('generateImagesBtn')?.addEventListener('click', () => this.runImages());
+        document.getElementById('generateHtmlBtn')?.addEventListener('click', () => this.runHTML());
+        document.getElementById('landingEditSendBtn')?.addEventListener('click', () => this.sendEdit());
+        document.getElementById('landingResetBtn')?.addEventListener('click', () => this.reset());
+
+        const editInput = document.getElementById('landingEditInput');
+        editInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendEdit();
+            }
+        });
+    }
+
+    // ─────────────────────────────────────────────
+    //  Stage 1: prompts
+    // ─────────────────────────────────────────────
+
+    async runPrompts() {
+        const description = document.getElementById('description')?.value.trim() || '';
+        if (description.length < 10) {
+            alert('Please enter a description of at least 10 characters.');
+            return;
+        }
+
+        this.description = description;
+        // Later stages depend on the prompts, so they start over
+        this.images = null;
+        this.html = null;
+        this.setStage('images', 'pending');
+        this.setStage('html', 'pending');
+
+        await this.runStage('prompts', 'Writing image prompts...', async () => {
+            this.prompts = await apiService.generatePrompts(description);
+            this.renderPromptsEditor();
+            return '✓ Prompts ready — edit them, then generate images';
+        });
+    }
+
+    renderPromptsEditor() {
+        const panel = document.getElementById('landingPromptsPanel');
+        if (!panel || !this.prompts) return;
+
+        this._setValue('promptHero', this._toLines(this.prompts.hero));
+        this._setValue('promptFeatures', this._toLines(this.prompts.features));
+        this._setValue('promptTestimonials', this._toLines(this.prompts.testimonials));
+        panel.style.display = 'block';
+    }
+
+    readPromptsEditor() {
+        // Keep the backend's shape: arrays stay arrays, strings stay strings
+        const read = (id, original) => {
+            const value = document.getElementById(id)?.value.trim() || '';
+            return Array.isArray(original)
+                ? value.split('\n').map(line => line.trim()).filter(Boolean)
+                : value;
+        };
+
+        return {
+            ...this.prompts,
+            hero: read('promptHero', this.prompts?.hero),
+            features: read('promptFeatures', this.prompts?.features),
+            testimonials: read('promptTestimonials', this.prompts?.testimonials)
+        };
+    }
+
+    // ─────────────────────────────────────────────
+    //  Stage 2: images
+    // ─────────────────────────────────────────────
+
+    async runImages() {
+        if (!this.prompts) return;
+
+        const prompts = this.readPromptsEditor();
+        if (!prompts.hero || !prompts.features?.length || !prompts.testimonials?.length) {
+            alert('Hero, features and testimonials prompts are all required.');
+            return;
+        }
+        this.prompts = prompts;
+        this.html = null;
+        this.setStage('html', 'pending');
+
+        await this.runStage('images', 'Generating images (this can take a minute)...', async () => {
+            this.images = await apiService.generateImages(prompts);
+            this.renderImagesEditor();
+            return '✓ Images ready — replace any URL you don\'t like, then generate HTML';
+        });
+    }
+
+    /**
+     * Flatten {hero: url, features: [url, ...]} into editable rows
+     * @returns {Array} [{group, index, url}]
+     */
+    _imageEntries() {
+        const entries = [];
+        for (const group of ['hero', 'features', 'testimonials']) {
+            const value = this.images?.[group];
+            if (Array.isArray(value)) {
+                value.forEach((url, index) => entries.push({ group, index, url }));
+            } else if (value) {
+                entries.push({ group, index: null, url: value });
+            }
+        }
+        return entries;
+    }
+
+    renderImagesEditor() {
+        const panel = document.getElementById('landingImagesPanel');
+        const grid = document.getElementById('landingImagesGrid');
+        if (!panel || !grid) return;
+
+        grid.innerHTML = '';
+        for (const { group, index, url } of this._imageEntries()) {
+            const card = document.createElement('div');
+            card.className = 'landing-image-card';
+
+            const img = document.createElement('img');
+            img.src = url;
+            img.alt = `${group} image`;
+
+            const label = document.createElement('div');
+            label.className = 'landing-image-label';
+            label.textContent = index === null ? group : `${group} ${index + 1}`;
+
+            const input = document.createElement('input');
+            input.type = 'url';
+            input.className = 'landing-image-url';
+            input.value = url;
+            input.dataset.group = group;
+            input.dataset.index = index === null ? '' : String(index);
+            input.addEventListener('change', () => { img.src = input.value; });
+
+            card.appendChild(img);
+            card.appendChild(label);
+            card.appendChild(input);
+            grid.appendChild(card);
+        }
+
+        panel.style.display = 'block';
+    }
+
+    readImagesEditor() {
+        const images = JSON.parse(JSON.stringify(this.images || {}));
+        document.querySelectorAll('#landingImagesGrid input').forEach(input => {
+            const { group, index } = input.dataset;
+            if (index === '') {
+                images[group] = input.value.trim();
+            } else {
+                images[group][Number(index)] = input.value.trim();
+            }
+        });
+        return images;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Stage 3: HTML + edit loop
+    // ─────────────────────────────────────────────
+
+    async runHTML() {
+        if (!this.images) return;
+        this.images = this.readImagesEditor();
+
+        await this.runStage('html', 'Building the landing page...', async () => {
+            const result = await apiService.generateHTML(this.description, this.images);
+            this.html = result.html;
+            this.css = result.css || '';
+            await this.openInEditor();
+
+            const editPanel = document.getElementById('landingEditPanel');
+            if (editPanel) editPanel.style.display = 'block';
+            return '✓ Landing page ready — ask for changes below or edit in the canvas';
+        });
+    }
+
+    /**
+     * Load the current landing page into the single-page editor
+     */
+    async openInEditor() {
+        if (!this.html || !this.htmlEditor) return;
+
+        // Keep the multi-page site's canvas edits before its editor is torn down
+        if (!this.ownsEditor) this.releaseEditor();
+
+        const fullHtml = this.html.includes('<html')
+            ? this.html
+            : HTMLParser.createFullHTML(this.html, this.css, 'Landing Page');
+
+        await this.htmlEditor.initialize(fullHtml);
+        this.ownsEditor = true;
+
+        const previewPlaceholder = document.getElementById('previewPlaceholder');
+        if (previewPlaceholder) previewPlaceholder.style.display = 'none';
+    }
+
+    async sendEdit() {
+        const input = document.getElementById('landingEditInput');
+        const request = input?.value.trim() || '';
+        if (request.length < 5 || this.isBusy || !this.html) return;
+
+        // Pick up canvas edits before asking for more changes
+        this.captureEdits();
+
+        this.addEditMessage('user', request);
+        input.value = '';
+        this.isBusy = true;
+        this.setBusyUI(true);
+
+        try {
+            const result = await apiService.editHTML(this.html, this.css, request);
+            this.html = result.html;
+            this.css = result.css || this.css;
+            await this.openInEditor();
+            this.addEditMessage('ai', '✅ Changes applied.');
+        } catch (error) {
+            console.error('Landing page edit error:', error);
+            this.addEditMessage('ai', `❌ Edit failed: ${error.message || 'Unknown error'}`);
+        } finally {
+            this.isBusy = false;
+            this.setBusyUI(false);
+        }
+    }
+
+    /**
+     * Copy canvas edits back into the landing page while it owns the editor
+     */
+    captureEdits() {
+        if (this.ownsEditor && this.htmlEditor?.editor) {
+            this.html = this.htmlEditor.getHTML() || this.html;
+            this.css = this.htmlEditor.getCSS() || this.css;
+        }
+    }
+
+    /**
+     * Hook: keep the multi-page site's edits before the landing page takes
+     * over the editor (set by the app)
+     */
+    releaseEditor() { }
+
+    addEditMessage(role, text) {
+        const container = document.getElementById('landingEditMessages');
+        if (!container) return;
+
+        const msg = document.createElement('div');
+        msg.className = `chat-message ${role}`;
+
+        const content = document.createElement('div');
+        content.className = 'message-content';
+        content.textContent = text;
+
+        msg.appendChild(content);
+        container.appendChild(msg);
+        container.scrollTop = container.scrollHeight;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Stage tracking
+    // ─────────────────────────────────────────────
+
+    /**
+     * Run one stage with busy/error handling and tracker updates
+     * @param {string} stage - 'prompts' | 'images' | 'html'
+     * @param {string} message - Message while running
+     * @param {Function} fn - async () => completion message
+     */
+    async runStage(stage, message, fn) {
+        if (this.isBusy) return;
+        this.isBusy = true;
+        this.setBusyUI(true);
+        this.setStage(stage, 'active', message);
+
+        try {
+            const doneMessage = await fn();
+            this.setStage(stage, 'complete', doneMessage);
+        } catch (error) {
+            console.error(`Landing page ${stage} error:`, error);
+            this.setStage(stage, 'error', `❌ ${error.message || 'Something went wrong'}`);
+        } finally {
+            this.isBusy = false;
+            this.setBusyUI(false);
+        }
+    }
+
+    setStage(stage, status, message = '') {
+        this.stageStatus[stage] = status;
+        this.stageMessages[stage] = message;
+        this.renderStages();
+    }
+
+    renderStages() {
+        for (const stage of STAGES) {
+            const item = document.querySelector(`[data-landing-stage="${stage}"]`);
+            if (!item) continue;
+
+            const status = this.stageStatus[stage];
+            item.classList.toggle('active', status === 'active');
+            item.classList.toggle('complete', status === 'complete');
+
+            const icon = item.querySelector('.stage-icon');
+            if (icon) {
+                icon.innerHTML = status === 'active'
+                    ? '<div class="stage-spinner"></div>'
+                    : status === 'complete'
+                        ? '<span class="stage-checkmark">✓</span>'
+                        : status === 'error'
+                            ? '<span class="stage-circle stage-error">✕</span>'
+                            : '<span class="stage-circle">○</span>';
+            }
+
+            const messageEl = item.querySelector('.stage-message');
+            if (messageEl) messageEl.textContent = this.stageMessages[stage] || '';
+        }
+    }
+
+    setBusyUI(busy) {
+        ['generatePromptsBtn', 'generateImagesBtn', 'generateHtmlBtn', 'landingEditSendBtn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = busy;
+        });
+    }
+
+    reset() {
+        if (this.isBusy) return;
+        this.prompts = null;
+        this.images = null;
+        this.html = null;
+        this.css = '';
+        STAGES.forEach(stage => this.setStage(stage, 'pending'));
+
+        ['landingPromptsPanel', 'landingImagesPanel', 'landingEditPanel'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = 'none';
+        });
+        const messages = document.getElementById('landingEditMessages');
+        if (messages) messages.innerHTML = '';
+
+        if (this.ownsEditor) {
+            this.htmlEditor?.destroy();
+            this.ownsEditor = false;
+        }
+    }
+
+    _toLines(value) {
+        return Array.isArray(value) ? value.join('\n') : (value || '');
+    }
+
+    _setValue(id, value) {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    }
+}
@@ -0,0 +1,270 @@
+import { HtmlUtil } from './utils/html.js';
+import { LinkUtil } from './utils/links.js';
+
+const ISSUE_LABELS = {
+    broken_link: 'Broken links',
+    missing_anchor: 'Missing anchors',
+    orphan_page: 'Orphan pages'
+};
+
+/**
+ * LinkCheckerManager
+ * Walks every page of the generated website and reports broken internal links,
+ * anchors that point at missing ids and pages nothing links to. Offers one-click
+ * fixes and can rebuild a consistent header/footer navigation on every page.
+ * Changes go through PageManager so the editor, Jinja templates and folder stay in sync.
+ */
+export class LinkCheckerManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns the website state
+     * @param {PageManager} pageManager - applies and persists page changes
+     */
+    constructor(generatorManager, pageManager) {
+        this.generatorManager = generatorManager;
+        this.pageManager = pageManager;
+        this.issues = [];
+        this.isBusy = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('linksWebsiteSubtab')?.addEventListener('click', () => this.check());
+        document.getElementById('linkCheckRunBtn')?.addEventListener('click', () => this.check());
+        document.getElementById('linkFixAllBtn')?.addEventListener('click', () => this.fixAll());
+        document.getElementById('linkNavRebuildBtn')?.addEventListener('click', () => this.rebuildNavigation());
+
+        document.getElementById('linkCheckResults')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-link-fix]');
+            if (!btn) return;
+            const issue = this.issues[Number(btn.dataset.issueIndex)];
+            if (issue) this.fixIssue(issue, btn.dataset.linkFix);
+        });
+    }
+
+    /**
+     * Show the Links sub-tab once there is a website to check
+     */
+    activate() {
+        const subtab = document.getElementById('linksWebsiteSubtab');
+        if (subtab) subtab.style.display = 'inline-flex';
+    }
+
+    _getSavedFiles() {
+        return this.generatorManager.savedFiles || {};
+    }
+
+    _fileOf(pageName) {
+        return this._getSavedFiles()[pageName] || `${pageName}.html`;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Analysis
+    // ─────────────────────────────────────────────
+
+    /**
+     * Analyse the current pages (including unsaved canvas edits) and render the report
+     * @returns {Array} Issues found
+     */
+    check() {
+        const pages = this.pageManager.getPages();
+        if (Object.keys(pages).length === 0) {
+            this.issues = [];
+            this.render('Generate a website first.');
+            return this.issues;
+        }
+
+        this.issues = LinkUtil.analyze(pages, this._getSavedFiles(), this.pageManager.getOrder());
+        console.log(`🔗 Link check: ${this.issues.length} issue(s) across ${Object.keys(pages).length} pages`);
+        this.render();
+        return this.issues;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Fixes
+    // ─────────────────────────────────────────────
+
+    /**
+     * Apply one fix
+     * @param {Object} issue - Issue from check()
+     * @param {string} mode - 'suggest' (retarget to the suggestion), 'remove' (unwrap the link)
+     *   or 'nav' (add the orphan page to the navigation)
+     */
+    async fixIssue(issue, mode) {
+        if (mode === 'nav') {
+            await this.rebuildNavigation();
+            return;
+        }
+
+        if (mode === 'suggest' && !issue.suggestion) return;
+        const newHref = mode === 'remove' ? null : issue.suggestion;
+
+        await this._applyToPages(
+            [issue.page],
+            (html) => LinkUtil.replaceHref(html, issue.href, newHref)
+        );
+    }
+
+    /**
+     * Apply every fix that has a suggestion; orphans are handled by rebuilding the navigation
+     */
+    async fixAll() {
+        const fixable = this.issues.filter(issue => issue.suggestion);
+        const hasOrphans = this.issues.some(issue => issue.type === 'orphan_page');
+        if (fixable.length === 0 && !hasOrphans) {
+            alert('Nothing to fix automatically. Remaining issues need a manual choice.');
+            return;
+        }
+
+        const byPage = {};
+        for (const issue of fixable) {
+            (byPage[issue.page] = byPage[issue.page] || []).push(issue);
+        }
+        const rewrite = (html, pageName) => (byPage[pageName] || [])
+            .reduce((result, issue) => LinkUtil.replaceHref(result, issue.href, issue.suggestion), html);
+
+        await this._applyToPages(Object.keys(byPage), rewrite, hasOrphans);
+    }
+
+    /**
+     * Give every page the first page's header and footer, with their navigation
+     * listing all pages in order and the current page marked
+     */
+    async rebuildNavigation() {
+        if (!confirm('Replace the header and footer of every page with the first page\'s, listing all pages in the navigation?')) {
+            return;
+        }
+        await this._applyToPages([], (html) => html, true);
+    }
+
+    /**
+     * Rewrite the rendered pages and their Jinja templates, then commit through PageManager
+     * @param {Array} pageNames - Pages the rewrite applies to
+     * @param {Function} rewrite - (html, pageName) => html
+     * @param {boolean} withNavigation - Also rebuild the shared header/footer navigation
+     */
+    async _applyToPages(pageNames, rewrite, withNavigation = false) {
+        if (this.isBusy) return;
+        const gen = this.generatorManager;
+        const order = this.pageManager.getOrder();
+        const pages = { ...this.pageManager.getPages() };
+
+        for (const name of pageNames) {
+            if (pages[name]) pages[name] = { ...pages[name], html: rewrite(pages[name].html, name) };
+            const template = gen.jinjaTemplates?.[name];
+            if (template?.jinja) template.jinja = rewrite(template.jinja, name);
+            if (template?.html) template.html = rewrite(template.html, name);
+        }
+
+        if (withNavigation) {
+            this._rebuildNavigationIn(pages, order, page => page.html, (page, html) => ({ ...page, html }));
+            if (gen.jinjaTemplates) {
+                // Templates keep their own (variable-bearing) header/footer as the source
+                this._rebuildNavigationIn(gen.jinjaTemplates, order, t => t.jinja || '', (t, jinja) => ({ ...t, jinja }));
+            }
+        }
+
+        this.isBusy = true;
+        try {
+            await this.pageManager.commitPages(pages, order, gen.htmlEditor?.currentPageName);
+        } finally {
+            this.isBusy = false;
+        }
+        this.check();
+    }
+
+    /**
+     * Rebuild header/footer navigation across a page map in place
+     * @param {Object} map - {pageName: page}
+     * @param {Array} order - Page order (navigation order)
+     * @param {Function} read - page => html
+     * @param {Function} write - (page, html) => page
+     */
+    _rebuildNavigationIn(map, order, read, write) {
+        const names = order.filter(name => map[name]);
+        const source = read(map[names[0]] || {});
+        const links = names.map(name => ({
+            file: this._fileOf(name),
+            title: this.generatorManager.formatPageName(name)
+        }));
+
+        for (const tag of ['header', 'footer']) {
+            const region = source.match(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, 'i'))?.[0];
+            if (!region) continue;
+
+            for (const name of names) {
+                const fragment = LinkUtil.rebuildNavigation(region, links, this._fileOf(name));
+                map[name] = write(map[name], LinkUtil.replaceRegion(read(map[name]), tag, fragment));
+            }
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  Rendering
+    // ─────────────────────────────────────────────
+
+    /**
+     * @param {string|null} emptyMessage - Message to show instead of the report
+     */
+    render(emptyMessage = null) {
+        const summary = document.getElementById('linkCheckSummary');
+        const results = document.getElementById('linkCheckResults');
+        if (!results) return;
+
+        const counts = Object.fromEntries(Object.keys(ISSUE_LABELS).map(type => [type, 0]));
+        for (const issue of this.issues) counts[issue.type]++;
+
+        if (summary) {
+            summary.innerHTML = emptyMessage ? '' : Object.entries(ISSUE_LABELS)
+                .map(([type, label]) => `<span class="link-check-count${counts[type] ? ' has-issues' : ''}">${label}: <strong>${counts[type]}</strong></span>`)
+                .join('');
+        }
+
+        if (emptyMessage || this.issues.length === 0) {
+            results.innerHTML = `<p class="link-check-empty">${emptyMessage || '✅ All internal links resolve.'}</p>`;
+            return;
+        }
+
+        results.innerHTML = Object.keys(ISSUE_LABELS)
+            .filter(type => counts[type] > 0)
+            .map(type => `
+                <div class="link-check-group">
+                    <h4>${ISSUE_LABELS[type]}</h4>
+                    ${this.issues
+                        .map((issue, index) => (issue.type === type ? this._renderIssue(issue, index) : ''))
+                        .join('')}
+                </div>
+            `)
+            .join('');
+    }
+
+    _renderIssue(issue, index) {
+        const gen = this.generatorManager;
+        const page = HtmlUtil.escape(gen.formatPageName(issue.page));
+        const href = `<code>${HtmlUtil.escape(issue.href)}</code>`;
+        const times = issue.count > 1 ? ` <span class="link-check-times">×${issue.count}</span>` : '';
+        const action = (mode, label) =>
+            `<button class="btn-secondary link-fix-btn" data-link-fix="${mode}" data-issue-index="${index}">${HtmlUtil.escape(label)}</button>`;
+
+        let text;
+        let actions;
+        if (issue.type === 'broken_link') {
+            text = `<strong>${page}</strong> links to ${href}, which is not a page${times}`;
+            actions = (issue.suggestion ? action('suggest', `Link to ${issue.suggestion}`) : '') + action('remove', 'Remove link');
+        } else if (issue.type === 'missing_anchor') {
+            const target = HtmlUtil.escape(gen.formatPageName(issue.target));
+            text = `<strong>${page}</strong> links to ${href}, but <em>${target}</em> has no <code>#${HtmlUtil.escape(issue.anchor)}</code>${times}`;
+            actions = action('suggest', `Link to ${issue.suggestion}`);
+        } else {
+            text = `No page links to <strong>${page}</strong> (${href})`;
+            actions = action('nav', 'Add to navigation');
+        }
+
+        return `
+            <div class="link-check-issue">
+                <p>${text}</p>
+                <div class="link-check-actions">${actions}</div>
+            </div>
+        `;
+    }
+}
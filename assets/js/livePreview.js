@@ -0,0 +1,302 @@
+import { dataManager } from './dataManager.js';
+import { templateRenderer, TemplateRenderer, DEFAULT_ERROR_POLICY } from './templateRenderer.js';
+import { BindingUtil } from './utils/binding.js';
+import { HtmlUtil } from './utils/html.js';
+
+// Marks data-bound regions in renders meant for the editor
+const REGION_ATTRIBUTE = 'data-jinja-region';
+const REGION_MARKER = / data-jinja-region="\d+"/g;
+
+/**
+ * LivePreviewManager
+ * Re-renders the data-bound regions of the open editor in place whenever the
+ * DataManager record changes, instead of rebuilding the editor, so switching
+ * records is quick and edits elsewhere on the page survive. Also offers
+ * previous/next record buttons and a side-by-side comparison of one page
+ * rendered with two records.
+ */
+export class LivePreviewManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns the templates and the editor
+     */
+    constructor(generatorManager) {
+        this.generatorManager = generatorManager;
+        // {data, updated} of the last refresh, for applySelectedData
+        this.lastRefresh = null;
+
+        dataManager.onChange((data, fileName) => this.refresh(data, fileName));
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const dropdown = document.getElementById('jsonDataDropdown');
+        dropdown?.addEventListener('change', () => {
+            if (dropdown.value && document.getElementById('liveDataToggle')?.checked) {
+                this.generatorManager.applySelectedData();
+            }
+        });
+        document.getElementById('prevDataRecordBtn')?.addEventListener('click', () => this.step(-1));
+        document.getElementById('nextDataRecordBtn')?.addEventListener('click', () => this.step(1));
+
+        document.getElementById('compareDataBtn')?.addEventListener('click', () => this.openCompare());
+        document.getElementById('dataCompareClose')?.addEventListener('click', () => this.closeCompare());
+        document.getElementById('dataCompareModal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'dataCompareModal') this.closeCompare();
+        });
+        ['compareRecordA', 'compareRecordB', 'comparePage'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.renderCompare());
+        });
+    }
+
+    /**
+     * Hook: return false while the canvas shows something other than the
+     * rendered site (set by the app)
+     * @returns {boolean} True if the editor may be updated
+     */
+    canUpdate() {
+        return true;
+    }
+
+    /**
+     * Hook: the record as the open pages show it, e.g. with another
+     * language's strings (set by the app)
+     * @param {Object} data - Record
+     * @returns {Object} Record to render
+     */
+    prepareData(data) {
+        return data;
+    }
+
+    // ─────────────────────────────────────────────
+    //  In-place refresh
+    // ─────────────────────────────────────────────
+
+    /**
+     * Tag the data-bound regions of every page once the editor has loaded,
+     * so record switches can update them in place from the first one on
+     */
+    tagRegions() {
+        const gen = this.generatorManager;
+        const htmlEditor = gen.htmlEditor;
+        if (!this._canRefresh()) return;
+
+        const record = this.prepareData(dataManager.getCurrentData() || {});
+        for (const pageName of htmlEditor.pageOrder) {
+            const template = gen.jinjaTemplates[pageName];
+            if (!template) continue;
+
+            const marked = BindingUtil.markRegions(template.jinja || template.html || '', REGION_ATTRIBUTE);
+            if (marked.wholePage || marked.regions === 0) continue;
+
+            // Region positions don't depend on the record, so any record that renders will do
+            const { pages } = templateRenderer.tryRenderPages({ [pageName]: { ...template, jinja: marked.template } }, record);
+            if (pages[pageName]) htmlEditor.tagRegionsByPosition(pageName, pages[pageName].html, REGION_ATTRIBUTE);
+        }
+    }
+
+    /**
+     * Whether the open editor shows a record that was just loaded: updated in
+     * place by refresh(), or left alone on purpose while canUpdate() is false
+     * @param {Object} data - Record
+     * @returns {boolean} False when the caller has to render the pages itself
+     */
+    showsRecord(data) {
+        if (this.lastRefresh?.data !== data) return false;
+        return this.lastRefresh.updated || (!!this.generatorManager.htmlEditor?.editor && !this.canUpdate());
+    }
+
+    /**
+     * Re-render every page's data-bound regions with a record. Regions are
+     * tagged when the editor loads; a page whose regions can't be found any
+     * more is tagged again from the new render, and only replaced as a whole
+     * when its structure no longer matches the template. Pages that fail to
+     * render follow their error policy, as in TemplateRenderer.renderPages.
+     * @param {Object} data - New record
+     * @param {string|null} fileName - Source id of the record
+     * @returns {boolean} True if the open editor was updated
+     */
+    refresh(data, fileName = null) {
+        const updated = this._refresh(data, fileName);
+        this.lastRefresh = { data, updated };
+        return updated;
+    }
+
+    _canRefresh() {
+        const gen = this.generatorManager;
+        const htmlEditor = gen.htmlEditor;
+        return !!gen.jinjaTemplates && !!templateRenderer.env && !!htmlEditor?.editor && htmlEditor.isMultiPageMode
+            && this.canUpdate();
+    }
+
+    _refresh(data, fileName) {
+        const gen = this.generatorManager;
+        const htmlEditor = gen.htmlEditor;
+        if (!this._canRefresh()) return false;
+
+        const started = performance.now();
+        const record = this.prepareData(data);
+        const rendered = {};
+        const wholePages = {};
+        const errors = {};
+        let regionsUpdated = 0;
+
+        for (const pageName of htmlEditor.pageOrder) {
+            const template = gen.jinjaTemplates[pageName];
+            if (!template) continue;
+
+            const marked = BindingUtil.markRegions(template.jinja || template.html || '', REGION_ATTRIBUTE);
+            const { pages, errors: pageErrors } = templateRenderer.tryRenderPages(
+                { [pageName]: { ...template, jinja: marked.template } },
+                record
+            );
+            const error = pageErrors[pageName];
+            if (error) {
+                errors[pageName] = { ...error, policy: template.onError || DEFAULT_ERROR_POLICY };
+                console.warn(`Live preview could not render ${pageName}: ${TemplateRenderer.formatError(error)}`);
+            } else {
+                rendered[pageName] = { page: pages[pageName], marked };
+            }
+        }
+
+        // Same policies as renderPages: a "fail" page stops the whole record from being shown
+        templateRenderer.setErrors(errors);
+        if (Object.values(errors).some(error => error.policy === 'fail')) {
+            console.warn('Live preview: a page set to fail did not render, the editor is unchanged');
+            return false;
+        }
+
+        for (const [pageName, error] of Object.entries(errors)) {
+            const lastGood = error.policy === 'last-good' && templateRenderer.lastGood[pageName];
+            wholePages[pageName] = lastGood
+                || { html: templateRenderer.placeholderHtml(error), css: gen.jinjaTemplates[pageName].css || '' };
+        }
+
+        for (const [pageName, { page, marked }] of Object.entries(rendered)) {
+            templateRenderer.lastGood[pageName] = { ...page, html: page.html.replace(REGION_MARKER, '') };
+
+            const inPlace = !marked.wholePage && (
+                htmlEditor.replaceRegions(pageName, page.html, REGION_ATTRIBUTE)
+                || (htmlEditor.tagRegionsByPosition(pageName, page.html, REGION_ATTRIBUTE)
+                    && htmlEditor.replaceRegions(pageName, page.html, REGION_ATTRIBUTE))
+            );
+            if (inPlace) {
+                regionsUpdated += marked.regions;
+            } else {
+                if (!marked.wholePage) console.warn(`Live preview: ${pageName} no longer matches its template, replacing the whole page`);
+                wholePages[pageName] = page;
+            }
+        }
+
+        if (Object.keys(wholePages).length > 0) {
+            htmlEditor.updatePages(wholePages);
+            Object.keys(wholePages).forEach(pageName => htmlEditor.tagRegions(pageName, REGION_ATTRIBUTE));
+        }
+
+        gen.generatedPages = htmlEditor.getAllPages();
+
+        const currentDataName = document.getElementById('currentDataName');
+        if (currentDataName && fileName) {
+            currentDataName.textContent = dataManager.getDisplayName(fileName);
+        }
+
+        const elapsed = Math.round(performance.now() - started);
+        console.log(`⚡ Live preview: ${regionsUpdated} regions, ${Object.keys(wholePages).length} whole pages in ${elapsed}ms`);
+        return true;
+    }
+
+    /**
+     * Select and apply the previous or next record in the data selector
+     * @param {number} direction - -1 or 1
+     */
+    step(direction) {
+        const dropdown = document.getElementById('jsonDataDropdown');
+        const ids = dataManager.getAvailableFiles();
+        if (!dropdown || ids.length === 0) return;
+
+        const index = ids.indexOf(dropdown.value);
+        const next = index === -1
+            ? (direction > 0 ? 0 : ids.length - 1)
+            : (index + direction + ids.length) % ids.length;
+        dropdown.value = ids[next];
+        this.generatorManager.applySelectedData();
+    }
+
+    // ─────────────────────────────────────────────
+    //  Side-by-side comparison
+    // ─────────────────────────────────────────────
+
+    openCompare() {
+        const gen = this.generatorManager;
+        const modal = document.getElementById('dataCompareModal');
+        if (!modal) return;
+
+        if (!gen.jinjaTemplates) {
+            alert('No Jinja templates available. Please generate a website first.');
+            return;
+        }
+
+        const sources = dataManager.getSources();
+        if (sources.length < 2) {
+            alert('Add at least two data records to compare.');
+            return;
+        }
+
+        const options = sources
+            .map(source => `<option value="${HtmlUtil.escape(source.id)}">${HtmlUtil.escape(source.name)}</option>`)
+            .join('');
+        const selectA = document.getElementById('compareRecordA');
+        const selectB = document.getElementById('compareRecordB');
+        const current = dataManager.getCurrentFileName() || sources[0].id;
+        selectA.innerHTML = options;
+        selectB.innerHTML = options;
+        selectA.value = current;
+        selectB.value = sources.find(source => source.id !== current)?.id;
+
+        const order = (gen.htmlEditor?.pageOrder?.length ? gen.htmlEditor.pageOrder : Object.keys(gen.jinjaTemplates))
+            .filter(name => gen.jinjaTemplates[name]);
+        const pageSelect = document.getElementById('comparePage');
+        pageSelect.innerHTML = order
+            .map(name => `<option value="${HtmlUtil.escape(name)}">${HtmlUtil.escape(gen.formatPageName(name))}</option>`)
+            .join('');
+        if (order.includes(gen.htmlEditor?.currentPageName)) {
+            pageSelect.value = gen.htmlEditor.currentPageName;
+        }
+
+        modal.style.display = 'flex';
+        this.renderCompare();
+    }
+
+    async renderCompare() {
+        const gen = this.generatorManager;
+        const pageName = document.getElementById('comparePage')?.value;
+        const template = gen.jinjaTemplates?.[pageName];
+        if (!template) return;
+
+        for (const side of ['A', 'B']) {
+            const id = document.getElementById(`compareRecord${side}`)?.value;
+            const frame = document.getElementById(`compareFrame${side}`);
+            const caption = document.getElementById(`compareCaption${side}`);
+            if (!id || !frame) continue;
+
+            try {
+                const data = await dataManager.getRecord(id);
+                const { pages, errors } = templateRenderer.tryRenderPages({ [pageName]: template }, data);
+                if (errors[pageName]) throw new Error(TemplateRenderer.formatError(errors[pageName]));
+                frame.srcdoc = gen.createFullHTML(pages[pageName].html, pages[pageName].css);
+                if (caption) caption.textContent = '';
+            } catch (error) {
+                frame.srcdoc = '';
+                if (caption) caption.textContent = `Could not render: ${error.message}`;
+            }
+        }
+    }
+
+    closeCompare() {
+        const modal = document.getElementById('dataCompareModal');
+        if (modal) modal.style.display = 'none';
+        ['A', 'B'].forEach(side => {
+            const frame = document.getElementById(`compareFrame${side}`);
+            if (frame) frame.srcdoc = '';
+        });
+    }
+}
@@ -2,6 +2,25 @@ import { UIManager } from './ui.js';
 import { GrapesJSEditor } from './editor.js';
 import { WebsiteGeneratorManager } from './websiteGenerator.js';
 import { WebsiteUpdaterManager } from './websiteUpdater.js';
+import { ProjectManager } from './projectManager.js';
+import { SettingsManager } from './settings.js';
+import { LandingPageManager } from './landingPage.js';
+import { SharedTemplateManager } from './sharedTemplateManager.js';
+import { PageManager } from './pageManager.js';
+import { LinkCheckerManager } from './linkChecker.js';
+import { ExportManager } from './exportManager.js';
+import { BulkRenderManager } from './bulkRender.js';
+import { DataEditorManager } from './dataEditor.js';
+import { DataValidationManager } from './dataValidator.js';
+import { BindingPanelManager } from './bindingPanel.js';
+import { LivePreviewManager } from './livePreview.js';
+import { SafeModeManager } from './safeMode.js';
+import { RenderProblemsManager } from './renderProblems.js';
+import { I18nManager } from './i18n.js';
+import { AccessibilityManager } from './accessibility.js';
+import { templateRenderer } from './templateRenderer.js';
+import { apiService } from './services/api.js';
+import { backendConfig } from './services/config.js';
 
 class App {
     constructor() {
@@ -9,24 +28,190 @@ class App {
         this.editor = null;
         this.websiteGenerator = null;
         this.websiteUpdater = null;
+        this.projectManager = null;
+        this.settings = null;
+        this.landingPage = null;
+        this.sharedTemplateManager = null;
+        this.pageManager = null;
+        this.linkChecker = null;
+        this.exportManager = null;
+        this.bulkRender = null;
+        this.dataEditor = null;
+        this.dataValidator = null;
+        this.bindingPanel = null;
+        this.livePreview = null;
+        this.safeMode = null;
+        this.renderProblems = null;
+        this.i18n = null;
+        this.accessibility = null;
     }
     async init() {
         try {
+            // {% include %} needs the partials library before anything renders
+            await templateRenderer.partialsReady;
+
             this.ui = new UIManager();
+            this.settings = new SettingsManager();
             this.editor = new GrapesJSEditor();
 
+            // Opt-in safe mode: escaped data, sanitized AI HTML in the editor and chats
+            this.safeMode = new SafeModeManager(this.editor);
+
+
 
+            // Template gallery — the selected template is the generation style reference
+            this.sharedTemplateManager = new SharedTemplateManager();
 
-            this.websiteGenerator = new WebsiteGeneratorManager(this.editor);
+            this.websiteGenerator = new WebsiteGeneratorManager(this.editor, this.sharedTemplateManager);
 
             // Create the updater — it reads/writes pages via the generator reference
             this.websiteUpdater = new WebsiteUpdaterManager(this.websiteGenerator);
 
+            // Hook: chat text and proposed pages from the backend go through safe mode
+            this.websiteGenerator.sanitizeHtml = (html, source) => this.safeMode.sanitizeHtml(html, source);
+            this.websiteUpdater.sanitizeHtml = (html, source) => this.safeMode.sanitizeHtml(html, source);
+            this.websiteUpdater.sanitizePages = (pages, source) => this.safeMode.sanitizePages(pages, source);
+
+            // Single-page landing flow shares the same editor
+            this.landingPage = new LandingPageManager(this.editor);
+            this.landingPage.releaseEditor = () => {
+                if (this.editor.isMultiPageMode && this.editor.editor) {
+                    this.websiteGenerator.generatedPages = this.editor.getAllPages();
+                }
+            };
+
+            // Hook: the multi-page site takes the editor back from the landing page
+            const originalDisplay = this.websiteGenerator.displayMultiPageEditor.bind(this.websiteGenerator);
+            this.websiteGenerator.displayMultiPageEditor = (...args) => {
+                this.landingPage.ownsEditor = false;
+                this.linkChecker?.activate();
+                this.bulkRender?.activate();
+                // Anything that replaces the canvas ends template mode (edits are kept)
+                this.bindingPanel?.leave();
+                this.bindingPanel?.activate();
+                this.renderProblems?.activate();
+                this.i18n?.activate();
+                this.accessibility?.activate();
+                return originalDisplay(...args);
+            };
+
+            // Add / rename / duplicate / reorder / delete pages from the page navigator
+            this.pageManager = new PageManager(this.websiteGenerator);
+
+            // Broken link / orphan page report and shared navigation rebuild
+            this.linkChecker = new LinkCheckerManager(this.websiteGenerator, this.pageManager);
+
+            // Static-site ZIP export (top bar button)
+            this.exportManager = new ExportManager(this.websiteGenerator);
+
+            // One site per CSV/JSON record, downloaded as a ZIP of folders
+            this.bulkRender = new BulkRenderManager(this.websiteGenerator);
+
+            // Create, edit, upload or paste data records for the data selector
+            this.dataEditor = new DataEditorManager(this.websiteGenerator);
+
+            // Template variable coverage and schema checks, outlined in the canvas
+            this.dataValidator = new DataValidationManager(this.websiteGenerator);
+
+            // Template mode: Jinja variables as chips in the canvas, drag fields to bind
+            this.bindingPanel = new BindingPanelManager(this.websiteGenerator);
+
+            // Record switches re-render bound regions in place; side-by-side record comparison
+            this.livePreview = new LivePreviewManager(this.websiteGenerator);
+            this.livePreview.canUpdate = () => !this.bindingPanel.active && this.i18n.canRenderTemplates();
+            this.livePreview.prepareData = (data) => this.i18n.localizeData(data);
+            this.websiteGenerator.editorShowsRecord = (data) => this.livePreview.showsRecord(data);
+            this.editor.onEditorReady = () => this.livePreview.tagRegions();
+
+            // Render errors with line numbers, and per-page handling of failed pages
+            this.renderProblems = new RenderProblemsManager(this.websiteGenerator);
+
+            // Per-language copies of the site with hreflang links and a language switcher
+            this.i18n = new I18nManager(this.websiteGenerator);
+            this.i18n.sanitizePages = (pages, source) => this.safeMode.sanitizePages(pages, source);
+            this.i18n.canSwitch = () => {
+                if (!this.bindingPanel.active) return true;
+                alert('Leave template mode (Bind tab) before switching languages.');
+                return false;
+            };
+
+            // Hook: the language switcher sits at the end of the page navigator
+            const originalNavigator = this.editor.renderPageNavigator.bind(this.editor);
+            this.editor.renderPageNavigator = (...args) => {
+                originalNavigator(...args);
+                this.i18n.renderSwitcher();
+            };
+
+            // Hook: template mode edits the default language's templates
+            const originalEnter = this.bindingPanel.enter.bind(this.bindingPanel);
+            this.bindingPanel.enter = (...args) => {
+                if (!this.i18n.isDefaultLocale()) {
+                    alert('Template mode edits the default language. Switch to it in the page navigator first.');
+                    return;
+                }
+                return originalEnter(...args);
+            };
+
+            // Hook: only the default language is written to the backend folder
+            this.websiteUpdater.saveFolder = () => (this.i18n.isDefaultLocale() ? this.websiteGenerator.folderPath || null : null);
+            const originalSaveToFolder = this.pageManager.saveToFolder.bind(this.pageManager);
+            this.pageManager.saveToFolder = (...args) => (this.i18n.isDefaultLocale() ? originalSaveToFolder(...args) : Promise.resolve());
+
+            // Alt text, contrast, headings, labels, link text and landmarks, with AI fixes per finding
+            this.accessibility = new AccessibilityManager(this.websiteGenerator);
+            this.accessibility.requestUpdate = (request, options) => this.websiteUpdater.sendRequest(request, options);
+
+            this.editor.onCanvasLoad = (doc) => {
+                this.dataValidator.highlight(doc);
+                this.bindingPanel.decorateCanvas(doc);
+                this.accessibility.highlight(doc);
+            };
+
+            // Hook: validate the selected record before it is applied
+            const originalApply = this.websiteGenerator.applySelectedData.bind(this.websiteGenerator);
+            this.websiteGenerator.applySelectedData = async (...args) => {
+                this.bindingPanel.leave();
+                if (!(await this.dataValidator.confirmBeforeApply())) return;
+                return originalApply(...args);
+            };
+
+            // Persists generated sites and restores them from the sidebar
+            this.projectManager = new ProjectManager(this.websiteGenerator, this.websiteUpdater);
+
+            // Hook: a fresh (non follow-up) generation starts a new project
+            const originalStart = this.websiteGenerator.startWebsiteGeneration.bind(this.websiteGenerator);
+            this.websiteGenerator.startWebsiteGeneration = (isFollowUp = false) => {
+                if (!isFollowUp) this.projectManager.startNewProject();
+                return originalStart(isFollowUp);
+            };
+
             // Hook: activate the Update tab once generation finishes
             const originalOnComplete = this.websiteGenerator.onGenerationComplete.bind(this.websiteGenerator);
             this.websiteGenerator.onGenerationComplete = (data) => {
                 originalOnComplete(data);
                 this.websiteUpdater.activate();
+                this.projectManager.saveCurrentProject();
+            };
+
+            // Hook: snapshot the project when a page's render error policy changes
+            this.renderProblems.onPolicyChanged = () => {
+                this.projectManager.saveCurrentProject();
+            };
+
+            // Hook: snapshot the project after languages are built, switched or removed
+            this.i18n.onLocalesChanged = () => {
+                this.projectManager.saveCurrentProject();
+            };
+
+            // Hook: snapshot the project after the page set changes (in every language)
+            this.pageManager.onPagesChanged = () => {
+                this.i18n.syncPageSet();
+                this.projectManager.saveCurrentProject();
+            };
+
+            // Hook: snapshot the project after every applied update
+            this.websiteUpdater.onUpdateApplied = () => {
+                this.projectManager.saveCurrentProject();
             };
 
             this.setupPublishButton();
@@ -41,7 +226,17 @@ class App {
         mainTabButtons.forEach(button => {
             button.addEventListener('click', () => {
                 const context = button.getAttribute('data-maintab');
-                if (context === 'website') {
+                if (context === 'landing') {
+                    // The update panel sits outside sidebar-content, so hide it explicitly
+                    this.websiteUpdater._hideUpdatePanel();
+                    if (this.landingPage.html && !this.landingPage.ownsEditor) {
+                        this.landingPage.openInEditor();
+                    }
+                } else if (context === 'website') {
+                    if (this.landingPage.ownsEditor && this.websiteGenerator.generatedPages) {
+                        this.landingPage.captureEdits();
+                        this.websiteGenerator.displayMultiPageEditor(this.websiteGenerator.generatedPages);
+                    }
                     this.sharedTemplateManager.setContext(context);
                 }
             });
@@ -56,13 +251,15 @@ class App {
         if (publishBtn) {
             publishBtn.addEventListener('click', () => {
                 // Multi-page website context
-                if (this.websiteGenerator && this.websiteGenerator.folderPath) {
+                if (backendConfig.isMockActive()) {
+                    alert('Show In Browser needs a live backend. Switch profiles in Backend Settings.');
+                } else if (this.websiteGenerator && this.websiteGenerator.folderPath) {
                     // Extract folder name from full path
                     const folderPath = this.websiteGenerator.folderPath;
                     const folderName = folderPath.split(/[\\/]/).pop(); // Get last part of path
 
-                    // Construct URL to backend serve endpoint
-                    const publishUrl = `http://localhost:8000/api/serve-website/${folderName}`;
+                    // Construct URL to backend serve endpoint (active backend profile)
+                    const publishUrl = apiService.getServeWebsiteUrl(folderName);
 
                     // Open in new tab
                     window.open(publishUrl, '_blank');
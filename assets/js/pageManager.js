@@ -0,0 +1,461 @@
+import { apiService } from './services/api.js';
+import { LinkUtil } from './utils/links.js';
+
+/**
+ * PageManager
+ * Add, rename, duplicate, reorder and delete pages of a generated website.
+ * Keeps generatedPages, jinjaTemplates, savedFiles and the page order in sync,
+ * rewrites internal links on rename and writes the result to folder_path.
+ */
+export class PageManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns the website state
+     */
+    constructor(generatorManager) {
+        this.generatorManager = generatorManager;
+        this.isBusy = false;
+
+        this.init();
+    }
+
+    init() {
+        const editor = this.generatorManager.htmlEditor;
+        if (editor) {
+            editor.onPageAction = (action, pageName, details) => this.handleAction(action, pageName, details);
+        }
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('addPageClose')?.addEventListener('click', () => this.closeAddDialog());
+        document.getElementById('addPageCancelBtn')?.addEventListener('click', () => this.closeAddDialog());
+        document.getElementById('addPageCreateBtn')?.addEventListener('click', () => this.submitAddDialog());
+        document.getElementById('addPageModal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'addPageModal') this.closeAddDialog();
+        });
+
+        document.querySelectorAll('input[name="addPageMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this._updateAddDialogMode());
+        });
+    }
+
+    /**
+     * Hook called after the page set changed (overridden by the app)
+     */
+    onPagesChanged() { }
+
+    async handleAction(action, pageName, details = {}) {
+        if (this.isBusy) return;
+
+        switch (action) {
+            case 'add':
+                this.openAddDialog();
+                break;
+            case 'rename': {
+                const newName = prompt('New page name:', this.generatorManager.formatPageName(pageName));
+                if (newName !== null) await this.renamePage(pageName, newName);
+                break;
+            }
+            case 'duplicate':
+                await this.duplicatePage(pageName);
+                break;
+            case 'delete':
+                await this.deletePage(pageName);
+                break;
+            case 'reorder':
+                await this.movePage(pageName, details.before ?? null);
+                break;
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  Naming helpers
+    // ─────────────────────────────────────────────
+
+    /**
+     * Turn a display name into a page key ('Our Story' -> 'our_story')
+     * @param {string} name - Display name
+     * @returns {string} Page key
+     */
+    toPageKey(name) {
+        return (name || '')
+            .trim()
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Validate a new page key against the existing pages
+     * @param {string} key - Page key
+     * @param {string|null} ignore - Key that may be reused (the page being renamed)
+     */
+    _assertAvailable(key, ignore = null) {
+        if (!key) {
+            throw new Error('Page name must contain letters or numbers');
+        }
+        if (key !== ignore && this.getPages()[key]) {
+            throw new Error(`A page named "${key}" already exists`);
+        }
+    }
+
+    _fileFor(key) {
+        return `${key}.html`;
+    }
+
+    /**
+     * Point links at a page's new file, in both the rendered pages and the Jinja templates
+     * @param {Object} pages - {pageName: {html, css}}
+     * @param {string} oldFile - Previous file name
+     * @param {string} newFile - New file name
+     * @returns {Object} Pages with rewritten links
+     */
+    _retargetLinks(pages, oldFile, newFile) {
+        const gen = this.generatorManager;
+        for (const template of Object.values(gen.jinjaTemplates || {})) {
+            if (template.jinja) template.jinja = LinkUtil.renameTarget(template.jinja, oldFile, newFile);
+            if (template.html) template.html = LinkUtil.renameTarget(template.html, oldFile, newFile);
+        }
+
+        const result = {};
+        for (const [name, page] of Object.entries(pages)) {
+            result[name] = { ...page, html: LinkUtil.renameTarget(page.html, oldFile, newFile) };
+        }
+        return result;
+    }
+
+    _uniqueKey(base) {
+        const pages = this.getPages();
+        let key = base;
+        for (let i = 2; pages[key]; i++) {
+            key = `${base}_${i}`;
+        }
+        return key;
+    }
+
+    // ─────────────────────────────────────────────
+    //  State helpers
+    // ─────────────────────────────────────────────
+
+    /**
+     * Latest pages, including canvas edits
+     * @returns {Object} {pageName: {html, css}}
+     */
+    getPages() {
+        const gen = this.generatorManager;
+        const editorPages = gen.htmlEditor?.getAllPages?.();
+        if (editorPages && Object.keys(editorPages).length > 0) return editorPages;
+        return gen.generatedPages || {};
+    }
+
+    getOrder() {
+        const editor = this.generatorManager.htmlEditor;
+        if (editor?.pageOrder?.length) return [...editor.pageOrder];
+        return Object.keys(this.generatorManager.generatedPages || {});
+    }
+
+    /**
+     * Store the new page set, rebuild the editor and persist
+     * @param {Object} pages - {pageName: {html, css}}
+     * @param {Array} order - Page order
+     * @param {string|null} currentPage - Page to show after the rebuild
+     * @param {Array} deletedFiles - Files to remove from folder_path
+     */
+    async commitPages(pages, order, currentPage, deletedFiles = []) {
+        const gen = this.generatorManager;
+        gen.generatedPages = pages;
+        gen.pageOrder = order.filter(name => pages[name]);
+
+        // Drop bookkeeping for pages that no longer exist
+        for (const map of [gen.savedFiles, gen.jinjaTemplates]) {
+            if (!map) continue;
+            for (const name of Object.keys(map)) {
+                if (!pages[name]) delete map[name];
+            }
+        }
+
+        gen.displayMultiPageEditor(pages, currentPage);
+        await this.saveToFolder(deletedFiles);
+        this.onPagesChanged();
+    }
+
+    /**
+     * Write the page set to the backend folder, if the site has one
+     * @param {Array} deletedFiles - Files to remove
+     */
+    async saveToFolder(deletedFiles = []) {
+        const gen = this.generatorManager;
+        if (!gen.folderPath) return;
+
+        try {
+            const result = await apiService.saveWebsite(gen.folderPath, gen.generatedPages, gen.savedFiles, deletedFiles);
+            if (result?.saved_files) {
+                gen.savedFiles = { ...gen.savedFiles, ...result.saved_files };
+            }
+            console.log(`💾 Saved ${Object.keys(gen.generatedPages).length} pages to ${gen.folderPath}`);
+        } catch (error) {
+            console.error('Error saving pages to folder:', error);
+            alert(`Pages were changed in the editor but could not be saved to disk: ${error.message}`);
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  Operations
+    // ─────────────────────────────────────────────
+
+    /**
+     * Add a page after the current one
+     * @param {string} key - Page key
+     * @param {Object} pageData - {html, css}
+     * @param {Object} jinjaData - Jinja template for the page (defaults to the HTML)
+     */
+    async addPage(key, pageData, jinjaData = null) {
+        const gen = this.generatorManager;
+        const pages = { ...this.getPages(), [key]: pageData };
+        const order = this.getOrder();
+        const current = gen.htmlEditor?.currentPageName;
+        const index = order.indexOf(current);
+        order.splice(index === -1 ? order.length : index + 1, 0, key);
+
+        gen.savedFiles = { ...(gen.savedFiles || {}), [key]: this._fileFor(key) };
+        if (gen.jinjaTemplates) {
+            gen.jinjaTemplates[key] = jinjaData || { jinja: pageData.html, css: pageData.css || '' };
+        }
+
+        await this.commitPages(pages, order, key);
+    }
+
+    async duplicatePage(pageName) {
+        const gen = this.generatorManager;
+        const source = this.getPages()[pageName];
+        if (!source) return;
+
+        const key = this._uniqueKey(`${pageName}_copy`);
+        const jinja = gen.jinjaTemplates?.[pageName];
+        await this.addPage(key, { ...source }, jinja ? { ...jinja } : null);
+    }
+
+    async renamePage(oldKey, newName) {
+        const gen = this.generatorManager;
+        const newKey = this.toPageKey(newName);
+        if (newKey === oldKey) return;
+
+        try {
+            this._assertAvailable(newKey, oldKey);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        const oldFile = gen.savedFiles?.[oldKey] || this._fileFor(oldKey);
+        // The entry page keeps its index.html
+        const newFile = oldFile === 'index.html' ? oldFile : this._fileFor(newKey);
+
+        const rename = (map) => {
+            const result = {};
+            for (const [name, value] of Object.entries(map)) {
+                result[name === oldKey ? newKey : name] = value;
+            }
+            return result;
+        };
+
+        if (gen.jinjaTemplates) gen.jinjaTemplates = rename(gen.jinjaTemplates);
+        const pages = this._retargetLinks(rename(this.getPages()), oldFile, newFile);
+        gen.savedFiles = { ...rename(gen.savedFiles || {}), [newKey]: newFile };
+
+        const order = this.getOrder().map(name => (name === oldKey ? newKey : name));
+        await this.commitPages(pages, order, newKey, oldFile === newFile ? [] : [oldFile]);
+    }
+
+    async deletePage(pageName) {
+        const gen = this.generatorManager;
+        const pages = this.getPages();
+        if (Object.keys(pages).length <= 1) {
+            alert('A website needs at least one page.');
+            return;
+        }
+
+        const file = gen.savedFiles?.[pageName] || this._fileFor(pageName);
+        const order = this.getOrder().filter(name => name !== pageName);
+        // The site must keep an index.html: the first remaining page takes it over,
+        // so links to the home page keep working
+        const entry = file === 'index.html' ? order[0] : null;
+        const linking = entry ? [] : Object.entries(pages)
+            .filter(([name, page]) => name !== pageName && LinkUtil.renameTarget(page.html, file, '__deleted__.html') !== page.html)
+            .map(([name]) => gen.formatPageName(name));
+
+        let warning = linking.length > 0
+            ? `\n\nThese pages link to it and will have broken links: ${linking.join(', ')}`
+            : '';
+        if (entry) warning += `\n\n"${gen.formatPageName(entry)}" becomes the home page (index.html).`;
+        if (!confirm(`Delete the "${gen.formatPageName(pageName)}" page?${warning}`)) return;
+
+        let remaining = { ...pages };
+        delete remaining[pageName];
+        let deletedFiles = [file];
+        if (entry) {
+            const entryFile = gen.savedFiles?.[entry] || this._fileFor(entry);
+            remaining = this._retargetLinks(remaining, entryFile, 'index.html');
+            gen.savedFiles = { ...(gen.savedFiles || {}), [entry]: 'index.html' };
+            // index.html is rewritten with the new entry page, so only its old file goes
+            deletedFiles = entryFile === 'index.html' ? [] : [entryFile];
+        }
+        await this.commitPages(remaining, order, order[0], deletedFiles);
+    }
+
+    /**
+     * Move a page in the navigation order
+     * @param {string} pageName - Page to move
+     * @param {string|null} before - Page to insert before, or null for the end
+     */
+    async movePage(pageName, before) {
+        if (before === pageName) return;
+
+        const order = this.getOrder().filter(name => name !== pageName);
+        const index = before ? order.indexOf(before) : -1;
+        order.splice(index === -1 ? order.length : index, 0, pageName);
+
+        if (order.join() === this.getOrder().join()) return;
+        await this.commitPages(this.getPages(), order, pageName);
+    }
+
+    // ─────────────────────────────────────────────
+    //  Add page dialog (blank or AI-generated)
+    // ─────────────────────────────────────────────
+
+    openAddDialog() {
+        const modal = document.getElementById('addPageModal');
+        if (!modal) return;
+
+        const nameInput = document.getElementById('addPageName');
+        const promptInput = document.getElementById('addPagePrompt');
+        if (nameInput) nameInput.value = '';
+        if (promptInput) promptInput.value = '';
+        const blank = document.querySelector('input[name="addPageMode"][value="blank"]');
+        if (blank) blank.checked = true;
+
+        this._updateAddDialogMode();
+        this._setAddDialogMessage('');
+        modal.style.display = 'flex';
+        nameInput?.focus();
+    }
+
+    closeAddDialog() {
+        if (this.isBusy) return;
+        const modal = document.getElementById('addPageModal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    _updateAddDialogMode() {
+        const mode = document.querySelector('input[name="addPageMode"]:checked')?.value || 'blank';
+        const promptGroup = document.getElementById('addPagePromptGroup');
+        if (promptGroup) promptGroup.style.display = mode === 'ai' ? 'block' : 'none';
+    }
+
+    async submitAddDialog() {
+        const name = document.getElementById('addPageName')?.value || '';
+        const mode = document.querySelector('input[name="addPageMode"]:checked')?.value || 'blank';
+        const pagePrompt = document.getElementById('addPagePrompt')?.value.trim() || '';
+        const key = this.toPageKey(name);
+
+        try {
+            this._assertAvailable(key);
+            if (mode === 'ai' && pagePrompt.length < 5) {
+                throw new Error('Describe the page in at least 5 characters');
+            }
+        } catch (error) {
+            this._setAddDialogMessage(error.message, true);
+            return;
+        }
+
+        this.isBusy = true;
+        this._setAddDialogBusy(true);
+        try {
+            const pageData = mode === 'ai'
+                ? await this.generatePage(key, pagePrompt)
+                : this.createBlankPage(key);
+            this.isBusy = false;
+            this.closeAddDialog();
+            await this.addPage(key, pageData);
+        } catch (error) {
+            console.error('Error adding page:', error);
+            this._setAddDialogMessage(`Could not create the page: ${error.message}`, true);
+        } finally {
+            this.isBusy = false;
+            this._setAddDialogBusy(false);
+        }
+    }
+
+    /**
+     * The first page's head, header and footer, used as the frame for new pages
+     * @returns {Object} {html, header, footer}
+     */
+    _getSiteFrame() {
+        const pages = this.getPages();
+        const first = pages[this.getOrder()[0]] || Object.values(pages)[0];
+        const html = first?.html || '';
+        return {
+            html,
+            header: html.match(/<header[\s\S]*?<\/header>/i)?.[0] || '',
+            footer: html.match(/<footer[\s\S]*?<\/footer>/i)?.[0] || ''
+        };
+    }
+
+    /**
+     * A page with the site's shared header and footer and an empty section
+     * @param {string} key - Page key
+     * @returns {Object} {html, css}
+     */
+    createBlankPage(key) {
+        const title = this.generatorManager.formatPageName(key);
+        const { html, header, footer } = this._getSiteFrame();
+        const body = `${header}
+<section>
+    <h1>${title}</h1>
+    <p>Start editing this page.</p>
+</section>
+${footer}`;
+
+        // Reuse the first page's document so head tags and attributes carry over,
+        // but not that page's own CSS
+        const pageHtml = html.includes('<body')
+            ? html.replace(/(<body[^>]*>)[\s\S]*(<\/body>)/i, (match, open, close) => `${open}\n${body}\n${close}`)
+                .replace(/<title>[^<]*<\/title>/i, () => `<title>${title}</title>`)
+                .replace(/<style data-css="page">[\s\S]*?<\/style>/i, '')
+            : body;
+        return { html: pageHtml, css: '' };
+    }
+
+    /**
+     * Ask the backend to turn a copy of the home page into a new page
+     * @param {string} key - Page key
+     * @param {string} pagePrompt - What the page should contain
+     * @returns {Promise<Object>} {html, css}
+     */
+    async generatePage(key, pagePrompt) {
+        const title = this.generatorManager.formatPageName(key);
+        const base = this.createBlankPage(key);
+        const result = await apiService.editHTML(
+            base.html,
+            '',
+            `Turn this into the "${title}" page of the website. Keep the existing header, ` +
+            `footer and styling, and replace the main content with: ${pagePrompt}`
+        );
+        return { html: result.html, css: result.css || '' };
+    }
+
+    _setAddDialogBusy(busy) {
+        const btn = document.getElementById('addPageCreateBtn');
+        if (btn) {
+            btn.disabled = busy;
+            btn.textContent = busy ? 'Creating…' : 'Create Page';
+        }
+    }
+
+    _setAddDialogMessage(message, isError = false) {
+        const el = document.getElementById('addPageMessage');
+        if (!el) return;
+        el.textContent = message;
+        el.style.color = isError ? 'var(--error-color)' : 'var(--text-secondary)';
+    }
+}
@@ -0,0 +1,261 @@
+import { projectStore } from './services/projectStore.js';
+import { templateRenderer } from './templateRenderer.js';
+
+/**
+ * ProjectManager
+ * Snapshots the generator/updater state into the project store and renders
+ * the "Recent Projects" list that restores a saved site into the editor.
+ */
+export class ProjectManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - reference to the generator
+     * @param {WebsiteUpdaterManager} updaterManager - reference to the updater
+     */
+    constructor(generatorManager, updaterManager) {
+        this.generatorManager = generatorManager;
+        this.updaterManager = updaterManager;
+        this.currentProjectId = null;
+        this.isRestoring = false;
+
+        this._bindUI();
+        this.renderRecentProjects();
+    }
+
+    _bindUI() {
+        const list = document.getElementById('recentProjectsList');
+        if (!list) return;
+
+        // One delegated listener for open/delete buttons
+        list.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('[data-delete-project]');
+            if (deleteBtn) {
+                e.stopPropagation();
+                this.deleteProject(deleteBtn.getAttribute('data-delete-project'));
+                return;
+            }
+
+            const item = e.target.closest('[data-project-id]');
+            if (item) {
+                this.restoreProject(item.getAttribute('data-project-id'));
+            }
+        });
+    }
+
+    /**
+     * Start a fresh project for the next generation
+     */
+    startNewProject() {
+        this.currentProjectId = null;
+        this.updaterManager?.history.load(null);
+    }
+
+    /**
+     * Build a serializable snapshot of the current generator/updater state
+     * @returns {Object|null} Snapshot or null when nothing was generated
+     */
+    createSnapshot() {
+        const gen = this.generatorManager;
+        if (!gen || !gen.generatedPages) return null;
+
+        // Prefer the editor's copy so canvas edits are captured too
+        let pages = gen.generatedPages;
+        if (gen.htmlEditor && typeof gen.htmlEditor.getAllPages === 'function') {
+            const editorPages = gen.htmlEditor.getAllPages();
+            if (editorPages && Object.keys(editorPages).length > 0) pages = editorPages;
+        }
+
+        return {
+            id: this.currentProjectId || projectStore.createId(),
+            name: this._getProjectName(),
+            description: document.getElementById('websiteDescription')?.value || '',
+            pages,
+            jinjaTemplates: gen.jinjaTemplates,
+            plan: gen.generatedPlan,
+            designSystem: gen.generatedDesignSystem || null,
+            imageUrls: gen.generatedImageUrls,
+            globalCss: gen.globalCss || '',
+            folderPath: gen.folderPath,
+            savedFiles: gen.savedFiles,
+            pageOrder: gen.pageOrder || null,
+            // The open language's latest pages are `pages`
+            i18n: gen.i18n ? { ...gen.i18n, pages: { ...gen.i18n.pages, [gen.i18n.currentLocale]: pages } } : null,
+            threadId: gen.currentThreadId,
+            conversationMessages: gen.conversationMessages || [],
+            updateChatHistory: this.updaterManager?.chatHistory || [],
+            revisions: this.updaterManager?.history.toJSON() || null
+        };
+    }
+
+    _getProjectName() {
+        const plan = this.generatorManager?.generatedPlan;
+        const name = plan?.business_name || plan?.site_name || plan?.name;
+        if (name) return name;
+
+        const description = document.getElementById('websiteDescription')?.value.trim() || '';
+        if (description) {
+            return description.length > 40 ? `${description.substring(0, 40)}…` : description;
+        }
+        return 'Untitled website';
+    }
+
+    /**
+     * Persist the current state (no-op while restoring or if nothing generated)
+     * @returns {Promise<Object|null>} Stored snapshot
+     */
+    async saveCurrentProject() {
+        if (this.isRestoring) return null;
+
+        const snapshot = this.createSnapshot();
+        if (!snapshot) return null;
+
+        try {
+            // Keep the original creation time when re-saving
+            if (this.currentProjectId) {
+                const existing = await projectStore.getProject(this.currentProjectId);
+                if (existing) snapshot.createdAt = existing.createdAt;
+            }
+
+            const saved = await projectStore.saveProject(snapshot);
+            this.currentProjectId = saved.id;
+            console.log(`💾 Project saved: ${saved.name}`);
+            this.renderRecentProjects();
+            return saved;
+        } catch (error) {
+            console.error('Error saving project:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Restore a saved project into the generator, editor and Update tab
+     * @param {string} id - Project id
+     */
+    async restoreProject(id) {
+        const gen = this.generatorManager;
+        if (!gen) return;
+
+        if (gen.isGenerating || this.updaterManager?.isUpdating) {
+            alert('Please wait for the current generation or update to finish.');
+            return;
+        }
+
+        try {
+            const project = await projectStore.getProject(id);
+            if (!project) {
+                alert('This project could not be found. It may have been deleted.');
+                this.renderRecentProjects();
+                return;
+            }
+
+            this.isRestoring = true;
+
+            gen.generatedPages = project.pages;
+            gen.jinjaTemplates = project.jinjaTemplates || project.pages;
+            gen.generatedPlan = project.plan;
+            templateRenderer.setGlobal('site_name', project.plan?.business_name || project.plan?.site_name || '');
+            templateRenderer.setGlobal('locale', project.i18n?.defaultLocale || 'en');
+            templateRenderer.clearHistory();
+            gen.i18n = project.i18n || null;
+            gen.generatedDesignSystem = project.designSystem;
+            gen.generatedImageUrls = project.imageUrls;
+            gen.globalCss = project.globalCss || '';
+            gen.cssTheme = project.globalCss || '';
+            gen.folderPath = project.folderPath;
+            gen.savedFiles = project.savedFiles;
+            gen.pageOrder = project.pageOrder || null;
+            gen.currentThreadId = project.threadId;
+            gen.conversationMessages = project.conversationMessages || [];
+            gen.isAwaitingInput = false;
+
+            const descriptionField = document.getElementById('websiteDescription');
+            if (descriptionField) descriptionField.value = project.description || '';
+
+            gen.displayMultiPageEditor(project.pages);
+            gen.showDataSelector();
+
+            if (this.updaterManager) {
+                this.updaterManager.restoreHistory(project.updateChatHistory || []);
+                this.updaterManager.history.load(project.revisions || null);
+                this.updaterManager.activate();
+            }
+
+            this.currentProjectId = project.id;
+            this.renderRecentProjects();
+            console.log(`📂 Project restored: ${project.name}`);
+        } catch (error) {
+            console.error('Error restoring project:', error);
+            alert(`Failed to restore project: ${error.message}`);
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    /**
+     * Delete a saved project after confirmation
+     * @param {string} id - Project id
+     */
+    async deleteProject(id) {
+        if (!confirm('Delete this project from your browser?')) return;
+
+        try {
+            await projectStore.deleteProject(id);
+            if (this.currentProjectId === id) this.currentProjectId = null;
+            this.renderRecentProjects();
+        } catch (error) {
+            console.error('Error deleting project:', error);
+        }
+    }
+
+    /**
+     * Render the "Recent Projects" sidebar list
+     */
+    async renderRecentProjects() {
+        const section = document.getElementById('recentProjectsSection');
+        const list = document.getElementById('recentProjectsList');
+        if (!section || !list) return;
+
+        let projects = [];
+        try {
+            projects = await projectStore.listProjects();
+        } catch (error) {
+            console.warn('Recent projects unavailable:', error);
+        }
+
+        section.style.display = projects.length > 0 ? 'block' : 'none';
+        list.innerHTML = '';
+
+        for (const project of projects) {
+            const item = document.createElement('div');
+            item.className = 'recent-project-item';
+            item.setAttribute('data-project-id', project.id);
+            if (project.id === this.currentProjectId) item.classList.add('active');
+
+            const info = document.createElement('div');
+            info.className = 'recent-project-info';
+
+            const name = document.createElement('div');
+            name.className = 'recent-project-name';
+            name.textContent = project.name;
+
+            const meta = document.createElement('div');
+            meta.className = 'recent-project-meta';
+            const updated = project.updatedAt ? new Date(project.updatedAt).toLocaleString('en-US', {
+                month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+            }) : '';
+            meta.textContent = `${project.pageCount} pages • ${updated}`;
+
+            info.appendChild(name);
+            info.appendChild(meta);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn-icon-small';
+            deleteBtn.title = 'Delete project';
+            deleteBtn.setAttribute('data-delete-project', project.id);
+            deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+
+            item.appendChild(info);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        }
+    }
+}
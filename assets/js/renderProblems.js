@@ -0,0 +1,141 @@
+import { templateRenderer, TemplateRenderer, ERROR_POLICIES, DEFAULT_ERROR_POLICY } from './templateRenderer.js';
+import { HtmlUtil } from './utils/html.js';
+
+/**
+ * RenderProblemsManager
+ * Problems panel for template render errors: page, partial, line, column
+ * and the offending expression of every page that failed the last render,
+ * plus each page's choice of what to show when it fails (placeholder, last
+ * good render, or failing the whole render).
+ */
+export class RenderProblemsManager {
+    /**
+     * @param {WebsiteGeneratorManager} generatorManager - owns jinjaTemplates and the editor
+     */
+    constructor(generatorManager) {
+        this.generatorManager = generatorManager;
+
+        templateRenderer.onErrors(() => this.render());
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('problemsWebsiteSubtab')?.addEventListener('click', () => this.render());
+
+        const list = document.getElementById('renderProblemsList');
+        list?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-problem-page]');
+            if (item) this.generatorManager.htmlEditor?.loadPage?.(item.dataset.problemPage);
+        });
+
+        document.getElementById('renderPolicyList')?.addEventListener('change', (e) => {
+            const pageName = e.target.dataset.policyPage;
+            if (pageName) this.setPolicy(pageName, e.target.value);
+        });
+    }
+
+    /**
+     * Show the Problems sub-tab once there are templates
+     */
+    activate() {
+        const subtab = document.getElementById('problemsWebsiteSubtab');
+        if (subtab) subtab.style.display = 'inline-flex';
+        this.render();
+    }
+
+    /**
+     * @param {string} pageName - Page whose template gets the policy
+     * @param {string} policy - Key of ERROR_POLICIES
+     */
+    setPolicy(pageName, policy) {
+        const template = this.generatorManager.jinjaTemplates?.[pageName];
+        if (!template || !ERROR_POLICIES[policy]) return;
+
+        template.onError = policy;
+        this.onPolicyChanged(pageName, policy);
+    }
+
+    /**
+     * Hook called after a page's error policy changes (overridden by the app)
+     */
+    onPolicyChanged(pageName, policy) { }
+
+    // ─────────────────────────────────────────────
+    //  UI
+    // ─────────────────────────────────────────────
+
+    render() {
+        const errors = Object.values(templateRenderer.errors || {});
+
+        const count = document.getElementById('renderProblemsCount');
+        if (count) {
+            count.textContent = errors.length ? String(errors.length) : '';
+            count.style.display = errors.length ? 'inline-block' : 'none';
+        }
+
+        const list = document.getElementById('renderProblemsList');
+        if (list) {
+            list.innerHTML = errors.length === 0
+                ? '<p class="render-problems-empty">✅ Every page rendered without errors.</p>'
+                : errors.map(error => this._renderError(error)).join('');
+        }
+
+        this._renderPolicies();
+    }
+
+    _renderError(error) {
+        const gen = this.generatorManager;
+        const location = [
+            error.file ? `in ${error.file}` : null,
+            error.line !== null ? `line ${error.line}` : 'line unknown',
+            error.column !== null ? `column ${error.column}` : null
+        ].filter(Boolean).join(', ');
+        const outcome = {
+            placeholder: 'Placeholder shown',
+            'last-good': templateRenderer.lastGood[error.page] ? 'Last good render shown' : 'No earlier render, placeholder shown',
+            fail: 'Render stopped'
+        }[error.policy] || '';
+
+        return `
+            <div class="render-problem" data-problem-page="${HtmlUtil.escape(error.page)}"
+                title="${HtmlUtil.escape(TemplateRenderer.formatError(error))}">
+                <div class="render-problem__header">
+                    <strong>${HtmlUtil.escape(gen.formatPageName(error.page))}</strong>
+                    <span class="render-problem__location">${HtmlUtil.escape(location)}</span>
+                </div>
+                <div class="render-problem__message">${HtmlUtil.escape(error.message)}</div>
+                ${error.expression ? `<code class="render-problem__expression">${HtmlUtil.escape(error.expression)}</code>` : ''}
+                ${outcome ? `<div class="render-problem__outcome">${outcome}</div>` : ''}
+            </div>
+        `;
+    }
+
+    _renderPolicies() {
+        const container = document.getElementById('renderPolicyList');
+        if (!container) return;
+
+        const gen = this.generatorManager;
+        const templates = gen.jinjaTemplates || {};
+        const order = (gen.htmlEditor?.pageOrder?.length ? gen.htmlEditor.pageOrder : Object.keys(templates))
+            .filter(name => templates[name]);
+        if (order.length === 0) {
+            container.innerHTML = '<p class="render-problems-empty">Generate a website first.</p>';
+            return;
+        }
+
+        const options = Object.entries(ERROR_POLICIES);
+        container.innerHTML = order.map(pageName => {
+            const current = templates[pageName].onError || DEFAULT_ERROR_POLICY;
+            return `
+                <label class="render-policy">
+                    <span>${HtmlUtil.escape(gen.formatPageName(pageName))}</span>
+                    <select class="data-selector-dropdown" data-policy-page="${HtmlUtil.escape(pageName)}">
+                        ${options.map(([value, label]) => `
+                            <option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            `;
+        }).join('');
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Revision History Module
+ * Records each AI update turn as a before/after snapshot of pages and global CSS
+ * and keeps an undo/redo pointer into that list.
+ */
+
+export class RevisionHistory {
+    constructor() {
+        this.revisions = [];
+        this.currentIndex = -1; // -1 = state before the first recorded revision
+        this.listeners = [];
+    }
+
+    /**
+     * Deep-copy a pages object so later edits can't mutate a snapshot
+     * @param {Object} pages - Pages object {pageName: {html, css}}
+     * @returns {Object} Copy
+     */
+    static clonePages(pages) {
+        return JSON.parse(JSON.stringify(pages || {}));
+    }
+
+    /**
+     * Record a new revision. Any redo branch after the current position is dropped.
+     * @param {Object} revision - {request, before: {pages, globalCss}, after: {pages, globalCss}, summary}
+     * @returns {Object} Stored revision with id, number and timestamp
+     */
+    record({ request, before, after, summary = '' }) {
+        if (this.currentIndex < this.revisions.length - 1) {
+            this.revisions = this.revisions.slice(0, this.currentIndex + 1);
+        }
+
+        const number = this.revisions.length + 1;
+        const revision = {
+            id: `rev-${Date.now()}-${number}`,
+            number,
+            request,
+            summary,
+            timestamp: new Date().toISOString(),
+            before: {
+                pages: RevisionHistory.clonePages(before.pages),
+                globalCss: before.globalCss || ''
+            },
+            after: {
+                pages: RevisionHistory.clonePages(after.pages),
+                globalCss: after.globalCss || ''
+            }
+        };
+
+        this.revisions.push(revision);
+        this.currentIndex = this.revisions.length - 1;
+        this.notifyListeners();
+        return revision;
+    }
+
+    /**
+     * @returns {boolean} True if there is a revision to undo
+     */
+    canUndo() {
+        return this.currentIndex >= 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is a revision to redo
+     */
+    canRedo() {
+        return this.currentIndex < this.revisions.length - 1;
+    }
+
+    /**
+     * Step back one revision
+     * @returns {Object|null} State to apply {pages, globalCss} or null
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+        const state = this.revisions[this.currentIndex].before;
+        this.currentIndex--;
+        this.notifyListeners();
+        return state;
+    }
+
+    /**
+     * Step forward one revision
+     * @returns {Object|null} State to apply {pages, globalCss} or null
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+        this.currentIndex++;
+        this.notifyListeners();
+        return this.revisions[this.currentIndex].after;
+    }
+
+    /**
+     * Jump to the state right after a given revision
+     * @param {string} id - Revision id
+     * @returns {Object|null} State to apply {pages, globalCss} or null
+     */
+    restore(id) {
+        const index = this.revisions.findIndex(rev => rev.id === id);
+        if (index === -1) return null;
+        this.currentIndex = index;
+        this.notifyListeners();
+        return this.revisions[index].after;
+    }
+
+    /**
+     * Get a revision by id
+     * @param {string} id - Revision id
+     * @returns {Object|null} Revision or null
+     */
+    get(id) {
+        return this.revisions.find(rev => rev.id === id) || null;
+    }
+
+    /**
+     * @returns {Object|null} Revision at the current position
+     */
+    getCurrent() {
+        return this.revisions[this.currentIndex] || null;
+    }
+
+    /**
+     * Serialize for the project store
+     * @returns {Object} {revisions, currentIndex}
+     */
+    toJSON() {
+        return { revisions: this.revisions, currentIndex: this.currentIndex };
+    }
+
+    /**
+     * Load a serialized history (or reset when none given)
+     * @param {Object|null} saved - {revisions, currentIndex}
+     */
+    load(saved) {
+        this.revisions = saved?.revisions || [];
+        this.currentIndex = typeof saved?.currentIndex === 'number'
+            ? Math.min(saved.currentIndex, this.revisions.length - 1)
+            : this.revisions.length - 1;
+        this.notifyListeners();
+    }
+
+    /**
+     * Subscribe to history changes
+     * @param {Function} callback - Callback function (history) => void
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyListeners() {
+        for (const callback of this.listeners) {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in revision history listener:', error);
+            }
+        }
+    }
+}
@@ -0,0 +1,137 @@
+import { templateRenderer } from './templateRenderer.js';
+import { HtmlUtil } from './utils/html.js';
+import { SanitizeUtil } from './utils/sanitize.js';
+
+// Longest list shown in the warning before it is summarized
+const MAX_LISTED = 12;
+
+/**
+ * SafeModeManager
+ * Opt-in safe rendering for untrusted (customer-supplied) data: data values
+ * are escaped by the template engine, and AI-returned HTML is stripped of
+ * scripts, event handlers and script URLs before the editor or a chat shows
+ * it. Whatever was removed is listed in a warning.
+ */
+export class SafeModeManager {
+    /**
+     * @param {GrapesJSEditor} editor - Shared editor whose incoming pages are sanitized
+     */
+    constructor(editor) {
+        this.editor = editor;
+
+        this.guardEditor();
+        this.setupEventListeners();
+        this.renderToggle();
+    }
+
+    setupEventListeners() {
+        document.getElementById('safeModeToggle')?.addEventListener('change', (e) => {
+            templateRenderer.setSafeMode(e.target.checked);
+            this.renderToggle();
+        });
+        document.getElementById('safeModeWarningClose')?.addEventListener('click', () => this.dismiss());
+    }
+
+    get enabled() {
+        return templateRenderer.safeMode;
+    }
+
+    renderToggle() {
+        const toggle = document.getElementById('safeModeToggle');
+        if (toggle) toggle.checked = this.enabled;
+        document.getElementById('safeModeBadge')?.style.setProperty('display', this.enabled ? 'inline-flex' : 'none');
+    }
+
+    // ─────────────────────────────────────────────
+    //  Sanitizing
+    // ─────────────────────────────────────────────
+
+    /**
+     * Sanitize the pages, HTML and regions the editor is handed, whoever sends them
+     */
+    guardEditor() {
+        const editor = this.editor;
+
+        const originalInitialize = editor.initialize.bind(editor);
+        editor.initialize = (html, ...args) => originalInitialize(this.sanitizeHtml(html, 'Landing page'), ...args);
+
+        const originalMultiPage = editor.initializeMultiPage.bind(editor);
+        editor.initializeMultiPage = (pages, ...args) => originalMultiPage(this.sanitizePages(pages, 'Website pages'), ...args);
+
+        const originalUpdate = editor.updatePages.bind(editor);
+        editor.updatePages = (pages, ...args) => originalUpdate(this.sanitizePages(pages, 'Updated pages'), ...args);
+
+        const originalRegions = editor.replaceRegions.bind(editor);
+        editor.replaceRegions = (pageName, html, ...args) => (
+            originalRegions(pageName, this.sanitizeHtml(html, `Live preview (${pageName})`), ...args)
+        );
+    }
+
+    /**
+     * @param {string} html - AI-returned or rendered HTML
+     * @param {string} source - Where it came from, for the warning
+     * @returns {string} The HTML, without scripts and handlers in safe mode
+     */
+    sanitizeHtml(html, source) {
+        if (!this.enabled || !html) return html;
+        const result = SanitizeUtil.sanitize(html);
+        this.report(result.removed, source);
+        return result.html;
+    }
+
+    /**
+     * @param {Object} pages - {pageName: {html, css}}
+     * @param {string} source - Where they came from, for the warning
+     * @returns {Object} Pages, sanitized in safe mode
+     */
+    sanitizePages(pages, source) {
+        if (!this.enabled || !pages) return pages;
+        const result = SanitizeUtil.sanitizePages(pages);
+        this.report(result.removed, source);
+        return result.pages;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Warning
+    // ─────────────────────────────────────────────
+
+    /**
+     * List removed content in the warning panel (added to what is already shown)
+     * @param {Array} removed - [{page?, kind, description}]
+     * @param {string} source - Where the content came from
+     */
+    report(removed, source) {
+        if (!removed?.length) return;
+        console.warn(`🛡️ Safe mode removed ${removed.length} item(s) from ${source}:`, removed);
+
+        const panel = document.getElementById('safeModeWarning');
+        const list = document.getElementById('safeModeWarningList');
+        if (!panel || !list) return;
+
+        const labels = { script: 'Script', element: 'Element', handler: 'Event handler', url: 'Script URL' };
+        const items = removed.slice(0, MAX_LISTED).map(item => `
+            <li>
+                <strong>${labels[item.kind] || item.kind}</strong>${item.page ? ` · ${HtmlUtil.escape(item.page)}` : ''}
+                <code>${HtmlUtil.escape(item.description)}</code>
+            </li>
+        `).join('');
+        const more = removed.length > MAX_LISTED
+            ? `<li class="safe-mode-more">…and ${removed.length - MAX_LISTED} more (see the console)</li>`
+            : '';
+
+        list.insertAdjacentHTML('beforeend', `
+            <div class="safe-mode-group">
+                <div class="safe-mode-source">${HtmlUtil.escape(source)}</div>
+                <ul>${items}${more}</ul>
+            </div>
+        `);
+        panel.style.display = 'flex';
+    }
+
+    dismiss() {
+        const panel = document.getElementById('safeModeWarning');
+        const list = document.getElementById('safeModeWarningList');
+        if (list) list.innerHTML = '';
+        if (panel) panel.style.display = 'none';
+    }
+}
@@ -1,9 +1,93 @@
-// const API_BASE_URL = 'https://e22812c868b2.ngrok-free.app';
-const API_BASE_URL = 'http://localhost:8000';
+import { backendConfig } from './config.js';
+import { mockTransport } from './mockTransport.js';
+
+// Reconnect policy for dropped generate-website streams
+const STREAM_MAX_RETRIES = 5;
+const STREAM_BASE_DELAY_MS = 1000;
+const STREAM_MAX_DELAY_MS = 16000;
 
 class APIService {
-    constructor() {
-        this.baseURL = API_BASE_URL;
+    /**
+     * Base URL of the active backend profile
+     * @returns {string} e.g. 'http://localhost:8000'
+     */
+    get baseURL() {
+        return backendConfig.getBaseURL();
+    }
+
+    /**
+     * Build request headers: JSON content type, the profile's auth header, then overrides
+     * @param {Object} extra - Additional headers
+     * @returns {Object} Headers
+     */
+    getHeaders(extra = {}) {
+        return {
+            'Content-Type': 'application/json',
+            ...backendConfig.getAuthHeaders(),
+            ...extra
+        };
+    }
+
+    /**
+     * Send a request through the right transport: the mock for `mock://` profiles,
+     * otherwise the network (captured into a fixture while recording)
+     * @param {string} url - Request URL
+     * @param {Object} init - Fetch options
+     * @returns {Promise<Response>} Response
+     */
+    async send(url, init = {}) {
+        if (mockTransport.isMockURL(url)) {
+            return mockTransport.fetch(url, init);
+        }
+
+        const started = Date.now();
+        const response = await fetch(url, init);
+        return mockTransport.isRecording() ? mockTransport.capture(url, response, started) : response;
+    }
+
+    /**
+     * URL where the backend serves a saved website folder
+     * @param {string} folderName - Last segment of the website's folder_path
+     * @returns {string} Public URL
+     */
+    getServeWebsiteUrl(folderName) {
+        return `${this.baseURL}/api/serve-website/${encodeURIComponent(folderName)}`;
+    }
+
+    /**
+     * Probe the backend of a profile
+     * @param {string|null} baseURL - URL to probe (defaults to the active profile)
+     * @param {number} timeoutMs - Give up after this long
+     * @param {Object|null} headers - Auth headers to send (defaults to the active profile's)
+     * @returns {Promise<Object>} {status: 'online'|'degraded'|'offline', latency, detail}
+     */
+    async healthCheck(baseURL = null, timeoutMs = 5000, headers = null) {
+        const target = backendConfig.normalizeURL(baseURL || this.baseURL);
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        const started = performance.now();
+
+        try {
+            const response = await this.send(`${target}/health`, {
+                method: 'GET',
+                headers: headers || backendConfig.getAuthHeaders(),
+                signal: controller.signal
+            });
+            const latency = Math.round(performance.now() - started);
+
+            // A reachable server without a /health route still counts as up, just unverified
+            return response.ok
+                ? { status: 'online', latency, detail: `OK (${latency} ms)` }
+                : { status: 'degraded', latency, detail: `Reachable, /health returned ${response.status}` };
+        } catch (error) {
+            return {
+                status: 'offline',
+                latency: null,
+                detail: error.name === 'AbortError' ? 'Timed out' : 'Unreachable'
+            };
+        } finally {
+            clearTimeout(timer);
+        }
     }
 
     /**
@@ -15,19 +99,18 @@ class APIService {
     async request(endpoint, options = {}) {
         const url = `${this.baseURL}${endpoint}`;
         const config = {
-            headers: {
-                'Content-Type': 'application/json',
-                ...options.headers
-            },
-            ...options
+            ...options,
+            headers: this.getHeaders(options.headers)
         };
 
         try {
-            const response = await fetch(url, config);
+            const response = await this.send(url, config);
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({ detail: response.statusText }));
-                throw new Error(errorData.detail || `HTTP error! status: ${response.status}`);
+                const error = new Error(errorData.detail || `HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                throw error;
             }
 
             return await response.json();
@@ -37,6 +120,79 @@ class APIService {
         }
     }
 
+    /**
+     * Make an API request to an endpoint older backends don't have, with a
+     * clear error when the route is missing
+     * @param {string} endpoint - API endpoint
+     * @param {string} feature - What needs the endpoint, for the error message
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Object>} Response data
+     */
+    async requestOptional(endpoint, feature, options = {}) {
+        try {
+            return await this.request(endpoint, options);
+        } catch (error) {
+            // A missing route answers a bare "Not Found"; an endpoint's own 404s say more
+            if (error.status === 404 && /^not found$/i.test(error.message)) {
+                throw new Error(`${feature} needs ${endpoint}, which the active backend doesn't provide. `
+                    + 'Update the backend or switch profiles in Backend Settings.');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read a Server-Sent Events response body, calling onEvent for each `data:` line
+     * @param {Response} response - Fetch response with a streaming body
+     * @param {Function} onEvent - Callback for each parsed event
+     * @param {Function|null} onEventId - Callback for each `id:` line (used to resume)
+     * @returns {Promise<void>}
+     */
+    async readEventStream(response, onEvent, onEventId = null) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+
+            // Keep the last incomplete line in the buffer
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                if (line.startsWith('id:') && onEventId) {
+                    onEventId(line.slice(3).trim());
+                } else if (line.startsWith('data: ')) {
+                    try {
+                        const data = JSON.parse(line.slice(6));
+                        if (onEvent) {
+                            onEvent(data);
+                        }
+                    } catch (e) {
+                        console.error('Error parsing SSE data:', e, line);
+                    }
+                }
+            }
+        }
+
+        // Process any remaining data in buffer
+        if (buffer.trim() && buffer.startsWith('data: ')) {
+            try {
+                const data = JSON.parse(buffer.slice(6));
+                if (onEvent) {
+                    onEvent(data);
+                }
+            } catch (e) {
+                console.error('Error parsing final SSE data:', e);
+            }
+        }
+    }
+
     /**
      * Generate prompts for images (Stage 1)
      * @param {string} description - Business/product description
@@ -119,15 +275,23 @@ class APIService {
     }
 
     /**
-     * Generate complete multi-page website using LangGraph workflow (SSE streaming)
+     * Generate complete multi-page website using LangGraph workflow (SSE streaming).
+     * If the connection drops mid-run, reconnects with exponential backoff and asks the
+     * backend to resume the same thread from the last received event id / step.
+     * A resume is the same POST /api/generate-website with {thread_id, resume: true,
+     * last_event_id, last_step} added (and a Last-Event-ID header): the backend continues
+     * that thread's run and streams the events after last_event_id instead of starting
+     * a new run. Without a thread or event id there is nothing to resume, so the
+     * request is never re-sent — that could start a second generation.
      * @param {string} description - Business/product description
-     * @param {string|null} template - Optional template HTML for styling reference
      * @param {string|null} threadId - Optional thread ID for conversation continuity
      * @param {Array|null} messages - Optional previous conversation messages
      * @param {Function} onProgress - Callback for progress updates
+     * @param {Object} options - {signal: AbortSignal, onReconnect: ({attempt, maxRetries, delay, error}) => void,
+     *                            templateHtml: string} (templateHtml is sent as the styling reference)
      * @returns {Promise<void>}
      */
-    async generateWebsite(description, threadId = null, messages = null, onProgress = null) {
+    async generateWebsite(description, threadId = null, messages = null, onProgress = null, options = {}) {
         if (!description || description.trim().length < 10) {
             throw new Error('Description must be at least 10 characters long');
         }
@@ -148,68 +312,128 @@ class APIService {
             payload.messages = messages;
         }
 
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ detail: response.statusText }));
-                throw new Error(errorData.detail || `HTTP error! status: ${response.status}`);
-            }
-
-            // Handle Server-Sent Events streaming
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
+        // Selected gallery template guides the generated site's styling
+        if (options.templateHtml) {
+            payload.template_html = options.templateHtml;
+        }
 
-            while (true) {
-                const { done, value } = await reader.read();
+        // What we know about the run so far, used to resume after a drop
+        const run = { threadId, lastEventId: null, lastStep: null, eventCount: 0, finished: false };
+        let failures = 0;
 
-                if (done) break;
+        while (true) {
+            // Only reached again after a failure that left something to resume
+            const isResume = failures > 0;
+            const eventsBefore = run.eventCount;
 
-                buffer += decoder.decode(value, { stream: true });
-                const lines = buffer.split('\n');
+            try {
+                const body = isResume
+                    ? { ...payload, thread_id: run.threadId, resume: true, last_event_id: run.lastEventId, last_step: run.lastStep }
+                    : payload;
 
-                // Keep the last incomplete line in the buffer
-                buffer = lines.pop() || '';
+                const headers = this.getHeaders();
+                if (isResume && run.lastEventId) {
+                    headers['Last-Event-ID'] = run.lastEventId;
+                }
 
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        try {
-                            const data = JSON.parse(line.slice(6));
-                            if (onProgress) {
-                                onProgress(data);
-                            }
-                        } catch (e) {
-                            console.error('Error parsing SSE data:', e, line);
-                        }
-                    }
+                const response = await this.send(url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(body),
+                    signal: options.signal
+                });
+
+                if (!response.ok) {
+                    const errorData = await response.json().catch(() => ({ detail: response.statusText }));
+                    const error = new Error(errorData.detail || `HTTP error! status: ${response.status}`);
+                    error.retryable = response.status >= 500;
+                    throw error;
                 }
-            }
 
-            // Process any remaining data in buffer
-            if (buffer.trim() && buffer.startsWith('data: ')) {
-                try {
-                    const data = JSON.parse(buffer.slice(6));
+                await this.readEventStream(response, (data) => {
+                    run.eventCount++;
+                    if (data.thread_id) run.threadId = data.thread_id;
+                    if (data.step) run.lastStep = data.step;
+                    if (this.isTerminalEvent(data)) run.finished = true;
+
                     if (onProgress) {
                         onProgress(data);
                     }
-                } catch (e) {
-                    console.error('Error parsing final SSE data:', e);
+                }, (id) => {
+                    run.lastEventId = id;
+                });
+
+                if (run.finished) return;
+
+                const dropped = new Error('Connection closed before the website generation finished');
+                dropped.retryable = true;
+                throw dropped;
+
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
                 }
-            }
 
-        } catch (error) {
-            console.error(`API Error (/api/generate-website):`, error);
-            throw error;
+                // Network failures surface as TypeError from fetch/reader
+                const retryable = error.retryable || error instanceof TypeError;
+
+                // Any progress on this attempt resets the consecutive-failure count
+                if (run.eventCount > eventsBefore) failures = 0;
+                failures++;
+
+                // Re-sending the original request would start another run; rejoin this one instead
+                const canResume = !!(run.threadId || run.lastEventId);
+
+                if (!retryable || !canResume || failures > STREAM_MAX_RETRIES) {
+                    console.error(`API Error (/api/generate-website):`, error);
+                    throw error;
+                }
+
+                const delay = Math.min(STREAM_BASE_DELAY_MS * 2 ** (failures - 1), STREAM_MAX_DELAY_MS);
+                console.warn(`Stream dropped (${error.message}), reconnecting in ${delay}ms (attempt ${failures}/${STREAM_MAX_RETRIES})`);
+
+                if (options.onReconnect) {
+                    options.onReconnect({ attempt: failures, maxRetries: STREAM_MAX_RETRIES, delay, error });
+                }
+
+                await this.wait(delay, options.signal);
+            }
         }
     }
 
+    /**
+     * Whether an SSE event ends the current generate-website stream
+     * @param {Object} event - Parsed event
+     * @returns {boolean} True for complete, failed and awaiting-user events
+     */
+    isTerminalEvent(event) {
+        const { step, status } = event;
+        return status === 'failed' ||
+            status === 'awaiting_input' ||
+            status === 'awaiting_approval' ||
+            (step === 'complete' && status === 'completed');
+    }
+
+    /**
+     * Sleep that rejects early with an AbortError when the signal fires
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal|undefined} signal - Optional abort signal
+     * @returns {Promise<void>}
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
     /**
      * Update existing multi-page website with natural language instructions
      * @param {Object} pages - Pages object {home: {html, css}, about: {html, css}}
@@ -242,6 +466,186 @@ class APIService {
             body: JSON.stringify(payload)
         });
     }
+
+    /**
+     * Update website with SSE progress events (same protocol as generate-website).
+     * Events: {step: 'page_update', status: 'in_progress'|'completed', page, message, data: {html, css}},
+     * {step: 'global_css', status: 'completed', data: {css}}, {step: 'complete', status: 'completed', data},
+     * {status: 'failed', error}. Falls back to a plain JSON response if the backend doesn't stream.
+     * @param {Object} pages - Pages object {home: {html, css}, about: {html, css}}
+     * @param {string} globalCss - Global CSS content
+     * @param {string} editRequest - Natural language update request
+     * @param {string|null} folderPath - Optional folder path for auto-save
+     * @param {Function} onProgress - Callback for each progress event
+     * @param {Object} options - {signal: AbortSignal} to cancel the request and stream
+     * @returns {Promise<Object>} Final {updated_pages, updated_global_css, changes_summary}
+     */
+    async updateWebsiteStream(pages, globalCss, editRequest, folderPath = null, onProgress = null, options = {}) {
+        if (!pages || Object.keys(pages).length === 0) {
+            throw new Error('At least one page must be provided');
+        }
+
+        if (!editRequest || editRequest.trim().length < 5) {
+            throw new Error('Edit request must be at least 5 characters long');
+        }
+
+        const url = `${this.baseURL}/api/update-website`;
+
+        const payload = {
+            pages: pages,
+            global_css: globalCss || '',
+            edit_request: editRequest.trim(),
+            stream: true
+        };
+
+        if (folderPath) {
+            payload.folder_path = folderPath;
+        }
+
+        try {
+            const response = await this.send(url, {
+                method: 'POST',
+                headers: this.getHeaders({ 'Accept': 'text/event-stream' }),
+                body: JSON.stringify(payload),
+                signal: options.signal
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ detail: response.statusText }));
+                throw new Error(errorData.detail || `HTTP error! status: ${response.status}`);
+            }
+
+            // Older backends ignore `stream` and answer with a single JSON body
+            const contentType = response.headers.get('content-type') || '';
+            if (!contentType.includes('text/event-stream')) {
+                return await response.json();
+            }
+
+            // Assemble the final result from the individual events
+            const result = { updated_pages: {}, updated_global_css: null, changes_summary: '' };
+            let failure = null;
+
+            await this.readEventStream(response, (event) => {
+                const { step, status, page, data, error, message } = event;
+
+                if (status === 'failed') {
+                    failure = error || message || 'Update failed';
+                } else if (step === 'page_update' && status === 'completed' && page && data) {
+                    result.updated_pages[page] = data;
+                } else if (step === 'global_css' && status === 'completed' && data) {
+                    result.updated_global_css = data.css || null;
+                } else if (step === 'complete' && status === 'completed' && data) {
+                    Object.assign(result.updated_pages, data.updated_pages || {});
+                    result.updated_global_css = data.updated_global_css || result.updated_global_css;
+                    result.changes_summary = data.changes_summary || result.changes_summary;
+                }
+
+                if (onProgress) {
+                    onProgress(event);
+                }
+            });
+
+            if (failure) {
+                throw new Error(failure);
+            }
+
+            return result;
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error(`API Error (/api/update-website):`, error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Translate every page of a website into another language. Markup, classes
+     * and URLs are kept; only visible text and text attributes are translated.
+     * POST /api/translate-website {pages, global_css, source_locale, target_locale}
+     * answers {translated_pages} with the same page keys.
+     * @param {Object} pages - Pages object {pageName: {html, css}} in the source language
+     * @param {string} globalCss - Global CSS content
+     * @param {string} sourceLocale - Language of the pages (e.g. 'en')
+     * @param {string} targetLocale - Language to translate into (e.g. 'es')
+     * @returns {Promise<Object>} {translated_pages: {pageName: {html, css}}}
+     */
+    async translateWebsite(pages, globalCss, sourceLocale, targetLocale) {
+        if (!pages || Object.keys(pages).length === 0) {
+            throw new Error('At least one page must be provided');
+        }
+
+        if (!targetLocale) {
+            throw new Error('A target language is required');
+        }
+
+        return await this.requestOptional('/api/translate-website', 'Translating the site', {
+            method: 'POST',
+            body: JSON.stringify({
+                pages,
+                global_css: globalCss || '',
+                source_locale: sourceLocale,
+                target_locale: targetLocale
+            })
+        });
+    }
+
+    /**
+     * Write the current page set to the website folder on the backend.
+     * POST /api/save-website {folder_path, pages, saved_files, deleted_files}
+     * writes each page to its file (saved_files, or a name derived from the
+     * page key), removes deleted_files and answers {saved_files}.
+     * @param {string} folderPath - Folder returned by generate-website
+     * @param {Object} pages - Pages object {pageName: {html, css}}
+     * @param {Object} savedFiles - File names {pageName: 'about.html'}
+     * @param {Array} deletedFiles - File names to remove (deleted or renamed pages)
+     * @returns {Promise<Object>} {saved_files}
+     */
+    async saveWebsite(folderPath, pages, savedFiles, deletedFiles = []) {
+        if (!folderPath) {
+            throw new Error('A folder path is required to save the website');
+        }
+
+        return await this.requestOptional('/api/save-website', 'Saving pages to the website folder', {
+            method: 'POST',
+            body: JSON.stringify({
+                folder_path: folderPath,
+                pages,
+                saved_files: savedFiles || {},
+                deleted_files: deletedFiles
+            })
+        });
+    }
+
+    /**
+     * Download an image for export. Generated image hosts usually block cross-origin
+     * reads, so fall back to the backend's image proxy: GET /api/proxy-image?url=...
+     * answers with the image bytes and the remote Content-Type.
+     * @param {string} url - Remote image URL
+     * @returns {Promise<Blob>} Image data
+     */
+    async fetchImage(url) {
+        try {
+            const response = await fetch(url);
+            if (response.ok) return await response.blob();
+        } catch (error) {
+            // CORS or network failure: try the proxy
+        }
+
+        const response = await this.send(`${this.baseURL}/api/proxy-image?url=${encodeURIComponent(url)}`, {
+            method: 'GET',
+            headers: backendConfig.getAuthHeaders()
+        });
+        // A missing route answers a bare {"detail": "Not Found"}; a missing image doesn't
+        const { detail } = response.status === 404 ? await response.clone().json().catch(() => ({})) : {};
+        if (/^not found$/i.test(detail || '')) {
+            throw new Error('Image download failed: the image host blocks direct downloads and the active backend '
+                + "doesn't provide /api/proxy-image. Update the backend or switch profiles in Backend Settings.");
+        }
+        if (!response.ok) {
+            throw new Error(`Image download failed: HTTP ${response.status}`);
+        }
+        return await response.blob();
+    }
 }
 
 // Export singleton instance
@@ -0,0 +1,207 @@
+/**
+ * Backend Config
+ * Named backend profiles (local, staging, tunnel, ...) with a base URL and an
+ * optional auth header. The active profile is persisted in localStorage and
+ * read by APIService for every request.
+ */
+
+const PROFILES_KEY = 'backendProfiles';
+const ACTIVE_KEY = 'activeBackendProfile';
+
+const DEFAULT_PROFILES = [
+    {
+        id: 'local',
+        name: 'Local',
+        baseURL: 'http://localhost:8000',
+        authHeaderName: '',
+        authHeaderValue: '',
+        builtIn: true
+    },
+    {
+        // Served by the in-browser mock transport (no network needed)
+        id: 'mock',
+        name: 'Mock (offline)',
+        baseURL: 'mock://local',
+        authHeaderName: '',
+        authHeaderValue: '',
+        builtIn: true
+    }
+];
+
+class BackendConfig {
+    constructor() {
+        this.profiles = this._loadProfiles();
+        this.activeId = localStorage.getItem(ACTIVE_KEY) || DEFAULT_PROFILES[0].id;
+        if (!this.getProfile(this.activeId)) {
+            this.activeId = this.profiles[0].id;
+        }
+        this.listeners = [];
+    }
+
+    _loadProfiles() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PROFILES_KEY) || 'null');
+            if (Array.isArray(saved) && saved.length > 0) {
+                // Built-in profiles always exist, even if the saved list predates them
+                const missing = DEFAULT_PROFILES.filter(def => !saved.some(p => p.id === def.id));
+                return [...missing.map(p => ({ ...p })), ...saved];
+            }
+        } catch (error) {
+            console.warn('Invalid saved backend profiles, using defaults:', error);
+        }
+        return DEFAULT_PROFILES.map(p => ({ ...p }));
+    }
+
+    _save() {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(this.profiles));
+        localStorage.setItem(ACTIVE_KEY, this.activeId);
+    }
+
+    /**
+     * Normalize a base URL (trim, drop trailing slashes)
+     * @param {string} url - Raw URL
+     * @returns {string} Normalized URL
+     */
+    normalizeURL(url) {
+        return (url || '').trim().replace(/\/+$/, '');
+    }
+
+    /**
+     * @returns {Array} Copy of all profiles
+     */
+    getProfiles() {
+        return this.profiles.map(p => ({ ...p }));
+    }
+
+    /**
+     * @param {string} id - Profile id
+     * @returns {Object|null} Profile or null
+     */
+    getProfile(id) {
+        return this.profiles.find(p => p.id === id) || null;
+    }
+
+    /**
+     * @returns {Object} The active profile
+     */
+    getActiveProfile() {
+        return this.getProfile(this.activeId) || this.profiles[0];
+    }
+
+    /**
+     * @returns {string} Base URL of the active profile
+     */
+    getBaseURL() {
+        return this.normalizeURL(this.getActiveProfile().baseURL);
+    }
+
+    /**
+     * @returns {boolean} True if the active profile is served by the mock transport
+     */
+    isMockActive() {
+        return this.getBaseURL().startsWith('mock://');
+    }
+
+    /**
+     * Auth header for the active profile, if one is configured
+     * @returns {Object} e.g. {Authorization: 'Bearer ...'} or {}
+     */
+    getAuthHeaders() {
+        const { authHeaderName, authHeaderValue } = this.getActiveProfile();
+        if (authHeaderName && authHeaderValue) {
+            return { [authHeaderName]: authHeaderValue };
+        }
+        return {};
+    }
+
+    /**
+     * Switch the active profile
+     * @param {string} id - Profile id
+     */
+    setActiveProfile(id) {
+        if (!this.getProfile(id)) {
+            throw new Error(`Unknown backend profile: ${id}`);
+        }
+        this.activeId = id;
+        this._save();
+        this.notifyListeners();
+    }
+
+    /**
+     * Create or update a profile
+     * @param {Object} profile - {id?, name, baseURL, authHeaderName, authHeaderValue}
+     * @returns {Object} Saved profile
+     */
+    saveProfile(profile) {
+        const name = (profile.name || '').trim();
+        const baseURL = this.normalizeURL(profile.baseURL);
+
+        if (!name) {
+            throw new Error('Profile name is required');
+        }
+        if (!/^(https?|mock):\/\/.+/i.test(baseURL)) {
+            throw new Error('Base URL must start with http://, https:// or mock://');
+        }
+
+        const existing = profile.id ? this.getProfile(profile.id) : null;
+        const saved = {
+            id: existing?.id || `profile-${Date.now()}`,
+            name,
+            baseURL,
+            authHeaderName: (profile.authHeaderName || '').trim(),
+            authHeaderValue: profile.authHeaderValue || '',
+            builtIn: !!existing?.builtIn
+        };
+
+        if (existing) {
+            Object.assign(existing, saved);
+        } else {
+            this.profiles.push(saved);
+        }
+
+        this._save();
+        this.notifyListeners();
+        return { ...saved };
+    }
+
+    /**
+     * Delete a user-defined profile
+     * @param {string} id - Profile id
+     */
+    deleteProfile(id) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+        if (profile.builtIn) {
+            throw new Error('Built-in profiles cannot be deleted');
+        }
+
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        if (this.activeId === id) {
+            this.activeId = this.profiles[0].id;
+        }
+        this._save();
+        this.notifyListeners();
+    }
+
+    /**
+     * Subscribe to profile changes
+     * @param {Function} callback - Callback function (activeProfile) => void
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyListeners() {
+        const active = this.getActiveProfile();
+        for (const callback of this.listeners) {
+            try {
+                callback(active);
+            } catch (error) {
+                console.error('Error in backend config listener:', error);
+            }
+        }
+    }
+}
+
+// Export singleton instance
+export const backendConfig = new BackendConfig();
@@ -0,0 +1,302 @@
+/**
+ * Mock Fixtures
+ * Canned backend sessions for the mock transport. Each endpoint maps to a list of
+ * calls that are replayed in order (the last one repeats). A call is either
+ * {type: 'sse', events: [{delay, data}]} or {type: 'json', delay, body}, or a
+ * function (requestBody) => call for responses that depend on the request.
+ */
+
+const MOCK_THREAD_ID = 'mock-thread-0001';
+
+const DEFAULT_DATA = {
+    name: 'Northwind Studio',
+    email: 'hello@northwind.example',
+    phone: '+1-555-0199',
+    bio: 'A small product studio designing calm, fast websites for independent businesses.',
+    address: { city: 'Portland', country: 'USA' }
+};
+
+const GLOBAL_CSS = `:root { --primary: #2563eb; --text: #111827; --muted: #6b7280; }
+body { margin: 0; font-family: Inter, system-ui, sans-serif; color: var(--text); }
+header { display: flex; justify-content: space-between; align-items: center; padding: 20px 40px; border-bottom: 1px solid #e5e7eb; }
+nav a { margin-left: 20px; color: var(--text); text-decoration: none; }
+section { padding: 64px 40px; }
+.hero { background: linear-gradient(135deg, #eff6ff, #fff); }
+.hero img { max-width: 100%; border-radius: 12px; }
+footer { padding: 32px 40px; color: var(--muted); border-top: 1px solid #e5e7eb; }`;
+
+// Inline SVG so no image host is needed offline
+const placeholderImage = (label, color) =>
+    'data:image/svg+xml;utf8,' + encodeURIComponent(
+        `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="400"><rect width="100%" height="100%" fill="${color}"/>` +
+        `<text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="32" text-anchor="middle" dominant-baseline="middle">${label}</text></svg>`
+    );
+
+const IMAGE_URLS = {
+    hero: placeholderImage('Hero', '#2563eb'),
+    about: placeholderImage('About', '#7c3aed'),
+    services: placeholderImage('Services', '#059669')
+};
+
+const NAV = `<header><strong>{{ name }}</strong><nav>
+<a href="index.html">Home</a><a href="about.html">About</a><a href="services.html">Services</a><a href="contact.html">Contact</a>
+</nav></header>`;
+const FOOTER = `<footer>© {{ name }} · {{ email }} · {{ phone }}</footer>`;
+
+const jinjaPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} | {{ name }}</title>
+    <style>${GLOBAL_CSS}</style>
+</head>
+<body>
+${NAV}
+${body}
+${FOOTER}
+</body>
+</html>`;
+
+const JINJA_PAGES = {
+    home: jinjaPage('Home', `<section class="hero"><h1>Welcome to {{ name }}</h1><p>{{ bio }}</p><img src="${IMAGE_URLS.hero}" alt="Studio workspace"></section>`),
+    about: jinjaPage('About', `<section><h1>About {{ name }}</h1><p>{{ bio }}</p><img src="${IMAGE_URLS.about}" alt="Our team"></section>`),
+    services: jinjaPage('Services', `<section><h1>Services</h1><ul><li>Brand websites</li><li>Landing pages</li><li>Design systems</li></ul><img src="${IMAGE_URLS.services}" alt="Service examples"></section>`),
+    contact: jinjaPage('Contact', `<section><h1>Contact</h1><p>Email: {{ email }}</p><p>Phone: {{ phone }}</p><p>{{ address.city }}, {{ address.country }}</p></section>`)
+};
+
+/**
+ * Minimal {{ var }} / {{ a.b }} substitution for rendering the default pages
+ * @param {string} template - Jinja template
+ * @param {Object} data - Data object
+ * @returns {string} Rendered HTML
+ */
+const fill = (template, data) => template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) =>
+    path.split('.').reduce((value, key) => (value == null ? '' : value[key]), data) ?? ''
+);
+
+const renderPages = () => Object.fromEntries(
+    Object.entries(JINJA_PAGES).map(([name, html]) => [name, { html: fill(html, DEFAULT_DATA), css: GLOBAL_CSS }])
+);
+
+const PLAN = {
+    business_name: DEFAULT_DATA.name,
+    purpose: 'Showcase the studio, explain services and make it easy to get in touch.',
+    pages: [
+        { name: 'home', sections: ['hero', 'highlights', 'cta'] },
+        { name: 'about', sections: ['story', 'team'] },
+        { name: 'services', sections: ['service list', 'process'] },
+        { name: 'contact', sections: ['contact details', 'form'] }
+    ]
+};
+
+const DESIGN_SYSTEM = {
+    color_palette: { primary: '#2563eb', secondary: '#7c3aed', text: '#111827', background: '#ffffff' },
+    typography: { heading_font: 'Inter', body_font: 'Inter', type_scale: { h1: '48px', h2: '32px', body: '16px' } },
+    spacing: { base_unit: '8px', section_padding_y: '64px' }
+};
+
+const MESSAGES = [
+    { role: 'user', content: 'A small design studio website' },
+    { role: 'assistant', content: 'Thanks! A few questions before I plan the site.' }
+];
+
+const progress = (step, delay = 700) => [
+    { delay, data: { step, status: 'in_progress', message: `${step} started` } },
+    { delay: delay * 2, data: { step, status: 'completed', message: `${step} done` } }
+];
+
+const generateHappyPath = [
+    // Turn 1: business gathering asks questions
+    {
+        type: 'sse',
+        events: [
+            { delay: 300, data: { step: 'business_gathering', status: 'in_progress', thread_id: MOCK_THREAD_ID } },
+            {
+                delay: 1500,
+                data: {
+                    step: 'business_gathering',
+                    status: 'awaiting_input',
+                    ready: false,
+                    thread_id: MOCK_THREAD_ID,
+                    questions: [
+                        'Who are your main customers?',
+                        'Which services should be highlighted first?',
+                        'Do you have brand colors we should use?'
+                    ],
+                    messages: MESSAGES
+                }
+            }
+        ]
+    },
+    // Turn 2: planning waits for approval
+    {
+        type: 'sse',
+        events: [
+            { delay: 300, data: { step: 'planning', status: 'in_progress', thread_id: MOCK_THREAD_ID } },
+            {
+                delay: 2000,
+                data: {
+                    step: 'planning',
+                    status: 'awaiting_approval',
+                    thread_id: MOCK_THREAD_ID,
+                    plan: PLAN,
+                    design_system: DESIGN_SYSTEM,
+                    messages: MESSAGES
+                }
+            }
+        ]
+    },
+    // Turn 3: approved, generate everything
+    {
+        type: 'sse',
+        events: [
+            ...progress('image_description'),
+            ...progress('image_generation', 1200),
+            ...progress('html_generation', 1200),
+            ...progress('html_validation', 500),
+            ...progress('file_storage', 400),
+            {
+                delay: 400,
+                data: {
+                    step: 'complete',
+                    status: 'completed',
+                    thread_id: MOCK_THREAD_ID,
+                    data: {
+                        pages: renderPages(),
+                        jinja_pages: Object.fromEntries(
+                            Object.entries(JINJA_PAGES).map(([name, html]) => [name, { jinja: html, css: GLOBAL_CSS }])
+                        ),
+                        image_urls: IMAGE_URLS,
+                        plan: PLAN,
+                        design_system: DESIGN_SYSTEM,
+                        folder_path: 'generated_websites/mock_northwind_studio',
+                        saved_files: { home: 'index.html', about: 'about.html', services: 'services.html', contact: 'contact.html' }
+                    }
+                }
+            }
+        ]
+    }
+];
+
+const generateFailure = [
+    {
+        type: 'sse',
+        events: [
+            { delay: 300, data: { step: 'planning', status: 'in_progress', thread_id: MOCK_THREAD_ID } },
+            { delay: 1500, data: { step: 'planning', status: 'failed', error: 'Mock: LLM provider rate limit exceeded' } }
+        ]
+    }
+];
+
+/**
+ * Update responses echo the request: the first page gets a visible banner
+ * @param {Object} body - Request payload of /api/update-website
+ * @returns {Object} Mock call
+ */
+const updateWebsite = (body) => {
+    const pageName = Object.keys(body.pages || {})[0] || 'home';
+    const page = body.pages?.[pageName] || { html: '', css: '' };
+    const banner = `<div class="mock-update-banner" style="padding:12px 40px;background:#fef3c7">Mock update: ${body.edit_request}</div>`;
+    const html = page.html.includes('<body>')
+        ? page.html.replace('<body>', `<body>\n${banner}`)
+        : `${banner}\n${page.html}`;
+    const updated = { [pageName]: { html, css: page.css || '' } };
+    const summary = `Applied "${body.edit_request}" to ${pageName} (mock)`;
+
+    if (!body.stream) {
+        return { type: 'json', delay: 1500, body: { updated_pages: updated, updated_global_css: null, changes_summary: summary } };
+    }
+
+    return {
+        type: 'sse',
+        events: [
+            { delay: 400, data: { step: 'page_update', status: 'in_progress', page: pageName, message: `Updating ${pageName}…` } },
+            { delay: 1500, data: { step: 'page_update', status: 'completed', page: pageName, data: updated[pageName] } },
+            { delay: 200, data: { step: 'complete', status: 'completed', data: { changes_summary: summary } } }
+        ]
+    };
+};
+
+/**
+ * Translations mark the language instead of translating: lang attribute and a tagged title
+ * @param {Object} body - Request payload of /api/translate-website
+ * @returns {Object} Mock call
+ */
+const translateWebsite = (body) => {
+    const locale = body.target_locale || 'es';
+    const tag = `[${locale.toUpperCase()}]`;
+    const translated = Object.fromEntries(Object.entries(body.pages || {}).map(([name, page]) => {
+        const html = (page.html || '')
+            .replace(/<html\b[^>]*>/i, `<html lang="${locale}">`)
+            .replace(/<title>([^<]*)<\/title>/i, `<title>${tag} $1</title>`)
+            .replace(/(<h1\b[^>]*>)/i, `$1${tag} `);
+        return [name, { html, css: page.css || '' }];
+    }));
+    return { type: 'json', delay: 1200, body: { translated_pages: translated } };
+};
+
+const landingPageHtml = `<section class="hero"><h1>${DEFAULT_DATA.name}</h1><p>${DEFAULT_DATA.bio}</p><img src="${IMAGE_URLS.hero}" alt="Hero"></section>
+<section><h2>Features</h2><img src="${IMAGE_URLS.services}" alt="Feature"></section>`;
+
+const landingPage = {
+    '/api/generate-prompts': [{
+        type: 'json',
+        delay: 1200,
+        body: {
+            hero: 'A bright, minimal studio workspace with large windows',
+            features: ['A laptop showing a clean website', 'A sketchbook with wireframes', 'A team discussing on a whiteboard'],
+            testimonials: ['A smiling cafe owner', 'A confident bookshop founder']
+        }
+    }],
+    '/api/generate-images': [{
+        type: 'json',
+        delay: 2500,
+        body: {
+            hero: IMAGE_URLS.hero,
+            features: [IMAGE_URLS.services, IMAGE_URLS.about, IMAGE_URLS.hero],
+            testimonials: [IMAGE_URLS.about, IMAGE_URLS.services]
+        }
+    }],
+    '/api/generate-html': [{
+        type: 'json',
+        delay: 2000,
+        body: { html: landingPageHtml, css: GLOBAL_CSS }
+    }],
+    '/api/edit-html': [(body) => ({
+        type: 'json',
+        delay: 1200,
+        body: { html: `<!-- Mock edit: ${body.edit_request} -->\n${body.html}`, css: body.css || '' }
+    })],
+    '/health': [{ type: 'json', delay: 50, body: { status: 'ok', mock: true } }]
+};
+
+// Saving just acknowledges the file list it was sent
+const saveWebsite = (body) => ({
+    type: 'json',
+    delay: 300,
+    body: { saved_files: body.saved_files || {} }
+});
+
+export const MOCK_SCENARIOS = {
+    happy: {
+        name: 'Happy path (questions → plan → complete)',
+        endpoints: {
+            '/api/generate-website': generateHappyPath,
+            '/api/update-website': [updateWebsite],
+            '/api/translate-website': [translateWebsite],
+            '/api/save-website': [saveWebsite],
+            ...landingPage
+        }
+    },
+    failure: {
+        name: 'Failure (planning fails)',
+        endpoints: {
+            '/api/generate-website': generateFailure,
+            '/api/update-website': [updateWebsite],
+            '/api/translate-website': [translateWebsite],
+            '/api/save-website': [saveWebsite],
+            ...landingPage
+        }
+    }
+};
@@ -0,0 +1,306 @@
+import { MOCK_SCENARIOS } from './mockFixtures.js';
+
+/**
+ * Mock Transport
+ * A fetch() stand-in for `mock://` backend URLs. Replays canned or recorded
+ * sessions (JSON bodies and SSE event sequences with their original timing),
+ * and can record live backend traffic into a fixture file.
+ */
+
+const SCENARIO_KEY = 'mockScenario';
+const SPEED_KEY = 'mockSpeed';
+const IMPORTED_KEY = 'mockImportedFixture';
+
+class MockTransport {
+    constructor() {
+        this.callIndex = {};       // endpoint -> number of calls served
+        this.recording = null;     // {name, recordedAt, endpoints} while recording
+        this.importedFixture = this._loadImported();
+    }
+
+    _loadImported() {
+        try {
+            return JSON.parse(localStorage.getItem(IMPORTED_KEY) || 'null');
+        } catch (error) {
+            console.warn('Invalid imported mock fixture, ignoring:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} url - Request URL
+     * @returns {boolean} True if the URL should be served by the mock
+     */
+    isMockURL(url) {
+        return typeof url === 'string' && url.startsWith('mock://');
+    }
+
+    /**
+     * @returns {Array} [{id, name}] of selectable scenarios
+     */
+    getScenarios() {
+        const scenarios = Object.entries(MOCK_SCENARIOS).map(([id, s]) => ({ id, name: s.name }));
+        if (this.importedFixture) {
+            scenarios.push({ id: 'imported', name: `Imported: ${this.importedFixture.name || 'recording'}` });
+        }
+        return scenarios;
+    }
+
+    getScenarioId() {
+        const id = localStorage.getItem(SCENARIO_KEY) || 'happy';
+        if (id === 'imported' && !this.importedFixture) return 'happy';
+        return id;
+    }
+
+    setScenario(id) {
+        localStorage.setItem(SCENARIO_KEY, id);
+        this.resetSession();
+    }
+
+    /**
+     * Playback speed multiplier (2 = twice as fast)
+     * @returns {number} Speed
+     */
+    getSpeed() {
+        const speed = parseFloat(localStorage.getItem(SPEED_KEY) || '1');
+        return speed > 0 ? speed : 1;
+    }
+
+    setSpeed(speed) {
+        localStorage.setItem(SPEED_KEY, String(speed));
+    }
+
+    /**
+     * Restart every endpoint's call sequence from the first recorded call
+     */
+    resetSession() {
+        this.callIndex = {};
+    }
+
+    _getEndpoints() {
+        if (this.getScenarioId() === 'imported') return this.importedFixture.endpoints || {};
+        return (MOCK_SCENARIOS[this.getScenarioId()] || MOCK_SCENARIOS.happy).endpoints;
+    }
+
+    _nextCall(endpoint, body) {
+        const calls = this._getEndpoints()[endpoint];
+        if (!calls || calls.length === 0) return null;
+
+        const index = this.callIndex[endpoint] || 0;
+        this.callIndex[endpoint] = index + 1;
+
+        // The last recorded call repeats once the sequence is exhausted
+        const call = calls[Math.min(index, calls.length - 1)];
+        return typeof call === 'function' ? call(body) : call;
+    }
+
+    _wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, ms / this.getSpeed());
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    /**
+     * fetch()-compatible entry point for mock:// URLs
+     * @param {string} url - Request URL
+     * @param {Object} init - Fetch options
+     * @returns {Promise<Response>} Mock response
+     */
+    async fetch(url, init = {}) {
+        const endpoint = new URL(url).pathname;
+        let body = {};
+        try {
+            body = init.body ? JSON.parse(init.body) : {};
+        } catch (e) {
+            body = {};
+        }
+
+        // A generate-website call without a thread starts a new session
+        if (endpoint === '/api/generate-website' && !body.thread_id) {
+            this.callIndex[endpoint] = 0;
+        }
+
+        const call = this._nextCall(endpoint, body);
+        if (!call) {
+            await this._wait(100, init.signal);
+            return new Response(JSON.stringify({ detail: `Mock backend has no fixture for ${endpoint}` }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        if (call.type === 'sse') {
+            return this._sseResponse(call.events || [], init.signal);
+        }
+
+        await this._wait(call.delay || 0, init.signal);
+        return new Response(JSON.stringify(call.body ?? {}), {
+            status: call.status || 200,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    _sseResponse(events, signal) {
+        const encoder = new TextEncoder();
+        let index = 0;
+
+        const stream = new ReadableStream({
+            pull: async (controller) => {
+                if (index >= events.length) {
+                    controller.close();
+                    return;
+                }
+
+                const event = events[index++];
+                try {
+                    await this._wait(event.delay || 0, signal);
+                } catch (error) {
+                    controller.error(error);
+                    return;
+                }
+
+                const idLine = event.id ? `id: ${event.id}\n` : '';
+                controller.enqueue(encoder.encode(`${idLine}data: ${JSON.stringify(event.data)}\n\n`));
+            }
+        });
+
+        return new Response(stream, {
+            status: 200,
+            headers: { 'Content-Type': 'text/event-stream' }
+        });
+    }
+
+    // ─────────────────────────────────────────────
+    //  Recording live sessions
+    // ─────────────────────────────────────────────
+
+    isRecording() {
+        return !!this.recording;
+    }
+
+    startRecording(name = 'Recorded session') {
+        this.recording = { name, recordedAt: new Date().toISOString(), endpoints: {} };
+    }
+
+    /**
+     * Stop recording and return the captured fixture
+     * @returns {Object|null} Fixture {name, recordedAt, endpoints}
+     */
+    stopRecording() {
+        const recording = this.recording;
+        this.recording = null;
+        return recording;
+    }
+
+    /**
+     * Capture a live response into the current recording without consuming it
+     * @param {string} url - Request URL
+     * @param {Response} response - Live response
+     * @param {number} started - When the request was sent (ms), so delays include the wait for the response
+     * @returns {Response} Response to hand back to the caller
+     */
+    capture(url, response, started = Date.now()) {
+        if (!this.recording) return response;
+
+        const endpoint = new URL(url).pathname;
+        const calls = this.recording.endpoints[endpoint] = this.recording.endpoints[endpoint] || [];
+        const contentType = response.headers.get('content-type') || '';
+
+        if (!contentType.includes('text/event-stream') || !response.body) {
+            response.clone().json()
+                .then(body => calls.push({ type: 'json', status: response.status, delay: Date.now() - started, body }))
+                .catch(() => { /* non-JSON bodies aren't recorded */ });
+            return response;
+        }
+
+        // Read one branch for the recording and hand the other to the caller
+        const [forCaller, forRecording] = response.body.tee();
+        const call = { type: 'sse', events: [] };
+        calls.push(call);
+        this._recordStream(forRecording, call.events, started);
+
+        return new Response(forCaller, { status: response.status, headers: response.headers });
+    }
+
+    async _recordStream(body, events, started) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let last = started;
+        let pendingId = null;
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop() || '';
+
+                for (const line of lines) {
+                    if (line.startsWith('id:')) {
+                        pendingId = line.slice(3).trim();
+                    } else if (line.startsWith('data: ')) {
+                        try {
+                            const now = Date.now();
+                            events.push({ delay: now - last, id: pendingId || undefined, data: JSON.parse(line.slice(6)) });
+                            last = now;
+                            pendingId = null;
+                        } catch (e) {
+                            // Skip malformed lines, same as the live reader
+                        }
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Recording stream ended early:', error);
+        }
+    }
+
+    /**
+     * Download a fixture as a JSON file
+     * @param {Object} fixture - Fixture from stopRecording
+     */
+    downloadFixture(fixture) {
+        const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `mock-session-${Date.now()}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a recorded fixture file and select it as the active scenario
+     * @param {Object} fixture - Parsed fixture JSON
+     */
+    importFixture(fixture) {
+        if (!fixture || typeof fixture.endpoints !== 'object') {
+            throw new Error('Not a mock fixture: missing "endpoints"');
+        }
+
+        this.importedFixture = fixture;
+        try {
+            localStorage.setItem(IMPORTED_KEY, JSON.stringify(fixture));
+        } catch (error) {
+            // Large recordings may not fit; keep them for this session only
+            console.warn('Fixture too large to persist, using it for this session only:', error);
+        }
+        this.setScenario('imported');
+    }
+}
+
+// Export singleton instance
+export const mockTransport = new MockTransport();
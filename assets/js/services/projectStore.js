@@ -0,0 +1,145 @@
+/**
+ * Project Store
+ * Persists generated websites (pages, templates, plan, chats) in IndexedDB
+ * so a page reload doesn't throw away a finished LLM run.
+ */
+
+const DB_NAME = 'ai-website-generator';
+const DB_VERSION = 1;
+const STORE_NAME = 'projects';
+
+class ProjectStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB is usable in this browser
+     * @returns {boolean} True if available
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isAvailable()) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} fn - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async _withStore(mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = fn(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Create a new project id
+     * @returns {string} Unique id
+     */
+    createId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `project-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Save (insert or replace) a project snapshot
+     * @param {Object} project - Snapshot with at least an id
+     * @returns {Promise<Object>} The stored snapshot
+     */
+    async saveProject(project) {
+        if (!project || !project.id) {
+            throw new Error('Project snapshot must have an id');
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            ...project,
+            createdAt: project.createdAt || now,
+            updatedAt: now
+        };
+
+        await this._withStore('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Load a project snapshot
+     * @param {string} id - Project id
+     * @returns {Promise<Object|null>} Snapshot or null
+     */
+    async getProject(id) {
+        const result = await this._withStore('readonly', store => store.get(id));
+        return result || null;
+    }
+
+    /**
+     * List project summaries, most recently updated first
+     * @param {number} limit - Max number of entries
+     * @returns {Promise<Array>} [{id, name, updatedAt, pageCount}]
+     */
+    async listProjects(limit = 10) {
+        const all = await this._withStore('readonly', store => store.getAll());
+        return (all || [])
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+            .slice(0, limit)
+            .map(project => ({
+                id: project.id,
+                name: project.name,
+                updatedAt: project.updatedAt,
+                pageCount: Object.keys(project.pages || {}).length
+            }));
+    }
+
+    /**
+     * Delete a project snapshot
+     * @param {string} id - Project id
+     * @returns {Promise<void>}
+     */
+    async deleteProject(id) {
+        await this._withStore('readwrite', store => store.delete(id));
+    }
+}
+
+// Export singleton instance
+export const projectStore = new ProjectStore();
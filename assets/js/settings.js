@@ -0,0 +1,268 @@
+import { backendConfig } from './services/config.js';
+import { apiService } from './services/api.js';
+import { mockTransport } from './services/mockTransport.js';
+
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+
+/**
+ * SettingsManager
+ * Backend profile settings modal and the health indicator in the top bar.
+ */
+export class SettingsManager {
+    constructor() {
+        this.editingId = null;
+        this.healthTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.renderStatus({ status: 'checking', detail: 'Checking…' });
+
+        backendConfig.onChange(() => this.checkHealth());
+        this.checkHealth();
+        this.healthTimer = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL_MS);
+    }
+
+    setupEventListeners() {
+        document.getElementById('settingsBtn')?.addEventListener('click', () => this.open());
+        document.getElementById('backendStatus')?.addEventListener('click', () => this.open());
+        document.getElementById('settingsClose')?.addEventListener('click', () => this.close());
+
+        document.getElementById('settingsProfileSelect')?.addEventListener('change', (e) => {
+            this.loadProfileIntoForm(e.target.value);
+        });
+        document.getElementById('settingsNewProfileBtn')?.addEventListener('click', () => this.loadProfileIntoForm(null));
+        document.getElementById('settingsSaveProfileBtn')?.addEventListener('click', () => this.saveForm());
+        document.getElementById('settingsDeleteProfileBtn')?.addEventListener('click', () => this.deleteEditing());
+        document.getElementById('settingsUseProfileBtn')?.addEventListener('click', () => this.useEditing());
+        document.getElementById('settingsTestBtn')?.addEventListener('click', () => this.testForm());
+
+        // Mock backend controls
+        document.getElementById('mockScenarioSelect')?.addEventListener('change', (e) => {
+            mockTransport.setScenario(e.target.value);
+        });
+        document.getElementById('mockSpeedSelect')?.addEventListener('change', (e) => {
+            mockTransport.setSpeed(parseFloat(e.target.value));
+        });
+        document.getElementById('mockRecordBtn')?.addEventListener('click', () => this.toggleRecording());
+        document.getElementById('mockImportInput')?.addEventListener('change', (e) => this.importFixture(e.target));
+
+        // Close when clicking the backdrop
+        document.getElementById('settingsModal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'settingsModal') this.close();
+        });
+    }
+
+    open() {
+        const modal = document.getElementById('settingsModal');
+        if (!modal) return;
+        this.loadProfileIntoForm(backendConfig.getActiveProfile().id);
+        this.renderMockControls();
+        modal.style.display = 'flex';
+    }
+
+    close() {
+        const modal = document.getElementById('settingsModal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    renderProfileSelect() {
+        const select = document.getElementById('settingsProfileSelect');
+        if (!select) return;
+
+        const activeId = backendConfig.getActiveProfile().id;
+        select.innerHTML = '';
+        for (const profile of backendConfig.getProfiles()) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.id === activeId ? `${profile.name} (active)` : profile.name;
+            select.appendChild(option);
+        }
+
+        if (this.editingId) select.value = this.editingId;
+    }
+
+    /**
+     * Fill the form with a profile, or clear it for a new one
+     * @param {string|null} id - Profile id or null for a new profile
+     */
+    loadProfileIntoForm(id) {
+        const profile = id ? backendConfig.getProfile(id) : null;
+        this.editingId = profile?.id || null;
+
+        this._setValue('settingsProfileName', profile?.name || '');
+        this._setValue('settingsBaseUrl', profile?.baseURL || '');
+        this._setValue('settingsAuthHeaderName', profile?.authHeaderName || '');
+        this._setValue('settingsAuthHeaderValue', profile?.authHeaderValue || '');
+
+        const deleteBtn = document.getElementById('settingsDeleteProfileBtn');
+        if (deleteBtn) deleteBtn.disabled = !profile || profile.builtIn;
+
+        const useBtn = document.getElementById('settingsUseProfileBtn');
+        if (useBtn) useBtn.disabled = !profile || profile.id === backendConfig.getActiveProfile().id;
+
+        this._setFormMessage('');
+        this.renderProfileSelect();
+    }
+
+    _readForm() {
+        return {
+            id: this.editingId,
+            name: this._getValue('settingsProfileName'),
+            baseURL: this._getValue('settingsBaseUrl'),
+            authHeaderName: this._getValue('settingsAuthHeaderName'),
+            authHeaderValue: this._getValue('settingsAuthHeaderValue')
+        };
+    }
+
+    saveForm() {
+        try {
+            const saved = backendConfig.saveProfile(this._readForm());
+            this.loadProfileIntoForm(saved.id);
+            this._setFormMessage('✓ Profile saved');
+        } catch (error) {
+            this._setFormMessage(error.message, true);
+        }
+    }
+
+    deleteEditing() {
+        if (!this.editingId) return;
+        if (!confirm('Delete this backend profile?')) return;
+
+        try {
+            backendConfig.deleteProfile(this.editingId);
+            this.loadProfileIntoForm(backendConfig.getActiveProfile().id);
+        } catch (error) {
+            this._setFormMessage(error.message, true);
+        }
+    }
+
+    useEditing() {
+        if (!this.editingId) return;
+        backendConfig.setActiveProfile(this.editingId);
+        this.loadProfileIntoForm(this.editingId);
+        this._setFormMessage(`✓ Now using ${backendConfig.getActiveProfile().name}`);
+    }
+
+    async testForm() {
+        const baseURL = this._getValue('settingsBaseUrl');
+        if (!baseURL) {
+            this._setFormMessage('Enter a base URL first', true);
+            return;
+        }
+
+        // Probe with the form's auth header, which may not be saved yet
+        const headerName = this._getValue('settingsAuthHeaderName');
+        const headerValue = this._getValue('settingsAuthHeaderValue');
+        const headers = headerName && headerValue ? { [headerName]: headerValue } : {};
+
+        this._setFormMessage('Testing…');
+        const result = await apiService.healthCheck(baseURL, undefined, headers);
+        this._setFormMessage(
+            `${result.status === 'offline' ? '✗' : '✓'} ${result.detail}`,
+            result.status === 'offline'
+        );
+    }
+
+    renderMockControls() {
+        const scenarioSelect = document.getElementById('mockScenarioSelect');
+        if (scenarioSelect) {
+            scenarioSelect.innerHTML = '';
+            for (const scenario of mockTransport.getScenarios()) {
+                const option = document.createElement('option');
+                option.value = scenario.id;
+                option.textContent = scenario.name;
+                scenarioSelect.appendChild(option);
+            }
+            scenarioSelect.value = mockTransport.getScenarioId();
+        }
+
+        const speedSelect = document.getElementById('mockSpeedSelect');
+        if (speedSelect) speedSelect.value = String(mockTransport.getSpeed());
+
+        const recordBtn = document.getElementById('mockRecordBtn');
+        if (recordBtn) {
+            const recording = mockTransport.isRecording();
+            recordBtn.classList.toggle('recording', recording);
+            recordBtn.querySelector('span').textContent = recording ? 'Stop & download' : 'Start recording';
+        }
+    }
+
+    /**
+     * Start recording live traffic, or stop and download the fixture file
+     */
+    toggleRecording() {
+        if (mockTransport.isRecording()) {
+            const fixture = mockTransport.stopRecording();
+            if (fixture && Object.keys(fixture.endpoints).length > 0) {
+                mockTransport.downloadFixture(fixture);
+                this._setFormMessage('✓ Recording saved');
+            } else {
+                this._setFormMessage('Nothing was recorded', true);
+            }
+        } else {
+            if (backendConfig.isMockActive()) {
+                this._setFormMessage('Switch to a live backend profile to record a session', true);
+                return;
+            }
+            const name = prompt('Name this recording:', 'Recorded session');
+            if (name === null) return;
+            mockTransport.startRecording(name || 'Recorded session');
+            this._setFormMessage('● Recording — use the app normally, then stop here');
+        }
+        this.renderMockControls();
+    }
+
+    async importFixture(input) {
+        const file = input.files?.[0];
+        if (!file) return;
+
+        try {
+            mockTransport.importFixture(JSON.parse(await file.text()));
+            this.renderMockControls();
+            this._setFormMessage(`✓ Imported ${file.name}`);
+        } catch (error) {
+            this._setFormMessage(`Import failed: ${error.message}`, true);
+        } finally {
+            input.value = '';
+        }
+    }
+
+    /**
+     * Probe the active backend and update the top-bar indicator
+     */
+    async checkHealth() {
+        const result = await apiService.healthCheck();
+        this.renderStatus(result);
+    }
+
+    renderStatus({ status, detail }) {
+        const indicator = document.getElementById('backendStatus');
+        if (!indicator) return;
+
+        const profile = backendConfig.getActiveProfile();
+        indicator.className = `backend-status backend-status--${status}`;
+        indicator.title = `${profile.name} — ${profile.baseURL}\n${detail}`;
+
+        const label = indicator.querySelector('.backend-status__label');
+        if (label) label.textContent = profile.name;
+    }
+
+    _getValue(id) {
+        return document.getElementById(id)?.value.trim() || '';
+    }
+
+    _setValue(id, value) {
+        const el = document.getElementById(id);
+        if (el) el.value = value;
+    }
+
+    _setFormMessage(message, isError = false) {
+        const el = document.getElementById('settingsFormMessage');
+        if (!el) return;
+        el.textContent = message;
+        el.style.color = isError ? 'var(--error-color)' : 'var(--text-secondary)';
+    }
+}
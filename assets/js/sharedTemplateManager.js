@@ -0,0 +1,398 @@
+import { HtmlUtil } from './utils/html.js';
+
+/**
+ * Shared Template Manager
+ * Template gallery backed by templates/templates.json plus user-registered
+ * templates. The selected template's HTML is sent to generate-website as the
+ * styling reference.
+ */
+
+const TEMPLATES_URL = '../templates/templates.json';
+const TEMPLATES_DIR = '../templates/';
+const CUSTOM_KEY = 'customTemplates';
+const SELECTED_KEY = 'selectedTemplate';
+
+export class SharedTemplateManager {
+    constructor() {
+        this.context = 'website';
+        this.templates = [];          // bundled + custom, in display order
+        this.htmlCache = new Map();   // template id -> HTML
+        this.selectedId = localStorage.getItem(SELECTED_KEY) || null;
+        this.category = 'all';
+        this.previewId = null;
+        this.listeners = [];
+
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        await this.loadTemplates();
+        this.render();
+    }
+
+    setupEventListeners() {
+        document.getElementById('templateCategoryFilter')?.addEventListener('change', (e) => {
+            this.category = e.target.value;
+            this.renderGallery();
+        });
+
+        document.getElementById('templateGallery')?.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-template-id]');
+            if (!card) return;
+            const id = card.dataset.templateId;
+
+            if (e.target.closest('[data-template-action="preview"]')) {
+                this.openPreview(id);
+            } else if (e.target.closest('[data-template-action="delete"]')) {
+                this.deleteCustomTemplate(id);
+            } else {
+                this.selectTemplate(this.selectedId === id ? null : id);
+            }
+        });
+
+        document.getElementById('templatePreviewClose')?.addEventListener('click', () => this.closePreview());
+        document.getElementById('templatePreviewUseBtn')?.addEventListener('click', () => {
+            this.selectTemplate(this.previewId);
+            this.closePreview();
+        });
+        document.getElementById('templatePreviewModal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'templatePreviewModal') this.closePreview();
+        });
+
+        document.getElementById('clearTemplateBtn')?.addEventListener('click', () => this.selectTemplate(null));
+        document.getElementById('registerTemplateBtn')?.addEventListener('click', () => this.registerFromForm());
+    }
+
+    /**
+     * Track which main tab the gallery is serving
+     * @param {string} context - Main tab id, e.g. 'website'
+     */
+    setContext(context) {
+        this.context = context;
+        this.render();
+    }
+
+    // ─────────────────────────────────────────────
+    //  Loading
+    // ─────────────────────────────────────────────
+
+    async loadTemplates() {
+        let bundled = [];
+        try {
+            const response = await fetch(TEMPLATES_URL);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            bundled = await response.json();
+        } catch (error) {
+            console.error('Error loading templates.json:', error);
+        }
+
+        this.templates = [
+            ...bundled.map(t => ({ ...t, custom: false })),
+            ...this._loadCustom()
+        ];
+
+        if (this.selectedId && !this.getTemplate(this.selectedId)) {
+            this.selectTemplate(null);
+        }
+        console.log(`✓ Loaded ${this.templates.length} templates`);
+    }
+
+    _loadCustom() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CUSTOM_KEY) || '[]');
+            return Array.isArray(saved) ? saved.map(t => ({ ...t, custom: true })) : [];
+        } catch (error) {
+            console.warn('Invalid saved custom templates, ignoring:', error);
+            return [];
+        }
+    }
+
+    _saveCustom() {
+        const custom = this.templates
+            .filter(t => t.custom)
+            .map(({ id, name, description, category, html }) => ({ id, name, description, category, html }));
+        localStorage.setItem(CUSTOM_KEY, JSON.stringify(custom));
+    }
+
+    /**
+     * @param {string} id - Template id
+     * @returns {Object|null} Template metadata
+     */
+    getTemplate(id) {
+        return this.templates.find(t => t.id === id) || null;
+    }
+
+    /**
+     * Load a template's HTML (bundled files are fetched once and cached)
+     * @param {string} id - Template id
+     * @returns {Promise<string>} Template HTML
+     */
+    async getTemplateHTML(id) {
+        const template = this.getTemplate(id);
+        if (!template) {
+            throw new Error(`Unknown template: ${id}`);
+        }
+        if (template.custom) return template.html;
+        if (this.htmlCache.has(id)) return this.htmlCache.get(id);
+
+        const response = await fetch(`${TEMPLATES_DIR}${template.file}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${template.file}: HTTP ${response.status}`);
+        }
+        const html = await response.text();
+        this.htmlCache.set(id, html);
+        return html;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Selection
+    // ─────────────────────────────────────────────
+
+    /**
+     * @returns {Object|null} Selected template metadata
+     */
+    getSelectedTemplate() {
+        return this.selectedId ? this.getTemplate(this.selectedId) : null;
+    }
+
+    /**
+     * HTML of the selected template, used as the generation styling reference
+     * @returns {Promise<string|null>} HTML or null if nothing is selected
+     */
+    async getSelectedTemplateHTML() {
+        if (!this.selectedId) return null;
+        try {
+            return await this.getTemplateHTML(this.selectedId);
+        } catch (error) {
+            console.error('Error loading selected template:', error);
+            return null;
+        }
+    }
+
+    selectTemplate(id) {
+        this.selectedId = id;
+        if (id) {
+            localStorage.setItem(SELECTED_KEY, id);
+        } else {
+            localStorage.removeItem(SELECTED_KEY);
+        }
+        this.render();
+        this.notifyListeners();
+    }
+
+    /**
+     * Subscribe to selection changes
+     * @param {Function} callback - Callback function (selectedTemplate) => void
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    notifyListeners() {
+        const selected = this.getSelectedTemplate();
+        for (const callback of this.listeners) {
+            try {
+                callback(selected);
+            } catch (error) {
+                console.error('Error in template listener:', error);
+            }
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  User templates
+    // ─────────────────────────────────────────────
+
+    /**
+     * Register a user template
+     * @param {Object} template - {name, description, category, html}
+     * @returns {Object} Saved template
+     */
+    registerTemplate({ name, description = '', category = 'custom', html }) {
+        if (!name || !name.trim()) {
+            throw new Error('Template name is required');
+        }
+        if (!html || !/<(html|body|section|div)[\s>]/i.test(html)) {
+            throw new Error('Template must contain HTML markup');
+        }
+
+        const template = {
+            id: `custom-${Date.now()}`,
+            name: name.trim(),
+            description: description.trim(),
+            category: (category || 'custom').trim().toLowerCase(),
+            html,
+            custom: true
+        };
+
+        this.templates.push(template);
+        try {
+            this._saveCustom();
+        } catch (error) {
+            this.templates.pop();
+            throw new Error('Template is too large to save in browser storage');
+        }
+
+        this.render();
+        return template;
+    }
+
+    async registerFromForm() {
+        const nameInput = document.getElementById('customTemplateName');
+        const categoryInput = document.getElementById('customTemplateCategory');
+        const fileInput = document.getElementById('customTemplateFile');
+        const file = fileInput?.files?.[0];
+
+        if (!file) {
+            alert('Choose an HTML file for your template.');
+            return;
+        }
+
+        try {
+            const template = this.registerTemplate({
+                name: nameInput?.value || file.name.replace(/\.html?$/i, ''),
+                category: categoryInput?.value || 'custom',
+                description: `Uploaded from ${file.name}`,
+                html: await file.text()
+            });
+            this.selectTemplate(template.id);
+
+            if (nameInput) nameInput.value = '';
+            if (categoryInput) categoryInput.value = '';
+            fileInput.value = '';
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    deleteCustomTemplate(id) {
+        const template = this.getTemplate(id);
+        if (!template?.custom) return;
+        if (!confirm(`Delete template "${template.name}"?`)) return;
+
+        this.templates = this.templates.filter(t => t.id !== id);
+        this._saveCustom();
+        if (this.selectedId === id) {
+            this.selectTemplate(null);
+        } else {
+            this.render();
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  Rendering
+    // ─────────────────────────────────────────────
+
+    render() {
+        this.renderCategoryFilter();
+        this.renderGallery();
+        this.renderSelection();
+    }
+
+    renderCategoryFilter() {
+        const select = document.getElementById('templateCategoryFilter');
+        if (!select) return;
+
+        const categories = [...new Set(this.templates.map(t => t.category || 'custom'))];
+        if (this.category !== 'all' && !categories.includes(this.category)) {
+            this.category = 'all';
+        }
+
+        select.innerHTML = '<option value="all">All categories</option>';
+        for (const category of categories) {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category.charAt(0).toUpperCase() + category.slice(1);
+            select.appendChild(option);
+        }
+        select.value = this.category;
+    }
+
+    renderGallery() {
+        const gallery = document.getElementById('templateGallery');
+        if (!gallery) return;
+
+        const visible = this.templates.filter(t => this.category === 'all' || t.category === this.category);
+        gallery.innerHTML = '';
+
+        if (visible.length === 0) {
+            gallery.innerHTML = '<p class="template-gallery-empty">No templates in this category.</p>';
+            return;
+        }
+
+        for (const template of visible) {
+            const card = document.createElement('div');
+            card.className = `template-card${template.id === this.selectedId ? ' selected' : ''}`;
+            card.dataset.templateId = template.id;
+            card.innerHTML = `
+                <div class="template-thumbnail"><iframe sandbox="" tabindex="-1" loading="lazy" title="${HtmlUtil.escape(template.name)} thumbnail"></iframe></div>
+                <div class="template-card-content">
+                    <h3>${HtmlUtil.escape(template.name)}</h3>
+                    <p>${HtmlUtil.escape(template.description || '')}</p>
+                </div>
+                <div class="template-card-actions">
+                    <button class="template-preview-btn" data-template-action="preview">Preview</button>
+                    ${template.custom ? '<button class="template-preview-btn" data-template-action="delete" title="Delete template"><i class="fas fa-trash"></i></button>' : ''}
+                </div>
+            `;
+            gallery.appendChild(card);
+
+            // Thumbnails are the real template rendered at a small scale
+            const frame = card.querySelector('iframe');
+            this.getTemplateHTML(template.id)
+                .then(html => { frame.srcdoc = html; })
+                .catch(error => console.warn(`Thumbnail failed for ${template.id}:`, error));
+        }
+    }
+
+    renderSelection() {
+        const selected = this.getSelectedTemplate();
+
+        const info = document.getElementById('selectedTemplateInfo');
+        if (info) {
+            info.style.display = selected ? 'block' : 'none';
+            const name = info.querySelector('.selected-template-name');
+            const description = info.querySelector('.selected-template-description');
+            if (name) name.textContent = selected?.name || '';
+            if (description) description.textContent = selected?.description || '';
+        }
+
+        // Compact badge next to the website description
+        const badge = document.getElementById('selectedTemplateBadge');
+        if (badge) {
+            badge.style.display = selected ? 'flex' : 'none';
+            const label = badge.querySelector('span');
+            if (label) label.textContent = selected ? `Style reference: ${selected.name}` : '';
+        }
+    }
+
+    async openPreview(id) {
+        const modal = document.getElementById('templatePreviewModal');
+        const frame = document.getElementById('templatePreviewFrame');
+        const title = document.getElementById('templatePreviewTitle');
+        const template = this.getTemplate(id);
+        if (!modal || !frame || !template) return;
+
+        this.previewId = id;
+        if (title) title.textContent = template.name;
+        modal.style.display = 'flex';
+
+        try {
+            frame.srcdoc = await this.getTemplateHTML(id);
+        } catch (error) {
+            console.error('Template preview error:', error);
+            frame.srcdoc = `<p style="font-family:sans-serif;padding:24px">Could not load template: ${HtmlUtil.escape(error.message)}</p>`;
+        }
+    }
+
+    closePreview() {
+        const modal = document.getElementById('templatePreviewModal');
+        const frame = document.getElementById('templatePreviewFrame');
+        if (modal) modal.style.display = 'none';
+        if (frame) frame.srcdoc = '';
+        this.previewId = null;
+    }
+}
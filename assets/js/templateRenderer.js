@@ -3,10 +3,69 @@
  * Uses Nunjucks to render Jinja2 templates with JSON data in the browser
  */
 
+import { TemplateFilters } from './utils/templateFilters.js';
+
+const PARTIALS_URL = '../templates/partials/partials.json';
+const PARTIALS_DIR = '../templates/partials/';
+const SAFE_MODE_KEY = 'safeRenderingMode';
+
+// What renderPages shows for a page that fails (set per page as template.onError)
+export const ERROR_POLICIES = {
+    placeholder: 'Show a placeholder',
+    'last-good': 'Keep the last good render',
+    fail: 'Fail the whole render'
+};
+export const DEFAULT_ERROR_POLICY = 'placeholder';
+
+const JINJA_TAG = /\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}/g;
+
+// Site-building filters available to every template
+const FILTERS = {
+    date: TemplateFilters.date,
+    currency: TemplateFilters.currency,
+    phone: TemplateFilters.phone,
+    slugify: TemplateFilters.slugify,
+    truncatewords: TemplateFilters.truncatewords,
+    markdown: (value) => new nunjucks.runtime.SafeString(TemplateFilters.markdown(value)),
+    image_url: TemplateFilters.imageUrl
+};
+
+/**
+ * Thrown by renderPages when a page whose policy is "fail" cannot be rendered
+ */
+export class TemplateRenderError extends Error {
+    /**
+     * @param {Array} errors - Render errors (see TemplateRenderer.describeError)
+     * @param {Object} pages - Every page as rendered, failed ones as placeholders
+     */
+    constructor(errors, pages = {}) {
+        super(errors.map(error => TemplateRenderer.formatError(error)).join('\n'));
+        this.name = 'TemplateRenderError';
+        this.errors = errors;
+        this.pages = pages;
+    }
+}
+
 export class TemplateRenderer {
     constructor() {
         this.env = null;
+        // Safe mode escapes data values and sanitizes AI-returned HTML (opt-in)
+        this.safeMode = localStorage.getItem(SAFE_MODE_KEY) === 'true';
+        this.globals = {
+            current_year: new Date().getFullYear(),
+            site_name: '',
+            // Language being rendered; multilingual sites set it per language
+            locale: 'en'
+        };
+        // Partial sources by name ("header.html"), for {% include %}
+        this.partials = new Map();
+        this.partialList = [];
+        // Render errors of the last renderPages call, by page, and the last good render of each page
+        this.errors = {};
+        this.lastGood = {};
+        this.errorListeners = [];
         this.initializeNunjucks();
+        this.partialsReady = this.loadPartials();
     }
 
     /**
@@ -18,14 +77,148 @@ export class TemplateRenderer {
             return;
         }
 
+        // Includes resolve against the partials library instead of the server
+        const partials = this.partials;
+        const PartialLoader = nunjucks.Loader.extend({
+            getSource(name) {
+                const key = TemplateRenderer.partialName(name);
+                if (!partials.has(key)) return null;
+                return { src: partials.get(key), path: key, noCache: true };
+            }
+        });
+
         // Configure Nunjucks environment
-        this.env = nunjucks.configure({
-            autoescape: false,  // Don't escape HTML (we're rendering HTML)
+        this.env = new nunjucks.Environment(new PartialLoader(), {
+            autoescape: this.safeMode,  // Templates are HTML; data is only escaped in safe mode
             trimBlocks: true,   // Remove first newline after block
             lstripBlocks: true  // Strip leading spaces/tabs from start of line
         });
 
-        console.log('✓ Nunjucks template engine initialized');
+        Object.entries(FILTERS).forEach(([name, filter]) => this.env.addFilter(name, filter));
+        Object.entries(this.globals).forEach(([name, value]) => this.env.addGlobal(name, value));
+
+        console.log(`✓ Nunjucks template engine initialized${this.safeMode ? ' (safe mode)' : ''}`);
+    }
+
+    /**
+     * Turn safe mode on or off. In safe mode data values are HTML-escaped
+     * unless a template marks them with | safe.
+     * @param {boolean} enabled - Whether safe mode is on
+     */
+    setSafeMode(enabled) {
+        this.safeMode = !!enabled;
+        localStorage.setItem(SAFE_MODE_KEY, String(this.safeMode));
+        this.initializeNunjucks();
+    }
+
+    // ─────────────────────────────────────────────
+    //  Globals and partials
+    // ─────────────────────────────────────────────
+
+    /**
+     * Set a variable every template can read, e.g. site_name.
+     * Data fields with the same name take precedence.
+     * @param {string} name - Global name
+     * @param {*} value - Value
+     */
+    setGlobal(name, value) {
+        this.globals[name] = value;
+        this.env?.addGlobal(name, value);
+    }
+
+    /**
+     * @param {string} path - Data path as written in a template
+     * @param {Object} data - Record being rendered (its fields shadow globals)
+     * @returns {boolean} True if the path reads a global rather than data
+     */
+    isGlobal(path, data = null) {
+        const head = String(path).split(/[.[]/)[0];
+        return Object.prototype.hasOwnProperty.call(this.globals, head)
+            && !(data && Object.prototype.hasOwnProperty.call(data, head));
+    }
+
+    /**
+     * Load the bundled partials listed in templates/partials/partials.json
+     */
+    async loadPartials() {
+        try {
+            const response = await fetch(PARTIALS_URL);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const list = await response.json();
+
+            await Promise.all(list.map(async (partial) => {
+                const fileResponse = await fetch(`${PARTIALS_DIR}${partial.file}`);
+                if (!fileResponse.ok) {
+                    console.warn(`Partial ${partial.file} could not be loaded (HTTP ${fileResponse.status})`);
+                    return;
+                }
+                this.registerPartial(partial.file, await fileResponse.text(), partial.description);
+            }));
+            console.log(`✓ Loaded ${this.partials.size} template partials`);
+        } catch (error) {
+            console.error('Error loading partials.json:', error);
+        }
+    }
+
+    /**
+     * Add or replace a partial that templates can {% include %}
+     * @param {string} name - e.g. "header.html" (also reachable as "partials/header.html")
+     * @param {string} source - Jinja source
+     * @param {string} description - Shown in partial listings
+     */
+    registerPartial(name, source, description = '') {
+        const key = TemplateRenderer.partialName(name);
+        this.partials.set(key, source);
+        this.partialList = [
+            ...this.partialList.filter(partial => partial.name !== key),
+            { name: key, description }
+        ];
+    }
+
+    /**
+     * @param {string} name - Partial name
+     * @returns {string|null} Jinja source
+     */
+    getPartial(name) {
+        return this.partials.get(TemplateRenderer.partialName(name)) ?? null;
+    }
+
+    /**
+     * @returns {Array} [{name, description}]
+     */
+    getPartials() {
+        return [...this.partialList];
+    }
+
+    /**
+     * Partials a template includes, directly or through other partials
+     * @param {string} template - Jinja template
+     * @returns {Array} Partial names
+     */
+    includedPartials(template) {
+        const found = new Set();
+        const visit = (source) => {
+            for (const match of (source || '').matchAll(/\{%-?\s*include\s+["']([^"']+)["']/g)) {
+                const name = TemplateRenderer.partialName(match[1]);
+                if (found.has(name) || !this.partials.has(name)) continue;
+                found.add(name);
+                visit(this.partials.get(name));
+            }
+        };
+        visit(template);
+        return [...found];
+    }
+
+    /**
+     * "partials/header", "header" and "header.html" all name the same partial
+     * @param {string} name - Name as written in {% include %}
+     * @returns {string} Canonical name
+     */
+    static partialName(name) {
+        const base = String(name).trim().replace(/^\.?\/?(partials\/)?/, '');
+        return /\.\w+$/.test(base) ? base : `${base}.html`;
     }
 
     /**
@@ -60,43 +253,273 @@ export class TemplateRenderer {
     }
 
     /**
-     * Render multiple pages at once
-     * @param {Object} pages - Pages object {pageName: {jinja|html, css}}
+     * Render multiple pages at once. A page that fails is handled by its
+     * template's onError policy (see ERROR_POLICIES) and listed in this.errors.
+     * @param {Object} pages - Pages object {pageName: {jinja|html, css, onError}}
      * @param {Object} data - Data to render with
      * @returns {Object} Rendered pages {pageName: {html, css}}
+     * @throws {TemplateRenderError} When a page with the "fail" policy has an error
      */
     renderPages(pages, data) {
         const renderedPages = {};
+        const errors = {};
 
         for (const [pageName, pageData] of Object.entries(pages)) {
-            try {
-                // Handle both 'jinja' and 'html' property names
-                // Backend might return 'html', frontend expects 'jinja'
-                const template = pageData.jinja || pageData.html;
+            const css = pageData.css || '';
+            const result = this._renderPage(pageName, pageData, data);
+            if (!result.error) {
+                renderedPages[pageName] = { html: result.html, css };
+                this.lastGood[pageName] = renderedPages[pageName];
+                console.log(`✓ Rendered page: ${pageName}`);
+                continue;
+            }
+
+            const policy = pageData.onError || DEFAULT_ERROR_POLICY;
+            errors[pageName] = { ...result.error, policy };
+            console.error(`Error rendering page ${pageName}: ${TemplateRenderer.formatError(result.error)}`);
 
-                if (!template) {
-                    console.error(`No template found for page ${pageName}. PageData:`, pageData);
-                    throw new Error(`No template content found for page ${pageName}`);
+            if (policy === 'last-good' && this.lastGood[pageName]) {
+                renderedPages[pageName] = this.lastGood[pageName];
+            } else {
+                renderedPages[pageName] = { html: this.placeholderHtml(result.error), css };
+            }
+        }
+
+        this.setErrors(errors);
+
+        const fatal = Object.values(errors).filter(error => error.policy === 'fail');
+        if (fatal.length > 0) {
+            throw new TemplateRenderError(fatal, renderedPages);
+        }
+        return renderedPages;
+    }
+
+    /**
+     * Render multiple pages without any fallback, so callers can tell which
+     * pages failed (bulk rendering, live preview). Does not touch this.errors.
+     * @param {Object} pages - Pages object {pageName: {jinja|html, css}}
+     * @param {Object} data - Data to render with
+     * @returns {Object} {pages: {pageName: {html, css}}, errors: {pageName: renderError}}
+     */
+    tryRenderPages(pages, data) {
+        if (!this.env) {
+            throw new Error('Nunjucks not initialized');
+        }
+
+        const rendered = {};
+        const errors = {};
+        for (const [pageName, pageData] of Object.entries(pages)) {
+            const result = this._renderPage(pageName, pageData, data);
+            if (result.error) {
+                errors[pageName] = result.error;
+            } else {
+                rendered[pageName] = { html: result.html, css: pageData.css || '' };
+            }
+        }
+
+        return { pages: rendered, errors };
+    }
+
+    /**
+     * @returns {Object} {html} or {error: renderError}
+     */
+    _renderPage(pageName, pageData, data) {
+        // Handle both 'jinja' and 'html' property names
+        // Backend might return 'html', frontend expects 'jinja'
+        const template = pageData.jinja || pageData.html;
+        if (!template) {
+            return { error: { page: pageName, file: null, line: null, column: null, expression: null, message: 'No template content' } };
+        }
+
+        try {
+            if (!this.env) {
+                throw new Error('Nunjucks not initialized');
+            }
+            // A syntax error in an included partial would otherwise surface
+            // asynchronously and leave the page empty, so compile partials first
+            for (const name of this.includedPartials(template)) {
+                try {
+                    new nunjucks.Template(this.partials.get(name), this.env, name, true);
+                } catch (error) {
+                    return { error: this.describeError(error, pageName, template, name) };
                 }
+            }
 
-                const renderedHtml = this.render(template, data);
-                renderedPages[pageName] = {
-                    html: renderedHtml,
-                    css: pageData.css || ''
-                };
-                console.log(`✓ Rendered page: ${pageName}`);
+            const html = this.env.renderString(template, data || {});
+            if (typeof html !== 'string') {
+                throw new Error('Rendering did not complete');
+            }
+            return { html };
+        } catch (error) {
+            return { error: this.describeError(error, pageName, template) };
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  Render errors
+    // ─────────────────────────────────────────────
+
+    /**
+     * Turn a Nunjucks error into a structured one. Nunjucks only reports a
+     * position for syntax errors, so runtime errors are located by searching
+     * the template for the filter, call or include they name.
+     * @param {Error} error - Error thrown while rendering
+     * @param {string} pageName - Page being rendered
+     * @param {string} template - Page template
+     * @param {string|null} file - Partial the error is known to come from
+     * @returns {Object} {page, file, line, column, expression, message} (line and column are 1-based)
+     */
+    describeError(error, pageName, template, file = null) {
+        const raw = String(error?.message || error || 'Unknown error');
+        let line = null;
+        let column = null;
+
+        // "(unknown path) [Line 2, Column 7]" for the page, "Template render error: (footer.html)" for partials
+        for (const match of raw.matchAll(/(?:^|Template render error: )\(([^)\n]*)\)(?: \[Line (\d+), Column (\d+)\])?/gm)) {
+            if (match[1] !== 'unknown path') file = TemplateRenderer.partialName(match[1]);
+            if (match[2]) {
+                line = Number(match[2]);
+                column = Number(match[3]);
+            }
+        }
+
+        const lines = raw.split('\n').map(text => text.trim()).filter(Boolean);
+        const message = (lines[lines.length - 1] || raw)
+            .replace(/^(\w*Error|Template render error):\s*/, '')
+            .replace(/^\([^)]*\)\s*(\[Line \d+, Column \d+\])?\s*/, '') || raw;
+
+        const source = (file && this.partials.get(file)) || template || '';
+        let index = line !== null ? this._indexOf(source, line, column) : this._locate(source, message);
+        const tag = index === null ? null : [...source.matchAll(JINJA_TAG)]
+            .find(match => index >= match.index && index < match.index + match[0].length);
+        if (tag && line === null) index = tag.index;
+
+        if (index !== null && line === null) {
+            const before = source.slice(0, index).split('\n');
+            line = before.length;
+            column = before[before.length - 1].length + 1;
+        }
+
+        const expression = tag?.[0]
+            || (line !== null ? (source.split('\n')[line - 1] || '').trim().slice(0, 120) : null)
+            || null;
+        return { page: pageName, file, line, column, expression, message };
+    }
+
+    /**
+     * One-line description, e.g. "about.html line 4, col 9: filter not found: money ({{ price | money }})"
+     * @param {Object|string} error - Structured render error (or a plain message)
+     * @returns {string}
+     */
+    static formatError(error) {
+        if (!error || typeof error === 'string') return error || '';
+        const where = [
+            error.file,
+            error.line !== null ? `line ${error.line}${error.column !== null ? `, col ${error.column}` : ''}` : null
+        ].filter(Boolean).join(' ');
+        return `${where ? `${where}: ` : ''}${error.message}${error.expression ? ` (${error.expression})` : ''}`;
+    }
+
+    /**
+     * Page shown in place of one that could not be rendered
+     * @param {Object} error - Structured render error
+     * @returns {string} HTML document
+     */
+    placeholderHtml(error) {
+        const escape = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Render error</title>
+</head>
+<body>
+    <div style="max-width: 640px; margin: 60px auto; padding: 24px; border: 2px dashed #f59e0b; border-radius: 8px; font-family: system-ui, sans-serif; color: #92400e; background: #fffbeb;">
+        <h2 style="margin-top: 0;">This page could not be rendered</h2>
+        <p>${escape(TemplateRenderer.formatError({ ...error, expression: null }))}</p>
+        ${error.expression ? `<pre style="white-space: pre-wrap;">${escape(error.expression)}</pre>` : ''}
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Replace the current render errors and tell listeners
+     * @param {Object} errors - {pageName: renderError}
+     */
+    setErrors(errors) {
+        this.errors = errors;
+        for (const callback of this.errorListeners) {
+            try {
+                callback(errors);
             } catch (error) {
-                console.error(`Error rendering page ${pageName}:`, error);
-                // Use original template as fallback
-                const fallbackHtml = pageData.jinja || pageData.html || '<h1>Error rendering page</h1>';
-                renderedPages[pageName] = {
-                    html: fallbackHtml,
-                    css: pageData.css || ''
-                };
+                console.error('Error in render error listener:', error);
             }
         }
+    }
 
-        return renderedPages;
+    /**
+     * Subscribe to render errors from renderPages
+     * @param {Function} callback - (errors: {pageName: renderError}) => void
+     */
+    onErrors(callback) {
+        this.errorListeners.push(callback);
+    }
+
+    /**
+     * Forget last good renders (a different site was loaded)
+     */
+    clearHistory() {
+        this.lastGood = {};
+        this.setErrors({});
+    }
+
+    _indexOf(source, line, column) {
+        const lines = source.split('\n');
+        if (line < 1 || line > lines.length) return null;
+        return lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0) + Math.max(0, (column || 1) - 1);
+    }
+
+    /**
+     * Find where a runtime error most likely happened
+     * @returns {number|null} Index in the template
+     */
+    _locate(source, message) {
+        const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const find = (pattern) => {
+            const match = [...source.matchAll(JINJA_TAG)].find(tag => pattern.test(tag[0]));
+            return match ? match.index : null;
+        };
+
+        let match = message.match(/filter not found: (\w+)/);
+        if (match) return find(new RegExp(`\\|\\s*${match[1]}\\b`));
+
+        match = message.match(/template not found: (\S+)/);
+        if (match) {
+            const name = TemplateRenderer.partialName(match[1]);
+            return find(new RegExp(`include\\s+["'](\\.?\\/?partials\\/)?${escapeRegex(name.replace(/\.html$/, ''))}`));
+        }
+
+        match = message.match(/Unable to call `([^`]+)`/);
+        if (match) {
+            const callee = match[1].replace(/\["([^"]+)"\]/g, '.$1');
+            return find(new RegExp(`${escapeRegex(callee)}\\s*\\(`));
+        }
+
+        // Unclosed {% if %} / {% for %} / ...: the last opening tag left on the stack
+        if (/expected .*end\w+|got end of file/.test(message)) {
+            const stack = [];
+            for (const tag of source.matchAll(JINJA_TAG)) {
+                const keyword = tag[0].match(/^\{%-?\s*(\w+)/)?.[1] || '';
+                if (/^(for|if|macro|call|filter|block|raw|with)$/.test(keyword)) stack.push(tag.index);
+                else if (keyword.startsWith('end')) stack.pop();
+            }
+            return stack.length ? stack[stack.length - 1] : null;
+        }
+
+        match = message.match(/reading '(\w+)'/);
+        if (match) return find(new RegExp(`\\b${match[1]}\\b`));
+        return null;
     }
 
     /**
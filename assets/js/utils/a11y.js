@@ -0,0 +1,481 @@
+// WCAG 2.1 AA contrast minimums for normal and large text
+const MIN_CONTRAST = 4.5;
+const MIN_CONTRAST_LARGE = 3;
+
+// Link texts that don't say where the link goes
+const GENERIC_LINK_TEXT = ["click here", "here", "click", "read more", "more", "learn more", "link", "this", "details", "go"];
+
+// Design-system palette keys that name text and background colors ("text", "text_primary", "background_alt")
+const TEXT_KEY = /^(text|foreground|body_text|heading|ink)/i;
+const BACKGROUND_KEY = /^(background|bg|surface|base|paper)/i;
+
+// Color keywords generated CSS commonly uses
+const NAMED_COLORS = {
+    white: "#ffffff", black: "#000000", gray: "#808080", grey: "#808080", silver: "#c0c0c0",
+    red: "#ff0000", green: "#008000", blue: "#0000ff", navy: "#000080", yellow: "#ffff00",
+    orange: "#ffa500", purple: "#800080", teal: "#008080", maroon: "#800000", whitesmoke: "#f5f5f5",
+    lightgray: "#d3d3d3", lightgrey: "#d3d3d3", darkgray: "#a9a9a9", darkgrey: "#a9a9a9", dimgray: "#696969"
+};
+
+// Form fields that need a label
+const LABELLED_FIELDS = "input:not([type=hidden]):not([type=submit]):not([type=button]):not([type=reset]):not([type=image]), select, textarea";
+
+export class A11yUtil {
+    /**
+     * Audit every page of a site
+     * @param {Object} pages - {pageName: {html, css}}
+     * @param {Object} options - {order, globalCss, palette: design-system color_palette, generatedImages: image URLs}
+     * @returns {Array} Findings, in page order, errors first: {id, page, rule, severity: 'error'|'warning',
+     *   message, instruction, selector, snippet, shared}
+     */
+    static audit(pages, options = {}) {
+        const names = (options.order?.length ? options.order : Object.keys(pages || {})).filter((name) => pages[name]);
+        const reportedRules = new Set();
+        const findings = [];
+
+        for (const name of names) {
+            const pageFindings = A11yUtil.auditPage(pages[name].html, pages[name].css || "", { ...options, reportedRules })
+                .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "error" ? -1 : 1));
+            pageFindings.forEach((finding, index) => findings.push({ id: `${name}:${index}`, page: name, ...finding }));
+        }
+        return findings;
+    }
+
+    /**
+     * @param {string} html - Full page document
+     * @param {string} css - Page CSS
+     * @param {Object} options - As for audit(); reportedRules (Set) keeps a shared CSS rule to the first page it matches
+     * @returns {Array} Findings without page and id
+     */
+    static auditPage(html, css, options = {}) {
+        const doc = new DOMParser().parseFromString(html || "", "text/html");
+        return [
+            ...A11yUtil._checkImages(doc, options.generatedImages || []),
+            ...A11yUtil._checkContrast(doc, css, options),
+            ...A11yUtil._checkHeadings(doc),
+            ...A11yUtil._checkFormLabels(doc),
+            ...A11yUtil._checkLinkText(doc),
+            ...A11yUtil._checkLandmarks(doc)
+        ];
+    }
+
+    /**
+     * Text/background pairs of the design-system palette
+     * @param {Object} palette - {name: color}
+     * @returns {Array} [{text, background, textColor, backgroundColor, ratio, passes}]
+     */
+    static paletteContrast(palette) {
+        const entries = Object.entries(palette || {}).filter(([, value]) => A11yUtil.parseColor(value));
+        const texts = entries.filter(([name]) => TEXT_KEY.test(name));
+        const backgrounds = entries.filter(([name]) => BACKGROUND_KEY.test(name));
+        const pairs = [];
+
+        for (const [text, textColor] of texts) {
+            for (const [background, backgroundColor] of backgrounds) {
+                const ratio = A11yUtil.contrast(A11yUtil.parseColor(textColor), A11yUtil.parseColor(backgroundColor));
+                pairs.push({ text, background, textColor, backgroundColor, ratio, passes: ratio >= MIN_CONTRAST });
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * The request sent to update-website to fix one finding
+     * @param {Object} finding - From audit()
+     * @returns {string} Edit request
+     */
+    static fixRequest(finding) {
+        const target = finding.shared
+            ? `The CSS rule \`${finding.selector}\` in the shared styles`
+            : `The element \`${finding.selector}\` (${finding.snippet})`;
+        return `Accessibility fix on the "${finding.page}" page. ${target}: ${finding.message} ${finding.instruction} `
+            + "Change only what this fix needs and keep the design, text and layout otherwise as they are.";
+    }
+
+    // ─────────────────────────────────────────────
+    //  Checks
+    // ─────────────────────────────────────────────
+
+    static _checkImages(doc, generatedImages) {
+        const findings = [];
+        doc.querySelectorAll("img, input[type=image]").forEach((el) => {
+            const src = el.getAttribute("src") || "";
+            const kind = generatedImages.includes(src) ? "Generated image" : "Image";
+            const alt = el.getAttribute("alt");
+
+            if (alt === null) {
+                findings.push(A11yUtil._finding(el, "img-alt", "error",
+                    `${kind} has no alt text.`,
+                    "Add an alt attribute that briefly describes what the image shows, or alt=\"\" if it is purely decorative."));
+            } else if (/\.(png|jpe?g|gif|webp|svg|avif)$/i.test(alt.trim()) || /^(image|img|photo|picture|graphic)\s*\d*$/i.test(alt.trim())) {
+                findings.push(A11yUtil._finding(el, "img-alt", "warning",
+                    `${kind} alt text "${alt.trim()}" doesn't describe the image.`,
+                    "Replace the alt text with a short description of what the image shows."));
+            }
+        });
+        return findings;
+    }
+
+    static _checkContrast(doc, css, options) {
+        const findings = [];
+        const pageCss = [...doc.querySelectorAll("style")].map((style) => style.textContent).join("\n") + "\n" + (css || "");
+        const globalCss = options.globalCss || "";
+        const rules = [
+            ...A11yUtil._parseRules(globalCss).map((rule) => ({ ...rule, shared: true })),
+            ...A11yUtil._parseRules(pageCss).map((rule) => ({ ...rule, shared: false }))
+        ];
+
+        const variables = {};
+        for (const rule of rules.filter((candidate) => /^(:root|html)$/i.test(candidate.selector))) {
+            for (const [name, value] of Object.entries(rule.declarations)) {
+                if (name.startsWith("--")) variables[name] = value;
+            }
+        }
+        const resolve = (value) => A11yUtil.parseColor(value, variables);
+
+        // Text with no background on itself or any ancestor sits on the page background
+        const paletteBackground = Object.entries(options.palette || {}).find(([name]) => BACKGROUND_KEY.test(name))?.[1];
+        const pageBackground = [resolve(paletteBackground) || resolve("#ffffff")];
+
+        for (const rule of rules) {
+            const foreground = resolve(rule.declarations.color);
+            if (!foreground || foreground.a < 1 || /^(:root|html)$/i.test(rule.selector)) continue;
+
+            let element = null;
+            try {
+                element = doc.querySelector(rule.selector);
+            } catch (error) {
+                continue;
+            }
+            if (!element) continue;
+
+            const key = `${rule.selector}{${rule.declarations.color}}`;
+            if (rule.shared && options.reportedRules?.has(key)) continue;
+
+            // Images and translucent layers: the background can't be told, so no finding
+            const backgrounds = A11yUtil._resolveBackground(element, rules, resolve, pageBackground);
+            if (!backgrounds) continue;
+            const large = A11yUtil._isLargeText(rule.selector, rule.declarations);
+            const finding = A11yUtil._contrastFinding(element, foreground, backgrounds, large, rule.declarations.color);
+            if (!finding) continue;
+
+            options.reportedRules?.add(key);
+            findings.push({ ...finding, selector: rule.selector, shared: rule.shared });
+        }
+
+        doc.querySelectorAll("[style]").forEach((el) => {
+            const declarations = A11yUtil._parseDeclarations(el.getAttribute("style"));
+            const foreground = resolve(declarations.color);
+            if (!foreground || foreground.a < 1) return;
+
+            const backgrounds = A11yUtil._resolveBackground(el, rules, resolve, pageBackground);
+            if (!backgrounds) return;
+            const large = A11yUtil._isLargeText(el.tagName.toLowerCase(), declarations);
+            const finding = A11yUtil._contrastFinding(el, foreground, backgrounds, large, declarations.color);
+            if (finding) findings.push(finding);
+        });
+
+        return findings;
+    }
+
+    static _contrastFinding(el, foreground, backgrounds, large, colorValue) {
+        const minimum = large ? MIN_CONTRAST_LARGE : MIN_CONTRAST;
+        // Gradients and layered backgrounds: the weakest color counts
+        const ratio = Math.min(...backgrounds.map((background) => A11yUtil.contrast(foreground, background)));
+        if (ratio >= minimum) return null;
+
+        const background = backgrounds[0];
+        return A11yUtil._finding(el, "contrast", ratio < MIN_CONTRAST_LARGE ? "error" : "warning",
+            `Text color ${colorValue.trim()} on ${A11yUtil.toHex(background)} has a contrast of ${ratio.toFixed(2)}:1 (needs ${minimum}:1).`,
+            `Change the text or background color so the contrast is at least ${minimum}:1, using colors from the site's palette.`);
+    }
+
+    static _checkHeadings(doc) {
+        const findings = [];
+        const headings = [...doc.body.querySelectorAll("h1, h2, h3, h4, h5, h6")];
+
+        if (headings.length > 0 && !headings.some((el) => el.tagName === "H1")) {
+            findings.push(A11yUtil._finding(headings[0], "heading-order", "error",
+                "The page has no h1 heading.",
+                "Make the page's main title an h1 (keep its current look with CSS)."));
+        }
+
+        let previous = 0;
+        let h1Count = 0;
+        for (const el of headings) {
+            const level = Number(el.tagName[1]);
+            if (level === 1 && ++h1Count === 2) {
+                findings.push(A11yUtil._finding(el, "heading-order", "warning",
+                    "The page has more than one h1 heading.",
+                    "Change this heading to an h2 so the page has a single h1 (keep its current look with CSS)."));
+            }
+            if (previous && level > previous + 1) {
+                findings.push(A11yUtil._finding(el, "heading-order", "warning",
+                    `An h${level} follows an h${previous}, skipping a level.`,
+                    `Change this heading to an h${previous + 1} (keep its current look with CSS).`));
+            }
+            previous = level;
+        }
+        return findings;
+    }
+
+    static _checkFormLabels(doc) {
+        const findings = [];
+        doc.querySelectorAll(LABELLED_FIELDS).forEach((el) => {
+            const id = el.getAttribute("id");
+            const labelled = (el.getAttribute("aria-label") || "").trim()
+                || el.getAttribute("aria-labelledby")
+                || (el.getAttribute("title") || "").trim()
+                || el.closest("label")
+                || (id && [...doc.querySelectorAll("label[for]")].some((label) => label.getAttribute("for") === id));
+            if (labelled) return;
+
+            const placeholder = el.getAttribute("placeholder");
+            findings.push(A11yUtil._finding(el, "form-label", "error",
+                placeholder ? `Form field has only a placeholder ("${placeholder}") and no label.` : "Form field has no label.",
+                "Add a visible <label> tied to the field with for/id (or an aria-label where a visible label doesn't fit)."));
+        });
+        return findings;
+    }
+
+    static _checkLinkText(doc) {
+        const findings = [];
+        doc.querySelectorAll("a[href], button").forEach((el) => {
+            const name = A11yUtil._accessibleName(el);
+            const what = el.tagName === "A" ? "Link" : "Button";
+
+            if (!name) {
+                findings.push(A11yUtil._finding(el, "link-text", "error",
+                    `${what} has no text, so screen readers can't tell what it does.`,
+                    `Give the ${what.toLowerCase()} visible text, or an aria-label when it only shows an icon.`));
+            } else if (el.tagName === "A" && GENERIC_LINK_TEXT.includes(name.toLowerCase().replace(/[.!…›»→]+$/, "").trim())) {
+                findings.push(A11yUtil._finding(el, "link-text", "warning",
+                    `Link text "${name}" doesn't say where the link goes.`,
+                    "Rewrite the link text to name its destination (e.g. \"Read more about our services\")."));
+            }
+        });
+        return findings;
+    }
+
+    static _checkLandmarks(doc) {
+        const findings = [];
+        const body = doc.body;
+        const has = (selector) => !!body.querySelector(selector);
+
+        if (!has("main, [role=main]")) {
+            findings.push(A11yUtil._finding(body, "landmark", "warning",
+                "The page has no main landmark.",
+                "Wrap the page's main content (between header and footer) in a <main> element."));
+        } else if (body.querySelectorAll("main, [role=main]").length > 1) {
+            findings.push(A11yUtil._finding(body.querySelectorAll("main, [role=main]")[1], "landmark", "error",
+                "The page has more than one main landmark.",
+                "Keep a single <main> element and turn this one into a <section>."));
+        }
+        if (!has("header, [role=banner]")) {
+            findings.push(A11yUtil._finding(body, "landmark", "warning",
+                "The page has no header landmark.",
+                "Put the site title and navigation at the top of the page in a <header> element."));
+        }
+        if (!has("nav, [role=navigation]") && body.querySelectorAll("a[href]").length >= 3) {
+            findings.push(A11yUtil._finding(body, "landmark", "warning",
+                "The page's links are not in a navigation landmark.",
+                "Wrap the site's main menu links in a <nav> element."));
+        }
+        if (!has("footer, [role=contentinfo]")) {
+            findings.push(A11yUtil._finding(body, "landmark", "warning",
+                "The page has no footer landmark.",
+                "Put the closing content of the page (contact, copyright) in a <footer> element."));
+        }
+        return findings;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Colors
+    // ─────────────────────────────────────────────
+
+    /**
+     * @param {string} value - CSS color: hex, rgb()/rgba(), a basic keyword or var(--name, fallback)
+     * @param {Object} variables - Custom properties {"--name": value}
+     * @returns {Object|null} {r, g, b, a}, or null when the value isn't a plain color
+     */
+    static parseColor(value, variables = {}) {
+        let text = String(value ?? "").replace(/!important/i, "").trim().toLowerCase();
+        for (let depth = 0; depth < 5 && text.startsWith("var("); depth++) {
+            const match = text.match(/^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/);
+            if (!match) return null;
+            text = String(variables[match[1]] ?? match[2] ?? "").trim().toLowerCase();
+        }
+        text = NAMED_COLORS[text] || text;
+
+        const hex = text.match(/^#([0-9a-f]{3,8})$/);
+        if (hex && [3, 4, 6, 8].includes(hex[1].length)) {
+            const digits = hex[1].length <= 4 ? [...hex[1]].map((digit) => digit + digit).join("") : hex[1];
+            return {
+                r: parseInt(digits.slice(0, 2), 16),
+                g: parseInt(digits.slice(2, 4), 16),
+                b: parseInt(digits.slice(4, 6), 16),
+                a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+            };
+        }
+
+        const rgb = text.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+        if (rgb) {
+            const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith("%") ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+            return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: alpha };
+        }
+        return null;
+    }
+
+    /**
+     * WCAG contrast ratio of two opaque colors
+     * @param {Object} a - {r, g, b}
+     * @param {Object} b - {r, g, b}
+     * @returns {number} Ratio from 1 to 21
+     */
+    static contrast(a, b) {
+        const luminance = ({ r, g, b: blue }) => {
+            const [R, G, B] = [r, g, blue].map((channel) => {
+                const value = channel / 255;
+                return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+            });
+            return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+        };
+        const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+        return (light + 0.05) / (dark + 0.05);
+    }
+
+    static toHex({ r, g, b }) {
+        return `#${[r, g, b].map((channel) => Math.round(channel).toString(16).padStart(2, "0")).join("")}`;
+    }
+
+    /**
+     * Background an element's text is drawn on: its own, or the nearest
+     * ancestor's, from matching rules (later rules win) and inline styles
+     * @param {Element} el - Element with the text
+     * @param {Array} rules - Parsed rules, in cascade order
+     * @param {Function} resolve - Color parser with the page's CSS variables
+     * @param {Array} pageBackground - Colors to use when nothing sets a background
+     * @returns {Array|null} Opaque colors (pageBackground if no element up
+     *   to <html> sets one), or null if it can't be determined
+     */
+    static _resolveBackground(el, rules, resolve, pageBackground) {
+        for (let node = el; node; node = node.parentElement) {
+            let value = "";
+            for (const rule of rules) {
+                const own = rule.declarations["background-color"] || rule.declarations.background;
+                if (!own) continue;
+                try {
+                    if (node.matches(rule.selector)) value = own;
+                } catch (error) {
+                    // Selectors the DOM can't match don't count
+                }
+            }
+            const inline = A11yUtil._parseDeclarations(node.getAttribute("style"));
+            value = inline["background-color"] || inline.background || value;
+
+            const backgrounds = A11yUtil._background(value, resolve);
+            if (backgrounds !== undefined) return backgrounds;
+        }
+        return pageBackground;
+    }
+
+    /**
+     * Opaque colors of a background value (every stop of a gradient)
+     * @returns {Array|null|undefined} Colors, null for images, translucent or
+     *   unresolved colors, undefined when the value sets no background
+     */
+    static _background(value, resolve) {
+        if (!value || /^(transparent|none|initial|inherit|unset)$/i.test(value.trim())) return undefined;
+        if (/url\(/i.test(value)) return null;
+
+        const tokens = value.match(/#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|var\([^()]*(?:\([^)]*\))?[^()]*\)|\b[a-z]+\b/gi) || [];
+        const colors = tokens.map(resolve).filter((color) => color && color.a > 0);
+        if (colors.some((color) => color.a < 1)) return null;
+        if (colors.length === 0) return /var\(|gradient\(/i.test(value) ? null : undefined;
+        return colors;
+    }
+
+    static _isLargeText(selector, declarations) {
+        const size = declarations["font-size"] || "";
+        const pixels = parseFloat(size) * (/r?em$/i.test(size) ? 16 : /pt$/i.test(size) ? 4 / 3 : 1);
+        const bold = /^(bold|[6-9]00)$/i.test((declarations["font-weight"] || "").trim());
+        const last = selector.split(",").pop().trim().split(/[\s>+~]+/).pop();
+        return /^h[12]\b/i.test(last) || pixels >= 24 || (bold && pixels >= 18.66);
+    }
+
+    // ─────────────────────────────────────────────
+    //  Helpers
+    // ─────────────────────────────────────────────
+
+    static _parseRules(css) {
+        const rules = [];
+        const text = (css || "").replace(/\/\*[\s\S]*?\*\//g, "");
+        for (const match of text.matchAll(/([^{}@;]+)\{([^{}]*)\}/g)) {
+            const declarations = A11yUtil._parseDeclarations(match[2]);
+            for (const selector of match[1].split(",").map((part) => part.trim()).filter(Boolean)) {
+                // Interactive states and pseudo-elements aren't what the page shows at rest
+                if (/:(hover|focus|active|visited|focus-within|focus-visible)|::?(before|after|placeholder|selection)/i.test(selector)) continue;
+                rules.push({ selector, declarations });
+            }
+        }
+        return rules;
+    }
+
+    static _parseDeclarations(text) {
+        const declarations = {};
+        for (const part of (text || "").split(";")) {
+            const index = part.indexOf(":");
+            if (index === -1) continue;
+            const name = part.slice(0, index).trim().toLowerCase();
+            if (name) declarations[name.startsWith("--") ? part.slice(0, index).trim() : name] = part.slice(index + 1).trim();
+        }
+        return declarations;
+    }
+
+    static _accessibleName(el) {
+        const label = (el.getAttribute("aria-label") || el.getAttribute("title") || "").trim();
+        if (label) return label;
+        const text = el.textContent.replace(/\s+/g, " ").trim();
+        if (text) return text;
+        return [...el.querySelectorAll("img[alt], svg[aria-label]")]
+            .map((child) => (child.getAttribute("alt") || child.getAttribute("aria-label")).trim())
+            .filter(Boolean)
+            .join(" ");
+    }
+
+    static _finding(el, rule, severity, message, instruction) {
+        return { rule, severity, message, instruction, selector: A11yUtil.cssPath(el), snippet: A11yUtil._openTag(el), shared: false };
+    }
+
+    /**
+     * Selector that finds the element again in the same page
+     * @param {Element} el - Element
+     * @returns {string} "#id" when it has one, otherwise a child path from body
+     */
+    static cssPath(el) {
+        const parts = [];
+        for (let node = el; node && node.tagName && node.tagName !== "HTML"; node = node.parentElement) {
+            const tag = node.tagName.toLowerCase();
+            if (tag === "body") {
+                parts.unshift("body");
+                break;
+            }
+            if (node.id && /^[a-z][\w-]*$/i.test(node.id)) {
+                parts.unshift(`#${node.id}`);
+                break;
+            }
+            const siblings = [...(node.parentElement?.children || [])].filter((sibling) => sibling.tagName === node.tagName);
+            parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+        }
+        return parts.join(" > ");
+    }
+
+    static _openTag(el) {
+        const attributes = [...el.attributes]
+            .filter((attr) => attr.name !== "style")
+            .map((attr) => ` ${attr.name}="${attr.value.length > 40 ? `${attr.value.slice(0, 40)}…` : attr.value}"`)
+            .join("");
+        const text = el.tagName === "BODY" ? "" : el.textContent.replace(/\s+/g, " ").trim().slice(0, 40);
+        return `<${el.tagName.toLowerCase()}${attributes}>${text}`;
+    }
+}
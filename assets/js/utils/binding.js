@@ -0,0 +1,183 @@
+// Jinja output, statement and comment tags
+const JINJA_PATTERN = /\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|\{#[\s\S]*?#\}/g;
+
+// Comments, raw-text elements, tags and text runs of an HTML body
+const HTML_TOKEN = /<!--[\s\S]*?-->|<(script|style|textarea|title)\b[\s\S]*?<\/\1\s*>|<[^>]*>|[^<]+|</gi;
+
+// Private-use character marking masked Jinja tags
+const MARK = "\uE000";
+
+export class BindingUtil {
+    /**
+     * Turn a Jinja template into editable HTML: {{ }} in text become visible
+     * chips, {% %} and {# #} become comments so the editor keeps them.
+     * Jinja inside tags, scripts and styles is left as it is.
+     * @param {string} html - Jinja template (full document or fragment)
+     * @returns {string} HTML with chips
+     */
+    static toChips(html) {
+        const { before, body, after } = BindingUtil.splitBody(html || "");
+        const tags = [];
+        const masked = body.replace(JINJA_PATTERN, (tag) => `${MARK}${tags.push(tag) - 1}${MARK}`);
+        const marks = new RegExp(`${MARK}(\\d+)${MARK}`, "g");
+
+        const converted = masked.replace(HTML_TOKEN, (token) => {
+            if (token.startsWith("<")) {
+                return token.replace(marks, (_, index) => tags[index]);
+            }
+            return token.replace(marks, (_, index) => BindingUtil.chip(tags[index]));
+        });
+        return before + converted + after;
+    }
+
+    /**
+     * Turn chips and Jinja comments back into template tags
+     * @param {string} html - HTML from the editor
+     * @returns {string} Jinja template
+     */
+    static fromChips(html) {
+        const { before, body, after } = BindingUtil.splitBody(html || "");
+        const template = document.createElement("template");
+        template.innerHTML = body;
+
+        // Serializing would escape the tags' quotes and operators, so swap them
+        // for markers and put the raw text back afterwards
+        const tags = [];
+        const marker = (tag) => document.createTextNode(`${MARK}${tags.push(tag) - 1}${MARK}`);
+
+        template.content.querySelectorAll(".jinja-var").forEach((chip) => {
+            const tag = chip.getAttribute("data-jinja") || `{{ ${chip.textContent.replace(/^\s*\{\{|\}\}\s*$/g, "").trim()} }}`;
+            chip.replaceWith(marker(tag));
+        });
+
+        const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_COMMENT);
+        const comments = [];
+        while (walker.nextNode()) comments.push(walker.currentNode);
+        for (const comment of comments) {
+            if (!comment.data.startsWith("jinja:")) continue;
+            try {
+                comment.replaceWith(marker(decodeURIComponent(comment.data.slice(6))));
+            } catch (error) {
+                // Not one of ours; leave the comment alone
+            }
+        }
+
+        const serialized = template.innerHTML.replace(new RegExp(`${MARK}(\\d+)${MARK}`, "g"), (_, index) => tags[index]);
+        return before + serialized + after;
+    }
+
+    /**
+     * Mark the parts of a template that depend on data, so a later render can
+     * replace just those parts. A region is the element around a variable, or
+     * the element around a {% %} block; nested regions merge into the outer one.
+     * @param {string} html - Jinja template
+     * @param {string} attribute - Attribute that receives the region number
+     * @returns {Object} {template, regions: count, wholePage: true when data is used directly in <body>}
+     */
+    static markRegions(html, attribute) {
+        const { before, body, after } = BindingUtil.splitBody(html || "");
+        const tags = [];
+        const mark = (tag) => `${MARK}${tags.push(tag) - 1}${MARK}`;
+        const marks = new RegExp(`${MARK}(\\d+)${MARK}`, "g");
+
+        // Text-level statements become comments so they keep a place in the tree
+        const masked = body.replace(JINJA_PATTERN, (tag) => mark(tag));
+        const converted = masked.replace(HTML_TOKEN, (token) => {
+            if (token.startsWith("<")) return token;
+            return token.replace(marks, (match, index) => (tags[index].startsWith("{{") ? match : `<!--${match}-->`));
+        });
+
+        const template = document.createElement("template");
+        template.innerHTML = converted;
+        const root = template.content;
+        const candidates = new Set();
+        let wholePage = false;
+        const addCandidate = (node) => {
+            if (!node || node === root) wholePage = true;
+            else candidates.add(node);
+        };
+
+        // Elements that print a variable in their text or attributes
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (node.data.includes(MARK)) addCandidate(node.parentElement);
+            } else if ([...node.attributes].some((attr) => attr.value.includes(MARK))) {
+                addCandidate(node);
+            }
+        }
+
+        // Elements that contain a block; anything inside a block belongs to it
+        const stack = [];
+        const commentWalker = document.createTreeWalker(root, NodeFilter.SHOW_COMMENT);
+        while (commentWalker.nextNode()) {
+            const comment = commentWalker.currentNode;
+            const index = comment.data.match(new RegExp(`^${MARK}(\\d+)${MARK}$`))?.[1];
+            if (index === undefined) continue;
+            const keyword = tags[index].match(/^\{%-?\s*(\w+)/)?.[1] || "";
+            if (/^(for|if|macro|call|filter|block|raw|with)$/.test(keyword)
+                || (keyword === "set" && !tags[index].includes("="))) {
+                stack.push(comment);
+            } else if (keyword.startsWith("end")) {
+                const open = stack.pop();
+                if (open) addCandidate(BindingUtil.commonAncestor(open, comment, root));
+            } else if (keyword === "include" && stack.length === 0) {
+                // A partial reads data too, so its container is a region
+                addCandidate(comment.parentNode === root ? null : comment.parentNode);
+            }
+        }
+
+        // Keep only the outermost regions
+        const regions = [...candidates].filter((node) => ![...candidates].some((other) => other !== node && other.contains(node)));
+        regions.forEach((node, index) => node.setAttribute(attribute, String(index)));
+
+        const restored = template.innerHTML
+            .replace(new RegExp(`<!--${MARK}(\\d+)${MARK}-->`, "g"), (_, index) => tags[index])
+            .replace(marks, (_, index) => tags[index]);
+        return { template: before + restored + after, regions: regions.length, wholePage };
+    }
+
+    /**
+     * Closest element containing both nodes (the root when there is none)
+     */
+    static commonAncestor(a, b, root) {
+        for (let node = a.parentNode; node && node !== root; node = node.parentNode) {
+            if (node.contains(b)) return node;
+        }
+        return root;
+    }
+
+    /**
+     * Editable markup for one Jinja tag
+     * @param {string} tag - e.g. "{{ name }}" or "{% for s in services %}"
+     * @returns {string} Chip span or comment
+     */
+    static chip(tag) {
+        if (!tag.startsWith("{{")) {
+            return `<!--jinja:${encodeURIComponent(tag)}-->`;
+        }
+        const label = tag.replace(/^\{\{-?|-?\}\}$/g, "").trim();
+        return `<span class="jinja-var" data-jinja="${BindingUtil.escape(tag)}" contenteditable="false">${BindingUtil.escape(`{{ ${label} }}`)}</span>`;
+    }
+
+    /**
+     * Split a document around its <body> contents
+     * @param {string} html - Document or fragment
+     * @returns {Object} {before, body, after}
+     */
+    static splitBody(html) {
+        const match = html.match(/^([\s\S]*?<body\b[^>]*>)([\s\S]*)(<\/body>[\s\S]*)$/i);
+        return match
+            ? { before: match[1], body: match[2], after: match[3] }
+            : { before: "", body: html, after: "" };
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/"/g, "&quot;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;");
+    }
+}
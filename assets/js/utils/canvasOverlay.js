@@ -0,0 +1,71 @@
+// Base style of an overlay layer; boxes are positioned in document coordinates
+const LAYER_STYLE = "position:absolute;top:0;left:0;width:0;height:0;overflow:visible;pointer-events:none;z-index:2147483647;";
+
+/**
+ * Outlines drawn over canvas elements in a layer of their own. The layer sits
+ * outside <body>, so the elements themselves are never touched and nothing of
+ * it can end up in the saved HTML.
+ */
+export class CanvasOverlay {
+    /**
+     * Replace a layer's outlines
+     * @param {Document} doc - Canvas document
+     * @param {string} id - Layer id, one per feature
+     * @param {Array} marks - [{element, className}]
+     * @param {string} css - Styles for the layer's boxes (scoped to #id by the caller)
+     */
+    static draw(doc, id, marks, css) {
+        let layer = doc.getElementById(id);
+        if (!layer) {
+            layer = doc.createElement("div");
+            layer.id = id;
+            layer.setAttribute("style", LAYER_STYLE);
+            doc.documentElement.appendChild(layer);
+
+            const style = doc.createElement("style");
+            style.textContent = css;
+            layer.appendChild(style);
+
+            // Layout changes move the elements; follow them
+            const redraw = () => CanvasOverlay._position(layer);
+            doc.defaultView?.addEventListener("resize", redraw);
+            if (doc.defaultView?.ResizeObserver) {
+                layer._observer = new doc.defaultView.ResizeObserver(redraw);
+                layer._observer.observe(doc.body);
+            }
+        }
+
+        layer._marks = marks;
+        CanvasOverlay._position(layer);
+        return layer;
+    }
+
+    /**
+     * Remove a layer's outlines
+     * @param {Document} doc - Canvas document
+     * @param {string} id - Layer id
+     */
+    static clear(doc, id) {
+        const layer = doc?.getElementById(id);
+        if (!layer) return;
+        layer._marks = [];
+        CanvasOverlay._position(layer);
+    }
+
+    static _position(layer) {
+        const doc = layer.ownerDocument;
+        const view = doc.defaultView;
+        layer.querySelectorAll("[data-overlay-box]").forEach((box) => box.remove());
+
+        for (const { element, className } of layer._marks || []) {
+            if (!element.isConnected) continue;
+            const rect = element.getBoundingClientRect();
+            const box = doc.createElement("div");
+            box.dataset.overlayBox = "";
+            box.className = className;
+            box.style.cssText = `position:absolute;left:${rect.left + (view?.scrollX || 0)}px;top:${rect.top + (view?.scrollY || 0)}px;`
+                + `width:${rect.width}px;height:${rect.height}px;`;
+            layer.appendChild(box);
+        }
+    }
+}
@@ -0,0 +1,804 @@
+import { JinjaUtil } from "./jinja.js";
+
+const VOID_ELEMENTS = new Set([
+    "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"
+]);
+
+const BOOLEAN_ATTRIBUTES = new Set([
+    "allowfullscreen", "async", "autofocus", "autoplay", "checked", "controls", "defer", "disabled",
+    "hidden", "loop", "multiple", "muted", "novalidate", "open", "playsinline", "readonly", "required", "selected"
+]);
+
+const JSX_ATTRIBUTES = {
+    class: "className",
+    for: "htmlFor",
+    tabindex: "tabIndex",
+    readonly: "readOnly",
+    maxlength: "maxLength",
+    minlength: "minLength",
+    colspan: "colSpan",
+    rowspan: "rowSpan",
+    srcset: "srcSet",
+    crossorigin: "crossOrigin",
+    autocomplete: "autoComplete",
+    autofocus: "autoFocus",
+    autoplay: "autoPlay",
+    enctype: "encType",
+    contenteditable: "contentEditable",
+    frameborder: "frameBorder",
+    allowfullscreen: "allowFullScreen",
+    novalidate: "noValidate",
+    datetime: "dateTime",
+    playsinline: "playsInline",
+    spellcheck: "spellCheck",
+    usemap: "useMap",
+    referrerpolicy: "referrerPolicy",
+    // Uncontrolled form fields
+    value: "defaultValue",
+    checked: "defaultChecked"
+};
+
+// Names that are never props
+const RESERVED = new Set([
+    "true", "false", "none", "null", "undefined", "defined", "and", "or", "not", "in", "is", "if", "else", "loop", "index"
+]);
+
+export class ComponentConverter {
+    /**
+     * Convert Jinja markup into a framework template
+     * @param {string} html - Body markup with Jinja expressions
+     * @param {string} dialect - "react", "vue" or "astro"
+     * @param {Object} options - {replacements: Map(element -> component markup),
+     *   resolveHref: (href) => href, root: DocumentFragment (already parsed)}
+     * @returns {Object} {markup, props: Array, scripts: Array, unsupported: number}
+     */
+    static convert(html, dialect, options = {}) {
+        const state = {
+            dialect,
+            replacements: options.replacements || new Map(),
+            resolveHref: options.resolveHref || ((href) => href),
+            roots: new Set(),
+            loopVars: new Set(),
+            loops: [],
+            blocks: [],
+            scripts: [],
+            unsupported: 0
+        };
+
+        const root = options.root || ComponentConverter.parse(html);
+        let markup = ComponentConverter._walk(root, state).trim();
+
+        // Close blocks the template left open so the output still compiles
+        while (state.blocks.length > 0) {
+            state.unsupported++;
+            markup += ComponentConverter._endBlock(state.blocks.pop(), state);
+        }
+
+        const props = [...state.roots].filter((name) => !state.loopVars.has(name)).sort();
+        return { markup, props, scripts: state.scripts, unsupported: state.unsupported };
+    }
+
+    /**
+     * Parse markup into a fragment without running scripts or loading images
+     * @param {string} html - Markup
+     * @returns {DocumentFragment} Parsed content
+     */
+    static parse(html) {
+        const template = document.createElement("template");
+        template.innerHTML = html;
+        return template.content;
+    }
+
+    /**
+     * PascalCase component name for a page or part ("about_us" -> "AboutUs")
+     * @param {string} name - Page key or label
+     * @returns {string} Component name
+     */
+    static componentName(name) {
+        const pascal = (name || "")
+            .split(/[^a-zA-Z0-9]+/)
+            .filter(Boolean)
+            .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+            .join("");
+        return /^[A-Z]/.test(pascal) ? pascal : `Page${pascal}`;
+    }
+
+    /**
+     * Markup of an element with per-page state (aria-current, "active") removed,
+     * used to tell whether headers/footers are the same across pages
+     * @param {Element} element - Element
+     * @returns {string} Normalized outer HTML
+     */
+    static normalizeRegion(element) {
+        const clone = element.cloneNode(true);
+        ComponentConverter.stripCurrentMarkers(clone);
+        return clone.outerHTML.replace(/\s+/g, " ").trim();
+    }
+
+    /**
+     * Remove aria-current and "active" classes in place
+     * @param {Element} element - Element
+     */
+    static stripCurrentMarkers(element) {
+        [element, ...element.querySelectorAll("[aria-current], .active")].forEach((el) => {
+            el.removeAttribute("aria-current");
+            el.classList.remove("active");
+            if (el.getAttribute("class") === "") el.removeAttribute("class");
+        });
+    }
+
+    /**
+     * Scope a page's CSS to the element wrapping that page, so a route's
+     * styles don't apply to the other routes once the bundle has loaded them.
+     * html, body and :root rules apply to the wrapper itself.
+     * @param {string} css - Page CSS
+     * @param {string} scope - Selector of the wrapper (e.g. '[data-page="about"]')
+     * @returns {string} Scoped CSS
+     */
+    static scopeCss(css, scope) {
+        const text = (css || "").replace(/\/\*[\s\S]*?\*\//g, "");
+        let out = "";
+        let position = 0;
+
+        while (position < text.length) {
+            const open = text.indexOf("{", position);
+            if (open === -1) {
+                out += text.slice(position);
+                break;
+            }
+
+            // Statements before the block ("@import ...;") are kept as they are
+            const head = text.slice(position, open);
+            const statementEnd = head.lastIndexOf(";") + 1;
+            out += head.slice(0, statementEnd);
+            const prelude = head.slice(statementEnd).trim();
+
+            let depth = 1;
+            let close = open + 1;
+            for (; close < text.length && depth > 0; close++) {
+                if (text[close] === "{") depth++;
+                else if (text[close] === "}") depth--;
+            }
+            const body = text.slice(open + 1, close - 1);
+            position = close;
+
+            if (/^@(media|supports|container|layer|document)\b/i.test(prelude)) {
+                out += `\n${prelude} {\n${ComponentConverter.scopeCss(body, scope).trim()}\n}\n`;
+            } else if (prelude.startsWith("@")) {
+                // @keyframes, @font-face, @page
+                out += `\n${prelude} {${body}}\n`;
+            } else {
+                const selectors = JinjaUtil.splitTopLevel(prelude, ",")
+                    .map((selector) => selector.trim())
+                    .filter(Boolean)
+                    .map((selector) => {
+                        const root = selector.match(/^(?::root|html)?\s*(?:body\b)?/i)[0];
+                        return root.trim() ? `${scope}${selector.slice(root.trimEnd().length)}` : `${scope} ${selector}`;
+                    });
+                out += `\n${[...new Set(selectors)].join(", ")} {${body}}\n`;
+            }
+        }
+        return out.trim() + "\n";
+    }
+
+    // ─────────────────────────────────────────────
+    //  Jinja expressions
+    // ─────────────────────────────────────────────
+
+    /**
+     * Translate a Jinja expression (with filters and tests) into JavaScript.
+     * Filters, tests and methods without a JavaScript equivalent keep their
+     * input and leave a "TODO: port" comment, counted in state.unsupported.
+     * @param {string} expression - e.g. "address.city | default('n/a')"
+     * @param {Object} state - {roots: Set collecting top-level variable names,
+     *   loops: [{length}] open for loops, unsupported: count}
+     * @returns {string} JavaScript expression
+     */
+    static jinjaToJs(expression, state = {}) {
+        state.roots = state.roots || new Set();
+        state.unsupported = state.unsupported || 0;
+
+        try {
+            const parser = { tokens: JinjaUtil.tokenize(expression), pos: 0, state };
+            const js = ComponentConverter._parseTernary(parser);
+            if (parser.pos < parser.tokens.length) throw new Error(`Unexpected "${parser.tokens[parser.pos].value}"`);
+            return js;
+        } catch (error) {
+            state.unsupported++;
+            return `undefined ${ComponentConverter._todo(`{{ ${expression.trim()} }}`)}`;
+        }
+    }
+
+    static _peek(parser, value, offset = 0) {
+        const token = parser.tokens[parser.pos + offset];
+        return !!token && (value === undefined || token.value === value) && (token.type !== "string" || value === undefined);
+    }
+
+    static _next(parser, value) {
+        const token = parser.tokens[parser.pos++];
+        if (!token || (value !== undefined && token.value !== value)) throw new Error(`Expected ${value || "a value"}`);
+        return token;
+    }
+
+    // "a if cond else b"
+    static _parseTernary(parser) {
+        let js = ComponentConverter._parseOr(parser);
+        while (ComponentConverter._peek(parser, "if")) {
+            parser.pos++;
+            const condition = ComponentConverter._parseOr(parser);
+            let otherwise = "undefined";
+            if (ComponentConverter._peek(parser, "else")) {
+                parser.pos++;
+                otherwise = ComponentConverter._parseTernary(parser);
+            }
+            js = `(${condition} ? ${js} : ${otherwise})`;
+        }
+        return js;
+    }
+
+    static _parseOr(parser) {
+        let js = ComponentConverter._parseAnd(parser);
+        while (ComponentConverter._peek(parser, "or")) {
+            parser.pos++;
+            js = `${js} || ${ComponentConverter._parseAnd(parser)}`;
+        }
+        return js;
+    }
+
+    static _parseAnd(parser) {
+        let js = ComponentConverter._parseNot(parser);
+        while (ComponentConverter._peek(parser, "and")) {
+            parser.pos++;
+            js = `${js} && ${ComponentConverter._parseNot(parser)}`;
+        }
+        return js;
+    }
+
+    // "not" binds looser than comparisons: not a == b is !(a == b)
+    static _parseNot(parser) {
+        if (ComponentConverter._peek(parser, "not")) {
+            parser.pos++;
+            return `!(${ComponentConverter._parseNot(parser)})`;
+        }
+        return ComponentConverter._parseCompare(parser);
+    }
+
+    static _parseCompare(parser) {
+        const operators = { "==": "===", "!=": "!==", "<": "<", ">": ">", "<=": "<=", ">=": ">=" };
+        let js = ComponentConverter._parseConcat(parser);
+
+        for (;;) {
+            const token = parser.tokens[parser.pos];
+            if (token?.type === "op" && operators[token.value]) {
+                parser.pos++;
+                js = `${js} ${operators[token.value]} ${ComponentConverter._parseConcat(parser)}`;
+            } else if (ComponentConverter._peek(parser, "in") || (ComponentConverter._peek(parser, "not") && ComponentConverter._peek(parser, "in", 1))) {
+                const negate = ComponentConverter._peek(parser, "not");
+                parser.pos += negate ? 2 : 1;
+                const container = ComponentConverter._parseConcat(parser);
+                js = `${negate ? "!" : ""}(${container} ?? []).includes(${js})`;
+            } else if (ComponentConverter._peek(parser, "is")) {
+                parser.pos++;
+                const negate = ComponentConverter._peek(parser, "not");
+                if (negate) parser.pos++;
+                const test = ComponentConverter._test(parser, js);
+                js = negate ? `!${test}` : test;
+            } else {
+                return js;
+            }
+        }
+    }
+
+    // Jinja tests ("is defined", "is divisibleby 3")
+    static _test(parser, js) {
+        const name = ComponentConverter._next(parser).value;
+        let arg = null;
+        if (ComponentConverter._peek(parser, "(")) {
+            arg = ComponentConverter._parseArgs(parser).args[0];
+        } else if (["divisibleby", "eq", "equalto", "sameas", "ne", "lt", "gt", "le", "ge"].includes(name)) {
+            arg = ComponentConverter._parsePostfix(parser);
+        }
+
+        switch (name) {
+            case "defined": return `(${js} !== undefined)`;
+            case "undefined": return `(${js} === undefined)`;
+            case "none": return `(${js} === null)`;
+            case "even": return `(${js} % 2 === 0)`;
+            case "odd": return `(${js} % 2 === 1)`;
+            case "divisibleby": return `(${js} % ${arg} === 0)`;
+            case "number": return `(typeof ${js} === 'number')`;
+            case "string": return `(typeof ${js} === 'string')`;
+            case "mapping": return `(${js} !== null && typeof ${js} === 'object' && !Array.isArray(${js}))`;
+            case "iterable":
+            case "sequence": return `(Array.isArray(${js}) || typeof ${js} === 'string')`;
+            case "eq":
+            case "equalto":
+            case "sameas": return `(${js} === ${arg})`;
+            case "ne": return `(${js} !== ${arg})`;
+            case "lt": return `(${js} < ${arg})`;
+            case "gt": return `(${js} > ${arg})`;
+            case "le": return `(${js} <= ${arg})`;
+            case "ge": return `(${js} >= ${arg})`;
+            default:
+                parser.state.unsupported++;
+                return `(${js} ${ComponentConverter._todo(`is ${name}`)})`;
+        }
+    }
+
+    // "~" joins as strings; missing values join as ""
+    static _parseConcat(parser) {
+        const parts = [ComponentConverter._parseAdditive(parser)];
+        while (ComponentConverter._peek(parser, "~")) {
+            parser.pos++;
+            parts.push(ComponentConverter._parseAdditive(parser));
+        }
+        if (parts.length === 1) return parts[0];
+        return `\`${parts.map((part) => `\${${part} ?? ''}`).join("")}\``;
+    }
+
+    static _parseAdditive(parser) {
+        let js = ComponentConverter._parseMultiplicative(parser);
+        while (ComponentConverter._peek(parser, "+") || ComponentConverter._peek(parser, "-")) {
+            const operator = ComponentConverter._next(parser).value;
+            js = `${js} ${operator} ${ComponentConverter._parseMultiplicative(parser)}`;
+        }
+        return js;
+    }
+
+    static _parseMultiplicative(parser) {
+        let js = ComponentConverter._parseUnary(parser);
+        while (["*", "/", "//", "%"].some((operator) => ComponentConverter._peek(parser, operator))) {
+            const operator = ComponentConverter._next(parser).value;
+            const right = ComponentConverter._parseUnary(parser);
+            js = operator === "//" ? `Math.floor(${js} / ${right})` : `${js} ${operator} ${right}`;
+        }
+        return js;
+    }
+
+    static _parseUnary(parser) {
+        if (ComponentConverter._peek(parser, "-") || ComponentConverter._peek(parser, "+")) {
+            const operator = ComponentConverter._next(parser).value;
+            return `${operator}${ComponentConverter._parseUnary(parser)}`;
+        }
+        const base = ComponentConverter._parseFiltered(parser);
+        if (ComponentConverter._peek(parser, "**")) {
+            parser.pos++;
+            return `${base} ** ${ComponentConverter._parseUnary(parser)}`;
+        }
+        return base;
+    }
+
+    // Filters bind tighter than any operator: items|length > 0 is (items|length) > 0
+    static _parseFiltered(parser) {
+        let js = ComponentConverter._parsePostfix(parser);
+        while (ComponentConverter._peek(parser, "|")) {
+            parser.pos++;
+            const name = ComponentConverter._next(parser).value;
+            const { args, kwargs } = ComponentConverter._peek(parser, "(")
+                ? ComponentConverter._parseArgs(parser)
+                : { args: [], kwargs: {} };
+            js = ComponentConverter._filter(name, js, args, kwargs, parser.state);
+        }
+        return js;
+    }
+
+    static _filter(name, js, args, kwargs, state) {
+        const text = `String(${js} ?? '')`;
+        const list = `(${js} ?? [])`;
+        switch (name) {
+            case "default":
+            case "d": {
+                const fallback = args[0] ?? kwargs.default_value ?? "''";
+                // default(x, true) also replaces empty values
+                return args[1] === "true" || kwargs.boolean === "true" ? `(${js} || ${fallback})` : `(${js} ?? ${fallback})`;
+            }
+            case "upper": return `${text}.toUpperCase()`;
+            case "lower": return `${text}.toLowerCase()`;
+            case "trim": return `${text}.trim()`;
+            case "string": return text;
+            case "capitalize": return `((text) => text.charAt(0).toUpperCase() + text.slice(1).toLowerCase())(${text})`;
+            case "replace": return `${text}.replaceAll(${args[0]}, ${args[1]})`;
+            case "length":
+            case "count": return `(${js}?.length ?? 0)`;
+            case "join": return `${list}.join(${args[0] ?? kwargs.d ?? "''"})`;
+            case "first": return `${list}[0]`;
+            case "last": return `${list}.slice(-1)[0]`;
+            case "reverse": return `[...${list}].reverse()`;
+            case "sort": return `[...${list}].sort()`;
+            case "list": return `[...${list}]`;
+            case "int": return `(parseInt(${js}, 10) || 0)`;
+            case "float": return `(parseFloat(${js}) || 0)`;
+            case "abs": return `Math.abs(${js})`;
+            case "round": {
+                const precision = args[0] ?? kwargs.precision;
+                return precision ? `(Math.round(${js} * 10 ** ${precision}) / 10 ** ${precision})` : `Math.round(${js})`;
+            }
+            case "escape":
+            case "e":
+                // Components escape text output already
+                return js;
+            default: {
+                // safe, truncate and the site filters (currency, date, markdown, ...) have no equivalent here
+                const call = args.length || Object.keys(kwargs).length ? "(…)" : "";
+                state.unsupported++;
+                return `${js} ${ComponentConverter._todo(`|${name}${call}`)}`;
+            }
+        }
+    }
+
+    static _parseArgs(parser) {
+        const args = [];
+        const kwargs = {};
+        ComponentConverter._next(parser, "(");
+        while (!ComponentConverter._peek(parser, ")")) {
+            if (parser.tokens[parser.pos]?.type === "name" && ComponentConverter._peek(parser, "=", 1)) {
+                const key = ComponentConverter._next(parser).value;
+                parser.pos++;
+                kwargs[key] = ComponentConverter._parseTernary(parser);
+            } else {
+                args.push(ComponentConverter._parseTernary(parser));
+            }
+            if (!ComponentConverter._peek(parser, ",")) break;
+            parser.pos++;
+        }
+        ComponentConverter._next(parser, ")");
+        return { args, kwargs };
+    }
+
+    static _parsePostfix(parser) {
+        let js = ComponentConverter._parsePrimary(parser);
+        for (;;) {
+            if (ComponentConverter._peek(parser, ".")) {
+                parser.pos++;
+                const name = ComponentConverter._next(parser).value;
+                js = ComponentConverter._peek(parser, "(")
+                    ? ComponentConverter._method(js, name, ComponentConverter._parseArgs(parser).args, parser.state)
+                    // Data records are sparse, so member access must not throw
+                    : `${js}?.${name}`;
+            } else if (ComponentConverter._peek(parser, "[")) {
+                parser.pos++;
+                const start = ComponentConverter._peek(parser, ":") ? "0" : ComponentConverter._parseTernary(parser);
+                if (ComponentConverter._peek(parser, ":")) {
+                    parser.pos++;
+                    const end = ComponentConverter._peek(parser, "]") ? null : ComponentConverter._parseTernary(parser);
+                    js = `${js}?.slice(${start}${end === null ? "" : `, ${end}`})`;
+                } else {
+                    js = `${js}?.[${start}]`;
+                }
+                ComponentConverter._next(parser, "]");
+            } else {
+                return js;
+            }
+        }
+    }
+
+    static _method(js, name, args, state) {
+        switch (name) {
+            case "items": return `Object.entries(${js} ?? {})`;
+            case "keys": return `Object.keys(${js} ?? {})`;
+            case "values": return `Object.values(${js} ?? {})`;
+            case "get": return `(${js}?.[${args[0]}] ?? ${args[1] ?? "undefined"})`;
+            case "upper": return `String(${js} ?? '').toUpperCase()`;
+            case "lower": return `String(${js} ?? '').toLowerCase()`;
+            case "strip": return `String(${js} ?? '').trim()`;
+            case "startswith": return `String(${js} ?? '').startsWith(${args[0]})`;
+            case "endswith": return `String(${js} ?? '').endsWith(${args[0]})`;
+            case "split": return `String(${js} ?? '').split(${args[0] ?? "/\\s+/"})`;
+            case "replace": return `String(${js} ?? '').replaceAll(${args[0]}, ${args[1]})`;
+            default:
+                state.unsupported++;
+                return `${js} ${ComponentConverter._todo(`.${name}()`)}`;
+        }
+    }
+
+    static _parsePrimary(parser) {
+        const { state } = parser;
+        const token = ComponentConverter._next(parser);
+
+        if (token.type === "string" || token.type === "number") return token.value;
+
+        if (token.value === "(") {
+            const js = ComponentConverter._parseTernary(parser);
+            ComponentConverter._next(parser, ")");
+            return `(${js})`;
+        }
+        if (token.value === "[" || token.value === "{") {
+            const close = token.value === "[" ? "]" : "}";
+            const items = [];
+            while (!ComponentConverter._peek(parser, close)) {
+                let item = ComponentConverter._parseTernary(parser);
+                if (close === "}") {
+                    ComponentConverter._next(parser, ":");
+                    item = `[${item}]: ${ComponentConverter._parseTernary(parser)}`;
+                }
+                items.push(item);
+                if (!ComponentConverter._peek(parser, ",")) break;
+                parser.pos++;
+            }
+            ComponentConverter._next(parser, close);
+            return close === "]" ? `[${items.join(", ")}]` : `({ ${items.join(", ")} })`;
+        }
+        if (token.type !== "name") throw new Error(`Unexpected "${token.value}"`);
+
+        const literal = { true: "true", false: "false", none: "null", null: "null" }[token.value.toLowerCase()];
+        if (literal) return literal;
+
+        if (token.value === "loop" && ComponentConverter._peek(parser, ".")) {
+            parser.pos++;
+            return ComponentConverter._loopVariable(ComponentConverter._next(parser).value, state);
+        }
+        if (token.value === "range" && ComponentConverter._peek(parser, "(")) {
+            const { args } = ComponentConverter._parseArgs(parser);
+            const [start, stop] = args.length > 1 ? args : ["0", args[0]];
+            return `Array.from({ length: Math.max(${stop} - ${start}, 0) }, (_, i) => ${start} + i)`;
+        }
+        if (ComponentConverter._peek(parser, "(")) {
+            // Macros, super(), caller() and other globals
+            ComponentConverter._parseArgs(parser);
+            state.unsupported++;
+            return `undefined ${ComponentConverter._todo(`${token.value}()`)}`;
+        }
+
+        if (!RESERVED.has(token.value)) state.roots.add(token.value);
+        return token.value;
+    }
+
+    // loop.* of the innermost {% for %}; the callback's index parameter is the position
+    static _loopVariable(name, state) {
+        const loop = state.loops?.[state.loops.length - 1];
+        const length = loop?.length;
+        const variables = {
+            index: "(index + 1)",
+            index0: "index",
+            first: "(index === 0)",
+            last: `(index === ${length} - 1)`,
+            length,
+            revindex: `(${length} - index)`,
+            revindex0: `(${length} - index - 1)`
+        };
+        if (!loop || !(name in variables)) {
+            state.unsupported++;
+            return `undefined ${ComponentConverter._todo(`loop.${name}`)}`;
+        }
+        return variables[name];
+    }
+
+    static _todo(text) {
+        return `/* TODO: port ${text.replace(/\*\//g, "* /")} */`;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Markup
+    // ─────────────────────────────────────────────
+
+    static _walk(node, state) {
+        let out = "";
+        for (const child of node.childNodes) {
+            if (child.nodeType === Node.TEXT_NODE) {
+                out += ComponentConverter._text(child.textContent, state);
+            } else if (child.nodeType === Node.COMMENT_NODE) {
+                out += ComponentConverter._comment(child.textContent, state);
+            } else if (child.nodeType === Node.ELEMENT_NODE) {
+                out += ComponentConverter._element(child, state);
+            }
+        }
+        return out;
+    }
+
+    static _element(element, state) {
+        if (state.replacements.has(element)) {
+            return state.replacements.get(element);
+        }
+
+        const tag = element.localName;
+        if (tag === "script") {
+            if (state.dialect === "astro") {
+                return `<script is:inline>${element.textContent}</script>`;
+            }
+            // Component templates cannot run inline scripts; they are reported instead
+            state.scripts.push(element.outerHTML);
+            return "";
+        }
+        if (tag === "style") {
+            return "";
+        }
+
+        const attributes = Array.from(element.attributes)
+            .map((attr) => ComponentConverter._attribute(attr.name, attr.value, tag, state))
+            .join("");
+
+        if (VOID_ELEMENTS.has(tag)) {
+            return `<${tag}${attributes} />`;
+        }
+        const content = tag === "template" ? element.content : element;
+        return `<${tag}${attributes}>${ComponentConverter._walk(content, state)}</${tag}>`;
+    }
+
+    static _comment(text, state) {
+        if (state.dialect === "react") {
+            return `{/* ${text.trim().replace(/\*\//g, "* /")} */}`;
+        }
+        return `<!--${text}-->`;
+    }
+
+    static _text(text, state) {
+        let out = "";
+        let last = 0;
+
+        for (const tag of JinjaUtil.tags(text)) {
+            out += ComponentConverter._literal(text.slice(last, tag.index), state);
+            last = tag.index + tag.source.length;
+
+            if (tag.expression !== undefined) {
+                const js = ComponentConverter.jinjaToJs(tag.expression, state);
+                out += state.dialect === "vue" ? `{{ ${js} }}` : `{${js}}`;
+            } else {
+                out += ComponentConverter._statement(tag.statement, state);
+            }
+        }
+
+        return out + ComponentConverter._literal(text.slice(last), state);
+    }
+
+    static _literal(text, state) {
+        const escaped = text
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;");
+        if (state.dialect === "vue") {
+            return escaped.replace(/\{\{/g, "{{ '{{' }}");
+        }
+        return escaped.replace(/[{}]/g, (brace) => `{'${brace}'}`);
+    }
+
+    static _statement(statement, state) {
+        const { keyword, rest } = JinjaUtil.parseStatement(statement);
+        const vue = state.dialect === "vue";
+        const attr = (js) => js.replace(/"/g, "&quot;");
+
+        switch (keyword) {
+            case "if": {
+                state.blocks.push({ type: "if", hasElse: false });
+                const js = ComponentConverter.jinjaToJs(rest, state);
+                return vue ? `<template v-if="${attr(js)}">` : `{${js} ? (<>`;
+            }
+            case "elif": {
+                const js = ComponentConverter.jinjaToJs(rest, state);
+                return vue ? `</template><template v-else-if="${attr(js)}">` : `</>) : ${js} ? (<>`;
+            }
+            case "else": {
+                const block = state.blocks[state.blocks.length - 1];
+                if (block?.type !== "if") break;
+                block.hasElse = true;
+                return vue ? "</template><template v-else>" : "</>) : (<>";
+            }
+            case "for": {
+                const loop = JinjaUtil.parseFor(rest);
+                if (!loop) break;
+                state.blocks.push({ type: "for" });
+
+                const { names, items } = loop;
+                names.forEach((name) => state.loopVars.add(name));
+                const list = ComponentConverter.jinjaToJs(loop.collection, state);
+                // For loop.length, loop.last and loop.revindex inside the body
+                state.loops.push({ length: items ? `Object.keys(${list} ?? {}).length` : `(${list} ?? []).length` });
+
+                if (vue) {
+                    const aliases = items ? `${names[1] || "value"}, ${names[0]}, index` : `${names[0]}, index`;
+                    return `<template v-for="(${aliases}) in ${attr(list)}" :key="index">`;
+                }
+                const source = items ? `Object.entries(${list} ?? {})` : `(${list} ?? [])`;
+                const param = items ? `[${names.join(", ")}]` : names[0];
+                const open = state.dialect === "react" ? "<Fragment key={index}>" : "<>";
+                return `{${source}.map((${param}, index) => (${open}`;
+            }
+            case "endif":
+            case "endfor": {
+                const block = state.blocks.pop();
+                if (!block) break;
+                return ComponentConverter._endBlock(block, state);
+            }
+            default:
+                break;
+        }
+
+        // set, include, macro, ... need a manual port
+        state.unsupported++;
+        return ComponentConverter._comment(` TODO: port {% ${statement} %} `, state);
+    }
+
+    static _endBlock(block, state) {
+        if (block.type === "for") state.loops.pop();
+        if (state.dialect === "vue") return "</template>";
+        if (block.type === "for") {
+            return state.dialect === "react" ? "</Fragment>))}" : "</>))}";
+        }
+        return block.hasElse ? "</>)}" : "</>) : null}";
+    }
+
+    static _attribute(name, value, tag, state) {
+        const { dialect } = state;
+
+        if (/\{%/.test(value)) {
+            // Conditional attribute fragments can't be expressed per framework reliably
+            state.unsupported++;
+            value = value.replace(/\{%[\s\S]*?%\}/g, "");
+        }
+        if (name === "href" && !/\{\{/.test(value)) {
+            value = state.resolveHref(value);
+        }
+
+        let attrName = name;
+        if (dialect === "react") {
+            // String event handlers are not valid JSX
+            if (/^on/i.test(name)) {
+                state.scripts.push(`${name}="${value}"`);
+                return "";
+            }
+            if ((name === "value" || name === "checked") && !["input", "textarea", "select"].includes(tag)) {
+                attrName = name;
+            } else {
+                attrName = JSX_ATTRIBUTES[name] ||
+                    (/^(data|aria)-/.test(name) || !name.includes("-") ? name : ComponentConverter._camelCase(name));
+            }
+        }
+
+        if (dialect === "react" && name === "style") {
+            return ` style={${ComponentConverter._styleObject(value, state)}}`;
+        }
+
+        if (!/\{\{/.test(value)) {
+            if (value === "" && BOOLEAN_ATTRIBUTES.has(name)) return ` ${attrName}`;
+            return ` ${attrName}="${value.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"`;
+        }
+
+        const js = ComponentConverter._templateValue(value, state);
+        return dialect === "vue"
+            ? ` :${attrName}="${js.replace(/"/g, "&quot;")}"`
+            : ` ${attrName}={${js}}`;
+    }
+
+    /**
+     * JavaScript for a string that may contain {{ }} ("mailto:{{ email }}" -> `mailto:${email}`)
+     */
+    static _templateValue(value, state) {
+        const only = value.trim().match(/^\{\{([\s\S]*?)\}\}$/);
+        if (only) return ComponentConverter.jinjaToJs(only[1], state);
+
+        const escape = (text) => text.replace(/[`\\]/g, "\\$&").replace(/\$\{/g, "\\${");
+        let out = "";
+        let last = 0;
+        for (const match of value.matchAll(/\{\{([\s\S]*?)\}\}/g)) {
+            out += escape(value.slice(last, match.index));
+            out += `\${${ComponentConverter.jinjaToJs(match[1], state)} ?? ''}`;
+            last = match.index + match[0].length;
+        }
+        return `\`${out}${escape(value.slice(last))}\``;
+    }
+
+    static _styleObject(style, state) {
+        const entries = JinjaUtil.splitTopLevel(style, ";")
+            .map((declaration) => declaration.trim())
+            .filter(Boolean)
+            .map((declaration) => {
+                const colon = declaration.indexOf(":");
+                if (colon === -1) return null;
+                const property = declaration.slice(0, colon).trim();
+                const value = declaration.slice(colon + 1).trim();
+                const key = property.startsWith("--")
+                    ? JSON.stringify(property)
+                    : ComponentConverter._camelCase(property.replace(/^-ms-/, "ms-"));
+                const js = /\{\{/.test(value)
+                    ? ComponentConverter._templateValue(value, state)
+                    : JSON.stringify(value);
+                return `${key}: ${js}`;
+            })
+            .filter(Boolean);
+
+        return `{ ${entries.join(", ")} }`;
+    }
+
+    static _camelCase(name) {
+        return name.replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+    }
+}
@@ -0,0 +1,100 @@
+export class CsvUtil {
+    /**
+     * Parse CSV text (quoted fields, escaped quotes, newlines inside quotes).
+     * The delimiter (comma, semicolon or tab) is detected from the header row.
+     * @param {string} text - CSV text
+     * @returns {Object} {columns: Array, rows: Array of {column: value}}
+     */
+    static parse(text) {
+        const source = (text || "").replace(/^\uFEFF/, "");
+        const delimiter = CsvUtil.detectDelimiter(source);
+        const records = [];
+        let record = [];
+        let field = "";
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === "\"" && source[i + 1] === "\"") {
+                    field += "\"";
+                    i++;
+                } else if (char === "\"") {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === "\"" && field === "") {
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && source[i + 1] === "\n") i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = "";
+            } else {
+                field += char;
+            }
+        }
+        if (field !== "" || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const nonEmpty = records.filter((row) => row.some((value) => value.trim() !== ""));
+        if (nonEmpty.length === 0) return { columns: [], rows: [] };
+
+        const columns = CsvUtil._uniqueColumns(nonEmpty[0].map((name) => name.trim()));
+        const rows = nonEmpty.slice(1).map((values) =>
+            Object.fromEntries(columns.map((column, index) => [column, (values[index] ?? "").trim()]))
+        );
+        return { columns, rows };
+    }
+
+    /**
+     * Pick the delimiter used most often in the first line, outside quotes
+     * @param {string} text - CSV text
+     * @returns {string} Delimiter
+     */
+    static detectDelimiter(text) {
+        const counts = { ",": 0, ";": 0, "\t": 0 };
+        let quoted = false;
+        for (const char of text) {
+            if (char === "\"") quoted = !quoted;
+            else if (!quoted && (char === "\n" || char === "\r")) break;
+            else if (!quoted && char in counts) counts[char]++;
+        }
+        const [delimiter, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        return count > 0 ? delimiter : ",";
+    }
+
+    /**
+     * Serialize rows to CSV
+     * @param {Array} rows - Array of objects
+     * @param {Array} columns - Column order
+     * @returns {string} CSV text
+     */
+    static stringify(rows, columns) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? "" : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+        };
+        return [
+            columns.map(escape).join(","),
+            ...rows.map((row) => columns.map((column) => escape(row[column])).join(","))
+        ].join("\n") + "\n";
+    }
+
+    static _uniqueColumns(names) {
+        const seen = new Map();
+        return names.map((name, index) => {
+            const base = name || `column_${index + 1}`;
+            const count = seen.get(base) || 0;
+            seen.set(base, count + 1);
+            return count === 0 ? base : `${base}_${count + 1}`;
+        });
+    }
+}
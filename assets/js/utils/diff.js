@@ -0,0 +1,162 @@
+
+export class DiffUtil {
+    /**
+     * Put each tag on its own line so minified HTML diffs line-by-line
+     * @param {string} html - HTML string
+     * @returns {string} Normalized HTML
+     */
+    static normalizeHTML(html) {
+        if (!html) return "";
+        return html
+            .replace(/\r\n/g, "\n")
+            .replace(/>\s*</g, ">\n<")
+            .split("\n")
+            .map((line) => line.trim())
+            .filter((line) => line)
+            .join("\n");
+    }
+
+    /**
+     * Put each rule/declaration on its own line
+     * @param {string} css - CSS string
+     * @returns {string} Normalized CSS
+     */
+    static normalizeCSS(css) {
+        if (!css) return "";
+        return css
+            .replace(/\r\n/g, "\n")
+            .replace(/([{};])\s*/g, "$1\n")
+            .split("\n")
+            .map((line) => line.trim())
+            .filter((line) => line)
+            .join("\n");
+    }
+
+    /**
+     * Line diff based on the longest common subsequence
+     * @param {string} oldText - Original text
+     * @param {string} newText - Changed text
+     * @returns {Array} [{type: 'same'|'added'|'removed', line}]
+     */
+    static diffLines(oldText, newText) {
+        const a = oldText ? oldText.split("\n") : [];
+        const b = newText ? newText.split("\n") : [];
+
+        // Trim common prefix/suffix to keep the LCS table small
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const head = a.slice(0, start).map((line) => ({ type: "same", line }));
+        const tail = a.slice(endA).map((line) => ({ type: "same", line }));
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+
+        // Guard against huge tables: fall back to remove-all/add-all
+        if (midA.length * midB.length > 4000000) {
+            return [
+                ...head,
+                ...midA.map((line) => ({ type: "removed", line })),
+                ...midB.map((line) => ({ type: "added", line })),
+                ...tail,
+            ];
+        }
+
+        const rows = midA.length + 1;
+        const cols = midB.length + 1;
+        const table = new Uint32Array(rows * cols);
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                table[i * cols + j] = midA[i] === midB[j]
+                    ? table[(i + 1) * cols + j + 1] + 1
+                    : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+            }
+        }
+
+        const middle = [];
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                middle.push({ type: "same", line: midA[i] });
+                i++;
+                j++;
+            } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+                middle.push({ type: "removed", line: midA[i++] });
+            } else {
+                middle.push({ type: "added", line: midB[j++] });
+            }
+        }
+        while (i < midA.length) middle.push({ type: "removed", line: midA[i++] });
+        while (j < midB.length) middle.push({ type: "added", line: midB[j++] });
+
+        return [...head, ...middle, ...tail];
+    }
+
+    /**
+     * Pair up diff lines into left/right rows for a side-by-side view
+     * @param {Array} diff - Output of diffLines
+     * @returns {Array} [{left: {type, line}|null, right: {type, line}|null}]
+     */
+    static toSideBySide(diff) {
+        const rows = [];
+        let removed = [];
+        let added = [];
+
+        const flush = () => {
+            const count = Math.max(removed.length, added.length);
+            for (let k = 0; k < count; k++) {
+                rows.push({ left: removed[k] || null, right: added[k] || null });
+            }
+            removed = [];
+            added = [];
+        };
+
+        for (const entry of diff) {
+            if (entry.type === "removed") {
+                removed.push(entry);
+            } else if (entry.type === "added") {
+                added.push(entry);
+            } else {
+                flush();
+                rows.push({ left: entry, right: entry });
+            }
+        }
+        flush();
+        return rows;
+    }
+
+    /**
+     * Count added/removed lines
+     * @param {Array} diff - Output of diffLines
+     * @returns {Object} {added, removed}
+     */
+    static stats(diff) {
+        return diff.reduce(
+            (acc, entry) => {
+                if (entry.type === "added") acc.added++;
+                if (entry.type === "removed") acc.removed++;
+                return acc;
+            },
+            { added: 0, removed: 0 }
+        );
+    }
+
+    /**
+     * Escape text for safe insertion into innerHTML
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    static escape(text) {
+        return String(text ?? "")
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+}
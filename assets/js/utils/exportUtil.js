@@ -0,0 +1,231 @@
+import { LinkUtil } from "./links.js";
+
+export class ExportUtil {
+    /**
+     * Path of a page inside the export
+     * @param {string} file - Page file name (e.g. "about.html")
+     * @param {boolean} prettyUrls - Put pages in folders ("about/index.html")
+     * @returns {string} Path relative to the export root
+     */
+    static pagePath(file, prettyUrls = false) {
+        if (!prettyUrls || file.toLowerCase() === "index.html") return file;
+        return `${file.replace(/\.html?$/i, "")}/index.html`;
+    }
+
+    /**
+     * URL of a page relative to the site root, as used in links and the sitemap
+     * @param {string} file - Page file name
+     * @param {boolean} prettyUrls - Use folder URLs ("about/")
+     * @returns {string} URL path ("" for the home page)
+     */
+    static pageUrl(file, prettyUrls = false) {
+        if (file.toLowerCase() === "index.html") return "";
+        return prettyUrls ? `${file.replace(/\.html?$/i, "")}/` : file;
+    }
+
+    /**
+     * "../" for each folder level of a path
+     * @param {string} path - Path relative to the export root
+     * @returns {string} Prefix that leads back to the root
+     */
+    static rootPrefix(path) {
+        return "../".repeat(path.split("/").length - 1);
+    }
+
+    /**
+     * Point internal page links at their exported location
+     * @param {string} html - HTML to rewrite
+     * @param {Map} fileMap - From LinkUtil.buildFileMap()
+     * @param {Object} savedFiles - {pageName: fileName}
+     * @param {boolean} prettyUrls - Use folder URLs
+     * @param {string} prefix - Path back to the export root from this page
+     * @returns {string} Rewritten HTML
+     */
+    static rewritePageLinks(html, fileMap, savedFiles, prettyUrls, prefix) {
+        return html.replace(/(\bhref\s*=\s*)(["'])([^"']*)\2/gi, (match, attr, quote, href) => {
+            const link = LinkUtil.resolve(href, fileMap);
+            if (!link.internal || link.samePage || !link.page) return match;
+
+            const file = savedFiles?.[link.page] || `${link.page}.html`;
+            const target = `${prefix}${ExportUtil.pageUrl(file, prettyUrls)}` || "./";
+            const anchor = link.anchor ? `#${link.anchor}` : "";
+            return `${attr}${quote}${target}${anchor}${quote}`;
+        });
+    }
+
+    /**
+     * Remote image URLs referenced by markup or CSS (src, srcset, data-src, url())
+     * @param {string} text - HTML or CSS
+     * @returns {Array} Unique absolute URLs, HTML entities decoded
+     */
+    static collectImageUrls(text) {
+        const urls = new Set();
+        const add = (value) => {
+            const url = (value || "").trim().replace(/&amp;/g, "&");
+            if (/^https?:\/\//i.test(url)) urls.add(url);
+        };
+
+        const attrPattern = /\b(?:src|data-src|poster)\s*=\s*(["'])([^"']+)\1/gi;
+        const srcsetPattern = /\bsrcset\s*=\s*(["'])([^"']+)\1/gi;
+        const cssPattern = /url\(\s*(["']?)([^"')]+)\1\s*\)/gi;
+        let match;
+
+        while ((match = attrPattern.exec(text)) !== null) {
+            // Scripts and frames are not images
+            const tag = text.lastIndexOf("<", match.index);
+            if (/^<(script|iframe)\b/i.test(text.slice(tag, match.index))) continue;
+            add(match[2]);
+        }
+        while ((match = srcsetPattern.exec(text)) !== null) {
+            match[2].split(",").forEach((candidate) => add(candidate.trim().split(/\s+/)[0]));
+        }
+        while ((match = cssPattern.exec(text)) !== null) {
+            add(match[2].replace(/&quot;/g, ""));
+        }
+
+        return [...urls];
+    }
+
+    /**
+     * Replace remote URLs with local paths (raw and HTML-escaped forms)
+     * @param {string} text - HTML or CSS
+     * @param {Map} urlMap - Remote URL -> path relative to the export root
+     * @param {string} prefix - Path back to the export root from this file
+     * @returns {string} Rewritten text
+     */
+    static replaceUrls(text, urlMap, prefix = "") {
+        let result = text;
+        for (const [url, path] of urlMap) {
+            const local = `${prefix}${path}`;
+            result = result.split(url).join(local);
+            const escaped = url.replace(/&/g, "&amp;");
+            if (escaped !== url) result = result.split(escaped).join(local);
+        }
+        return result;
+    }
+
+    /**
+     * File extension for a downloaded image
+     * @param {string} contentType - Response content type
+     * @param {string} url - Source URL
+     * @returns {string} Extension without the dot
+     */
+    static imageExtension(contentType, url) {
+        const types = {
+            "image/png": "png",
+            "image/jpeg": "jpg",
+            "image/webp": "webp",
+            "image/gif": "gif",
+            "image/svg+xml": "svg",
+            "image/avif": "avif"
+        };
+        const type = (contentType || "").split(";")[0].trim().toLowerCase();
+        if (types[type]) return types[type];
+
+        const fromPath = url.split(/[?#]/)[0].match(/\.(png|jpe?g|webp|gif|svg|avif)$/i)?.[1];
+        return fromPath ? fromPath.toLowerCase().replace("jpeg", "jpg") : "png";
+    }
+
+    /**
+     * Minify HTML, keeping <pre>, <textarea>, <script> and <style> contents intact
+     * @param {string} html - HTML document
+     * @returns {string} Minified HTML
+     */
+    static minifyHTML(html) {
+        const preserved = [];
+        const keep = html.replace(/<(pre|textarea|script|style)\b[\s\S]*?<\/\1>/gi, (block) => {
+            preserved.push(block);
+            return `\u0000${preserved.length - 1}\u0000`;
+        });
+
+        const minified = keep
+            .replace(/<!--(?!\[if)[\s\S]*?-->/g, "")
+            // A single space can be significant between inline elements, so keep one
+            .replace(/\s+/g, " ")
+            .trim();
+
+        return minified.replace(/\u0000(\d+)\u0000/g, (match, index) => {
+            const block = preserved[Number(index)];
+            return /^<style/i.test(block)
+                ? block.replace(/(<style[^>]*>)([\s\S]*?)(<\/style>)/i, (m, open, css, close) => open + ExportUtil.minifyCSS(css) + close)
+                : block;
+        });
+    }
+
+    /**
+     * Minify CSS (comments, whitespace, trailing semicolons)
+     * @param {string} css - CSS
+     * @returns {string} Minified CSS
+     */
+    static minifyCSS(css) {
+        return (css || "")
+            .replace(/\/\*[\s\S]*?\*\//g, "")
+            .replace(/\s+/g, " ")
+            .replace(/\s*([{};,>])\s*/g, "$1")
+            .replace(/:\s+/g, ":")
+            .replace(/;}/g, "}")
+            .trim();
+    }
+
+    /**
+     * sitemap.xml for the exported pages
+     * @param {Array} urls - Page URL paths relative to the root
+     * @param {string} siteUrl - Public site URL (e.g. "https://example.com")
+     * @returns {string} Sitemap XML
+     */
+    static buildSitemap(urls, siteUrl) {
+        const base = siteUrl.replace(/\/+$/, "");
+        const today = new Date().toISOString().slice(0, 10);
+        const entries = urls.map((url) => `  <url>
+    <loc>${ExportUtil.escapeXml(`${base}/${url}`)}</loc>
+    <lastmod>${today}</lastmod>
+  </url>`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join("\n")}
+</urlset>
+`;
+    }
+
+    /**
+     * robots.txt allowing everything and pointing at the sitemap
+     * @param {string} siteUrl - Public site URL
+     * @returns {string} robots.txt
+     */
+    static buildRobots(siteUrl) {
+        return `User-agent: *
+Allow: /
+
+Sitemap: ${siteUrl.replace(/\/+$/, "")}/sitemap.xml
+`;
+    }
+
+    /**
+     * Square SVG favicon with the site's initial
+     * @param {string} title - Site title
+     * @param {string} color - Background color
+     * @returns {string} SVG markup
+     */
+    static buildFavicon(title, color = "#4f46e5") {
+        const letter = ExportUtil.escapeXml((title || "W").trim().charAt(0).toUpperCase() || "W");
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">
+  <rect width="64" height="64" rx="14" fill="${ExportUtil.escapeXml(color)}"/>
+  <text x="32" y="44" font-family="Arial, Helvetica, sans-serif" font-size="36" font-weight="700" fill="#ffffff" text-anchor="middle">${letter}</text>
+</svg>
+`;
+    }
+
+    /**
+     * Escape text for XML
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+}
@@ -0,0 +1,15 @@
+export class HtmlUtil {
+    /**
+     * Escape text for markup built as a string, in element content or attribute values
+     * @param {*} text - Raw text (null and undefined become "")
+     * @returns {string} Escaped text
+     */
+    static escape(text) {
+        return String(text ?? "")
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    }
+}
@@ -57,6 +57,71 @@ export class HTMLParser {
         return fullHTML.trim();
     }
 
+    /**
+     * Split a full HTML document into the parts needed to rebuild it losslessly
+     * @param {string} fullHTML - Complete HTML string (or a body fragment)
+     * @returns {Object} {htmlAttributes, head, bodyAttributes, body, styles}
+     *   head is the <head> markup without <style> tags; styles lists their contents
+     */
+    static parseDocument(fullHTML) {
+        const result = {
+            htmlAttributes: "",
+            head: "",
+            bodyAttributes: "",
+            body: "",
+            styles: []
+        };
+        if (!fullHTML) return result;
+
+        const doc = new DOMParser().parseFromString(fullHTML, "text/html");
+        const attributesOf = (el) =>
+            Array.from(el?.attributes || [])
+                .map((attr) => (attr.value === "" ? attr.name : `${attr.name}="${attr.value.replace(/"/g, "&quot;")}"`))
+                .join(" ");
+
+        doc.querySelectorAll("style").forEach((style) => {
+            const css = style.textContent.trim();
+            if (css) result.styles.push(css);
+            style.remove();
+        });
+
+        result.htmlAttributes = attributesOf(doc.documentElement);
+        result.bodyAttributes = attributesOf(doc.body);
+        result.head = Array.from(doc.head.children)
+            .map((el) => el.outerHTML)
+            .join("\n    ");
+        result.body = doc.body.innerHTML.trim();
+        return result;
+    }
+
+    /**
+     * Rebuild a full HTML document from parseDocument() parts
+     * @param {Object} parts - {htmlAttributes, head, bodyAttributes, body}
+     * @param {string} globalCss - Site-wide CSS (emitted first)
+     * @param {string} pageCss - Page-specific CSS
+     * @returns {string} Complete HTML document
+     */
+    static buildDocument(parts, globalCss = "", pageCss = "") {
+        const htmlAttributes = parts.htmlAttributes ? ` ${parts.htmlAttributes}` : "";
+        const bodyAttributes = parts.bodyAttributes ? ` ${parts.bodyAttributes}` : "";
+        const head = parts.head || `<meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">`;
+        const styles = [
+            globalCss ? `<style data-css="global">${globalCss}</style>` : "",
+            pageCss ? `<style data-css="page">${pageCss}</style>` : ""
+        ].filter(Boolean);
+
+        return `<!DOCTYPE html>
+<html${htmlAttributes}>
+<head>
+    ${[head, ...styles].join("\n    ")}
+</head>
+<body${bodyAttributes}>
+    ${parts.body || ""}
+</body>
+</html>`;
+    }
+
     /**
      * Combine CSS strings
      * @param {...string} cssStrings - CSS strings to combine
@@ -0,0 +1,190 @@
+import { JinjaUtil } from "./jinja.js";
+
+// Languages offered for a multilingual site, by primary language subtag
+const LANGUAGES = {
+    en: "English",
+    es: "Español",
+    fr: "Français",
+    de: "Deutsch",
+    it: "Italiano",
+    pt: "Português",
+    nl: "Nederlands",
+    pl: "Polski",
+    sv: "Svenska",
+    ja: "日本語",
+    zh: "中文",
+    ar: "العربية"
+};
+
+// Markup added by decorate(), removed again before a page is redecorated
+const HREFLANG_LINK = /[ \t]*<link\b[^>]*\bhreflang\s*=[^>]*>[ \t]*\n?/gi;
+const SELECTOR = /\n?[ \t]*<nav\b[^>]*\bdata-language-selector\b[^>]*>[\s\S]*?<\/nav>/gi;
+
+export class I18nUtil {
+    /**
+     * @returns {Array} [{locale, name}] of the languages offered in the UI
+     */
+    static languages() {
+        return Object.entries(LANGUAGES).map(([locale, name]) => ({ locale, name }));
+    }
+
+    /**
+     * @param {string} locale - Locale code ("es", "pt-BR")
+     * @returns {string} Name of the language in that language ("Español")
+     */
+    static languageName(locale) {
+        const value = locale || "";
+        return LANGUAGES[value.split("-")[0].toLowerCase()] || value;
+    }
+
+    /**
+     * "pt_br" -> "pt-BR"
+     * @param {string} value - Locale code as typed
+     * @returns {string|null} Normalized code, or null when it isn't a language tag
+     */
+    static normalizeLocale(value) {
+        const match = String(value ?? "").trim().match(/^([a-z]{2,3})(?:[-_]([a-z]{2}))?$/i);
+        if (!match) return null;
+        return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+    }
+
+    /**
+     * Record for one language: every variable the templates read is replaced
+     * by its translation, from translations.<locale>.<path> or a sibling field
+     * with the locale as suffix ("bio_es", "address.city_es"). Untranslated
+     * variables keep their value. `locale` is set for {% if locale == "es" %}.
+     * @param {Object} data - Record in the default language
+     * @param {string} locale - Target locale
+     * @param {Array} paths - Data paths the templates read (JinjaUtil.collectVariables)
+     * @returns {Object} {data, translated: number of variables that had a translation}
+     */
+    static localizeData(data, locale, paths) {
+        const source = data || {};
+        const localized = { ...structuredClone(source), locale };
+        const table = source.translations?.[locale] ?? source.translations?.[locale.split("-")[0]];
+        const suffixes = [...new Set([locale.replace("-", "_").toLowerCase(), locale.split("-")[0].toLowerCase()])];
+        let translated = 0;
+
+        for (const path of paths) {
+            if (path === "locale" || path.split(".")[0] === "translations") continue;
+
+            let value = table ? JinjaUtil.getPath(table, path) : undefined;
+            for (const suffix of suffixes) {
+                if (value !== undefined) break;
+                value = JinjaUtil.getPath(source, `${path}_${suffix}`);
+            }
+            if (value === undefined) continue;
+
+            JinjaUtil.setPath(localized, path, structuredClone(value));
+            translated++;
+        }
+        return { data: localized, translated };
+    }
+
+    /**
+     * Every data path read by a set of templates
+     * @param {Object} templates - {pageName: {jinja|html}}
+     * @returns {Array} Unique paths
+     */
+    static templatePaths(templates) {
+        const paths = new Set();
+        for (const template of Object.values(templates || {})) {
+            JinjaUtil.collectVariables(template.jinja || template.html || "").forEach((path) => paths.add(path));
+        }
+        return [...paths];
+    }
+
+    /**
+     * Set a page's language and add hreflang links and a language selector.
+     * Earlier decorations are replaced, so a page can be decorated again.
+     * @param {string} html - Full page document
+     * @param {string} locale - Language of the page
+     * @param {Array} alternates - [{locale, href, url?}] for every language, this one included;
+     *   href is used by the selector, url (absolute, when known) by the hreflang links
+     * @param {string} defaultLocale - Language for hreflang="x-default"
+     * @returns {string} Decorated HTML
+     */
+    static decorate(html, locale, alternates, defaultLocale) {
+        let result = I18nUtil.setLang(I18nUtil.strip(html), locale);
+
+        const fallback = alternates.find((alternate) => alternate.locale === defaultLocale);
+        const links = [
+            ...alternates.map((alternate) => I18nUtil._linkTag(alternate.locale, alternate.url || alternate.href)),
+            ...(fallback ? [I18nUtil._linkTag("x-default", fallback.url || fallback.href)] : [])
+        ].map((tag) => `    ${tag}\n`).join("");
+        result = /<\/head>/i.test(result) ? result.replace(/<\/head>/i, `${links}</head>`) : `${links}${result}`;
+
+        // Inside the site header when there is one, otherwise at the top of the page
+        const selector = I18nUtil.selectorHtml(locale, alternates);
+        if (/<\/header>/i.test(result)) return result.replace(/<\/header>/i, `\n${selector}</header>`);
+        if (/<body\b[^>]*>/i.test(result)) return result.replace(/<body\b[^>]*>/i, (body) => `${body}\n${selector}`);
+        return `${selector}${result}`;
+    }
+
+    /**
+     * Set the lang attribute of a page's <html> element
+     * @param {string} html - Full page document
+     * @param {string} locale - Language of the page
+     * @returns {string} HTML with the language set
+     */
+    static setLang(html, locale) {
+        return /<html\b[^>]*\blang\s*=/i.test(html)
+            ? html.replace(/(<html\b[^>]*\blang\s*=\s*)(["'])[^"']*\2/i, `$1$2${locale}$2`)
+            : html.replace(/<html\b/i, `<html lang="${locale}"`);
+    }
+
+    /**
+     * Remove the hreflang links and language selector added by decorate()
+     * @param {string} html - Page HTML
+     * @returns {string} HTML without them
+     */
+    static strip(html) {
+        return (html || "").replace(HREFLANG_LINK, "").replace(SELECTOR, "");
+    }
+
+    /**
+     * @param {string} locale - Language of the page showing the selector
+     * @param {Array} alternates - [{locale, href}]
+     * @returns {string} Language selector component
+     */
+    static selectorHtml(locale, alternates) {
+        const links = alternates.map((alternate) => {
+            const current = alternate.locale === locale;
+            return `<a href="${I18nUtil._attr(alternate.href)}" hreflang="${alternate.locale}" lang="${alternate.locale}"`
+                + (current ? " aria-current=\"page\" style=\"font-weight:600;text-decoration:none;\"" : " style=\"text-decoration:none;\"")
+                + `>${I18nUtil._attr(I18nUtil.languageName(alternate.locale))}</a>`;
+        }).join("");
+        return `<nav class="language-selector" data-language-selector aria-label="Language" `
+            + `style="display:flex;gap:12px;justify-content:flex-end;padding:6px 16px;font-size:14px;">${links}</nav>`;
+    }
+
+    /**
+     * Page that sends visitors of the export root to the default language
+     * @param {string} target - URL of the default language's home page
+     * @returns {string} HTML document
+     */
+    static buildRedirect(target) {
+        const href = I18nUtil._attr(target);
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="refresh" content="0; url=${href}">
+    <link rel="canonical" href="${href}">
+    <title>Redirecting…</title>
+</head>
+<body>
+    <p><a href="${href}">Continue to the website</a></p>
+</body>
+</html>
+`;
+    }
+
+    static _linkTag(hreflang, href) {
+        return `<link rel="alternate" hreflang="${hreflang}" href="${I18nUtil._attr(href)}">`;
+    }
+
+    static _attr(text) {
+        return String(text ?? "").replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+    }
+}
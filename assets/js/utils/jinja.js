@@ -0,0 +1,303 @@
+// Words inside Jinja expressions that are never data variables
+const RESERVED = new Set([
+    "and", "or", "not", "in", "is", "if", "else", "true", "false", "none", "True", "False", "None",
+    "loop", "defined", "undefined", "string", "number", "mapping", "iterable", "even", "odd", "range"
+]);
+
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}|\{%-?\s*([\s\S]*?)\s*-?%\}/g;
+
+// One token of an expression: string, number, name or operator
+const TOKEN_PATTERN = /\s*(?:('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(\d+(?:\.\d+)?)|([A-Za-z_$][\w$]*)|(==|!=|<=|>=|\/\/|\*\*|[-+*\/%<>~=|.,:()[\]{}]))/y;
+
+export class JinjaUtil {
+    /**
+     * Data paths a template reads ("name", "address.city", "social.github").
+     * Loop and {% set %} variables are excluded; the collections they come from are kept.
+     * @param {string} template - Jinja template
+     * @returns {Array} Sorted unique paths
+     */
+    static collectVariables(template) {
+        const paths = new Set();
+        const locals = new Set();
+        const expressions = [];
+
+        for (const tag of JinjaUtil.tags(template)) {
+            if (tag.expression !== undefined) {
+                expressions.push(tag.expression);
+                continue;
+            }
+
+            const { keyword, rest } = JinjaUtil.parseStatement(tag.statement);
+            if (keyword === "for") {
+                const loop = JinjaUtil.parseFor(rest);
+                if (!loop) continue;
+                loop.names.forEach((name) => locals.add(name));
+                expressions.push(loop.collection);
+            } else if (keyword === "if" || keyword === "elif") {
+                expressions.push(rest);
+            } else if (keyword === "set") {
+                const assignment = rest.match(/^(\w+)\s*=\s*([\s\S]+)$/);
+                if (!assignment) continue;
+                locals.add(assignment[1]);
+                expressions.push(assignment[2]);
+            }
+        }
+
+        for (const expression of expressions) {
+            for (const path of JinjaUtil.expressionPaths(expression)) {
+                if (!locals.has(path.split(".")[0])) paths.add(path);
+            }
+        }
+        return [...paths].sort();
+    }
+
+    /**
+     * Every data reference in a template with how it is used, for validation.
+     * Paths read through a loop variable are reported on the collection
+     * ("services[].title"); {% set %} and .items() locals are skipped.
+     * @param {string} template - Jinja template
+     * @returns {Array} [{path, kind: 'output'|'loop'|'condition'|'expression', filters, optional, mapping, pairs, line, source}]
+     */
+    static collectReferences(template) {
+        const text = template || "";
+        const references = [];
+        const locals = new Map();   // local name -> collection path ("services[]") or null
+        const loops = [];           // names bound by each open {% for %}, for {% endfor %}
+
+        const resolve = (path) => {
+            const [head, ...rest] = path.split(".");
+            if (!locals.has(head)) return path;
+            const base = locals.get(head);
+            return base === null ? null : [base, ...rest].join(".");
+        };
+        const add = (expression, kind, line, source, extra = {}) => {
+            for (const raw of JinjaUtil.expressionPaths(expression)) {
+                const path = resolve(raw);
+                if (path) references.push({ path, kind, filters: [], optional: false, mapping: false, pairs: false, line, source, ...extra });
+            }
+        };
+
+        for (const tag of JinjaUtil.tags(text)) {
+            const line = text.slice(0, tag.index).split("\n").length;
+            const source = tag.source;
+
+            if (tag.expression !== undefined) {
+                const [head, ...filterParts] = JinjaUtil.splitFilters(tag.expression);
+                const filters = filterParts.map((part) => part.match(/^\s*(\w+)/)?.[1]).filter(Boolean);
+                const single = head.trim().match(/^[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*$/);
+                add(head, single ? "output" : "expression", line, source, single
+                    ? { filters, optional: filters.includes("default") || filters.includes("d") }
+                    : {});
+                filterParts.forEach((part) => add(part.replace(/^\s*\w+/, ""), "expression", line, source));
+                continue;
+            }
+
+            const { keyword, rest } = JinjaUtil.parseStatement(tag.statement);
+            if (keyword === "for") {
+                const loop = JinjaUtil.parseFor(rest);
+                if (!loop) continue;
+                const { names, collection, items: mapping } = loop;
+                // Nunjucks unpacks "for key, value in object" without .items()
+                add(collection, "loop", line, source, { mapping, pairs: !mapping && names.length === 2 });
+
+                const resolved = /^[A-Za-z_][\w.]*$/.test(collection) ? resolve(collection) : null;
+                loops.push(names.map((name) => [name, locals.has(name) ? locals.get(name) : undefined]));
+                names.forEach((name) => locals.set(name, !mapping && names.length === 1 && resolved ? `${resolved}[]` : null));
+            } else if (keyword === "endfor") {
+                for (const [name, previous] of loops.pop() || []) {
+                    if (previous === undefined) locals.delete(name);
+                    else locals.set(name, previous);
+                }
+            } else if (keyword === "if" || keyword === "elif") {
+                add(rest, "condition", line, source, { optional: true });
+            } else if (keyword === "set") {
+                const assignment = rest.match(/^(\w+)\s*=\s*([\s\S]+)$/);
+                if (!assignment) continue;
+                add(assignment[2], "expression", line, source);
+                locals.set(assignment[1], null);
+            }
+        }
+        return references;
+    }
+
+    // ─────────────────────────────────────────────
+    //  Parsing (shared with ComponentConverter)
+    // ─────────────────────────────────────────────
+
+    /**
+     * The {{ }} and {% %} tags of a template, in order
+     * @param {string} template - Jinja template
+     * @returns {Array} [{index, source, expression}] for outputs, [{index, source, statement}] for statements
+     */
+    static tags(template) {
+        return [...(template || "").matchAll(TAG_PATTERN)].map((match) => (match[1] !== undefined
+            ? { index: match.index, source: match[0], expression: match[1] }
+            : { index: match.index, source: match[0], statement: match[2] }));
+    }
+
+    /**
+     * @param {string} statement - Inside of a {% %} tag, e.g. "for item in items"
+     * @returns {Object} {keyword, rest}
+     */
+    static parseStatement(statement) {
+        const [, keyword = "", rest = ""] = (statement || "").match(/^(\w+)\s*([\s\S]*)$/) || [];
+        return { keyword, rest };
+    }
+
+    /**
+     * @param {string} rest - A for statement after "for", e.g. "key, value in prices.items()"
+     * @returns {Object|null} {names, collection (without .items()), items: true for .items() loops}
+     */
+    static parseFor(rest) {
+        const loop = (rest || "").match(/^([\w\s,]+?)\s+in\s+([\s\S]+)$/);
+        if (!loop) return null;
+        const items = /\.items\(\)\s*$/.test(loop[2]);
+        return {
+            names: loop[1].split(",").map((name) => name.trim()).filter(Boolean),
+            collection: loop[2].replace(/\.items\(\)\s*$/, "").trim(),
+            items
+        };
+    }
+
+    /**
+     * Split text on a separator outside quotes and brackets
+     * @param {string} text - e.g. "a, f(b, c), 'd,e'"
+     * @param {string} separator - One character
+     * @returns {Array} Parts
+     */
+    static splitTopLevel(text, separator) {
+        const parts = [""];
+        let quote = null;
+        let depth = 0;
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === "'" || char === "\"") {
+                quote = char;
+            } else if ("([{".includes(char)) {
+                depth++;
+            } else if (")]}".includes(char)) {
+                depth--;
+            } else if (char === separator && depth === 0) {
+                parts.push("");
+                continue;
+            }
+            parts[parts.length - 1] += char;
+        }
+        return parts;
+    }
+
+    /**
+     * Split an output expression on its top-level filter pipes
+     * @param {string} expression - e.g. "name | default('a|b') | upper"
+     * @returns {Array} [head, filter, filter, ...]
+     */
+    static splitFilters(expression) {
+        return JinjaUtil.splitTopLevel(expression, "|");
+    }
+
+    /**
+     * Tokens of an expression
+     * @param {string} expression - e.g. "price * 2 | round"
+     * @returns {Array} [{type: 'string'|'number'|'name'|'op', value}]
+     * @throws {Error} When the expression has a character Jinja doesn't use
+     */
+    static tokenize(expression) {
+        const tokens = [];
+        let position = 0;
+        while (expression.slice(position).trim()) {
+            TOKEN_PATTERN.lastIndex = position;
+            const match = TOKEN_PATTERN.exec(expression);
+            if (!match) throw new Error(`Cannot read "${expression}"`);
+            position = TOKEN_PATTERN.lastIndex;
+
+            if (match[1] !== undefined) tokens.push({ type: "string", value: match[1] });
+            else if (match[2] !== undefined) tokens.push({ type: "number", value: match[2] });
+            else if (match[3] !== undefined) tokens.push({ type: "name", value: match[3] });
+            else tokens.push({ type: "op", value: match[4] });
+        }
+        return tokens;
+    }
+
+    /**
+     * Variable paths referenced by one expression
+     * @param {string} expression - e.g. "address.city | default('n/a')"
+     * @returns {Array} Paths
+     */
+    static expressionPaths(expression) {
+        let tokens;
+        try {
+            tokens = JinjaUtil.tokenize(expression);
+        } catch (error) {
+            return [];
+        }
+        const isOp = (token, value) => token?.type === "op" && token.value === value;
+
+        const paths = [];
+        for (let index = 0; index < tokens.length; index++) {
+            const previous = tokens[index - 1];
+            // Filter and test names, attribute names and keyword arguments are not variables
+            if (tokens[index].type !== "name" || isOp(previous, ".") || isOp(previous, "|")
+                || previous?.value === "is" || isOp(tokens[index + 1], "=")) continue;
+
+            const segments = [tokens[index].value];
+            let end = index + 1;
+            while (isOp(tokens[end], ".") && tokens[end + 1]?.type === "name") {
+                segments.push(tokens[end + 1].value);
+                end += 2;
+            }
+
+            // name.upper() reads "name"; a bare call like range() reads nothing
+            if (isOp(tokens[end], "(")) {
+                if (segments.length === 1) continue;
+                segments.pop();
+            }
+            if (!RESERVED.has(segments[0])) paths.push(segments.join("."));
+        }
+        return paths;
+    }
+
+    /**
+     * Read a dotted path ("address.city"); a flat key containing the dots wins
+     * @param {Object} object - Source object
+     * @param {string} path - Dotted path
+     * @returns {*} Value or undefined
+     */
+    static getPath(object, path) {
+        if (!object || !path) return undefined;
+        if (Object.prototype.hasOwnProperty.call(object, path)) return object[path];
+        return path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+    }
+
+    /**
+     * Write a dotted path, creating intermediate objects
+     * @param {Object} object - Target object
+     * @param {string} path - Dotted path
+     * @param {*} value - Value
+     */
+    static setPath(object, path, value) {
+        const keys = path.split(".");
+        let target = object;
+        for (const key of keys.slice(0, -1)) {
+            if (typeof target[key] !== "object" || target[key] === null) target[key] = {};
+            target = target[key];
+        }
+        target[keys[keys.length - 1]] = value;
+    }
+
+    /**
+     * Leaf paths of a record ({address: {city}} -> ["address.city"]); arrays count as leaves
+     * @param {Object} record - Data record
+     * @param {string} prefix - Path prefix
+     * @returns {Array} Paths
+     */
+    static leafPaths(record, prefix = "") {
+        if (!record || typeof record !== "object" || Array.isArray(record)) return prefix ? [prefix] : [];
+        return Object.entries(record).flatMap(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            return value && typeof value === "object" && !Array.isArray(value)
+                ? JinjaUtil.leafPaths(value, path)
+                : [path];
+        });
+    }
+}
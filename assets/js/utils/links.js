@@ -0,0 +1,309 @@
+export class LinkUtil {
+    /**
+     * Escape a string for use inside a RegExp
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+
+    /**
+     * Point internal links at a renamed file. Matches "about.html", "./about.html",
+     * "/about.html" and extensionless "about", keeping any #anchor or ?query.
+     * @param {string} html - HTML to rewrite
+     * @param {string} oldFile - Previous file name (e.g. "about.html")
+     * @param {string} newFile - New file name (e.g. "our-story.html")
+     * @returns {string} Rewritten HTML
+     */
+    static renameTarget(html, oldFile, newFile) {
+        if (!html || !oldFile || oldFile === newFile) return html;
+
+        const oldBase = oldFile.replace(/\.html?$/i, "");
+        const newBase = newFile.replace(/\.html?$/i, "");
+        const pattern = new RegExp(
+            `(href\\s*=\\s*["'])(\\.?\\/)?${LinkUtil.escapeRegExp(oldBase)}(\\.html?)?(?=["'#?])`,
+            "gi"
+        );
+
+        return html.replace(pattern, (match, prefix, dir = "", ext = "") =>
+            `${prefix}${dir}${newBase}${ext}`
+        );
+    }
+
+    /**
+     * Map every way a page can be addressed ("about.html", "about", "" for index) to its name
+     * @param {Array} pageNames - Page names
+     * @param {Object} savedFiles - {pageName: fileName}
+     * @returns {Map} lower-cased path -> page name
+     */
+    static buildFileMap(pageNames, savedFiles = {}) {
+        const map = new Map();
+        for (const name of pageNames) {
+            const file = (savedFiles?.[name] || `${name}.html`).toLowerCase();
+            map.set(file, name);
+            map.set(file.replace(/\.html?$/, ""), name);
+            if (file === "index.html") map.set("", name);
+        }
+        return map;
+    }
+
+    /**
+     * Resolve an href against the site's pages
+     * @param {string} href - Raw href value
+     * @param {Map} fileMap - From buildFileMap()
+     * @returns {Object} {internal, samePage, page, path, anchor}
+     */
+    static resolve(href, fileMap) {
+        const value = (href || "").trim();
+        // External, protocol-relative, special schemes and template expressions are out of scope
+        if (!value || /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(value) || value.includes("{{") || value.includes("{%")) {
+            return { internal: false };
+        }
+
+        const [pathAndQuery, anchor = ""] = value.split("#");
+        let path = pathAndQuery.split("?")[0].replace(/^\.?\//, "");
+        try {
+            path = decodeURI(path);
+        } catch (e) {
+            // Keep the raw path if it isn't valid URI encoding
+        }
+
+        if (!path && pathAndQuery === "") {
+            return { internal: true, samePage: true, page: null, path: "", anchor };
+        }
+
+        const key = path.toLowerCase();
+        const page = fileMap.get(key) ?? fileMap.get(key.replace(/\.html?$/, "")) ?? null;
+        return { internal: true, samePage: false, page, path, anchor };
+    }
+
+    /**
+     * Levenshtein distance, used to suggest the page or anchor a link probably meant
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Edit distance
+     */
+    static distance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let prev = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = a[i - 1] === b[j - 1]
+                    ? prev
+                    : Math.min(prev, row[j - 1], row[j]) + 1;
+                prev = current;
+            }
+        }
+        return row[b.length];
+    }
+
+    /**
+     * Closest candidate to a value, if it is reasonably close
+     * @param {string} value - Value to match
+     * @param {Array} candidates - Candidate strings
+     * @returns {string|null} Best candidate or null
+     */
+    static closest(value, candidates) {
+        const needle = value.toLowerCase();
+        let best = null;
+        let bestScore = Infinity;
+
+        for (const candidate of candidates) {
+            const hay = candidate.toLowerCase();
+            const score = hay.includes(needle) || needle.includes(hay)
+                ? 0
+                : LinkUtil.distance(needle, hay);
+            if (score < bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+
+        return bestScore <= Math.max(2, Math.floor(needle.length / 3)) ? best : null;
+    }
+
+    /**
+     * Check every internal link across the site
+     * @param {Object} pages - {pageName: {html, css}}
+     * @param {Object} savedFiles - {pageName: fileName}
+     * @param {Array} order - Page order; the first page (or index.html) is the entry page
+     * @returns {Array} Issues: {type: 'broken_link'|'missing_anchor'|'orphan_page', page, href,
+     *   target, anchor, suggestion, count}
+     */
+    static analyze(pages, savedFiles = {}, order = []) {
+        const names = order.length ? order.filter((name) => pages[name]) : Object.keys(pages);
+        const fileMap = LinkUtil.buildFileMap(names, savedFiles);
+        const fileOf = (name) => savedFiles?.[name] || `${name}.html`;
+        const parser = new DOMParser();
+
+        const docs = {};
+        const ids = {};
+        for (const name of names) {
+            docs[name] = parser.parseFromString(pages[name].html || "", "text/html");
+            ids[name] = new Set(
+                Array.from(docs[name].querySelectorAll("[id], a[name]"))
+                    .map((el) => el.id || el.getAttribute("name"))
+            );
+        }
+
+        const issues = new Map();
+        const inbound = Object.fromEntries(names.map((name) => [name, 0]));
+        const addIssue = (issue) => {
+            const key = `${issue.type}|${issue.page}|${issue.href}`;
+            if (issues.has(key)) {
+                issues.get(key).count++;
+            } else {
+                issues.set(key, { ...issue, count: 1 });
+            }
+        };
+
+        for (const name of names) {
+            docs[name].querySelectorAll("a[href]").forEach((a) => {
+                // Language versions live in other folders of the export
+                if (a.hasAttribute("hreflang")) return;
+
+                const href = a.getAttribute("href");
+                const link = LinkUtil.resolve(href, fileMap);
+                if (!link.internal) return;
+
+                const target = link.samePage ? name : link.page;
+                if (!target) {
+                    const guess = LinkUtil.closest(link.path.replace(/\.html?$/i, ""), names);
+                    addIssue({
+                        type: "broken_link",
+                        page: name,
+                        href,
+                        target: null,
+                        anchor: link.anchor,
+                        suggestion: guess ? fileOf(guess) + (link.anchor ? `#${link.anchor}` : "") : null
+                    });
+                    return;
+                }
+
+                if (target !== name) inbound[target]++;
+
+                // Browsers scroll to the top for "#" and for "#top" when no element has that id
+                if (link.anchor && link.anchor.toLowerCase() !== "top" && !ids[target].has(link.anchor)) {
+                    const guess = LinkUtil.closest(link.anchor, [...ids[target]]);
+                    const base = link.samePage ? "" : href.split("#")[0];
+                    addIssue({
+                        type: "missing_anchor",
+                        page: name,
+                        href,
+                        target,
+                        anchor: link.anchor,
+                        // Without a matching id, fall back to the top of the target page
+                        suggestion: guess ? `${base}#${guess}` : (base || "#")
+                    });
+                }
+            });
+        }
+
+        const entry = names.find((name) => fileOf(name).toLowerCase() === "index.html") || names[0];
+        for (const name of names) {
+            if (name !== entry && inbound[name] === 0) {
+                addIssue({ type: "orphan_page", page: name, href: fileOf(name), target: name, suggestion: null });
+            }
+        }
+
+        return [...issues.values()];
+    }
+
+    /**
+     * Replace every link with an exact href value
+     * @param {string} html - HTML to rewrite
+     * @param {string} oldHref - Current href value
+     * @param {string|null} newHref - Replacement, or null to unwrap the link and keep its text
+     * @returns {string} Rewritten HTML
+     */
+    static replaceHref(html, oldHref, newHref) {
+        if (!html) return html;
+        const escaped = LinkUtil.escapeRegExp(oldHref);
+
+        if (newHref === null) {
+            const anchor = new RegExp(`<a\\b[^>]*\\bhref\\s*=\\s*(["'])${escaped}\\1[^>]*>([\\s\\S]*?)<\\/a>`, "gi");
+            return html.replace(anchor, (match, quote, text) => text);
+        }
+
+        const attr = new RegExp(`(\\bhref\\s*=\\s*)(["'])${escaped}\\2`, "gi");
+        return html.replace(attr, (match, prefix, quote) => `${prefix}${quote}${newHref}${quote}`);
+    }
+
+    /**
+     * Rebuild the links of a <nav> (or of the element holding the most links) inside
+     * a header/footer fragment, one link per page, marking the current page.
+     * @param {string} fragment - <header> or <footer> HTML
+     * @param {Array} links - [{file, title}] in navigation order
+     * @param {string} currentFile - File of the page the fragment is for
+     * @returns {string} Updated fragment (unchanged if it has no navigation)
+     */
+    static rebuildNavigation(fragment, links, currentFile) {
+        const template = document.createElement("template");
+        template.innerHTML = fragment;
+
+        const container = template.content.querySelector("nav") ||
+            Array.from(template.content.querySelectorAll("ul, ol, div"))
+                // Only link lists pointing inside the site; leaves social/contact links alone
+                .filter((el) => Array.from(el.querySelectorAll(":scope > a, :scope > li > a"))
+                    .filter((a) => !/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(a.getAttribute("href") || "")).length >= 2)
+                .sort((a, b) => b.querySelectorAll("a").length - a.querySelectorAll("a").length)[0];
+        if (!container) return fragment;
+
+        // Prefer a link list over loose anchors so a logo link next to the menu survives
+        const menu = Array.from(container.querySelectorAll("ul, ol"))
+            .filter((el) => el.querySelector(":scope > li > a"))
+            .sort((a, b) => b.children.length - a.children.length)[0];
+        const list = menu || container.querySelector("a")?.parentElement || container;
+        const sample = list.querySelector(menu ? ":scope > li > a" : ":scope > a");
+        const sampleItem = menu ? sample.parentElement : null;
+
+        // Keep whatever wraps the links (ul/li) and the link styling, swap the entries
+        list.querySelectorAll(sampleItem ? ":scope > li" : ":scope > a").forEach((el) => el.remove());
+        for (const { file, title } of links) {
+            const a = sample ? sample.cloneNode(false) : document.createElement("a");
+            a.setAttribute("href", file);
+            a.textContent = title;
+            a.classList.remove("active");
+            a.removeAttribute("aria-current");
+            if (file === currentFile) {
+                a.setAttribute("aria-current", "page");
+            }
+
+            if (sampleItem) {
+                const li = sampleItem.cloneNode(false);
+                li.classList.remove("active");
+                li.appendChild(a);
+                list.appendChild(li);
+            } else {
+                list.appendChild(a);
+            }
+        }
+
+        return template.innerHTML;
+    }
+
+    /**
+     * Put a header/footer fragment into a page, replacing the existing one
+     * @param {string} html - Page HTML
+     * @param {string} tag - "header" or "footer"
+     * @param {string} fragment - Replacement fragment
+     * @returns {string} Updated HTML
+     */
+    static replaceRegion(html, tag, fragment) {
+        const region = new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}>`, "i");
+        if (region.test(html)) {
+            return html.replace(region, () => fragment);
+        }
+        if (tag === "header") {
+            return /<body[^>]*>/i.test(html)
+                ? html.replace(/<body[^>]*>/i, (open) => `${open}\n${fragment}`)
+                : `${fragment}\n${html}`;
+        }
+        return /<\/body>/i.test(html)
+            ? html.replace(/<\/body>/i, () => `${fragment}\n</body>`)
+            : `${html}\n${fragment}`;
+    }
+}
@@ -0,0 +1,105 @@
+// Elements that run code or change where the page loads from
+const BLOCKED_ELEMENTS = ["script", "object", "embed", "applet", "base", "frame", "frameset"];
+
+// Script types that only carry data (structured data, config)
+const DATA_SCRIPT_TYPES = ["application/ld+json", "application/json"];
+
+// Attributes holding URLs
+const URL_ATTRIBUTES = ["href", "src", "action", "formaction", "xlink:href", "data", "poster", "background"];
+
+const SCRIPT_URL = /^(javascript|vbscript|data:text\/html)/i;
+
+export class SanitizeUtil {
+    /**
+     * Strip scripts, event handlers and script URLs from HTML. Markup is
+     * returned unchanged when nothing had to be removed.
+     * @param {string} html - Full document or fragment
+     * @returns {Object} {html, removed: [{kind: 'script'|'element'|'handler'|'url', description}]}
+     */
+    static sanitize(html) {
+        const source = html || "";
+        const isDocument = /<!doctype|<html[\s>]|<head[\s>]|<body[\s>]/i.test(source);
+        const removed = [];
+
+        let doc = null;
+        let template = null;
+        let root;
+        if (isDocument) {
+            doc = new DOMParser().parseFromString(source, "text/html");
+            root = doc.documentElement;
+        } else {
+            template = document.createElement("template");
+            template.innerHTML = source;
+            root = template.content;
+        }
+
+        root.querySelectorAll(`${BLOCKED_ELEMENTS.join(",")}, meta[http-equiv]`).forEach((el) => {
+            const tag = el.tagName.toLowerCase();
+            if (tag === "script" && DATA_SCRIPT_TYPES.includes((el.getAttribute("type") || "").toLowerCase())) return;
+            if (tag === "meta" && el.getAttribute("http-equiv").toLowerCase() !== "refresh") return;
+
+            const description = tag === "script"
+                ? (el.getAttribute("src") ? `<script src="${el.getAttribute("src")}">` : `<script> ${SanitizeUtil._excerpt(el.textContent)}`)
+                : SanitizeUtil._openTag(el);
+            removed.push({ kind: tag === "script" ? "script" : "element", description });
+            el.remove();
+        });
+
+        for (const el of [...(doc ? [root] : []), ...root.querySelectorAll("*")]) {
+            for (const attr of [...el.attributes]) {
+                const name = attr.name.toLowerCase();
+                const tag = el.tagName.toLowerCase();
+                if (name.startsWith("on")) {
+                    removed.push({ kind: "handler", description: `${name} on <${tag}>: ${SanitizeUtil._excerpt(attr.value)}` });
+                    el.removeAttribute(attr.name);
+                } else if (name === "srcdoc"
+                    || (URL_ATTRIBUTES.includes(name) && SCRIPT_URL.test(attr.value.replace(/[\u0000-\u0020]/g, "")))) {
+                    removed.push({ kind: "url", description: `${name} on <${tag}>: ${SanitizeUtil._excerpt(attr.value)}` });
+                    el.removeAttribute(attr.name);
+                }
+            }
+        }
+
+        if (removed.length === 0) return { html: source, removed };
+
+        const serialized = doc
+            ? `${doc.doctype ? `<!DOCTYPE ${doc.doctype.name}>\n` : ""}${root.outerHTML}`
+            : template.innerHTML;
+        return { html: serialized, removed };
+    }
+
+    /**
+     * Sanitize every page of a site
+     * @param {Object} pages - {pageName: {html, css}}
+     * @returns {Object} {pages, removed: [{page, kind, description}]}
+     */
+    static sanitizePages(pages) {
+        const clean = {};
+        const removed = [];
+        for (const [pageName, page] of Object.entries(pages || {})) {
+            const result = SanitizeUtil.sanitize(page?.html);
+            clean[pageName] = result.removed.length ? { ...page, html: result.html } : page;
+            result.removed.forEach((item) => removed.push({ page: pageName, ...item }));
+        }
+        return { pages: clean, removed };
+    }
+
+    static escape(text) {
+        return String(text ?? "")
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    }
+
+    static _openTag(el) {
+        const attributes = [...el.attributes].map((attr) => ` ${attr.name}="${attr.value}"`).join("");
+        return SanitizeUtil._excerpt(`<${el.tagName.toLowerCase()}${attributes}>`);
+    }
+
+    static _excerpt(text) {
+        const compact = String(text).replace(/\s+/g, " ").trim();
+        return compact.length > 80 ? `${compact.slice(0, 80)}…` : compact;
+    }
+}
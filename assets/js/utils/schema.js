@@ -0,0 +1,159 @@
+// Loose checks for the JSON Schema "format" keyword
+const FORMATS = {
+    email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: (value) => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value),
+    date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value)
+};
+
+export class SchemaUtil {
+    /**
+     * Validate a value against a JSON Schema. Supports the subset used for
+     * data files: type, required, properties, items, enum, format, minLength,
+     * maxLength, minimum, maximum and pattern.
+     * @param {*} value - Data to check
+     * @param {Object} schema - JSON Schema
+     * @param {string} path - Dotted path of the value ('' for the root)
+     * @returns {Array} Errors [{path, message}]
+     */
+    static validate(value, schema, path = "") {
+        if (!schema || typeof schema !== "object") return [];
+        const errors = [];
+        const label = path || "record";
+
+        const types = SchemaUtil.types(schema);
+        const actual = SchemaUtil.typeOf(value);
+        if (types.length && !types.some((type) => SchemaUtil.matchesType(value, type))) {
+            errors.push({ path, message: `${label} should be ${types.join(" or ")}, got ${actual}` });
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+            errors.push({ path, message: `${label} should be one of ${schema.enum.map((o) => JSON.stringify(o)).join(", ")}` });
+        }
+
+        if (actual === "string") {
+            if (schema.format && FORMATS[schema.format] && value !== "" && !FORMATS[schema.format](value)) {
+                errors.push({ path, message: `${label} is not a valid ${schema.format}` });
+            }
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path, message: `${label} should have at least ${schema.minLength} characters` });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ path, message: `${label} should have at most ${schema.maxLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path, message: `${label} does not match ${schema.pattern}` });
+            }
+        }
+
+        if (actual === "number" || actual === "integer") {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `${label} should be at least ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `${label} should be at most ${schema.maximum}` });
+            }
+        }
+
+        if (actual === "object") {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined || value[key] === null || value[key] === "") {
+                    errors.push({ path: SchemaUtil.join(path, key), message: `${SchemaUtil.join(path, key)} is required` });
+                }
+            }
+            for (const [key, child] of Object.entries(schema.properties || {})) {
+                if (value[key] !== undefined && value[key] !== null) {
+                    errors.push(...SchemaUtil.validate(value[key], child, SchemaUtil.join(path, key)));
+                }
+            }
+        }
+
+        if (actual === "array" && schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...SchemaUtil.validate(item, schema.items, `${path}[${index}]`));
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Schema node for a reference path ("services[].title", "address.city")
+     * @param {Object} schema - Root schema
+     * @param {string} path - Dotted path, "[]" stepping into array items
+     * @returns {Object|null} Schema node, or null when the schema does not define it
+     */
+    static at(schema, path) {
+        let node = schema;
+        for (const segment of path.split(".")) {
+            const [, key, arrays] = segment.match(/^([^[]*)((?:\[\])*)$/) || [null, segment, ""];
+            if (key) node = node?.properties?.[key];
+            for (let i = 0; i < arrays.length / 2; i++) node = node?.items;
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    /**
+     * Value for a reference path; "[]" reads the first item
+     * @param {*} data - Record
+     * @param {string} path - Dotted path
+     * @returns {*} Value or undefined
+     */
+    static valueAt(data, path) {
+        let value = data;
+        for (const segment of path.split(".")) {
+            const [, key, arrays] = segment.match(/^([^[]*)((?:\[\])*)$/) || [null, segment, ""];
+            if (key) value = value === null || value === undefined ? undefined : value[key];
+            for (let i = 0; i < arrays.length / 2; i++) value = Array.isArray(value) ? value[0] : undefined;
+            if (value === undefined) return undefined;
+        }
+        return value;
+    }
+
+    /**
+     * Leaf paths a schema defines ("address.city", "services[].title")
+     * @param {Object} schema - JSON Schema
+     * @param {string} prefix - Path prefix
+     * @returns {Array} Paths
+     */
+    static leafPaths(schema, prefix = "") {
+        if (schema?.properties) {
+            return Object.entries(schema.properties).flatMap(([key, child]) => SchemaUtil.leafPaths(child, SchemaUtil.join(prefix, key)));
+        }
+        if (schema?.items?.properties) {
+            return SchemaUtil.leafPaths(schema.items, `${prefix}[]`);
+        }
+        return prefix ? [prefix] : [];
+    }
+
+    /**
+     * @param {Object} schema - JSON Schema node
+     * @returns {Array} Allowed types ("null" excluded)
+     */
+    static types(schema) {
+        const type = schema?.type ?? (schema?.properties ? "object" : null);
+        return (Array.isArray(type) ? type : type ? [type] : []).filter((t) => t !== "null");
+    }
+
+    /**
+     * JSON type name of a value
+     * @param {*} value - Any value
+     * @returns {string} 'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object' | 'null' | 'undefined'
+     */
+    static typeOf(value) {
+        if (value === null) return "null";
+        if (Array.isArray(value)) return "array";
+        if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+        return typeof value;
+    }
+
+    static matchesType(value, type) {
+        const actual = SchemaUtil.typeOf(value);
+        return actual === type || (type === "number" && actual === "integer");
+    }
+
+    static join(prefix, key) {
+        return prefix ? `${prefix}.${key}` : key;
+    }
+}
@@ -0,0 +1,249 @@
+// Query-string or path rewrites that ask common image hosts for a resized image
+const IMAGE_HOSTS = [
+    {
+        test: /(^|\.)images\.unsplash\.com$|(^|\.)imgix\.net$/,
+        resize: (url, width, height) => {
+            url.searchParams.set("w", width);
+            if (height) url.searchParams.set("h", height);
+            url.searchParams.set("fit", "crop");
+            return url;
+        }
+    },
+    {
+        test: /(^|\.)picsum\.photos$/,
+        resize: (url, width, height) => {
+            url.pathname = url.pathname.replace(/\/\d+(\/\d+)?\/?$/, "") + `/${width}/${height || width}`;
+            return url;
+        }
+    },
+    {
+        test: /(^|\.)pravatar\.cc$/,
+        resize: (url, width) => {
+            url.pathname = url.pathname.replace(/\/\d+\/?$/, "") + `/${width}`;
+            return url;
+        }
+    },
+    {
+        test: /(^|\.)res\.cloudinary\.com$/,
+        resize: (url, width, height) => {
+            const transform = [`w_${width}`, height ? `h_${height}` : "", "c_fill"].filter(Boolean).join(",");
+            url.pathname = url.pathname.replace("/upload/", `/upload/${transform}/`);
+            return url;
+        }
+    }
+];
+
+export class TemplateFilters {
+    /**
+     * {{ published | date("long") }} or {{ "now" | date("YYYY") }}
+     * @param {Date|string|number} value - Date, ISO string, timestamp or "now"
+     * @param {string} format - short | medium | long | full, or tokens (YYYY MMMM MMM MM M DD D HH mm)
+     * @param {string} locale - BCP 47 locale (defaults to the browser's)
+     * @returns {string} Formatted date, or the value unchanged when it isn't a date
+     */
+    static date(value, format = "medium", locale = undefined) {
+        // A bare "2024-03-05" means that day here, not midnight UTC
+        const day = typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = value === "now" ? new Date()
+            : value instanceof Date ? value
+                : day ? new Date(day[1], day[2] - 1, day[3]) : new Date(value);
+        if (value === null || value === undefined || value === "" || isNaN(date)) return value ?? "";
+
+        if (["short", "medium", "long", "full"].includes(format)) {
+            return new Intl.DateTimeFormat(locale, { dateStyle: format }).format(date);
+        }
+
+        const pad = (number) => String(number).padStart(2, "0");
+        const month = (style) => new Intl.DateTimeFormat(locale, { month: style }).format(date);
+        const tokens = {
+            YYYY: () => date.getFullYear(),
+            MMMM: () => month("long"),
+            MMM: () => month("short"),
+            MM: () => pad(date.getMonth() + 1),
+            M: () => date.getMonth() + 1,
+            DD: () => pad(date.getDate()),
+            D: () => date.getDate(),
+            HH: () => pad(date.getHours()),
+            mm: () => pad(date.getMinutes())
+        };
+        return format.replace(/YYYY|MMMM|MMM|MM|M|DD|D|HH|mm/g, (token) => tokens[token]());
+    }
+
+    /**
+     * {{ price | currency("EUR", "de-DE") }}
+     * @param {number|string} value - Amount
+     * @param {string} currency - ISO 4217 code
+     * @param {string} locale - BCP 47 locale
+     * @returns {string} Formatted amount, or the value unchanged when it isn't a number
+     */
+    static currency(value, currency = "USD", locale = undefined) {
+        const amount = typeof value === "number" ? value : TemplateFilters.parseAmount(value);
+        if (isNaN(amount)) return value ?? "";
+        return new Intl.NumberFormat(locale, { style: "currency", currency }).format(amount);
+    }
+
+    /**
+     * Read an amount written with either decimal separator: "1,234.50",
+     * "1.234,50", "12,5" and "$ 1 234" all work. A lone separator followed by
+     * exactly three digits ("1.234", "1,234") is read as a thousands separator.
+     * @param {string} value - Amount as text
+     * @returns {number} The amount, or NaN
+     */
+    static parseAmount(value) {
+        const text = String(value ?? "").replace(/[^\d.,-]/g, "");
+        const lastDot = text.lastIndexOf(".");
+        const lastComma = text.lastIndexOf(",");
+
+        let decimal = null;
+        if (lastDot !== -1 && lastComma !== -1) {
+            decimal = lastDot > lastComma ? "." : ",";
+        } else if (lastDot !== -1 || lastComma !== -1) {
+            const separator = lastDot !== -1 ? "." : ",";
+            const repeated = text.indexOf(separator) !== text.lastIndexOf(separator);
+            const grouping = /^-?\d{1,3}[.,]\d{3}$/.test(text);
+            if (!repeated && !grouping) decimal = separator;
+        }
+
+        const [whole, fraction = ""] = decimal ? [text.slice(0, text.lastIndexOf(decimal)), text.slice(text.lastIndexOf(decimal) + 1)] : [text];
+        const digits = whole.replace(/[.,]/g, "") + (decimal ? `.${fraction}` : "");
+        return /^-?\d*(\.\d*)?$/.test(digits) && /\d/.test(digits) ? Number(digits) : NaN;
+    }
+
+    /**
+     * {{ phone | phone }} for display, href="{{ phone | phone('tel') }}" for links
+     * @param {string} value - Phone number in any format
+     * @param {string} format - display | e164 | tel
+     * @returns {string} Formatted number
+     */
+    static phone(value, format = "display") {
+        const text = String(value ?? "").trim();
+        const digits = text.replace(/\D/g, "");
+        if (!digits) return text;
+
+        const international = text.startsWith("+") || text.startsWith("00");
+        const e164 = `+${text.startsWith("00") ? digits.slice(2) : (!international && digits.length === 10 ? `1${digits}` : digits)}`;
+        if (format === "e164") return e164;
+        if (format === "tel") return `tel:${e164}`;
+
+        // North American numbers get the familiar grouping; others keep their own
+        const nanp = digits.length === 10 && !international
+            ? digits
+            : digits.length === 11 && digits.startsWith("1") ? digits.slice(1) : null;
+        if (nanp) {
+            const local = `(${nanp.slice(0, 3)}) ${nanp.slice(3, 6)}-${nanp.slice(6)}`;
+            return digits.length === 11 ? `+1 ${local}` : local;
+        }
+        return text;
+    }
+
+    /**
+     * {{ company | slugify }} -> "cloud-kitchen-express"
+     * @param {string} value - Text
+     * @returns {string} URL-safe slug
+     */
+    static slugify(value) {
+        return String(value ?? "")
+            .normalize("NFKD")
+            .replace(/[\u0300-\u036f]/g, "")
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-+|-+$/g, "");
+    }
+
+    /**
+     * {{ bio | truncatewords(25) }}
+     * @param {string} value - Text
+     * @param {number} count - Words to keep
+     * @param {string} end - Appended when words were cut
+     * @returns {string} Shortened text
+     */
+    static truncatewords(value, count = 20, end = "…") {
+        const words = String(value ?? "").trim().split(/\s+/).filter(Boolean);
+        return words.length > count ? `${words.slice(0, count).join(" ")}${end}` : words.join(" ");
+    }
+
+    /**
+     * Markdown to HTML: headings, paragraphs, lists, emphasis, code and links.
+     * The source is escaped first, so raw HTML in data is shown as text.
+     * @param {string} value - Markdown text
+     * @returns {string} HTML
+     */
+    static markdown(value) {
+        const escape = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+        // Code spans and links are set aside first, so emphasis never rewrites a URL
+        // (URLs may hold balanced parentheses, so the whole link is taken even when unsafe);
+        // "_" only emphasizes at word boundaries, so snake_case names stay as they are
+        const emphasis = (html) => html
+            .replace(/\*\*([^*]+)\*\*|(?<![\p{L}\p{N}_])__([^_]+)__(?![\p{L}\p{N}_])/gu, (_, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/\*([^*]+)\*|(?<![\p{L}\p{N}_])_([^_]+)_(?![\p{L}\p{N}_])/gu, (_, a, b) => `<em>${a || b}</em>`);
+        const inline = (text) => {
+            const held = [];
+            const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+            const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (_, index) => restore(held[index]));
+            const html = escape(text)
+                .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`))
+                .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, href) => hold(
+                    /^(https?:|mailto:|tel:|\/|#|\.)/i.test(href.replace(/&amp;/g, "&")) ? `<a href="${href}">${emphasis(label)}</a>` : emphasis(label)
+                ));
+            return restore(emphasis(html));
+        };
+
+        const blocks = [];
+        let list = null;
+        let paragraph = [];
+        const flushParagraph = () => {
+            if (paragraph.length) blocks.push(`<p>${paragraph.map(inline).join("<br>")}</p>`);
+            paragraph = [];
+        };
+        const flushList = () => {
+            if (list) blocks.push(`<${list.tag}>${list.items.map((item) => `<li>${inline(item)}</li>`).join("")}</${list.tag}>`);
+            list = null;
+        };
+
+        for (const line of String(value ?? "").split(/\r?\n/)) {
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            const item = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+            if (!line.trim()) {
+                flushParagraph();
+                flushList();
+            } else if (heading) {
+                flushParagraph();
+                flushList();
+                blocks.push(`<h${heading[1].length}>${inline(heading[2])}</h${heading[1].length}>`);
+            } else if (item) {
+                flushParagraph();
+                const tag = item[1] ? "ul" : "ol";
+                if (list?.tag !== tag) {
+                    flushList();
+                    list = { tag, items: [] };
+                }
+                list.items.push(item[3]);
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        }
+        flushParagraph();
+        flushList();
+        return blocks.join("\n");
+    }
+
+    /**
+     * src="{{ profile_photo | image_url(400, 400) }}" asks Unsplash, imgix,
+     * Picsum, Pravatar or Cloudinary for a resized image; other URLs are unchanged
+     * @param {string} value - Image URL
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels (optional)
+     * @returns {string} Image URL
+     */
+    static imageUrl(value, width, height = null) {
+        if (!value || !width) return value ?? "";
+        try {
+            const url = new URL(value);
+            const host = IMAGE_HOSTS.find((candidate) => candidate.test.test(url.hostname));
+            return host ? host.resize(url, width, height).toString() : value;
+        } catch (error) {
+            return value;
+        }
+    }
+}
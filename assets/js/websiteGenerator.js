@@ -1,19 +1,36 @@
 import { apiService } from './services/api.js';
 import { templateRenderer } from './templateRenderer.js';
 import { dataManager } from './dataManager.js';
-
+import { HtmlUtil } from './utils/html.js';
+
+// Map stream steps to target progress percentages and status labels
+const STEP_PROGRESS = {
+    'business_gathering': { start: 5, end: 10, label: '💬 Gathering business information...' },
+    'planning': { start: 10, end: 25, label: '📋 Planning website structure...' },
+    'image_description': { start: 25, end: 35, label: '🖼️ Creating image descriptions...' },
+    'image_generation': { start: 35, end: 60, label: '🎨 Generating images...' },
+    'html_generation': { start: 60, end: 80, label: '💻 Creating HTML & CSS...' },
+    'html_validation': { start: 80, end: 90, label: '✅ Validating pages...' },
+    'file_storage': { start: 90, end: 95, label: '💾 Saving website...' },
+    'complete': { start: 95, end: 100, label: '✨ Website generation complete!' }
+};
 
 export class WebsiteGeneratorManager {
-    constructor(grapesJSEditor = null) {
+    constructor(grapesJSEditor = null, templateManager = null) {
         this.isGenerating = false;
         this.currentStage = 0;
         this.generatedPages = null;  // Rendered HTML pages
         this.jinjaTemplates = null;   // NEW: Jinja templates with variables
         this.generatedImageUrls = null;
         this.generatedPlan = null;
+        this.generatedDesignSystem = null;
+        this.globalCss = '';          // CSS shared by every page (split out by the editor)
+        this.pageOrder = null;        // User-arranged page order (null = plan order)
         this.folderPath = null;
         this.savedFiles = null;
+        this.i18n = null;             // Other languages of a multilingual site (see I18nManager)
         this.htmlEditor = grapesJSEditor;
+        this.templateManager = templateManager;
         this.currentPageName = 'home';
 
 
@@ -27,6 +44,10 @@ export class WebsiteGeneratorManager {
         this.conversationMessages = [];
         this.isAwaitingInput = false;
 
+        // Cancellation state
+        this.abortController = null;
+        this.lastStep = null;
+
         this.init();
     }
 
@@ -48,10 +69,21 @@ export class WebsiteGeneratorManager {
         const submitRevisionBtn = document.getElementById('submitRevisionBtn');
         const cancelRevisionBtn = document.getElementById('cancelRevisionBtn');
 
+        const stopGenerationBtn = document.getElementById('stopGenerationBtn');
+        const resumeGenerationBtn = document.getElementById('resumeGenerationBtn');
+
         if (generateBtn) {
             generateBtn.addEventListener('click', () => this.startWebsiteGeneration());
         }
 
+        if (stopGenerationBtn) {
+            stopGenerationBtn.addEventListener('click', () => this.cancelGeneration());
+        }
+
+        if (resumeGenerationBtn) {
+            resumeGenerationBtn.addEventListener('click', () => this.resumeGeneration());
+        }
+
         if (submitAnswerBtn) {
             submitAnswerBtn.addEventListener('click', () => this.submitAnswer());
         }
@@ -112,6 +144,48 @@ export class WebsiteGeneratorManager {
                 // or we can auto-apply here
             });
         }
+
+        // Data sources come from data/manifest.json plus records saved in the browser
+        dataManager.onSourcesChange(() => this.populateDataDropdown());
+        this.populateDataDropdown();
+        dataManager.discoverFiles();
+        dataManager.loadSchema();
+    }
+
+    /**
+     * Fill #jsonDataDropdown with the bundled data files and saved records
+     * @param {string|null} selectId - Source to select (defaults to the current selection)
+     */
+    populateDataDropdown(selectId = null) {
+        const dropdown = document.getElementById('jsonDataDropdown');
+        if (!dropdown) return;
+
+        const selected = selectId || dropdown.value;
+        const sources = dataManager.getSources();
+        const option = (source) => {
+            const el = document.createElement('option');
+            el.value = source.id;
+            el.textContent = source.name;
+            if (source.description) el.title = source.description;
+            return el;
+        };
+
+        dropdown.innerHTML = '<option value="">-- Select Data File --</option>';
+        const groups = [
+            ['Data files', sources.filter(source => !source.local)],
+            ['My records', sources.filter(source => source.local)]
+        ];
+        for (const [label, items] of groups) {
+            if (items.length === 0) continue;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            items.forEach(source => group.appendChild(option(source)));
+            dropdown.appendChild(group);
+        }
+
+        if (sources.some(source => source.id === selected)) {
+            dropdown.value = selected;
+        }
     }
 
     async applySelectedData() {
@@ -132,20 +206,23 @@ export class WebsiteGeneratorManager {
             console.log(`📊 Loading data from ${selectedFile}...`);
             console.log('📄 Current jinjaTemplates structure:', this.jinjaTemplates);
 
-            // Load selected data file
+            // Load selected data file; DataManager.onChange subscribers re-render
+            // the open editor in place
             const data = await dataManager.loadData(selectedFile);
             console.log('✓ Data loaded:', data);
 
-            // Render templates with new data
-            console.log('Rendering templates with new data...');
-            const renderedPages = templateRenderer.renderPages(this.jinjaTemplates, data);
-            console.log('Templates rendered:', Object.keys(renderedPages));
+            if (!this.editorShowsRecord(data)) {
+                // Render templates with new data
+                console.log('Rendering templates with new data...');
+                const renderedPages = templateRenderer.renderPages(this.jinjaTemplates, data);
+                console.log('Templates rendered:', Object.keys(renderedPages));
 
-            // Update generated pages
-            this.generatedPages = renderedPages;
+                // Update generated pages
+                this.generatedPages = renderedPages;
 
-            // Reload GrapesJS editor with new data
-            this.displayMultiPageEditor(renderedPages);
+                // No editor, or it couldn't be updated in place: load GrapesJS with the new data
+                this.displayMultiPageEditor(renderedPages, this.htmlEditor?.currentPageName);
+            }
 
             // Update UI to show current data
             const currentDataName = document.getElementById('currentDataName');
@@ -181,6 +258,7 @@ export class WebsiteGeneratorManager {
             this.currentThreadId = null;
             this.conversationMessages = [];
             this.isAwaitingInput = false;
+            this.generatedDesignSystem = null;
             this.hideClarificationQuestions();
         }
 
@@ -193,20 +271,110 @@ export class WebsiteGeneratorManager {
         console.log('📝 Messages in context:', this.conversationMessages.length);
 
         try {
+            await this.runGenerationStream(description);
+        } finally {
+            this.isGenerating = false;
+        }
+    }
+
+    /**
+     * Stream the generate-website workflow with cancellation support
+     * @param {string} description - Description or follow-up message
+     */
+    async runGenerationStream(description) {
+        this.abortController = new AbortController();
+        this.lastStep = null;
+        this.setStopButtonVisible(true);
+
+        try {
+            const templateHtml = await this.templateManager?.getSelectedTemplateHTML();
+
             await apiService.generateWebsite(
                 description,
-
                 this.currentThreadId,
                 this.conversationMessages,
                 (event) => {
                     this.handleStreamEvent(event);
+                },
+                {
+                    signal: this.abortController.signal,
+                    onReconnect: (info) => this.handleStreamReconnect(info),
+                    templateHtml
                 }
             );
         } catch (error) {
-            console.error('Website generation error:', error);
-            this.handleGenerationError(error);
+            if (error.name === 'AbortError') {
+                this.handleGenerationCancelled();
+            } else {
+                console.error('Website generation error:', error);
+                this.handleGenerationError(error);
+            }
         } finally {
-            this.isGenerating = false;
+            this.abortController = null;
+            this.setStopButtonVisible(false);
+        }
+    }
+
+    /**
+     * Show that the stream dropped and is being resumed on the same thread
+     * @param {Object} info - {attempt, maxRetries, delay}
+     */
+    handleStreamReconnect({ attempt, maxRetries, delay }) {
+        const seconds = Math.round(delay / 1000);
+        this.updateStatusMessage(`📡 Connection lost — reconnecting in ${seconds}s (attempt ${attempt}/${maxRetries})...`);
+        console.log('📡 Resuming thread:', this.currentThreadId || 'NEW', 'from step:', this.lastStep || 'start');
+    }
+
+    /**
+     * Abort the in-flight generation request and its SSE reader
+     */
+    cancelGeneration() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Called when the user stopped the stream. Keeps the thread and messages so
+     * the run can be resumed, and leaves the previously generated site untouched.
+     */
+    handleGenerationCancelled() {
+        this.stopProgressAnimation();
+        this.hideTypingIndicator();
+
+        const stepLabel = STEP_PROGRESS[this.lastStep]?.label.replace(/\.\.\.$/, '') || 'Starting generation';
+        this.updateStatusMessage(`⏹️ Generation stopped during: ${stepLabel}`);
+        console.log('⏹️ Generation cancelled at step:', this.lastStep || 'before first event');
+
+        const generateBtn = document.getElementById('generateWebsiteBtn');
+        if (generateBtn) generateBtn.disabled = false;
+
+        const resumeBtn = document.getElementById('resumeGenerationBtn');
+        if (resumeBtn) resumeBtn.style.display = 'inline-flex';
+
+        // Bring back the last finished site if there was one
+        if (this.generatedPages && this.htmlEditor && !this.htmlEditor.editor) {
+            this.displayMultiPageEditor(this.generatedPages);
+        }
+    }
+
+    /**
+     * Continue a stopped run on the same thread (or start over if it never got one)
+     */
+    async resumeGeneration() {
+        const resumeBtn = document.getElementById('resumeGenerationBtn');
+        if (resumeBtn) resumeBtn.style.display = 'none';
+
+        await this.startWebsiteGeneration(!!this.currentThreadId);
+    }
+
+    setStopButtonVisible(visible) {
+        const stopBtn = document.getElementById('stopGenerationBtn');
+        if (stopBtn) stopBtn.style.display = visible ? 'inline-flex' : 'none';
+
+        if (visible) {
+            const resumeBtn = document.getElementById('resumeGenerationBtn');
+            if (resumeBtn) resumeBtn.style.display = 'none';
         }
     }
 
@@ -215,6 +383,10 @@ export class WebsiteGeneratorManager {
 
         const { step, status, progress, message, data, error, ready, questions, thread_id, messages } = event;
 
+        // Remember where we are so a stop/resume can report and rejoin it
+        if (step) this.lastStep = step;
+        if (thread_id) this.currentThreadId = thread_id;
+
         // Handle business gathering questions
         if (status === 'awaiting_input' && ready === false) {
             console.log('🔔 Business gathering triggered!', { questions, thread_id });
@@ -233,19 +405,7 @@ export class WebsiteGeneratorManager {
         const chatPhases = ['business_gathering', 'planning'];
         const progressPhases = ['image_description', 'image_generation', 'html_generation', 'html_validation', 'file_storage'];
 
-        // Map steps to target progress percentages
-        const progressMapping = {
-            'business_gathering': { start: 5, end: 10, label: '💬 Gathering business information...' },
-            'planning': { start: 10, end: 25, label: '📋 Planning website structure...' },
-            'image_description': { start: 25, end: 35, label: '🖼️ Creating image descriptions...' },
-            'image_generation': { start: 35, end: 60, label: '🎨 Generating images...' },
-            'html_generation': { start: 60, end: 80, label: '💻 Creating HTML & CSS...' },
-            'html_validation': { start: 80, end: 90, label: '✅ Validating pages...' },
-            'file_storage': { start: 90, end: 95, label: '💾 Saving website...' },
-            'complete': { start: 95, end: 100, label: '✨ Website generation complete!' }
-        };
-
-        const progressRange = progressMapping[step];
+        const progressRange = STEP_PROGRESS[step];
 
         if (status === 'in_progress') {
             // Show typing indicator for chat/planning phases
@@ -345,9 +505,19 @@ export class WebsiteGeneratorManager {
         this.generatedPages = data.pages;  // Rendered HTML pages
         this.generatedImageUrls = data.image_urls;
         this.generatedPlan = data.plan;
+        templateRenderer.setGlobal('site_name', data.plan?.business_name || data.plan?.site_name || '');
+        templateRenderer.setGlobal('locale', 'en');
+        templateRenderer.clearHistory();
+        this.i18n = null;
+        this.generatedDesignSystem = data.design_system || this.generatedDesignSystem;
         this.folderPath = data.folder_path;
         this.savedFiles = data.saved_files;
 
+        // Let the editor detect the shared CSS of the new site
+        this.globalCss = '';
+        this.cssTheme = '';
+        this.pageOrder = null;
+
         // Initialize multi-page editor
         this.displayMultiPageEditor(this.generatedPages);
 
@@ -377,14 +547,26 @@ export class WebsiteGeneratorManager {
 
 
 
-    displayMultiPageEditor(pages) {
+    /**
+     * Open the pages in the multi-page editor
+     * @param {Object} pages - Pages object {pageName: {html, css}}
+     * @param {string|null} currentPage - Page to show first (defaults to the first page)
+     */
+    displayMultiPageEditor(pages, currentPage = null) {
         if (!this.htmlEditor || !pages) {
             console.error('Editor or pages not available');
             return;
         }
 
-        // Initialize GrapesJS with multiple pages properly
-        this.initializeMultiPageGrapesJS(pages);
+        // The editor splits shared CSS from page CSS; keep its global CSS as ours
+        this.htmlEditor.initializeMultiPage(pages, {
+            globalCss: this.globalCss,
+            formatName: (pageName) => this.formatPageName(pageName),
+            order: this.pageOrder || this.generatedPlan?.pages?.map(page => page.name),
+            currentPage
+        });
+        this.globalCss = this.htmlEditor.getGlobalCss();
+        this.cssTheme = this.globalCss;
 
         // Hide preview placeholder
         const previewPlaceholder = document.getElementById('previewPlaceholder');
@@ -393,88 +575,18 @@ export class WebsiteGeneratorManager {
         }
     }
 
-    initializeMultiPageGrapesJS(pages) {
-        if (!this.htmlEditor.container) {
-            console.error('Editor container not found');
-            return false;
-        }
-        if (!this.htmlEditor.isSDKAvailable()) {
-            console.error('GrapesJS Studio SDK not loaded');
-            return false;
-        }
-
-        // Destroy existing editor
-        this.htmlEditor.destroy();
-
-        // Prepare pages array for GrapesJS
-        const grapesPages = [];
-        let combinedCSS = '';
-
-        // Define page order
-        const pageOrder = ['home', 'about', 'services', 'contact'];
-        const orderedPages = pageOrder.filter(name => pages[name]);
-        const remainingPages = Object.keys(pages).filter(name => !pageOrder.includes(name));
-        const allPageNames = [...orderedPages, ...remainingPages];
-
-        allPageNames.forEach((pageName, index) => {
-            const pageData = pages[pageName];
-            if (!pageData) return;
-
-            // Extract body content
-            const bodyContent = this.extractBodyContent(pageData.html);
-
-            // Add to GrapesJS pages array
-            grapesPages.push({
-                name: this.formatPageName(pageName),
-                component: bodyContent
-            });
-
-            // Collect CSS
-            if (pageData.css && !combinedCSS.includes(pageData.css)) {
-                combinedCSS += pageData.css + '\n\n';
-            }
-        });
-
-        try {
-            this.htmlEditor.container.innerHTML = '';
-            this.htmlEditor.container.style.display = 'block';
-
-            const createStudioEditor = window.GrapesJsStudioSDK?.default || window.GrapesJsStudioSDK;
-            createStudioEditor({
-                root: `#${this.htmlEditor.container.id}`,
-                project: {
-                    type: 'web',
-                    default: {
-                        pages: grapesPages,
-                        styles: combinedCSS
-                    }
-                },
-                plugins: [
-                    editor => {
-                        editor.onReady(() => {
-                            this.htmlEditor.editor = editor;
-                            console.log(`GrapesJS initialized with ${grapesPages.length} pages`);
-                        });
-                    }
-                ]
-            });
-
-            return true;
-        } catch (error) {
-            console.error('Error initializing multi-page GrapesJS:', error);
-            return false;
-        }
-    }
-
-    extractBodyContent(html) {
-        // Extract content between <body> tags
-        const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
-        if (bodyMatch) {
-            return bodyMatch[1];
-        }
+    /**
+     * Store one updated page and refresh it in the open editor without a rebuild
+     * @param {string} pageName - Page key (e.g. 'about')
+     * @param {Object} pageData - {html, css}
+     * @returns {boolean} True if the editor was refreshed in place
+     */
+    refreshPage(pageName, pageData) {
+        this.generatedPages = this.generatedPages || {};
+        this.generatedPages[pageName] = pageData;
 
-        // If no body tag, return as is (might be HTML fragment)
-        return html;
+        if (!this.htmlEditor?.editor) return false;
+        return this.htmlEditor.updatePages({ [pageName]: pageData });
     }
 
     formatPageName(pageName) {
@@ -485,59 +597,11 @@ export class WebsiteGeneratorManager {
             .join(' ');
     }
 
-    downloadWebsite() {
-        if (!this.generatedPages) {
-            alert('No website has been generated yet.');
-            return;
-        }
-
-        if (typeof JSZip === 'undefined') {
-            alert('JSZip library not loaded. Please refresh the page.');
-            return;
-        }
-
-        try {
-            const zip = new JSZip();
-
-            // Get all pages with latest edits
-            const allPages = this.htmlEditor?.getAllPages() || this.generatedPages;
-
-            // Add each page to ZIP
-            for (const [pageName, pageData] of Object.entries(allPages)) {
-                const fileName = this.savedFiles?.[pageName] || `${pageName}.html`;
-
-                // Create full HTML with embedded CSS
-                const fullHTML = this.createFullHTML(pageData.html, pageData.css);
-                zip.file(fileName, fullHTML);
-            }
-
-            // Add a README
-            const readme = `# Generated Website\n\nGenerated by AI Landing Page Generator\n\nPages:\n${Object.keys(allPages).map(p => `- ${this.formatPageName(p)}`).join('\n')}`;
-            zip.file('README.md', readme);
-
-            // Generate and download ZIP
-            zip.generateAsync({ type: 'blob' }).then(blob => {
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = 'website.zip';
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-            });
-
-        } catch (error) {
-            console.error('Error creating ZIP:', error);
-            alert('Error creating download file. Please try again.');
-        }
-    }
-
     createFullHTML(html, css) {
         // If HTML already has CSS embedded or is a complete document, return as-is
         if (html.includes('<!DOCTYPE') || html.includes('<html')) {
             // Check if it already has style tag
-            if (html.includes('<style>') || html.includes('<link')) {
+            if (/<style[\s>]/i.test(html) || html.includes('<link')) {
                 return html;
             }
             // Inject CSS before </head>
@@ -678,7 +742,7 @@ ${html}
         contentDiv.innerHTML = `
             <p>I need more information to create your website. Please help me understand:</p>
             <ul style="margin: 10px 0; padding-left: 20px;">
-                ${questions.map(q => `<li style="margin-bottom: 8px;">${q}</li>`).join('')}
+                ${questions.map(q => `<li style="margin-bottom: 8px;">${this.sanitizeHtml(q, 'Clarification questions')}</li>`).join('')}
             </ul>
             <p style="margin-top: 10px; font-size: 13px; opacity: 0.9;">
                 💡 <em>Tip: You can answer all questions together in one message.</em>
@@ -721,6 +785,26 @@ ${html}
         }, 100);
     }
 
+    /**
+     * Hook: whether the open editor already shows a record that was just loaded
+     * (overridden by the app with the live preview)
+     * @param {Object} data - Loaded record
+     * @returns {boolean} False when applySelectedData has to render the pages
+     */
+    editorShowsRecord(data) {
+        return false;
+    }
+
+    /**
+     * Hook: clean AI-returned HTML before the chat shows it (overridden by the app in safe mode)
+     * @param {string} html - HTML from the backend
+     * @param {string} source - Where it came from, for warnings
+     * @returns {string} HTML to show
+     */
+    sanitizeHtml(html, source) {
+        return html;
+    }
+
     hideClarificationQuestions() {
         const clarificationSection = document.getElementById('websiteClarificationSection');
         if (clarificationSection) {
@@ -938,11 +1022,12 @@ ${html}
         // Render Structured Plan
         const plan = event.plan;
         const designSystem = event.design_system;
+        this.generatedDesignSystem = designSystem || this.generatedDesignSystem;
 
         let planContent = '';
 
         if (plan && designSystem) {
-            // Generate Structured HTML
+            // Generate Structured HTML; every value comes from the AI, so it is escaped
             const colors = designSystem.color_palette || {};
             const typography = designSystem.typography || {};
             const pages = plan.pages || [];
@@ -950,10 +1035,10 @@ ${html}
             // Build Color Grid
             const colorGridHTML = Object.entries(colors).map(([name, hex]) => `
                 <div class="color-swatch">
-                    <div class="color-circle" style="background-color: ${hex}"></div>
+                    <div class="color-circle" style="background-color: ${HtmlUtil.escape(hex)}"></div>
                     <div class="color-info">
-                        <span class="color-name">${name.replace(/_/g, ' ')}</span>
-                        <span class="color-hex">${hex}</span>
+                        <span class="color-name">${HtmlUtil.escape(name.replace(/_/g, ' '))}</span>
+                        <span class="color-hex">${HtmlUtil.escape(hex)}</span>
                     </div>
                 </div>
             `).join('');
@@ -963,14 +1048,14 @@ ${html}
             const bodyFont = typography.body_font || 'sans-serif';
 
             const typoHTML = `
-                <div class="type-preview-heading" style="font-family: ${headingFont}">
-                    Heading Font (${headingFont})
+                <div class="type-preview-heading" style="font-family: ${HtmlUtil.escape(headingFont)}">
+                    Heading Font (${HtmlUtil.escape(headingFont)})
                 </div>
-                <div class="type-preview-body" style="font-family: ${bodyFont}">
-                    Body Font (${bodyFont}). This is how your content will look.
+                <div class="type-preview-body" style="font-family: ${HtmlUtil.escape(bodyFont)}">
+                    Body Font (${HtmlUtil.escape(bodyFont)}). This is how your content will look.
                 </div>
                 <div class="font-meta" style="margin-top: 10px;">
-                   Scale: ${Object.entries(typography.type_scale || {}).map(([k, v]) => `${k}:${v}`).join(', ')}
+                   Scale: ${HtmlUtil.escape(Object.entries(typography.type_scale || {}).map(([k, v]) => `${k}:${v}`).join(', '))}
                 </div>
             `;
 
@@ -978,11 +1063,11 @@ ${html}
             const pagesHTML = pages.map(page => `
                 <div class="plan-page-card">
                     <div class="page-header">
-                        <span class="page-name">${page.name}</span>
+                        <span class="page-name">${HtmlUtil.escape(page.name)}</span>
                         <span class="page-badge">${page.sections.length} Sections</span>
                     </div>
                     <div class="page-sections">
-                        ${page.sections.join(', ')}
+                        ${HtmlUtil.escape(page.sections.join(', '))}
                     </div>
                 </div>
             `).join('');
@@ -999,7 +1084,7 @@ ${html}
                 <div class="plan-preview-content">
                     <div class="plan-summary-box">
                         <div class="plan-section-title">Business Goal</div>
-                        <div style="font-style: italic;">"${summary.substring(0, 300)}${summary.length > 300 ? '...' : ''}"</div>
+                        <div style="font-style: italic;">"${HtmlUtil.escape(summary.substring(0, 300))}${summary.length > 300 ? '...' : ''}"</div>
                     </div>
                     
                     <div class="plan-grid">
@@ -1024,8 +1109,8 @@ ${html}
                             <div style="margin-top: 15px;">
                                 <div class="plan-section-title">Spacing</div>
                                 <div style="font-size: 0.8rem; color: var(--text-secondary);">
-                                    Base: ${designSystem.spacing?.base_unit || 'N/A'} | 
-                                    Padding: ${designSystem.spacing?.section_padding_y || 'N/A'}
+                                    Base: ${HtmlUtil.escape(designSystem.spacing?.base_unit || 'N/A')} | 
+                                    Padding: ${HtmlUtil.escape(designSystem.spacing?.section_padding_y || 'N/A')}
                                 </div>
                             </div>
                         </div>
@@ -1038,7 +1123,7 @@ ${html}
             if (event.messages && event.messages.length > 0) {
                 const lastMsg = event.messages[event.messages.length - 1];
                 if (lastMsg.type === 'ai' || lastMsg.type === 'AIMessage' || lastMsg.role === 'assistant') {
-                    fallbackContent = `<div style="white-space: pre-wrap; font-family: monospace; font-size: 13px; line-height: 1.5; color: var(--text-primary);">${lastMsg.content}</div>`;
+                    fallbackContent = `<div style="white-space: pre-wrap; font-family: monospace; font-size: 13px; line-height: 1.5; color: var(--text-primary);">${this.sanitizeHtml(lastMsg.content, 'Plan')}</div>`;
                 }
             }
             planContent = fallbackContent;
@@ -1075,16 +1160,11 @@ ${html}
 
         console.log('🔄 Submitting approval decision:', responseText);
 
+        this.isGenerating = true;
         try {
-            await apiService.generateWebsite(
-                document.getElementById('websiteDescription')?.value || "Follow up",
-                this.currentThreadId,
-                this.conversationMessages,
-                (event) => this.handleStreamEvent(event)
-            );
-        } catch (error) {
-            console.error('Approval submission error:', error);
-            this.handleGenerationError(error);
+            await this.runGenerationStream(document.getElementById('websiteDescription')?.value || "Follow up");
+        } finally {
+            this.isGenerating = false;
         }
     }
 }
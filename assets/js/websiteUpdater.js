@@ -1,4 +1,7 @@
 import { apiService } from './services/api.js';
+import { RevisionHistory } from './revisionHistory.js';
+import { DiffReviewManager } from './diffReview.js';
+import { HtmlUtil } from './utils/html.js';
 
 /**
  * WebsiteUpdaterManager
@@ -12,11 +15,15 @@ export class WebsiteUpdaterManager {
     constructor(generatorManager) {
         this.generatorManager = generatorManager;
         this.isUpdating = false;
+        this.abortController = null;
         this.chatHistory = [];
         this.isVisible = false;
+        this.history = new RevisionHistory();
+        this.diffReview = new DiffReviewManager();
 
         this._bindUI();
         this._bindTabSwitch();
+        this._bindHistory();
     }
 
     // ─────────────────────────────────────────────
@@ -25,7 +32,6 @@ export class WebsiteUpdaterManager {
 
     _bindTabSwitch() {
         const updateSubtab = document.getElementById('updateWebsiteSubtab');
-        const websiteSubtab = document.querySelector('[data-tab="websitegenerate"]');
 
         if (updateSubtab) {
             updateSubtab.addEventListener('click', (e) => {
@@ -34,25 +40,27 @@ export class WebsiteUpdaterManager {
             });
         }
 
-        if (websiteSubtab) {
-            websiteSubtab.addEventListener('click', () => {
+        // Any other Website sub-tab brings sidebar-content back
+        document.querySelectorAll('#websiteSubtabs .sidebar-subtab').forEach(subtab => {
+            if (subtab === updateSubtab) return;
+            subtab.addEventListener('click', () => {
                 this._hideUpdatePanel();
             });
-        }
+        });
     }
 
     _showUpdatePanel() {
         const panel = document.getElementById('websiteupdatePanel');
         const sidebarContent = document.querySelector('.sidebar-content');
         const updateSubtab = document.getElementById('updateWebsiteSubtab');
-        const websiteSubtab = document.querySelector('[data-tab="websitegenerate"]');
 
         if (panel) { panel.style.display = 'flex'; }
         if (sidebarContent) { sidebarContent.style.display = 'none'; }
 
         // Update active tab highlight
-        if (updateSubtab) updateSubtab.classList.add('active');
-        if (websiteSubtab) websiteSubtab.classList.remove('active');
+        document.querySelectorAll('#websiteSubtabs .sidebar-subtab').forEach(subtab => {
+            subtab.classList.toggle('active', subtab === updateSubtab);
+        });
 
         this.isVisible = true;
 
@@ -101,11 +109,21 @@ export class WebsiteUpdaterManager {
     _bindUI() {
         const sendBtn = document.getElementById('updateSendBtn');
         const input = document.getElementById('updateChatInput');
+        const reviewToggle = document.getElementById('updateReviewToggle');
+
+        if (reviewToggle) {
+            reviewToggle.checked = localStorage.getItem('updateReviewMode') === 'true';
+            reviewToggle.addEventListener('change', () => {
+                localStorage.setItem('updateReviewMode', String(reviewToggle.checked));
+            });
+        }
 
         if (sendBtn) {
             sendBtn.addEventListener('click', () => this._handleSend());
         }
 
+        document.getElementById('updateStopBtn')?.addEventListener('click', () => this.cancelUpdate());
+
         if (input) {
             input.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter' && !e.shiftKey) {
@@ -133,61 +151,247 @@ export class WebsiteUpdaterManager {
         if (!text || text.length < 5) return;
         if (this.isUpdating) return;
 
+        input.value = '';
+        input.style.height = 'auto';
+        await this.sendRequest(text);
+    }
+
+    /**
+     * Run an update request through the chat: streamed, reviewed when review
+     * mode is on, recorded as a revision and saved like a typed request
+     * @param {string} text - Request for the AI
+     * @param {Object} options - {pageNames: pages to send (default all), label: chat text (default the request)}
+     * @returns {Promise<boolean>} True if changes were applied
+     */
+    async sendRequest(text, { pageNames = null, label = text } = {}) {
+        if (this.isUpdating) return false;
+
         const pages = this._getCurrentPages();
         if (!pages || Object.keys(pages).length === 0) {
             this._addAIMessage('⚠️ No website found. Please generate a website first.');
-            return;
+            return false;
         }
+        const sentPages = pageNames
+            ? Object.fromEntries(pageNames.filter(name => pages[name]).map(name => [name, pages[name]]))
+            : pages;
 
-        this._addUserMessage(text);
-        input.value = '';
-        input.style.height = 'auto';
+        this._addUserMessage(label);
 
         this.isUpdating = true;
         this._setInputDisabled(true);
         const typingId = this._addTypingIndicator();
 
-        try {
-            const globalCss = this._getGlobalCss();
-            const folderPath = this.generatorManager?.folderPath || null;
+        const globalCss = this._getGlobalCss();
+        const before = { pages: RevisionHistory.clonePages(pages), globalCss };
+        const stream = { typingId, statusId: null, pages: {}, refreshed: new Set() };
+        this.abortController = new AbortController();
 
-            const result = await apiService.updateWebsite(pages, globalCss, text, folderPath);
+        try {
+            const folderPath = this.saveFolder();
+            const reviewMode = this.isReviewMode();
+
+            // In review mode nothing is written to disk until the reviewer has accepted it
+            const result = await apiService.updateWebsiteStream(
+                sentPages, globalCss, text, reviewMode ? null : folderPath,
+                (event) => this._handleUpdateEvent(event, stream, reviewMode),
+                { signal: this.abortController.signal }
+            );
+            this.abortController = null;
+            this._setStopVisible(false);
 
             this._removeTypingIndicator(typingId);
+            this._removeTypingIndicator(stream.statusId);
+
+            let { updated_pages, updated_global_css, changes_summary } = result;
+            let rejectedPages = [];
+            updated_pages = this.sanitizePages(updated_pages, 'Proposed update');
+            changes_summary = this.sanitizeHtml(changes_summary, 'Update summary');
+
+            if (reviewMode) {
+                const decision = await this.diffReview.review({
+                    currentPages: before.pages,
+                    proposedPages: updated_pages,
+                    currentCss: globalCss,
+                    proposedCss: updated_global_css
+                });
+
+                if (!decision) {
+                    this._addAIMessage('↩️ Review dismissed — no changes were applied.');
+                    return false;
+                }
+
+                rejectedPages = Object.keys(updated_pages || {}).filter(name => !decision.pages[name]);
+                updated_pages = decision.pages;
+                updated_global_css = decision.globalCss;
+
+                if (Object.keys(updated_pages).length === 0 && !updated_global_css) {
+                    this._addAIMessage('↩️ All proposed changes were rejected — nothing was applied.');
+                    return false;
+                }
+            }
 
-            const { updated_pages, updated_global_css, changes_summary } = result;
             const updatedCount = Object.keys(updated_pages || {}).length;
             const cssUpdated = !!updated_global_css;
 
-            this._applyUpdates(updated_pages, updated_global_css);
+            this._applyUpdates(updated_pages, updated_global_css, stream.refreshed);
+
+            // The backend didn't write a reviewed update: save what was accepted
+            const savedAccepted = reviewMode && !!folderPath && await this._saveAccepted(folderPath);
+
+            const revision = this.history.record({
+                request: text,
+                summary: changes_summary || '',
+                before,
+                after: { pages: RevisionHistory.clonePages(this._getCurrentPages()), globalCss: this._getGlobalCss() }
+            });
 
             let responseHtml = `✅ <strong>${changes_summary || 'Updates applied!'}</strong>`;
             if (updatedCount > 0) {
-                responseHtml += `<br>📄 Pages updated: <em>${Object.keys(updated_pages).join(', ')}</em>`;
+                responseHtml += `<br>📄 Pages updated: <em>${Object.keys(updated_pages).map(name => HtmlUtil.escape(name)).join(', ')}</em>`;
+            }
+            if (rejectedPages.length > 0) {
+                responseHtml += `<br>🚫 Rejected: <em>${rejectedPages.map(name => HtmlUtil.escape(name)).join(', ')}</em>`;
             }
             if (cssUpdated) {
                 responseHtml += `<br>🎨 Global CSS updated`;
             }
-            if (folderPath) {
+            if (folderPath && (!reviewMode || savedAccepted)) {
                 responseHtml += `<br>💾 Saved to disk`;
+            } else if (folderPath) {
+                responseHtml += `<br>⚠️ Accepted changes are in the editor but could not be saved to disk`;
             }
+            responseHtml += `<br><a href="#" class="update-revision-link" data-revision-id="${revision.id}">🕘 Revision #${revision.number}</a>`;
 
             this._addAIMessage(responseHtml);
+            this.onUpdateApplied(result);
+            return true;
 
         } catch (err) {
             this._removeTypingIndicator(typingId);
+            this._removeTypingIndicator(stream.statusId);
+
+            // Roll back pages that were already swapped in while streaming
+            if (stream.refreshed.size > 0) {
+                this._applyState(before);
+            }
+
+            if (err.name === 'AbortError') {
+                this._handleUpdateCancelled(text, stream);
+                return false;
+            }
+
             console.error('Update error:', err);
             this._addAIMessage(
-                `❌ <strong>Update failed:</strong> ${err.message || 'Unknown error'}<br>` +
+                `❌ <strong>Update failed:</strong> ${HtmlUtil.escape(err.message || 'Unknown error')}<br>` +
                 `<small>Please try again or rephrase your request.</small>`
             );
+            return false;
         } finally {
             this.isUpdating = false;
+            this.abortController = null;
             this._setInputDisabled(false);
             document.getElementById('updateChatInput')?.focus();
         }
     }
 
+    /**
+     * Abort the in-flight update request and its SSE reader
+     */
+    cancelUpdate() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Report where the stopped update was and hand the request back for a retry
+     * @param {string} text - The user's request text
+     * @param {Object} stream - Per-request stream state
+     */
+    _handleUpdateCancelled(text, stream) {
+        const entries = Object.entries(stream.pages);
+        const inProgress = entries.filter(([, p]) => p.status !== 'completed').map(([name]) => name);
+        const done = entries.length - inProgress.length;
+
+        let where = 'while waiting for the AI to respond';
+        if (inProgress.length > 0) {
+            where = `while updating <em>${inProgress.map(name => HtmlUtil.escape(name)).join(', ')}</em> (${done} of ${entries.length} pages done)`;
+        } else if (entries.length > 0) {
+            where = `after ${done} page${done === 1 ? '' : 's'} finished, before the update was saved`;
+        }
+
+        this._addAIMessage(
+            `⏹️ <strong>Update stopped</strong> ${where}.<br>` +
+            `<small>No changes were applied. Your request is back in the input — press Enter to try again.</small>`
+        );
+
+        const input = document.getElementById('updateChatInput');
+        if (input) input.value = text;
+    }
+
+    /**
+     * Whether proposed changes should be reviewed before they are applied
+     * @returns {boolean} True if the review toggle is on
+     */
+    isReviewMode() {
+        return !!document.getElementById('updateReviewToggle')?.checked;
+    }
+
+    /**
+     * Hook called after an update has been applied (overridden by the app)
+     * @param {Object} result - Response from /api/update-website
+     */
+    onUpdateApplied(result) { }
+
+    /**
+     * Hook: clean AI-returned HTML before the chat shows it (overridden by the app in safe mode)
+     * @param {string} html - HTML from the backend
+     * @param {string} source - Where it came from, for warnings
+     * @returns {string} HTML to show
+     */
+    sanitizeHtml(html, source) {
+        return html;
+    }
+
+    /**
+     * Hook: clean AI-returned pages before they are reviewed or applied (overridden by the app)
+     * @param {Object} pages - {pageName: {html, css}}
+     * @param {string} source - Where they came from, for warnings
+     * @returns {Object} Pages to use
+     */
+    sanitizePages(pages, source) {
+        return pages;
+    }
+
+    /**
+     * Hook: folder the backend writes applied updates to, or null to keep
+     * them in the editor only (overridden by the app)
+     * @returns {string|null} Folder path
+     */
+    saveFolder() {
+        return this.generatorManager?.folderPath || null;
+    }
+
+    /**
+     * Write the pages (with the global CSS they embed) to the site folder
+     * after a reviewed update was accepted
+     * @param {string} folderPath - Site folder
+     * @returns {Promise<boolean>} True if the pages were saved
+     */
+    async _saveAccepted(folderPath) {
+        const gen = this.generatorManager;
+        try {
+            const result = await apiService.saveWebsite(folderPath, this._getCurrentPages(), gen.savedFiles);
+            if (result?.saved_files) {
+                gen.savedFiles = { ...gen.savedFiles, ...result.saved_files };
+            }
+            return true;
+        } catch (error) {
+            console.error('Error saving accepted changes:', error);
+            return false;
+        }
+    }
+
     // ─────────────────────────────────────────────
     //  Data helpers
     // ─────────────────────────────────────────────
@@ -205,15 +409,222 @@ export class WebsiteUpdaterManager {
 
     _getGlobalCss() {
         const gen = this.generatorManager;
+        if (gen?.htmlEditor?.isMultiPageMode) return gen.htmlEditor.getGlobalCss() || '';
         return gen?.cssTheme || gen?.globalCss || '';
     }
 
-    _applyUpdates(updatedPages, updatedGlobalCss) {
+    // ─────────────────────────────────────────────
+    //  Revision history — undo / redo / restore
+    // ─────────────────────────────────────────────
+
+    _bindHistory() {
+        document.getElementById('updateUndoBtn')?.addEventListener('click', () => this.undo());
+        document.getElementById('updateRedoBtn')?.addEventListener('click', () => this.redo());
+        document.getElementById('updateHistoryBtn')?.addEventListener('click', () => this._toggleHistoryPanel());
+
+        // Revision links in chat bubbles
+        document.getElementById('updateChatMessages')?.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-revision-id]');
+            if (!link) return;
+            e.preventDefault();
+            this._toggleHistoryPanel(true);
+            this._highlightRevision(link.getAttribute('data-revision-id'));
+        });
+
+        // Restore buttons in the history panel
+        document.getElementById('updateRevisionList')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-restore-revision]');
+            if (btn) this.restoreRevision(btn.getAttribute('data-restore-revision'));
+        });
+
+        this.history.onChange(() => this._renderHistory());
+        this._renderHistory();
+    }
+
+    undo() {
+        if (this.isUpdating) return;
+        const state = this.history.undo();
+        if (state) this._applyState(state);
+    }
+
+    redo() {
+        if (this.isUpdating) return;
+        const state = this.history.redo();
+        if (state) this._applyState(state);
+    }
+
+    /**
+     * Restore the state right after a given revision into the editor
+     * @param {string} id - Revision id
+     */
+    restoreRevision(id) {
+        if (this.isUpdating) return;
+        const state = this.history.restore(id);
+        if (!state) {
+            this._addAIMessage('⚠️ That revision is no longer available.');
+            return;
+        }
+        this._applyState(state);
+    }
+
+    /**
+     * Replace pages and global CSS with a snapshot and reload the editor
+     * @param {Object} state - {pages, globalCss}
+     */
+    _applyState(state) {
         const gen = this.generatorManager;
         if (!gen) return;
 
+        gen.generatedPages = RevisionHistory.clonePages(state.pages);
+        gen.globalCss = state.globalCss || '';
+        gen.cssTheme = state.globalCss || '';
+
+        try {
+            gen.displayMultiPageEditor(gen.generatedPages);
+        } catch (e) {
+            console.warn('Could not refresh editor:', e);
+        }
+
+        this.onUpdateApplied(null);
+    }
+
+    _toggleHistoryPanel(forceOpen = null) {
+        const panel = document.getElementById('updateRevisionPanel');
+        if (!panel) return;
+        const open = forceOpen ?? panel.style.display === 'none';
+        panel.style.display = open ? 'block' : 'none';
+    }
+
+    _highlightRevision(id) {
+        const list = document.getElementById('updateRevisionList');
+        if (!list) return;
+        list.querySelectorAll('.update-revision').forEach(el => {
+            el.classList.toggle('highlight', el.getAttribute('data-revision') === id);
+        });
+        list.querySelector(`[data-revision="${id}"]`)?.scrollIntoView({ block: 'nearest' });
+    }
+
+    _renderHistory() {
+        const undoBtn = document.getElementById('updateUndoBtn');
+        const redoBtn = document.getElementById('updateRedoBtn');
+        if (undoBtn) undoBtn.disabled = !this.history.canUndo();
+        if (redoBtn) redoBtn.disabled = !this.history.canRedo();
+
+        const list = document.getElementById('updateRevisionList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (this.history.revisions.length === 0) {
+            list.innerHTML = '<div class="update-revision-empty">No revisions yet. Each update you send is recorded here.</div>';
+            return;
+        }
+
+        const current = this.history.getCurrent();
+        // Newest first
+        for (const rev of [...this.history.revisions].reverse()) {
+            const item = document.createElement('div');
+            item.className = 'update-revision';
+            item.setAttribute('data-revision', rev.id);
+            if (current && current.id === rev.id) item.classList.add('current');
+
+            const title = document.createElement('div');
+            title.className = 'update-revision__title';
+            title.textContent = `#${rev.number} — ${rev.request}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'update-revision__meta';
+            const pageNames = Object.keys(rev.after.pages).filter(
+                name => rev.after.pages[name]?.html !== rev.before.pages[name]?.html
+            );
+            meta.textContent = `${new Date(rev.timestamp).toLocaleTimeString('en-US', {
+                hour: 'numeric', minute: '2-digit', hour12: true
+            })} • ${pageNames.length ? pageNames.join(', ') : 'CSS only'}`;
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'update-revision__restore';
+            restoreBtn.setAttribute('data-restore-revision', rev.id);
+            restoreBtn.textContent = current && current.id === rev.id ? 'Current' : 'Restore';
+            restoreBtn.disabled = !!(current && current.id === rev.id);
+
+            item.appendChild(title);
+            item.appendChild(meta);
+            item.appendChild(restoreBtn);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Handle one streamed progress event: live per-page status and in-place page refresh
+     * @param {Object} event - SSE event from updateWebsiteStream
+     * @param {Object} stream - Per-request state {typingId, statusId, pages, refreshed}
+     * @param {boolean} reviewMode - When true, pages are only applied after review
+     */
+    _handleUpdateEvent(event, stream, reviewMode) {
+        const { step, status, page, message, data } = event;
+        if (step !== 'page_update' || !page) return;
+
+        stream.pages[page] = { status, message };
+
+        if (status === 'completed' && data && !reviewMode) {
+            if (this.generatorManager?.refreshPage(page, data)) {
+                stream.refreshed.add(page);
+            }
+        }
+
+        // Swap the typing dots for a live status bubble on the first page event
+        if (!stream.statusId) {
+            this._removeTypingIndicator(stream.typingId);
+            stream.statusId = this._addStatusBubble();
+        }
+        this._renderStatusBubble(stream);
+    }
+
+    _addStatusBubble() {
+        const container = document.getElementById('updateChatMessages');
+        if (!container) return null;
+
+        const id = 'update-status-' + Date.now();
+        const el = document.createElement('div');
+        el.id = id;
+        el.className = 'update-msg update-msg--ai';
+        el.innerHTML = `
+            <div class="update-msg__avatar">🤖</div>
+            <div class="update-msg__wrapper">
+                <div class="update-msg__bubble update-msg__bubble--status"></div>
+            </div>`;
+        container.appendChild(el);
+        container.scrollTop = container.scrollHeight;
+        return id;
+    }
+
+    _renderStatusBubble(stream) {
+        const bubble = document.querySelector(`#${stream.statusId} .update-msg__bubble--status`);
+        if (!bubble) return;
+
+        bubble.innerHTML = Object.entries(stream.pages).map(([name, { status, message }]) => {
+            const icon = status === 'completed' ? '✅' : '⏳';
+            const label = status === 'completed' ? 'done' : (message || `Updating ${name}…`);
+            return `<div class="update-page-status update-page-status--${status}">${icon} <strong>${HtmlUtil.escape(name)}</strong> — ${HtmlUtil.escape(label)}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Merge updated pages/CSS into the generator and reload the editor when needed
+     * @param {Object} updatedPages - Pages to merge {pageName: {html, css}}
+     * @param {string|null} updatedGlobalCss - New global CSS
+     * @param {Set} refreshedPages - Pages already refreshed in place while streaming
+     */
+    _applyUpdates(updatedPages, updatedGlobalCss, refreshedPages = new Set()) {
+        const gen = this.generatorManager;
+        if (!gen) return;
+
+        // Skip the full rebuild when every page was already swapped in place
+        const needsReload = !!updatedGlobalCss ||
+            Object.keys(updatedPages || {}).some(name => !refreshedPages.has(name));
+
         if (updatedPages && Object.keys(updatedPages).length > 0) {
-            gen.generatedPages = gen.generatedPages || {};
+            // Start from the editor's copy so canvas edits to other pages survive a reload
+            gen.generatedPages = { ...this._getCurrentPages() };
             for (const [name, data] of Object.entries(updatedPages)) {
                 gen.generatedPages[name] = data;
             }
@@ -224,7 +635,7 @@ export class WebsiteUpdaterManager {
             gen.cssTheme = updatedGlobalCss;
         }
 
-        if (gen.generatedPages && Object.keys(gen.generatedPages).length > 0) {
+        if (needsReload && gen.generatedPages && Object.keys(gen.generatedPages).length > 0) {
             try {
                 gen.displayMultiPageEditor(gen.generatedPages);
             } catch (e) {
@@ -247,6 +658,23 @@ export class WebsiteUpdaterManager {
         this._renderMessage('ai', html);
     }
 
+    /**
+     * Replace the chat with a previously saved transcript
+     * @param {Array} history - [{role, text}] as stored in chatHistory
+     */
+    restoreHistory(history) {
+        const container = document.getElementById('updateChatMessages');
+        if (container) container.innerHTML = '';
+
+        this.chatHistory = [];
+        for (const entry of history || []) {
+            this.chatHistory.push({ role: entry.role, text: entry.text });
+            this._renderMessage(entry.role, entry.role === 'user'
+                ? entry.text.replace(/\n/g, '<br>')
+                : entry.text);
+        }
+    }
+
     _renderMessage(role, html) {
         const container = document.getElementById('updateChatMessages');
         if (!container) return;
@@ -310,5 +738,13 @@ export class WebsiteUpdaterManager {
         const sendBtn = document.getElementById('updateSendBtn');
         if (input) input.disabled = disabled;
         if (sendBtn) sendBtn.disabled = disabled;
+        this._setStopVisible(disabled);
+    }
+
+    _setStopVisible(visible) {
+        const sendBtn = document.getElementById('updateSendBtn');
+        const stopBtn = document.getElementById('updateStopBtn');
+        if (sendBtn) sendBtn.style.display = visible ? 'none' : '';
+        if (stopBtn) stopBtn.style.display = visible ? 'flex' : 'none';
     }
 }